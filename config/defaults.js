@@ -8,12 +8,20 @@ module.exports = {
   // Default download path (user's Downloads folder)
   downloadPath: path.join(os.homedir(), 'Downloads', 'jira-downloads'),
   
-  // API configuration
+  // API configuration (base URLs come from the instance profiles in config/instances.json)
   api: {
-    baseUrl: 'https://thehut.atlassian.net/rest/api/2',
     timeout: 120000, // 2 minutes
     maxRetries: 3,
-    retryDelay: 1000 // 1 second
+    retryDelay: 1000, // 1 second
+    // Request budget shared by all downloads and jobs (see lib/jira-client.js)
+    rateLimit: {
+      requestsPerSecond: 10, // Highest request rate
+      minRequestsPerSecond: 0.5, // Lowest rate after repeated 429 responses
+      rateIncrease: 0.1, // Requests per second regained with each successful response
+      burst: 10, // Requests that may go out at once after an idle period
+      maxRetries: 6, // Retries of a request answered with 429
+      maxBackoffMs: 60 * 1000 // Longest backoff before retrying a 429 without Retry-After
+    }
   },
   
   // Job configuration
@@ -22,8 +30,43 @@ module.exports = {
     retentionDays: 7, // Keep completed jobs for 7 days
   },
   
-  // Segment size limit (50MB)
+  // Encryption key for stored Jira credentials, unless JIRA_CREDENTIALS_KEY or JIRA_CREDENTIALS_KEY_FILE is set
+  credentials: {
+    keyFile: path.join(os.homedir(), '.jira-downloader', 'credentials.key')
+  },
+  
+  // Login sessions (credentials are kept in server memory for this long)
+  sessions: {
+    ttlMs: 8 * 60 * 60 * 1000 // 8 hours
+  },
+  
+  // Authentication providers
+  auth: {
+    refreshMarginMs: 5 * 60 * 1000, // Refresh OAuth access tokens 5 minutes before they expire
+    loginTimeoutMs: 10 * 60 * 1000 // Time allowed to finish an OAuth login at Atlassian
+  },
+  
+  // Schedule configuration
+  schedules: {
+    checkIntervalMs: 60 * 1000 // Check for due schedules every minute
+  },
+  
+  // Default segment size limit (50MB); jobs may choose their own within segmentSizeRange
   segmentSizeLimit: 50 * 1024 * 1024,
+  segmentSizeRange: {
+    minMb: 1,
+    maxMb: 4096
+  },
+  // How attachments are packed into segments (see lib/segment-planner.js)
+  segmentStrategy: 'by-ticket',
+  // Container of the segments: zip, tar, tar.gz or tar.zst (see lib/archive-formats.js)
+  archiveFormat: 'zip',
+  // Write a copy of lib/export-reassembly.js into exports with segments, unless a download turns it off
+  reassemblyScript: true,
+  // Passphrase encryption of background job outputs (see lib/export-encryption.js)
+  encryption: {
+    minPassphraseLength: 12
+  },
   
   // Notification settings
   notifications: {
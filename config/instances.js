@@ -0,0 +1,150 @@
+/**
+ * Jira instance profiles for the Jira Ticket Downloader
+ * Profiles are read from config/instances.json (or JIRA_INSTANCES_FILE).
+ * JIRA_BASE_URL overrides the base URL of the default profile.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Supported authentication schemes and REST API versions
+const AUTH_TYPES = ['basic', 'bearer', 'oauth'];
+const API_VERSIONS = ['2', '3'];
+
+// Atlassian OAuth 2.0 (3LO) endpoints; profiles may override them, e.g. to use a mock authorization server
+// API calls go through apiBaseUrl, where {cloudId} is the ID of the authorized site
+const OAUTH_DEFAULTS = {
+  authorizeUrl: 'https://auth.atlassian.com/authorize',
+  tokenUrl: 'https://auth.atlassian.com/oauth/token',
+  resourcesUrl: 'https://api.atlassian.com/oauth/token/accessible-resources',
+  apiBaseUrl: 'https://api.atlassian.com/ex/jira/{cloudId}',
+  audience: 'api.atlassian.com',
+  scopes: ['read:jira-work', 'read:jira-user', 'offline_access'],
+  redirectUri: null,
+  // The client secret is never kept in the profile file
+  clientSecretEnv: 'JIRA_OAUTH_CLIENT_SECRET'
+};
+
+let cachedProfiles = null;
+
+/**
+ * Load and normalize instance profiles from disk
+ * @returns {Object} Profiles keyed by name plus the default profile name
+ * @private
+ */
+function loadProfiles() {
+  if (cachedProfiles) {
+    return cachedProfiles;
+  }
+
+  const instancesFile = process.env.JIRA_INSTANCES_FILE || path.join(__dirname, 'instances.json');
+  const config = JSON.parse(fs.readFileSync(instancesFile, 'utf8'));
+
+  const profiles = {};
+  for (const profile of config.instances || []) {
+    if (!profile.name || !profile.baseUrl) {
+      throw new Error(`Jira instance profiles need a name and baseUrl (${instancesFile})`);
+    }
+
+    const authType = profile.authType || 'basic';
+    const apiVersion = String(profile.apiVersion || '2');
+    if (!AUTH_TYPES.includes(authType)) {
+      throw new Error(`Unsupported auth type "${authType}" for Jira instance ${profile.name}`);
+    }
+    if (!API_VERSIONS.includes(apiVersion)) {
+      throw new Error(`Unsupported API version "${apiVersion}" for Jira instance ${profile.name}`);
+    }
+    if (authType === 'oauth' && !profile.oauth?.clientId) {
+      throw new Error(`OAuth Jira instance ${profile.name} needs oauth.clientId`);
+    }
+
+    profiles[profile.name] = {
+      name: profile.name,
+      label: profile.label || profile.name,
+      baseUrl: profile.baseUrl.replace(/\/+$/, ''),
+      authType,
+      apiVersion
+    };
+    if (authType === 'oauth') {
+      const { clientSecret, ...oauth } = profile.oauth;
+      if (clientSecret) {
+        throw new Error(`Set the OAuth client secret of Jira instance ${profile.name} in ${oauth.clientSecretEnv || OAUTH_DEFAULTS.clientSecretEnv}, not in ${instancesFile}`);
+      }
+      profiles[profile.name].oauth = { ...OAUTH_DEFAULTS, ...oauth };
+    }
+  }
+
+  const defaultInstance = config.defaultInstance || Object.keys(profiles)[0];
+  if (!profiles[defaultInstance]) {
+    throw new Error(`Default Jira instance "${defaultInstance}" is not defined`);
+  }
+
+  if (process.env.JIRA_BASE_URL) {
+    profiles[defaultInstance].baseUrl = process.env.JIRA_BASE_URL.replace(/\/+$/, '');
+  }
+
+  cachedProfiles = { profiles, defaultInstance };
+  return cachedProfiles;
+}
+
+/**
+ * List all configured instance profiles
+ * @returns {Array<Object>} Instance profiles
+ */
+function listInstances() {
+  return Object.values(loadProfiles().profiles);
+}
+
+/**
+ * Get the name of the default instance profile
+ * @returns {string} Profile name
+ */
+function getDefaultInstanceName() {
+  return loadProfiles().defaultInstance;
+}
+
+/**
+ * Get an instance profile by name
+ * @param {string} [name] Profile name (the default profile if omitted)
+ * @returns {Object} Instance profile
+ */
+function getInstance(name) {
+  const { profiles, defaultInstance } = loadProfiles();
+  const instance = profiles[name || defaultInstance];
+
+  if (!instance) {
+    const error = new Error(`Unknown Jira instance: ${name}`);
+    error.status = 400;
+    error.code = 'UNKNOWN_INSTANCE';
+    throw error;
+  }
+
+  return instance;
+}
+
+/**
+ * Build a REST API URL for an instance
+ * @param {Object} instance Instance profile
+ * @param {string} resourcePath Resource path, e.g. '/project'
+ * @returns {string} Absolute URL
+ */
+function apiUrl(instance, resourcePath) {
+  return `${instance.baseUrl}/rest/api/${instance.apiVersion}${resourcePath}`;
+}
+
+/**
+ * Build a Jira Software (agile) REST API URL for an instance
+ * @param {Object} instance Instance profile
+ * @param {string} resourcePath Resource path, e.g. '/board'
+ * @returns {string} Absolute URL
+ */
+function agileUrl(instance, resourcePath) {
+  return `${instance.baseUrl}/rest/agile/1.0${resourcePath}`;
+}
+
+module.exports = {
+  listInstances,
+  getDefaultInstanceName,
+  getInstance,
+  apiUrl,
+  agileUrl
+};
@@ -0,0 +1,105 @@
+/**
+ * Archive formats for attachment segments
+ * zip is the default; tar avoids zip's limits on large projects, and its compressed variants suit
+ * Linux archive storage. tar.zst needs the zstd support built into newer Node.js releases.
+ */
+const zlib = require('zlib');
+const { ENCRYPTED_EXTENSION } = require('./export-encryption');
+const defaults = require('../config/defaults');
+
+const ARCHIVE_FORMATS = {
+  zip: { extension: '.zip', contentType: 'application/zip' },
+  tar: { extension: '.tar', contentType: 'application/x-tar' },
+  'tar.gz': { extension: '.tar.gz', contentType: 'application/gzip' },
+  'tar.zst': { extension: '.tar.zst', contentType: 'application/zstd' }
+};
+
+/**
+ * Check whether this Node.js can write a format
+ * @param {string} format Archive format
+ * @returns {boolean} True if segments can be written in it
+ */
+function isFormatAvailable(format) {
+  if (format === 'tar.zst') {
+    return typeof zlib.createZstdCompress === 'function';
+  }
+  return Object.prototype.hasOwnProperty.call(ARCHIVE_FORMATS, format);
+}
+
+/**
+ * List the archive formats for the UI
+ * @returns {Array<Object>} { format, extension, available }
+ */
+function listArchiveFormats() {
+  return Object.entries(ARCHIVE_FORMATS).map(([format, { extension }]) => ({
+    format,
+    extension,
+    available: isFormatAvailable(format)
+  }));
+}
+
+/**
+ * Validate the archive format of a job or download
+ * @param {string} [format] Requested format (default: defaults.archiveFormat)
+ * @returns {string} Archive format
+ */
+function resolveArchiveFormat(format) {
+  const resolved = format || defaults.archiveFormat;
+  let message = null;
+  if (!Object.prototype.hasOwnProperty.call(ARCHIVE_FORMATS, resolved)) {
+    message = `Unsupported archive format: ${resolved} (expected ${Object.keys(ARCHIVE_FORMATS).join(', ')})`;
+  } else if (!isFormatAvailable(resolved)) {
+    message = `${resolved} needs zstd support in Node.js (22.15 or later); choose another archive format`;
+  }
+  if (message) {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = 'INVALID_ARCHIVE_FORMAT';
+    throw error;
+  }
+  return resolved;
+}
+
+/**
+ * Check whether a file is sealed with a job passphrase
+ * @param {string} fileName File name
+ * @returns {boolean} True for encrypted files
+ */
+function isEncryptedFile(fileName) {
+  return fileName.toLowerCase().endsWith(ENCRYPTED_EXTENSION);
+}
+
+/**
+ * Find the archive format of a file by its extension
+ * An encrypted segment has the format of its plain content
+ * @param {string} fileName File name
+ * @returns {string|null} Archive format, or null for other files
+ */
+function archiveFormatOf(fileName) {
+  const name = isEncryptedFile(fileName) ? fileName.slice(0, -ENCRYPTED_EXTENSION.length) : fileName;
+  // Longest extension first, so .tar.gz is not taken for something else
+  const match = Object.entries(ARCHIVE_FORMATS)
+    .sort(([, a], [, b]) => b.extension.length - a.extension.length)
+    .find(([, { extension }]) => name.toLowerCase().endsWith(extension));
+  return match ? match[0] : null;
+}
+
+/**
+ * Get the Content-Type to serve a file with
+ * Encrypted files are opaque binary data whatever their content
+ * @param {string} fileName File name
+ * @returns {string} Content-Type
+ */
+function contentTypeOf(fileName) {
+  const format = isEncryptedFile(fileName) ? null : archiveFormatOf(fileName);
+  return format ? ARCHIVE_FORMATS[format].contentType : 'application/octet-stream';
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  listArchiveFormats,
+  resolveArchiveFormat,
+  isEncryptedFile,
+  archiveFormatOf,
+  contentTypeOf
+};
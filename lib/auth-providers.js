@@ -0,0 +1,407 @@
+/**
+ * Authentication providers for Jira instance profiles
+ * basic: email + API token (Cloud), bearer: personal access token (Data Center),
+ * oauth: OAuth 2.0 authorization code flow (3LO) for Cloud, with refresh tokens
+ *
+ * Credentials travel as one "secret" string: the API token or PAT itself, or for OAuth
+ * the JSON of { accessToken, refreshToken, expiresAt, cloudId }
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const defaults = require('../config/defaults');
+
+// OAuth logins waiting for their callback, by state: { instance, redirectUri, expiresAt }
+const pendingLogins = new Map();
+
+// Refreshes by the refresh token they used. A login's tokens are copied into its session, its jobs and
+// its schedules; once one copy rotated the refresh token, the others pick up the result from here
+const refreshes = new Map();
+const REFRESH_SHARE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an authentication error
+ * @param {string} message Error message
+ * @param {string} code Error code
+ * @returns {Error} Error with a 401 status
+ * @private
+ */
+function authError(message, code) {
+  const error = new Error(message);
+  error.status = 401;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Read the OAuth tokens of a secret
+ * @param {string} secret Serialized tokens
+ * @returns {Object} { accessToken, refreshToken, expiresAt, cloudId }
+ * @private
+ */
+function parseTokens(secret) {
+  try {
+    return JSON.parse(secret);
+  } catch (error) {
+    throw authError('Stored OAuth tokens are unreadable; log in again', 'OAUTH_TOKENS_INVALID');
+  }
+}
+
+/**
+ * Turn a token endpoint response into OAuth tokens
+ * @param {Object} data Token endpoint response
+ * @param {Object} [previous] Tokens being refreshed
+ * @returns {Object} Tokens
+ * @private
+ */
+function tokensFromResponse(data, previous = {}) {
+  return {
+    accessToken: data.access_token,
+    // Refresh tokens rotate; keep the old one only if the server did not send a new one
+    refreshToken: data.refresh_token || previous.refreshToken || null,
+    expiresAt: Date.now() + (data.expires_in || 3600) * 1000,
+    cloudId: previous.cloudId || null
+  };
+}
+
+/**
+ * Get the OAuth client secret of an instance
+ * @param {Object} instance Instance profile
+ * @returns {string} Client secret
+ * @private
+ */
+function clientSecret(instance) {
+  const secret = process.env[instance.oauth.clientSecretEnv];
+  if (!secret) {
+    const error = new Error(`${instance.oauth.clientSecretEnv} is not set for OAuth Jira instance ${instance.name}`);
+    error.status = 500;
+    error.code = 'OAUTH_NOT_CONFIGURED';
+    throw error;
+  }
+  return secret;
+}
+
+/**
+ * Check that the credentials an instance needs are present
+ * @param {Object} instance Instance profile
+ * @param {string} username Username
+ * @param {string} secret API token or personal access token
+ * @returns {boolean} True if complete
+ */
+function hasCredentials(instance, username, secret) {
+  return Boolean(secret && (username || instance.authType !== 'basic'));
+}
+
+/**
+ * Build the Authorization header value for an instance
+ * @param {Object} instance Instance profile
+ * @param {string} username Username (only used by basic profiles)
+ * @param {string} secret API token, personal access token or serialized OAuth tokens
+ * @returns {string} Authorization header value
+ */
+function authorizationHeader(instance, username, secret) {
+  if (instance.authType === 'oauth') {
+    return `Bearer ${parseTokens(secret).accessToken}`;
+  }
+  if (instance.authType === 'bearer') {
+    return `Bearer ${secret}`;
+  }
+  return `Basic ${Buffer.from(`${username}:${secret}`).toString('base64')}`;
+}
+
+/**
+ * Get the profile to build API URLs with
+ * OAuth calls go through the Atlassian API gateway instead of the site URL
+ * @param {Object} instance Instance profile
+ * @param {string} secret Credentials secret
+ * @returns {Object} Instance profile with the base URL API calls use
+ * @private
+ */
+function apiInstance(instance, secret) {
+  if (instance.authType !== 'oauth') {
+    return instance;
+  }
+  const { cloudId } = parseTokens(secret);
+  return { ...instance, baseUrl: instance.oauth.apiBaseUrl.replace('{cloudId}', cloudId).replace(/\/+$/, '') };
+}
+
+/**
+ * Create the credentials of one user for one instance
+ * The returned headers always carry the current token, so objects built from them
+ * (e.g. { ...headers, Range }) pick up refreshed OAuth tokens
+ * @param {Object} instance Instance profile
+ * @param {Object} options { username, secret, onRefresh(secret) to persist rotated OAuth tokens,
+ *   loadSecret() to read the persisted tokens, which other holders of the same credentials may have rotated }
+ * @returns {Object} { instance, username, headers, secret, refreshIfNeeded(force), keepFresh(), resolveUrl(url) }
+ */
+function createAuth(instance, { username, secret, onRefresh, loadSecret }) {
+  let current = secret;
+  let refreshing = null;
+
+  const headers = {
+    'Accept': 'application/json',
+    'Content-Type': 'application/json'
+  };
+  Object.defineProperty(headers, 'Authorization', {
+    enumerable: true,
+    get: () => authorizationHeader(instance, username, current)
+  });
+
+  const auth = {
+    instance: apiInstance(instance, current),
+    username,
+    headers,
+
+    get secret() {
+      return current;
+    },
+
+    /**
+     * Refresh the OAuth access token if it expires within the refresh margin
+     * @param {boolean} [force] Refresh even if the token is still fresh
+     * @returns {Promise<boolean>} True if the token was refreshed
+     */
+    async refreshIfNeeded(force = false) {
+      if (instance.authType !== 'oauth') {
+        return false;
+      }
+      if (!force && parseTokens(current).expiresAt - Date.now() > defaults.auth.refreshMarginMs) {
+        return false;
+      }
+
+      // Concurrent callers share one refresh, so a rotated refresh token is used only once
+      if (!refreshing) {
+        refreshing = (async () => {
+          // Tokens rotated by another holder replace ours; our refresh token is already spent
+          const stored = loadSecret ? await loadSecret() : null;
+          if (stored && stored !== current) {
+            current = stored;
+            if (parseTokens(current).expiresAt - Date.now() > defaults.auth.refreshMarginMs) {
+              return true;
+            }
+          }
+
+          current = JSON.stringify(await sharedRefresh(instance, parseTokens(current)));
+          if (onRefresh) {
+            await onRefresh(current);
+          }
+          return true;
+        })()
+          .finally(() => {
+            refreshing = null;
+          });
+      }
+      return refreshing;
+    },
+
+    /**
+     * Refresh the OAuth access token in the background shortly before it expires
+     * @returns {Function} Stops refreshing
+     */
+    keepFresh() {
+      if (instance.authType !== 'oauth') {
+        return () => {};
+      }
+
+      let timer = null;
+      let stopped = false;
+      const schedule = () => {
+        const delay = parseTokens(current).expiresAt - Date.now() - defaults.auth.refreshMarginMs;
+        timer = setTimeout(() => {
+          auth.refreshIfNeeded()
+            .then(() => {
+              if (!stopped) {
+                schedule();
+              }
+            })
+            .catch(error => console.error(`Failed to refresh OAuth token for ${instance.name}: ${error.message}`));
+        }, Math.max(delay, 1000));
+        timer.unref();
+      };
+      schedule();
+
+      return () => {
+        stopped = true;
+        clearTimeout(timer);
+      };
+    },
+
+    /**
+     * Point a URL Jira returned (e.g. attachment content) at the base URL API calls use
+     * @param {string} url URL on the instance's site
+     * @returns {string} URL to request
+     */
+    resolveUrl(url) {
+      return url.startsWith(instance.baseUrl) ? auth.instance.baseUrl + url.slice(instance.baseUrl.length) : url;
+    }
+  };
+
+  return auth;
+}
+
+/**
+ * Refresh tokens, reusing a refresh another copy of the same tokens already made
+ * @param {Object} instance Instance profile
+ * @param {Object} tokens Current tokens
+ * @returns {Promise<Object>} New tokens
+ * @private
+ */
+async function sharedRefresh(instance, tokens) {
+  const key = `${instance.name}:${tokens.refreshToken}`;
+  if (!refreshes.has(key)) {
+    const refresh = refreshTokens(instance, tokens);
+    refreshes.set(key, refresh);
+    refresh.catch(() => refreshes.delete(key));
+    setTimeout(() => refreshes.delete(key), REFRESH_SHARE_MS).unref();
+  }
+
+  const refreshed = await refreshes.get(key);
+  // The shared result may itself be close to expiry by now
+  if (refreshed.expiresAt - Date.now() <= defaults.auth.refreshMarginMs) {
+    return sharedRefresh(instance, refreshed);
+  }
+  return refreshed;
+}
+
+/**
+ * Exchange a refresh token for new tokens
+ * @param {Object} instance Instance profile
+ * @param {Object} tokens Current tokens
+ * @returns {Promise<Object>} New tokens
+ * @private
+ */
+async function refreshTokens(instance, tokens) {
+  if (!tokens.refreshToken) {
+    throw authError('The OAuth session has no refresh token; log in again', 'OAUTH_REFRESH_FAILED');
+  }
+
+  try {
+    const response = await axios.post(instance.oauth.tokenUrl, {
+      grant_type: 'refresh_token',
+      client_id: instance.oauth.clientId,
+      client_secret: clientSecret(instance),
+      refresh_token: tokens.refreshToken
+    }, { timeout: defaults.api.timeout });
+    return tokensFromResponse(response.data, tokens);
+  } catch (error) {
+    if (error.response && error.response.status < 500) {
+      throw authError('The OAuth session has expired or was revoked; log in again', 'OAUTH_REFRESH_FAILED');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Start an OAuth login
+ * The state is also kept by the browser that starts the login (see finishOAuthLogin), and the code
+ * exchange is bound to this login with PKCE
+ * @param {Object} instance OAuth instance profile
+ * @param {string} redirectUri Callback URL registered for the OAuth app
+ * @returns {Object} { url, state }: authorization URL to send the browser to, and the state it must present on return
+ */
+function startOAuthLogin(instance, redirectUri) {
+  const state = crypto.randomBytes(24).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const callbackUri = instance.oauth.redirectUri || redirectUri;
+  pendingLogins.set(state, {
+    instance: instance.name,
+    redirectUri: callbackUri,
+    codeVerifier,
+    expiresAt: Date.now() + defaults.auth.loginTimeoutMs
+  });
+
+  const params = new URLSearchParams({
+    audience: instance.oauth.audience,
+    client_id: instance.oauth.clientId,
+    scope: instance.oauth.scopes.join(' '),
+    redirect_uri: callbackUri,
+    state,
+    response_type: 'code',
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256',
+    prompt: 'consent'
+  });
+  return { url: `${instance.oauth.authorizeUrl}?${params}`, state };
+}
+
+/**
+ * Finish an OAuth login: check the state, exchange the code and find the authorized site
+ * The state must also match the one kept by the browser that started the login, so a callback URL
+ * from someone else's login cannot sign this browser in
+ * @param {Function} getInstance Looks up an instance profile by name
+ * @param {Object} query Callback query { code, state, error }
+ * @param {string|null} browserState State kept by the browser (cookie) when it started the login
+ * @returns {Promise<Object>} { instance, secret }
+ */
+async function finishOAuthLogin(getInstance, { code, state, error }, browserState) {
+  const pending = state ? pendingLogins.get(state) : null;
+  pendingLogins.delete(state);
+
+  if (!pending || pending.expiresAt <= Date.now()) {
+    throw authError('The OAuth login expired or was not started here; try again', 'OAUTH_STATE_INVALID');
+  }
+  if (typeof browserState !== 'string' || browserState.length !== state.length ||
+    !crypto.timingSafeEqual(Buffer.from(browserState), Buffer.from(state))) {
+    throw authError('The OAuth login was not started in this browser; try again', 'OAUTH_STATE_INVALID');
+  }
+  if (error || !code) {
+    throw authError(`The OAuth login was not completed: ${error || 'no authorization code'}`, 'OAUTH_DENIED');
+  }
+
+  const instance = getInstance(pending.instance);
+  let tokens;
+  try {
+    const response = await axios.post(instance.oauth.tokenUrl, {
+      grant_type: 'authorization_code',
+      client_id: instance.oauth.clientId,
+      client_secret: clientSecret(instance),
+      code,
+      redirect_uri: pending.redirectUri,
+      code_verifier: pending.codeVerifier
+    }, { timeout: defaults.api.timeout });
+    tokens = tokensFromResponse(response.data);
+  } catch (exchangeError) {
+    if (exchangeError.response) {
+      throw authError('The authorization code was rejected', 'OAUTH_DENIED');
+    }
+    throw exchangeError;
+  }
+
+  // Gateway URLs need the cloud ID of the site the user authorized
+  if (instance.oauth.apiBaseUrl.includes('{cloudId}')) {
+    const response = await axios.get(instance.oauth.resourcesUrl, {
+      headers: { Authorization: `Bearer ${tokens.accessToken}`, Accept: 'application/json' },
+      timeout: defaults.api.timeout
+    });
+    const site = response.data.find(resource => resource.url.replace(/\/+$/, '') === instance.baseUrl);
+    if (!site) {
+      const siteError = new Error(`The OAuth app was not authorized for ${instance.baseUrl}`);
+      siteError.status = 403;
+      siteError.code = 'OAUTH_SITE_NOT_AUTHORIZED';
+      throw siteError;
+    }
+    tokens.cloudId = site.id;
+  }
+
+  return { instance, secret: JSON.stringify(tokens) };
+}
+
+/**
+ * Drop OAuth logins that were never finished
+ */
+function purgeExpiredLogins() {
+  const now = Date.now();
+  for (const [state, pending] of pendingLogins) {
+    if (pending.expiresAt <= now) {
+      pendingLogins.delete(state);
+    }
+  }
+}
+
+module.exports = {
+  hasCredentials,
+  authorizationHeader,
+  createAuth,
+  startOAuthLogin,
+  finishOAuthLogin,
+  purgeExpiredLogins
+};
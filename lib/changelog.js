@@ -0,0 +1,112 @@
+/**
+ * Issue changelog (history) export for Jira Ticket Downloader
+ * Flattens Jira changelogs into field/from/to/author/timestamp entries
+ */
+const { jiraClient } = require('./jira-client');
+const instances = require('../config/instances');
+
+// Page size for the per-issue changelog endpoint
+const CHANGELOG_PAGE_SIZE = 100;
+
+/**
+ * Collect the full history of an issue fetched with expand=changelog
+ * Paginates the per-issue changelog endpoint when the embedded changelog is truncated
+ * @param {Object} instance Jira instance profile
+ * @param {Object} headers Jira API headers
+ * @param {Object} issue Issue from the search API
+ * @returns {Promise<Array<Object>>} History entries, oldest first
+ */
+async function collectIssueHistory(instance, headers, issue) {
+  const changelog = issue.changelog || {};
+  let histories = changelog.histories || [];
+
+  if ((changelog.total || 0) > histories.length) {
+    histories = await fetchAllHistories(instance, headers, issue.key);
+  }
+
+  return flattenHistories(histories);
+}
+
+/**
+ * Fetch every changelog entry for an issue
+ * @param {Object} instance Jira instance profile
+ * @param {Object} headers Jira API headers
+ * @param {string} issueKey Issue key
+ * @returns {Promise<Array<Object>>} Raw changelog histories
+ * @private
+ */
+async function fetchAllHistories(instance, headers, issueKey) {
+  const histories = [];
+  let startAt = 0;
+
+  try {
+    while (true) {
+      const response = await jiraClient.get(instances.apiUrl(instance, `/issue/${issueKey}/changelog`), {
+        headers,
+        params: { startAt, maxResults: CHANGELOG_PAGE_SIZE }
+      });
+
+      const page = response.data.values || [];
+      histories.push(...page);
+      startAt += page.length;
+
+      if (response.data.isLast || page.length === 0 || startAt >= (response.data.total || 0)) {
+        break;
+      }
+    }
+  } catch (error) {
+    // Data Center has no paginated changelog endpoint; its expanded issue holds the full changelog
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+    const response = await jiraClient.get(instances.apiUrl(instance, `/issue/${issueKey}`), {
+      headers,
+      params: { expand: 'changelog', fields: 'none' }
+    });
+    return response.data.changelog?.histories || [];
+  }
+
+  return histories;
+}
+
+/**
+ * Flatten changelog histories into one entry per changed field
+ * @param {Array<Object>} histories Raw changelog histories
+ * @returns {Array<Object>} History entries, oldest first
+ */
+function flattenHistories(histories) {
+  const entries = [];
+  for (const history of histories) {
+    for (const item of history.items || []) {
+      entries.push({
+        field: item.field || '',
+        from: item.fromString ?? item.from ?? '',
+        to: item.toString ?? item.to ?? '',
+        author: history.author?.displayName || '',
+        timestamp: history.created || ''
+      });
+    }
+  }
+  return entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Build CSV rows for the history of all tickets
+ * @param {Array<Object>} tickets Tickets with a history array
+ * @returns {Array<Array>} Rows including the header
+ */
+function historyCsvRows(tickets) {
+  const rows = [['Key', 'Field', 'From', 'To', 'Author', 'Timestamp']];
+  for (const ticket of tickets) {
+    for (const entry of ticket.history || []) {
+      rows.push([ticket.key, entry.field, entry.from, entry.to, entry.author, entry.timestamp]);
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  collectIssueHistory,
+  flattenHistories,
+  historyCsvRows
+};
@@ -0,0 +1,273 @@
+/**
+ * Encryption at rest for Jira credentials stored with background jobs and schedules
+ * Secrets are sealed with AES-256-GCM; the key comes from JIRA_CREDENTIALS_KEY or a key file
+ * (JIRA_CREDENTIALS_KEY_FILE, by default ~/.jira-downloader/credentials.key, created on first use)
+ *
+ * Each login is stored once, in the credentials table; its jobs and schedules refer to it by
+ * credential_id, so rotated OAuth refresh tokens are written to the one copy they all read
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const defaults = require('../config/defaults');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+// Job statuses after which a job never talks to Jira again
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+let cachedKey = null;
+
+/**
+ * Turn configured key text into a 256-bit key
+ * Accepts 64 hex characters or base64 of 32 bytes; any other text is treated as a passphrase
+ * @param {string} text Key text
+ * @returns {Buffer} Key
+ * @private
+ */
+function keyFromText(text) {
+  if (/^[0-9a-f]{64}$/i.test(text)) {
+    return Buffer.from(text, 'hex');
+  }
+  const decoded = Buffer.from(text, 'base64');
+  if (decoded.length === KEY_LENGTH && decoded.toString('base64') === text) {
+    return decoded;
+  }
+  return crypto.scryptSync(text, 'jira-downloader-credentials', KEY_LENGTH);
+}
+
+/**
+ * Load the encryption key, creating the key file if no key is configured
+ * @returns {Buffer} Key
+ * @private
+ */
+function getKey() {
+  if (cachedKey) {
+    return cachedKey;
+  }
+
+  if (process.env.JIRA_CREDENTIALS_KEY) {
+    cachedKey = keyFromText(process.env.JIRA_CREDENTIALS_KEY.trim());
+    return cachedKey;
+  }
+
+  const keyFile = process.env.JIRA_CREDENTIALS_KEY_FILE || defaults.credentials.keyFile;
+  if (!fs.existsSync(keyFile)) {
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+    // 'wx' fails instead of replacing a key another process just wrote
+    fs.writeFileSync(keyFile, crypto.randomBytes(KEY_LENGTH).toString('base64'), { mode: 0o600, flag: 'wx' });
+    console.log(`Created credentials key file ${keyFile}`);
+  }
+
+  cachedKey = keyFromText(fs.readFileSync(keyFile, 'utf8').trim());
+  return cachedKey;
+}
+
+/**
+ * Check whether a stored value was sealed by encryptSecret
+ * @param {string|null} value Stored value
+ * @returns {boolean} True if encrypted
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string|null} secret Plaintext secret
+ * @returns {string|null} "enc:v1:<iv>:<tag>:<ciphertext>" in base64 parts, or null for an empty secret
+ */
+function encryptSecret(secret) {
+  if (!secret) {
+    return null;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(secret), 'utf8'), cipher.final()]);
+
+  return `${PREFIX}${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {string} value Value returned by encryptSecret
+ * @returns {string} Plaintext secret
+ * @throws {Error} If the value is missing, not encrypted or sealed with another key
+ */
+function decryptSecret(value) {
+  if (!isEncrypted(value)) {
+    throw new Error('Stored credentials are missing or not encrypted');
+  }
+
+  const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('Stored credentials cannot be decrypted; the credentials key may have changed');
+  }
+}
+
+/**
+ * Promisified db.all and db.run
+ * @param {Object} db Database connection
+ * @returns {Object} { all(sql, params), run(sql, params) }; run resolves with the number of changed rows
+ * @private
+ */
+function queries(db) {
+  return {
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }),
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    })
+  };
+}
+
+/**
+ * Store the credentials of a login for its jobs and schedules
+ * @param {Object} db Database connection
+ * @param {Object} credentials { instance, username, secret }
+ * @param {number} [heldUntil] Keep the row at least until this time (ms), e.g. while the session that saved it lasts
+ * @returns {Promise<string>} Credential ID
+ */
+async function saveCredential(db, { instance, username, secret }, heldUntil = 0) {
+  const credentialId = crypto.randomUUID();
+  const now = new Date().toISOString();
+  await queries(db).run(
+    `INSERT INTO credentials (credential_id, instance, username, secret, held_until, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [credentialId, instance, username || null, encryptSecret(secret), new Date(heldUntil).toISOString(), now, now]
+  );
+  return credentialId;
+}
+
+/**
+ * Load the current secret of stored credentials
+ * @param {Object} db Database connection
+ * @param {string|null} credentialId Credential ID
+ * @returns {Promise<string|null>} Plaintext secret, or null if the credentials are gone
+ */
+async function loadCredential(db, credentialId) {
+  if (!credentialId) {
+    return null;
+  }
+  const [row] = await queries(db).all('SELECT secret FROM credentials WHERE credential_id = ?', [credentialId]);
+  return row ? decryptSecret(row.secret) : null;
+}
+
+/**
+ * Replace the secret of stored credentials, e.g. with rotated OAuth tokens
+ * @param {Object} db Database connection
+ * @param {string} credentialId Credential ID
+ * @param {string} secret New plaintext secret
+ * @returns {Promise<boolean>} False if the credentials are gone
+ */
+async function updateCredential(db, credentialId, secret) {
+  const changes = await queries(db).run(
+    'UPDATE credentials SET secret = ?, updated_at = ? WHERE credential_id = ?',
+    [encryptSecret(secret), new Date().toISOString(), credentialId]
+  );
+  return changes > 0;
+}
+
+/**
+ * Delete stored credentials no longer needed: no unfinished job or schedule refers to them
+ * and the session that saved them has ended
+ * @param {Object} db Database connection
+ * @returns {Promise<number>} Number of credentials deleted
+ */
+async function releaseUnusedCredentials(db) {
+  const terminal = TERMINAL_STATUSES.map(status => `'${status}'`).join(', ');
+  return queries(db).run(
+    `DELETE FROM credentials
+     WHERE held_until <= ?
+       AND credential_id NOT IN (SELECT credential_id FROM download_jobs WHERE credential_id IS NOT NULL AND status NOT IN (${terminal}))
+       AND credential_id NOT IN (SELECT credential_id FROM schedules WHERE credential_id IS NOT NULL)`,
+    [new Date().toISOString()]
+  );
+}
+
+/**
+ * Stop holding stored credentials for the session that saved them, e.g. on logout,
+ * and delete them right away if no unfinished job or schedule refers to them
+ * @param {Object} db Database connection
+ * @param {string|null} credentialId Credential ID
+ * @returns {Promise<number>} Number of credentials deleted
+ */
+async function releaseCredentialHold(db, credentialId) {
+  if (!credentialId) {
+    return 0;
+  }
+  const now = new Date().toISOString();
+  await queries(db).run('UPDATE credentials SET held_until = ? WHERE credential_id = ? AND held_until > ?', [now, credentialId, now]);
+  return releaseUnusedCredentials(db);
+}
+
+/**
+ * Move API keys stored with jobs and schedules by older versions into the credentials table
+ * Copies of the same login (sibling jobs, a schedule and its jobs) become one stored credential;
+ * keys of finished jobs are purged, plaintext keys are encrypted on the way
+ * @param {Object} db Database connection
+ * @returns {Promise<Object>} { migrated, purged } row counts
+ */
+async function migrateStoredCredentials(db) {
+  const { all, run } = queries(db);
+  const result = { migrated: 0, purged: 0 };
+  const terminal = TERMINAL_STATUSES.map(status => `'${status}'`).join(', ');
+
+  // Finished jobs no longer need their key, encrypted or not
+  result.purged = await run(`UPDATE download_jobs SET api_key = NULL WHERE api_key IS NOT NULL AND status IN (${terminal})`);
+
+  // Stored credentials by login and secret
+  const shared = new Map();
+  const credentialFor = async ({ instance, username, api_key: apiKey }) => {
+    const secret = isEncrypted(apiKey) ? decryptSecret(apiKey) : apiKey;
+    const key = JSON.stringify([instance, username, secret]);
+    if (!shared.has(key)) {
+      shared.set(key, await saveCredential(db, { instance, username, secret }));
+    }
+    return shared.get(key);
+  };
+
+  for (const [table, idColumn] of [['download_jobs', 'job_id'], ['schedules', 'schedule_id']]) {
+    const rows = await all(`SELECT ${idColumn} AS id, instance, username, api_key FROM ${table} WHERE api_key IS NOT NULL`);
+    for (const row of rows) {
+      try {
+        await run(`UPDATE ${table} SET credential_id = ?, api_key = NULL WHERE ${idColumn} = ?`, [await credentialFor(row), row.id]);
+        result.migrated++;
+      } catch (error) {
+        // Keys sealed with a lost credentials key stay as they are; their jobs fail as before
+        console.error(`Cannot migrate the stored credentials of ${table} ${row.id}: ${error.message}`);
+      }
+    }
+  }
+
+  await releaseUnusedCredentials(db);
+  return result;
+}
+
+module.exports = {
+  TERMINAL_STATUSES,
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  saveCredential,
+  loadCredential,
+  updateCredential,
+  releaseUnusedCredentials,
+  releaseCredentialHold,
+  migrateStoredCredentials
+};
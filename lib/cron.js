@@ -0,0 +1,197 @@
+/**
+ * Cron expression helpers for scheduled download jobs
+ * Standard five-field expressions (minute hour day-of-month month day-of-week) in server local time
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  // 0 and 7 are both Sunday
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Give up looking for the next run after this many years (e.g. "0 0 30 2 *" never runs)
+const SEARCH_YEARS = 5;
+
+/**
+ * Build an error for an invalid expression
+ * @param {string} message Error message
+ * @returns {Error} Error with a 400 status
+ * @private
+ */
+function cronError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_CRON';
+  return error;
+}
+
+/**
+ * Parse one value of a field (number or name)
+ * @param {string} value Value text
+ * @param {Object} field Field definition
+ * @returns {number} Value
+ * @private
+ */
+function parseValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+  if (nameIndex !== -1) {
+    return nameIndex + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw cronError(`Invalid ${field.name} value: ${value}`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw cronError(`${field.name} must be between ${field.min} and ${field.max}: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Expand a field such as "1-5", "0-30/10" or "MON,WED,FRI" into its values
+ * @param {string} text Field text
+ * @param {Object} field Field definition
+ * @returns {Set<number>} Matching values
+ * @private
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw cronError(`Invalid step in ${field.name}: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      // A weekday range may end on Sunday (e.g. "MON-SUN"); count it as 7 there
+      if (field.name === 'day of week' && end === 0 && start > 0) {
+        end = 7;
+      }
+      if (start > end) {
+        throw cronError(`Invalid range in ${field.name}: ${part}`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression Five-field expression or a macro such as "@weekly"
+ * @returns {Object} { minutes, hours, daysOfMonth, months, daysOfWeek, anyDayOfMonth, anyDayOfWeek }
+ * @throws {Error} With status 400 if the expression is invalid
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const fields = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+
+  if (fields.length !== FIELDS.length) {
+    throw cronError(`Cron expression needs ${FIELDS.length} fields (minute hour day month weekday): ${text}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseField(field, FIELDS[index]));
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: fields[2].startsWith('*'),
+    anyDayOfWeek: fields[4].startsWith('*')
+  };
+}
+
+/**
+ * Check whether a date falls on a scheduled day
+ * As in cron, a day matches either field when both day of month and day of week are restricted
+ * @param {Object} cron Parsed expression
+ * @param {Date} date Date to check
+ * @returns {boolean} True if the day matches
+ * @private
+ */
+function dayMatches(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Get the first run time strictly after a date
+ * @param {string|Object} expression Cron expression or the result of parseCron
+ * @param {Date} [after] Start of the search (now if omitted)
+ * @returns {Date} Next run time, on a whole minute
+ * @throws {Error} With status 400 if the expression is invalid or never runs
+ */
+function nextRun(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+  // Skip whole months, days and hours that cannot match before stepping by minutes
+  while (date < limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw cronError(`Cron expression never runs: ${expression}`);
+}
+
+module.exports = {
+  parseCron,
+  nextRun
+};
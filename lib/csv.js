@@ -0,0 +1,61 @@
+/**
+ * CSV helpers for Jira Ticket Downloader exports
+ */
+const relations = require('./relations');
+const fieldMetadata = require('./fields');
+
+/**
+ * Escape a single CSV value (RFC 4180)
+ * @param {*} value Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert rows to CSV text
+ * @param {Array<Array>} rows Rows of cells, the first row being the header
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsvValue).join(',')).join('\n');
+}
+
+/**
+ * Build CSV rows for the tickets file
+ * Cells are raw values; toCsv quotes them, so commas, quotes and line breaks in free text are kept intact
+ * @param {Array<Object>} tickets Processed tickets
+ * @param {Array<Object>} customFields Selected custom fields: { id, label }
+ * @returns {Array<Array>} Rows including the header
+ */
+function ticketCsvRows(tickets, customFields) {
+  const rows = [['Key', 'Summary', 'Description', 'Created', 'Updated', 'Status', 'Priority', 'Assignee', 'Reporter', 'Comments', 'Issue Type', 'Parent', 'Epic', 'Sub-tasks', 'Links', ...customFields.map(field => field.label)]];
+  for (const ticket of tickets) {
+    rows.push([
+      ticket.key,
+      ticket.summary,
+      ticket.description,
+      ticket.created,
+      ticket.updated,
+      ticket.status,
+      ticket.priority,
+      ticket.assignee,
+      ticket.reporter,
+      ticket.comments.map(c => `${c.author}: ${c.body}`).join(' | '),
+      ...relations.relationCsvCells(ticket),
+      ...customFields.map(field => fieldMetadata.fieldCsvCell(ticket.customFields[field.label]))
+    ]);
+  }
+  return rows;
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+  ticketCsvRows
+};
@@ -0,0 +1,450 @@
+/**
+ * Passphrase encryption of export files
+ * Files are sealed in an authenticated envelope: a header with the scrypt parameters, followed by
+ * the content in 64KB chunks, each encrypted with AES-256-GCM. Chunk nonces carry a counter and a
+ * last-chunk flag, and every chunk authenticates the header, so reordered, modified or truncated
+ * files fail to decrypt instead of yielding partial data. Any format (zip, tar, JSON) is sealed
+ * the same way and gets an .enc suffix.
+ *
+ * The passphrase is never stored; a wrong one is told apart from a damaged file by a check value
+ * in the header. This module only uses Node built-ins: a copy of it is written into each encrypted
+ * export, so files can be decrypted and verified offline with
+ * `node <prefix>_decrypt_<timestamp>.js [decrypt|verify] [--out folder] [files...]`.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const stream = require('stream');
+
+const ENCRYPTED_EXTENSION = '.enc';
+const MAGIC = Buffer.from('JTDENC01');
+const CHUNK_SIZE = 64 * 1024;
+const TAG_LENGTH = 16;
+const KDF = { name: 'scrypt', N: 32768, r: 8, p: 1 };
+
+/**
+ * Build an encryption error
+ * @param {string} message Error message
+ * @param {string} code Error code
+ * @param {number} [status] HTTP status
+ * @returns {Error} Error with a code and status
+ * @private
+ */
+function encryptionError(message, code, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Derive the content key and the passphrase check value of a file
+ * @param {string} passphrase Passphrase
+ * @param {Object} kdf { N, r, p, salt } from the header
+ * @returns {Promise<Object>} { key, check }
+ * @private
+ */
+async function deriveKeys(passphrase, { N, r, p, salt }) {
+  const derived = await new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, Buffer.from(salt, 'base64'), 64, { N, r, p, maxmem: 256 * N * r + 1024 * 1024 }, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+  return {
+    key: derived.subarray(0, 32),
+    check: crypto.createHmac('sha256', derived.subarray(32)).update('passphrase-check').digest('base64').slice(0, 22)
+  };
+}
+
+/**
+ * Build the nonce of a chunk: random prefix, chunk counter and last-chunk flag
+ * @param {Buffer} prefix 7-byte nonce prefix of the file
+ * @param {number} counter Chunk number
+ * @param {boolean} last True for the final chunk
+ * @returns {Buffer} 12-byte nonce
+ * @private
+ */
+function chunkNonce(prefix, counter, last) {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(counter, 7);
+  nonce[11] = last ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Create a stream that seals its input in an encrypted envelope
+ * @param {string} passphrase Passphrase
+ * @param {Object} [options] { salt, derive } to share one key derivation between files (see createFileCipher)
+ * @returns {stream.Transform} Plain data in, envelope out
+ */
+function createEncryptStream(passphrase, { salt = crypto.randomBytes(16).toString('base64'), derive = deriveKeys } = {}) {
+  const noncePrefix = crypto.randomBytes(7);
+  const kdf = { ...KDF, salt };
+  const ready = derive(passphrase, kdf).then(({ key, check }) => {
+    const json = Buffer.from(JSON.stringify({ version: 1, cipher: 'aes-256-gcm', kdf, noncePrefix: noncePrefix.toString('base64'), chunkSize: CHUNK_SIZE, check }));
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(json.length);
+    return { key, header: Buffer.concat([MAGIC, length, json]) };
+  });
+  // Rejections are passed on by the first write or the flush
+  ready.catch(() => {});
+
+  let pending = Buffer.alloc(0);
+  let counter = 0;
+  let headerSent = false;
+
+  const seal = (transform, { key, header }, chunk, last) => {
+    if (!headerSent) {
+      transform.push(header);
+      headerSent = true;
+    }
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, chunkNonce(noncePrefix, counter++, last));
+    cipher.setAAD(header);
+    transform.push(Buffer.concat([cipher.update(chunk), cipher.final(), cipher.getAuthTag()]));
+  };
+
+  return new stream.Transform({
+    transform(chunk, encoding, callback) {
+      ready.then((keys) => {
+        pending = Buffer.concat([pending, chunk]);
+        // The final chunk is always shorter than a full one, so full chunks can go out right away
+        while (pending.length >= CHUNK_SIZE) {
+          seal(this, keys, pending.subarray(0, CHUNK_SIZE), false);
+          pending = pending.subarray(CHUNK_SIZE);
+        }
+      }).then(() => callback(), callback);
+    },
+    flush(callback) {
+      ready.then((keys) => seal(this, keys, pending, true)).then(() => callback(), callback);
+    }
+  });
+}
+
+/**
+ * Create a stream that opens an encrypted envelope
+ * Fails with code WRONG_PASSPHRASE, or ENCRYPTED_FILE_DAMAGED when a chunk does not authenticate
+ * or the file ends early
+ * @param {string} passphrase Passphrase
+ * @param {Object} [options] { derive } to share one key derivation between files (see createFileCipher)
+ * @returns {stream.Transform} Envelope in, plain data out
+ */
+function createDecryptStream(passphrase, { derive = deriveKeys } = {}) {
+  let buffered = Buffer.alloc(0);
+  let state = null;
+  let counter = 0;
+
+  const readHeader = async () => {
+    if (buffered.length < MAGIC.length + 2) {
+      return false;
+    }
+    if (!buffered.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw encryptionError('Not an encrypted export file', 'NOT_ENCRYPTED');
+    }
+    const end = MAGIC.length + 2 + buffered.readUInt16BE(MAGIC.length);
+    if (buffered.length < end) {
+      return false;
+    }
+    const header = buffered.subarray(0, end);
+    const meta = JSON.parse(header.subarray(MAGIC.length + 2).toString('utf8'));
+    const { key, check } = await derive(passphrase, meta.kdf);
+    if (check !== meta.check) {
+      throw encryptionError('Wrong passphrase', 'WRONG_PASSPHRASE');
+    }
+    state = { key, header, chunkSize: meta.chunkSize, noncePrefix: Buffer.from(meta.noncePrefix, 'base64') };
+    buffered = buffered.subarray(end);
+    return true;
+  };
+
+  const open = (record, last) => {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', state.key, chunkNonce(state.noncePrefix, counter++, last));
+    decipher.setAAD(state.header);
+    decipher.setAuthTag(record.subarray(record.length - TAG_LENGTH));
+    try {
+      return Buffer.concat([decipher.update(record.subarray(0, record.length - TAG_LENGTH)), decipher.final()]);
+    } catch (error) {
+      throw encryptionError(`Encrypted file is damaged (chunk ${counter} does not authenticate)`, 'ENCRYPTED_FILE_DAMAGED');
+    }
+  };
+
+  return new stream.Transform({
+    transform(chunk, encoding, callback) {
+      buffered = Buffer.concat([buffered, chunk]);
+      (async () => {
+        if (!state && !await readHeader()) {
+          return;
+        }
+        // A full record is never the last one
+        const recordSize = state.chunkSize + TAG_LENGTH;
+        while (buffered.length >= recordSize) {
+          this.push(open(buffered.subarray(0, recordSize), false));
+          buffered = buffered.subarray(recordSize);
+        }
+      })().then(() => callback(), callback);
+    },
+    flush(callback) {
+      (async () => {
+        if (!state && !await readHeader()) {
+          throw encryptionError('Encrypted file is damaged (header cut off)', 'ENCRYPTED_FILE_DAMAGED');
+        }
+        if (buffered.length < TAG_LENGTH) {
+          throw encryptionError('Encrypted file is damaged (cut off)', 'ENCRYPTED_FILE_DAMAGED');
+        }
+        this.push(open(buffered, true));
+      })().then(() => callback(), callback);
+    }
+  });
+}
+
+/**
+ * Create encrypt and decrypt streams for many small files sealed with one passphrase,
+ * e.g. the attachments a job stages before they go into a segment
+ * Files share a salt, so the passphrase is stretched once instead of once per file; files sealed
+ * by another cipher (e.g. before a restart) still open, with their own key derivation
+ * @param {string} passphrase Passphrase
+ * @returns {Object} { encrypt(), decrypt() } stream factories
+ */
+function createFileCipher(passphrase) {
+  const salt = crypto.randomBytes(16).toString('base64');
+  const derived = new Map();
+  const derive = (secret, kdf) => {
+    if (!derived.has(kdf.salt)) {
+      derived.set(kdf.salt, deriveKeys(secret, kdf));
+    }
+    return derived.get(kdf.salt);
+  };
+
+  return {
+    encrypt: () => createEncryptStream(passphrase, { salt, derive }),
+    decrypt: () => createDecryptStream(passphrase, { derive })
+  };
+}
+
+/**
+ * Encrypt a file written in plain text and remove the plain copy
+ * @param {string} filePath Plain file path
+ * @param {string} passphrase Passphrase
+ * @returns {Promise<string>} Name of the encrypted file
+ */
+async function encryptFile(filePath, passphrase) {
+  const encryptedPath = filePath + ENCRYPTED_EXTENSION;
+  await stream.promises.pipeline(fs.createReadStream(filePath), createEncryptStream(passphrase), fs.createWriteStream(encryptedPath));
+  await fs.promises.rm(filePath, { force: true });
+  return path.basename(encryptedPath);
+}
+
+/**
+ * Decrypt a file; nothing is left at the target path if it fails
+ * @param {string} sourcePath Encrypted file path
+ * @param {string} targetPath Plain file path
+ * @param {string} passphrase Passphrase
+ * @returns {Promise<void>}
+ */
+async function decryptFile(sourcePath, targetPath, passphrase) {
+  try {
+    await stream.promises.pipeline(fs.createReadStream(sourcePath), createDecryptStream(passphrase), fs.createWriteStream(targetPath));
+  } catch (error) {
+    await fs.promises.rm(targetPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Check every chunk of an encrypted file without writing anything
+ * @param {string} filePath Encrypted file path
+ * @param {string} passphrase Passphrase
+ * @returns {Promise<number>} Size of the plain content in bytes
+ */
+async function verifyEncryptedFile(filePath, passphrase) {
+  let size = 0;
+  await stream.promises.pipeline(fs.createReadStream(filePath), createDecryptStream(passphrase), async function (chunks) {
+    for await (const chunk of chunks) {
+      size += chunk.length;
+    }
+  });
+  return size;
+}
+
+/**
+ * Decrypt a small encrypted JSON file, such as an export manifest, in memory
+ * @param {string} filePath Encrypted file path
+ * @param {string} passphrase Passphrase
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function readEncryptedJson(filePath, passphrase) {
+  const chunks = [];
+  await stream.promises.pipeline(fs.createReadStream(filePath), createDecryptStream(passphrase), async function (plain) {
+    for await (const chunk of plain) {
+      chunks.push(chunk);
+    }
+  });
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Check a passphrase against the header of an encrypted file
+ * Only the key derivation runs; the content is not read
+ * @param {string} filePath Encrypted file path
+ * @param {string} passphrase Passphrase
+ * @returns {Promise<boolean>} True if the passphrase opens the file
+ */
+async function checkPassphrase(filePath, passphrase) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const prefix = Buffer.alloc(MAGIC.length + 2);
+    await handle.read(prefix, 0, prefix.length, 0);
+    if (!prefix.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw encryptionError('Not an encrypted export file', 'NOT_ENCRYPTED');
+    }
+    const json = Buffer.alloc(prefix.readUInt16BE(MAGIC.length));
+    await handle.read(json, 0, json.length, prefix.length);
+    const meta = JSON.parse(json.toString('utf8'));
+    return (await deriveKeys(passphrase, meta.kdf)).check === meta.check;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Decrypt an export manifest and the files it lists into a folder
+ * Plain files keep their names without the .enc suffix, so the reassembly script can read the copy
+ * @param {string} manifestPath Encrypted export manifest path
+ * @param {string} targetDir Folder for the plain copies
+ * @param {string} passphrase Passphrase
+ * @param {Array<string>} [kinds] Only decrypt files of these kinds (default: all)
+ * @returns {Promise<string>} Path of the plain manifest
+ */
+async function decryptExport(manifestPath, targetDir, passphrase, kinds = null) {
+  const outputPath = path.dirname(manifestPath);
+  const manifest = await readEncryptedJson(manifestPath, passphrase);
+  await fs.promises.mkdir(targetDir, { recursive: true });
+
+  for (const file of manifest.files.filter(file => !kinds || kinds.includes(file.kind))) {
+    const sourcePath = path.join(outputPath, file.fileName);
+    if (file.fileName.endsWith(ENCRYPTED_EXTENSION) && fs.existsSync(sourcePath)) {
+      await decryptFile(sourcePath, path.join(targetDir, path.basename(file.fileName, ENCRYPTED_EXTENSION)), passphrase);
+    }
+  }
+
+  const plainManifestPath = path.join(targetDir, path.basename(manifestPath, ENCRYPTED_EXTENSION));
+  await fs.promises.writeFile(plainManifestPath, JSON.stringify(manifest, null, 2));
+  return plainManifestPath;
+}
+
+/**
+ * Write a copy of this module into an export, to decrypt and verify it offline
+ * @param {string} outputPath Output directory
+ * @param {string} filePrefix Output file name prefix
+ * @returns {string} Script file name
+ */
+function writeDecryptionScript(outputPath, filePrefix) {
+  const scriptFileName = `${filePrefix}_decrypt_${new Date().toISOString().replace(/[:.]/g, '-')}.js`;
+  fs.copyFileSync(__filename, path.join(outputPath, scriptFileName));
+  return scriptFileName;
+}
+
+/**
+ * Ask for the passphrase on the terminal without echoing it
+ * EXPORT_PASSPHRASE is used instead when set, e.g. for scripted restores
+ * @returns {Promise<string>} Passphrase
+ * @private
+ */
+function promptPassphrase() {
+  if (process.env.EXPORT_PASSPHRASE) {
+    return Promise.resolve(process.env.EXPORT_PASSPHRASE);
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  return new Promise((resolve) => {
+    rl.question('Passphrase: ', (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    // Hide the typed characters
+    rl._writeToOutput = () => {};
+  });
+}
+
+/**
+ * Command line entry point of the copy written into an export
+ * decrypt (default) writes plain copies into --out (default: ./decrypted); verify only checks them.
+ * Without file arguments, every .enc file next to the script is used.
+ * @param {Array<string>} args Command line arguments
+ * @returns {Promise<number>} Exit code
+ * @private
+ */
+async function main(args) {
+  const command = ['decrypt', 'verify'].includes(args[0]) ? args.shift() : 'decrypt';
+  let targetDir = path.join(process.cwd(), 'decrypted');
+  const files = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--out') {
+      targetDir = path.resolve(args[++i]);
+    } else {
+      files.push(path.resolve(args[i]));
+    }
+  }
+  if (files.length === 0) {
+    files.push(...fs.readdirSync(__dirname).filter(name => name.endsWith(ENCRYPTED_EXTENSION)).sort().map(name => path.join(__dirname, name)));
+  }
+  if (files.length === 0) {
+    console.error(`Usage: node ${path.basename(__filename)} [decrypt|verify] [--out folder] [files...]`);
+    return 2;
+  }
+
+  const passphrase = await promptPassphrase();
+  if (!await checkPassphrase(files[0], passphrase)) {
+    console.error('Wrong passphrase');
+    return 1;
+  }
+
+  if (command === 'decrypt') {
+    await fs.promises.mkdir(targetDir, { recursive: true });
+  }
+  let failures = 0;
+  for (const filePath of files) {
+    const name = path.basename(filePath);
+    try {
+      if (command === 'verify') {
+        const size = await verifyEncryptedFile(filePath, passphrase);
+        console.log(`OK       ${name} (${size} bytes)`);
+      } else {
+        await decryptFile(filePath, path.join(targetDir, path.basename(name, ENCRYPTED_EXTENSION)), passphrase);
+        console.log(`DECRYPTED ${name}`);
+      }
+    } catch (error) {
+      failures++;
+      console.error(`FAILED   ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`${files.length - failures} of ${files.length} files ${command === 'verify' ? 'verified' : `decrypted into ${targetDir}`}`);
+  if (command === 'decrypt' && failures === 0) {
+    console.log('Split attachments can then be rebuilt with the reassembly script: node <prefix>_reassemble_<timestamp>.js <decrypted export manifest>');
+  }
+  return failures === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      console.error(`Failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  ENCRYPTED_EXTENSION,
+  createEncryptStream,
+  createDecryptStream,
+  createFileCipher,
+  encryptFile,
+  decryptFile,
+  verifyEncryptedFile,
+  readEncryptedJson,
+  checkPassphrase,
+  decryptExport,
+  writeDecryptionScript
+};
@@ -0,0 +1,356 @@
+/**
+ * Export manifests with SHA-256 checksums
+ * Every segment archive carries a manifest.json describing its entries; every export also gets a master
+ * manifest listing its tickets, attachments (with the byte ranges of split parts) and output files,
+ * so the files on disk can be re-hashed later and reassembled parts checked.
+ * Files of encrypted exports are hashed as written, i.e. encrypted; so is the master manifest itself.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const { readArchive } = require('./export-reassembly');
+const exportEncryption = require('./export-encryption');
+
+const MANIFEST_VERSION = 1;
+const SEGMENT_MANIFEST_NAME = 'manifest.json';
+
+/**
+ * Hash a file on disk
+ * @param {string} filePath File path
+ * @returns {Promise<Object>} { size, sha256 }
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { size, sha256: hash.digest('hex') };
+}
+
+/**
+ * Pass a stream through a SHA-256 hash on its way into a segment
+ * Errors of the source are forwarded, so the zip writer sees a dropped download
+ * @param {stream.Readable} source Attachment data
+ * @returns {stream.Readable} Stream to add to the zip; digest() gives { size, sha256 } once it ended
+ */
+function hashingStream(source) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const hashing = new stream.Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  hashing.digest = () => ({ size, sha256: hash.digest('hex') });
+  stream.pipeline(source, hashing, () => {});
+  return hashing;
+}
+
+/**
+ * Describe one zip entry of a segment
+ * The bytes received are checked against the size Jira reported (or the planned byte range of a part)
+ * @param {Object} file Planned file { ticket, attachment, partNumber, totalParts, startByte, endByte }
+ * @param {string} entryPath Path of the entry in the zip
+ * @param {Object} digest { size, sha256 } of the bytes written
+ * @returns {Object} Manifest entry
+ */
+function manifestEntry(file, entryPath, { size, sha256 }) {
+  return {
+    path: entryPath,
+    ticket: file.ticket,
+    attachmentId: String(file.attachment.id),
+    filename: file.attachment.filename,
+    originalSize: parseInt(file.attachment.size || 0),
+    part: file.totalParts > 1
+      ? { number: file.partNumber, total: file.totalParts, startByte: file.startByte, endByte: file.endByte }
+      : null,
+    size,
+    sha256,
+    sizeMatches: size === file.endByte - file.startByte
+  };
+}
+
+/**
+ * Build the manifest.json of a segment
+ * @param {Object} segment { number, totalSegments, fileName, exportLabel }
+ * @param {Array<Object>} entries Manifest entries
+ * @returns {Object} Segment manifest
+ */
+function segmentManifest({ number, totalSegments, fileName, exportLabel }, entries) {
+  return {
+    version: MANIFEST_VERSION,
+    exportLabel,
+    segment: number,
+    totalSegments,
+    fileName,
+    createdAt: new Date().toISOString(),
+    entries
+  };
+}
+
+/**
+ * Turn a manifest into a stream for the zip writer
+ * @param {Object} manifest Manifest
+ * @returns {stream.Readable} JSON stream
+ */
+function manifestStream(manifest) {
+  return stream.Readable.from([Buffer.from(JSON.stringify(manifest, null, 2))]);
+}
+
+/**
+ * Read the manifest.json of a segment
+ * Used for segments written before an interruption, whose entries are no longer in memory
+ * @param {string} archivePath Segment file path
+ * @returns {Promise<Object|null>} Segment manifest, or null if the segment has none
+ */
+async function readSegmentManifest(archivePath) {
+  let manifest = null;
+  await readArchive(archivePath, (name) => {
+    if (name !== SEGMENT_MANIFEST_NAME) {
+      return null;
+    }
+    const chunks = [];
+    return {
+      write: chunk => chunks.push(chunk),
+      end: (error) => {
+        if (error) {
+          throw error;
+        }
+        manifest = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      }
+    };
+  });
+  return manifest;
+}
+
+/**
+ * Write the master manifest of an export
+ * @param {string} outputPath Output directory
+ * @param {string} filePrefix Output file name prefix
+ * @param {Object} content Export content
+ * @param {string} [content.jobId] Background job ID
+ * @param {string} content.exportLabel Project key or 'JQL'
+ * @param {string} content.jql Query the export ran
+ * @param {Array<Object>} content.issues Exported issues
+ * @param {Array<Object>} content.files Output files other than segments: { fileName, kind }
+ * @param {Array<Object>} [content.segments] Segments: { number, fileName, entries }
+ * @param {Object} [content.plan] { segmentSize, strategy, archiveFormat } of the segment plan
+ * @returns {Promise<string>} Manifest file name
+ */
+async function writeExportManifest(outputPath, filePrefix, { jobId = null, exportLabel, jql, issues, files, segments = [], plan = null }) {
+  const outputFiles = [];
+  for (const { fileName, kind } of files.filter(file => file.fileName)) {
+    outputFiles.push({ fileName, kind, ...await hashFile(path.join(outputPath, fileName)) });
+  }
+  for (const segment of segments) {
+    outputFiles.push({
+      fileName: segment.fileName,
+      kind: 'segment',
+      segment: segment.number,
+      ...await hashFile(path.join(outputPath, segment.fileName)),
+      entries: (segment.entries || []).map(({ path: entryPath, size, sha256 }) => ({ path: entryPath, size, sha256 }))
+    });
+  }
+
+  // Attachments with their parts in byte order; whole files keep their own hash
+  const attachments = new Map();
+  for (const segment of segments) {
+    for (const entry of segment.entries || []) {
+      if (!attachments.has(entry.attachmentId)) {
+        attachments.set(entry.attachmentId, {
+          id: entry.attachmentId,
+          ticket: entry.ticket,
+          filename: entry.filename,
+          originalSize: entry.originalSize,
+          receivedSize: 0,
+          segment: null,
+          path: null,
+          sha256: null,
+          parts: []
+        });
+      }
+      const attachment = attachments.get(entry.attachmentId);
+      attachment.receivedSize += entry.size;
+      if (entry.part) {
+        attachment.parts.push({ ...entry.part, segment: segment.number, path: entry.path, size: entry.size, sha256: entry.sha256, sizeMatches: entry.sizeMatches });
+      } else {
+        Object.assign(attachment, { segment: segment.number, path: entry.path, sha256: entry.sha256 });
+      }
+    }
+  }
+  for (const attachment of attachments.values()) {
+    attachment.parts.sort((a, b) => a.startByte - b.startByte);
+    attachment.sizeMatches = attachment.receivedSize === attachment.originalSize &&
+      attachment.parts.every(part => part.sizeMatches);
+  }
+
+  const attachmentList = [...attachments.values()];
+  const manifest = {
+    version: MANIFEST_VERSION,
+    jobId,
+    exportLabel,
+    jql,
+    createdAt: new Date().toISOString(),
+    segmentSize: plan?.segmentSize || null,
+    segmentStrategy: plan?.strategy || null,
+    archiveFormat: plan?.archiveFormat || null,
+    encrypted: Boolean(plan?.encrypted),
+    summary: {
+      tickets: issues.length,
+      attachments: attachmentList.length,
+      segments: segments.length,
+      files: outputFiles.length,
+      sizeMismatches: attachmentList.filter(attachment => !attachment.sizeMatches).length
+    },
+    tickets: issues.map(issue => ({
+      key: issue.key,
+      attachmentIds: (issue.fields?.attachment || [])
+        .map(attachment => String(attachment.id))
+        .filter(id => attachments.has(id))
+    })),
+    attachments: attachmentList,
+    files: outputFiles
+  };
+
+  const manifestFileName = `${filePrefix}_export_manifest_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+  fs.writeFileSync(path.join(outputPath, manifestFileName), JSON.stringify(manifest, null, 2));
+  return manifestFileName;
+}
+
+/**
+ * Compare what was found with what the manifest recorded
+ * @param {Object} expected { size, sha256 }
+ * @param {Object} actual { size, sha256 }
+ * @returns {string} 'ok', 'truncated' or 'corrupt'
+ * @private
+ */
+function compareDigest(expected, actual) {
+  if (actual.size < expected.size) {
+    return 'truncated';
+  }
+  return actual.size === expected.size && actual.sha256 === expected.sha256 ? 'ok' : 'corrupt';
+}
+
+/**
+ * Check the entries of a damaged segment one by one, to tell which attachments are affected
+ * @param {string} archivePath Segment file path
+ * @param {Array<Object>} entries Entries the manifest recorded for the segment
+ * @returns {Promise<Object>} { entries } with a status per entry, or { error } if the segment cannot be read
+ * @private
+ */
+async function inspectSegment(archivePath, entries) {
+  const results = new Map();
+  const expected = new Map(entries.map(entry => [entry.path, entry]));
+  let readError = null;
+  try {
+    await readArchive(archivePath, (name) => {
+      const entry = expected.get(name);
+      if (!entry) {
+        return null;
+      }
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      return {
+        write(chunk) {
+          hash.update(chunk);
+          size += chunk.length;
+        },
+        end(error) {
+          results.set(name, error
+            ? { path: name, status: 'corrupt', error: error.message }
+            : { path: name, status: compareDigest(entry, { size, sha256: hash.digest('hex') }), expectedSize: entry.size, actualSize: size });
+        }
+      };
+    });
+  } catch (error) {
+    readError = error;
+  }
+
+  // Nothing could be read: the archive itself is damaged
+  if (readError && results.size === 0) {
+    return { error: `Segment archive is unreadable: ${readError.message}` };
+  }
+  return {
+    entries: entries.map(entry => results.get(entry.path) || (readError
+      ? { path: entry.path, status: 'corrupt', error: `Not readable past the damage: ${readError.message}` }
+      : { path: entry.path, status: 'missing' }))
+  };
+}
+
+/**
+ * Re-hash the files of an export against its master manifest
+ * The manifest of an encrypted export is decrypted in memory; its files are checked without decrypting them
+ * @param {string} manifestPath Master manifest path
+ * @param {Object} [options] { passphrase } for an encrypted export
+ * @returns {Promise<Object>} { ok, verifiedAt, summary, files } with a status per file:
+ *   'ok', 'missing', 'truncated' or 'corrupt'
+ */
+async function verifyExport(manifestPath, { passphrase = null } = {}) {
+  const outputPath = path.dirname(manifestPath);
+  const encrypted = manifestPath.endsWith(exportEncryption.ENCRYPTED_EXTENSION);
+  if (encrypted && !passphrase) {
+    const error = new Error('The export is encrypted; its passphrase is needed to verify it');
+    error.status = 400;
+    error.code = 'PASSPHRASE_REQUIRED';
+    throw error;
+  }
+  const manifest = encrypted
+    ? await exportEncryption.readEncryptedJson(manifestPath, passphrase)
+    : JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+
+  const files = [];
+  for (const file of manifest.files) {
+    const filePath = path.join(outputPath, file.fileName);
+    const result = { fileName: file.fileName, kind: file.kind, expectedSize: file.size };
+    if (!fs.existsSync(filePath)) {
+      files.push({ ...result, status: 'missing', actualSize: null });
+      continue;
+    }
+
+    const actual = await hashFile(filePath);
+    result.actualSize = actual.size;
+    result.status = compareDigest(file, actual);
+    if (result.status !== 'ok' && file.kind === 'segment') {
+      // The entries of an encrypted segment are sealed with the rest of it
+      Object.assign(result, file.fileName.endsWith(exportEncryption.ENCRYPTED_EXTENSION)
+        ? { error: 'Encrypted segment is damaged; its attachments cannot be checked one by one' }
+        : await inspectSegment(filePath, file.entries || []));
+    }
+    files.push(result);
+  }
+
+  const count = (status) => files.filter(file => file.status === status).length;
+  const summary = {
+    files: files.length,
+    ok: count('ok'),
+    missing: count('missing'),
+    truncated: count('truncated'),
+    corrupt: count('corrupt'),
+    sizeMismatches: manifest.summary.sizeMismatches
+  };
+
+  return {
+    ok: summary.ok === summary.files,
+    verifiedAt: new Date().toISOString(),
+    manifest: path.basename(manifestPath),
+    summary,
+    files
+  };
+}
+
+module.exports = {
+  SEGMENT_MANIFEST_NAME,
+  hashFile,
+  hashingStream,
+  manifestEntry,
+  segmentManifest,
+  manifestStream,
+  readSegmentManifest,
+  writeExportManifest,
+  verifyExport
+};
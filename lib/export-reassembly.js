@@ -0,0 +1,666 @@
+/**
+ * Reassembly of exported attachments
+ * Extracts the segments of an export (zip or tar) into one folder per ticket, joins the parts of split
+ * attachments at their byte offsets and checks every file against the export manifest.
+ *
+ * This module only uses Node built-ins: a copy of it is written into each export with segments,
+ * so the same reassembly runs offline with `node <prefix>_reassemble_<timestamp>.js [manifest] [target]`.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const zlib = require('zlib');
+
+const REPORT_NAME = 'reassembly-report.json';
+
+/**
+ * Build a reassembly error
+ * @param {string} message Error message
+ * @param {number} status HTTP status
+ * @returns {Error} Error with a status
+ * @private
+ */
+function reassemblyError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Read the central directory of a zip file
+ * Segments are written with data descriptors, so sizes and offsets are only reliable here.
+ * Zip64 records are followed for segments over 4GB.
+ * @param {string} zipPath Zip file path
+ * @returns {Promise<Map<string, Object>>} Entries by name: { method, compressedSize, size, localOffset }
+ * @private
+ */
+async function readZipDirectory(zipPath) {
+  const handle = await fs.promises.open(zipPath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    const read = async (position, length) => {
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, position);
+      if (bytesRead < length) {
+        throw new Error('Unexpected end of zip file');
+      }
+      return buffer;
+    };
+
+    // The end of central directory record sits in the last 22 bytes plus up to 64KB of comment
+    const tailLength = Math.min(fileSize, 22 + 0xffff);
+    const tail = await read(fileSize - tailLength, tailLength);
+    let eocd = -1;
+    for (let offset = tailLength - 22; offset >= 0; offset--) {
+      if (tail.readUInt32LE(offset) === 0x06054b50) {
+        eocd = offset;
+        break;
+      }
+    }
+    if (eocd < 0) {
+      throw new Error('No zip end of central directory record; the file is not a complete zip');
+    }
+
+    let count = tail.readUInt16LE(eocd + 10);
+    let directorySize = tail.readUInt32LE(eocd + 12);
+    let directoryOffset = tail.readUInt32LE(eocd + 16);
+    if (count === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+      const locator = await read(fileSize - tailLength + eocd - 20, 20);
+      if (locator.readUInt32LE(0) !== 0x07064b50) {
+        throw new Error('Zip64 end of central directory locator not found');
+      }
+      const zip64 = await read(Number(locator.readBigUInt64LE(8)), 56);
+      count = Number(zip64.readBigUInt64LE(32));
+      directorySize = Number(zip64.readBigUInt64LE(40));
+      directoryOffset = Number(zip64.readBigUInt64LE(48));
+    }
+
+    const directory = await read(directoryOffset, directorySize);
+    const entries = new Map();
+    let offset = 0;
+    for (let i = 0; i < count; i++) {
+      if (directory.readUInt32LE(offset) !== 0x02014b50) {
+        throw new Error('Damaged zip central directory');
+      }
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      const entry = {
+        method: directory.readUInt16LE(offset + 10),
+        compressedSize: directory.readUInt32LE(offset + 20),
+        size: directory.readUInt32LE(offset + 24),
+        localOffset: directory.readUInt32LE(offset + 42)
+      };
+      const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      // Zip64 extra field: only the values that overflowed are present, in this order
+      let extra = offset + 46 + nameLength;
+      const extraEnd = extra + extraLength;
+      while (extra + 4 <= extraEnd) {
+        const id = directory.readUInt16LE(extra);
+        const length = directory.readUInt16LE(extra + 2);
+        if (id === 0x0001) {
+          let field = extra + 4;
+          for (const key of ['size', 'compressedSize', 'localOffset']) {
+            if (entry[key] === 0xffffffff) {
+              entry[key] = Number(directory.readBigUInt64LE(field));
+              field += 8;
+            }
+          }
+        }
+        extra += 4 + length;
+      }
+
+      entries.set(name, entry);
+      offset = extraEnd + commentLength;
+    }
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Feed the data of a zip entry to a sink
+ * @param {string} zipPath Zip file path
+ * @param {Object} entry Central directory entry
+ * @param {Object} sink { write(chunk) } receiving the uncompressed data
+ * @returns {Promise<void>}
+ * @private
+ */
+async function streamZipEntry(zipPath, entry, sink) {
+  const header = Buffer.alloc(30);
+  const handle = await fs.promises.open(zipPath, 'r');
+  try {
+    await handle.read(header, 0, 30, entry.localOffset);
+  } finally {
+    await handle.close();
+  }
+  if (header.readUInt32LE(0) !== 0x04034b50) {
+    throw new Error('Damaged zip entry header');
+  }
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new Error(`Unsupported zip compression method ${entry.method}`);
+  }
+
+  const start = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  const source = entry.compressedSize > 0
+    ? fs.createReadStream(zipPath, { start, end: start + entry.compressedSize - 1 })
+    : stream.Readable.from([]);
+  await stream.promises.pipeline(
+    source,
+    ...(entry.method === 8 ? [zlib.createInflateRaw()] : []),
+    async function (chunks) {
+      for await (const chunk of chunks) {
+        await sink.write(chunk);
+      }
+    }
+  );
+}
+
+/**
+ * Read exact byte counts from a stream
+ * @param {stream.Readable} source Stream
+ * @returns {Object} { read(length), take(length) }
+ * @private
+ */
+function byteReader(source) {
+  const iterator = source[Symbol.asyncIterator]();
+  let buffered = Buffer.alloc(0);
+
+  const fill = async () => {
+    const { value, done } = await iterator.next();
+    if (done) {
+      return false;
+    }
+    buffered = buffered.length > 0 ? Buffer.concat([buffered, value]) : value;
+    return true;
+  };
+
+  return {
+    // Up to length bytes; fewer only at the end of the stream
+    async read(length) {
+      while (buffered.length < length && await fill()) {
+        // keep reading
+      }
+      const bytes = buffered.subarray(0, length);
+      buffered = buffered.subarray(bytes.length);
+      return bytes;
+    },
+    // Exactly length bytes, chunk by chunk
+    async *take(length) {
+      let remaining = length;
+      while (remaining > 0) {
+        if (buffered.length === 0 && !await fill()) {
+          throw new Error('Unexpected end of tar archive');
+        }
+        const chunk = buffered.subarray(0, Math.min(remaining, buffered.length));
+        buffered = buffered.subarray(chunk.length);
+        remaining -= chunk.length;
+        yield chunk;
+      }
+    }
+  };
+}
+
+/**
+ * Parse a tar header block
+ * @param {Buffer} block 512-byte header
+ * @returns {Object|null} { name, size, type }, or null for an end-of-archive block
+ * @private
+ */
+function parseTarHeader(block) {
+  if (block.every(byte => byte === 0)) {
+    return null;
+  }
+
+  // The checksum counts its own field as spaces
+  let checksum = 0;
+  for (let i = 0; i < 512; i++) {
+    checksum += i >= 148 && i < 156 ? 32 : block[i];
+  }
+  const text = (start, length) => block.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+  if (parseInt(text(148, 8).trim(), 8) !== checksum) {
+    throw new Error('Damaged tar header');
+  }
+
+  // Sizes over 8GB are stored in base-256
+  let size = 0;
+  if (block[124] & 0x80) {
+    for (let i = 125; i < 136; i++) {
+      size = size * 256 + block[i];
+    }
+  } else {
+    size = parseInt(text(124, 12).trim() || '0', 8);
+  }
+
+  const prefix = text(257, 6) === 'ustar' ? text(345, 155) : '';
+  return {
+    name: prefix ? `${prefix}/${text(0, 100)}` : text(0, 100),
+    size,
+    type: block[156] ? String.fromCharCode(block[156]) : '0'
+  };
+}
+
+/**
+ * Read the records of a pax extended header
+ * @param {Buffer} data Header data
+ * @returns {Object} Values by key
+ * @private
+ */
+function parsePaxRecords(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString('utf8', offset, space), 10);
+    if (!length) {
+      break;
+    }
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return records;
+}
+
+/**
+ * Feed the entries of a tar stream to their sinks
+ * A damaged stream cannot be read past the damage, so errors end the whole archive
+ * @param {stream.Readable} source Uncompressed tar data
+ * @param {Function} select Returns a sink { write(chunk), end(error) } for an entry name, or null to skip it
+ * @returns {Promise<void>}
+ * @private
+ */
+async function readTarEntries(source, select) {
+  const reader = byteReader(source);
+  const skip = async (length) => {
+    for await (const chunk of reader.take(length)) {
+      // discard
+    }
+  };
+  const padding = (size) => (512 - (size % 512)) % 512;
+  let overrides = {};
+
+  for (;;) {
+    const block = await reader.read(512);
+    if (block.length < 512) {
+      throw new Error('Unexpected end of tar archive');
+    }
+    const header = parseTarHeader(block);
+    if (!header) {
+      return;
+    }
+
+    // Long names and sizes travel in pax or GNU headers before their entry
+    if (header.type === 'x' || header.type === 'L') {
+      const chunks = [];
+      for await (const chunk of reader.take(header.size)) {
+        chunks.push(chunk);
+      }
+      await skip(padding(header.size));
+      const data = Buffer.concat(chunks);
+      if (header.type === 'x') {
+        const records = parsePaxRecords(data);
+        overrides = { ...overrides, ...(records.path && { name: records.path }), ...(records.size && { size: parseInt(records.size, 10) }) };
+      } else {
+        overrides = { ...overrides, name: data.toString('utf8').replace(/\0.*$/s, '') };
+      }
+      continue;
+    }
+
+    const { name, size } = { ...header, ...overrides };
+    overrides = {};
+    const sink = header.type === '0' || header.type === '7' ? select(name) : null;
+    try {
+      for await (const chunk of reader.take(size)) {
+        if (sink) {
+          await sink.write(chunk);
+        }
+      }
+    } catch (error) {
+      if (sink) {
+        await sink.end(error);
+      }
+      throw error;
+    }
+    if (sink) {
+      await sink.end(null);
+    }
+    await skip(padding(size));
+  }
+}
+
+/**
+ * Find how a segment archive is stored by its file name
+ * Mirrors lib/archive-formats.js, which this self-contained module cannot require
+ * @param {string} fileName Segment file name
+ * @returns {string} 'zip', 'tar', 'tar.gz' or 'tar.zst'
+ * @private
+ */
+function archiveFormatOf(fileName) {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.tar.gz')) {
+    return 'tar.gz';
+  }
+  if (name.endsWith('.tar.zst')) {
+    return 'tar.zst';
+  }
+  return name.endsWith('.tar') ? 'tar' : 'zip';
+}
+
+/**
+ * Read selected entries of a segment archive (zip, tar, tar.gz or tar.zst)
+ * select(name) returns null to skip an entry, or a sink { write(chunk), end(error) }; end is called
+ * once the entry was read, with the error if its data could not be read completely.
+ * Errors that make the archive unreadable as a whole are thrown.
+ * @param {string} archivePath Segment file path
+ * @param {Function} select Picks the entries to read
+ * @returns {Promise<void>}
+ */
+async function readArchive(archivePath, select) {
+  const format = archiveFormatOf(path.basename(archivePath));
+
+  if (format === 'zip') {
+    const entries = [...(await readZipDirectory(archivePath)).entries()]
+      .sort(([, a], [, b]) => a.localOffset - b.localOffset);
+    for (const [name, entry] of entries) {
+      const sink = select(name);
+      if (!sink) continue;
+      try {
+        await streamZipEntry(archivePath, entry, sink);
+        await sink.end(null);
+      } catch (error) {
+        await sink.end(error);
+      }
+    }
+    return;
+  }
+
+  if (format === 'tar.zst' && typeof zlib.createZstdDecompress !== 'function') {
+    throw new Error('Reading .tar.zst segments needs zstd support in Node.js (22.15 or later)');
+  }
+  const source = fs.createReadStream(archivePath);
+  const decompressed = format === 'tar.gz' ? source.pipe(zlib.createGunzip())
+    : format === 'tar.zst' ? source.pipe(zlib.createZstdDecompress())
+    : source;
+  source.on('error', error => decompressed.destroy(error));
+
+  try {
+    await readTarEntries(decompressed, select);
+  } finally {
+    source.destroy();
+  }
+}
+
+/**
+ * Hash a file on disk
+ * @param {string} filePath File path
+ * @returns {Promise<Object>} { size, sha256 }
+ * @private
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { size, sha256: hash.digest('hex') };
+}
+
+/**
+ * Make an attachment or ticket name safe to use as a single path component
+ * @param {string} name Name from Jira
+ * @returns {string} File name
+ * @private
+ */
+function safeName(name) {
+  const cleaned = String(name || '').replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim();
+  return !cleaned || cleaned === '.' || cleaned === '..' ? `_${cleaned}` : cleaned;
+}
+
+/**
+ * Pick the target path of each attachment: <ticket>/<filename>, with the attachment ID added
+ * when a ticket has two attachments of the same name
+ * @param {Array<Object>} attachments Manifest attachments
+ * @returns {Map<string, string>} Relative paths by attachment ID
+ * @private
+ */
+function targetPaths(attachments) {
+  const paths = new Map();
+  const taken = new Set();
+  for (const attachment of attachments) {
+    let relativePath = path.join(safeName(attachment.ticket), safeName(attachment.filename));
+    if (taken.has(relativePath.toLowerCase())) {
+      const { name, ext } = path.parse(safeName(attachment.filename));
+      relativePath = path.join(safeName(attachment.ticket), `${name} (${attachment.id})${ext}`);
+    }
+    taken.add(relativePath.toLowerCase());
+    paths.set(attachment.id, relativePath);
+  }
+  return paths;
+}
+
+/**
+ * Find the default target folder of an export: next to the manifest, named after it
+ * @param {string} manifestPath Master manifest path
+ * @returns {string} Target folder
+ */
+function defaultTargetDir(manifestPath) {
+  return path.join(path.dirname(manifestPath), path.basename(manifestPath, '.json').replace('_export_manifest_', '_reassembled_'));
+}
+
+/**
+ * Reassemble the attachments of an export into one folder per ticket
+ * Each segment is read once; split parts are written at their byte offsets and every part and
+ * whole file is checked against the size and SHA-256 the export manifest recorded.
+ * @param {string} manifestPath Master manifest path
+ * @param {string} [targetDir] Folder to write to (default: next to the manifest)
+ * @returns {Promise<Object>} { ok, reassembledAt, directory, summary, attachments } with a status per attachment:
+ *   'ok', 'missing' (segment or entry not found), 'corrupt' (bytes differ from the manifest) or
+ *   'incomplete' (the export itself received fewer bytes than Jira reported)
+ */
+async function reassembleExport(manifestPath, targetDir = defaultTargetDir(manifestPath)) {
+  const outputPath = path.dirname(manifestPath);
+  const manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+  if (!Array.isArray(manifest.attachments) || manifest.attachments.length === 0) {
+    throw reassemblyError('The export has no attachments to reassemble', 409);
+  }
+
+  // Encrypted segments are read from their decrypted copies, which drop the .enc suffix
+  const segmentFiles = new Map(manifest.files
+    .filter(file => file.kind === 'segment')
+    .map(file => [file.segment, file.fileName.endsWith('.enc') ? file.fileName.slice(0, -'.enc'.length) : file.fileName]));
+  if ([...segmentFiles.values()].some(fileName => !fs.existsSync(path.join(outputPath, fileName)) && fs.existsSync(path.join(outputPath, `${fileName}.enc`)))) {
+    throw reassemblyError('The export is encrypted; decrypt it first with its decryption script (<prefix>_decrypt_<timestamp>.js)', 409);
+  }
+  const paths = targetPaths(manifest.attachments);
+
+  // Every archive entry to extract, grouped by segment so each segment is read once
+  const results = new Map();
+  const pieces = new Map();
+  for (const attachment of manifest.attachments) {
+    const parts = attachment.parts.length > 0
+      ? attachment.parts
+      : [{ segment: attachment.segment, path: attachment.path, startByte: 0, size: attachment.receivedSize, sha256: attachment.sha256 }];
+    results.set(attachment.id, {
+      id: attachment.id,
+      ticket: attachment.ticket,
+      filename: attachment.filename,
+      path: paths.get(attachment.id),
+      parts: parts.length,
+      expectedSize: attachment.originalSize,
+      size: null,
+      sha256: null,
+      status: attachment.sizeMatches ? 'ok' : 'incomplete',
+      errors: attachment.sizeMatches ? [] : [`The export received ${attachment.receivedSize} bytes, Jira reported ${attachment.originalSize}`]
+    });
+    for (const part of parts) {
+      if (!pieces.has(part.segment)) {
+        pieces.set(part.segment, []);
+      }
+      pieces.get(part.segment).push({ attachmentId: attachment.id, ...part });
+    }
+  }
+
+  // Target files are created up front, so parts can be written at their offsets in any order
+  for (const relativePath of paths.values()) {
+    const filePath = path.join(targetDir, relativePath);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, '');
+  }
+
+  const fail = (attachmentId, status, message) => {
+    const result = results.get(attachmentId);
+    // Missing data outranks corrupt data, which outranks a short download
+    if (result.status !== 'missing' && (status === 'missing' || result.status !== 'corrupt')) {
+      result.status = status;
+    }
+    result.errors.push(message);
+  };
+
+  for (const [segmentNumber, segmentPieces] of pieces) {
+    const fileName = segmentFiles.get(segmentNumber);
+    const archivePath = fileName ? path.join(outputPath, fileName) : null;
+    if (!archivePath || !fs.existsSync(archivePath)) {
+      for (const piece of segmentPieces) {
+        fail(piece.attachmentId, 'missing', `Segment ${segmentNumber} not found${fileName ? `: ${fileName}` : ''}`);
+      }
+      continue;
+    }
+
+    // Each part is written at its offset of the target file and hashed on the way
+    const unread = new Map(segmentPieces.map(piece => [piece.path, piece]));
+    try {
+      await readArchive(archivePath, (name) => {
+        const piece = unread.get(name);
+        if (!piece) {
+          return null;
+        }
+        unread.delete(name);
+
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        const opened = fs.promises.open(path.join(targetDir, paths.get(piece.attachmentId)), 'r+');
+        return {
+          async write(chunk) {
+            const handle = await opened;
+            await handle.write(chunk, 0, chunk.length, piece.startByte + size);
+            hash.update(chunk);
+            size += chunk.length;
+          },
+          async end(error) {
+            await (await opened).close();
+            if (error) {
+              fail(piece.attachmentId, 'corrupt', `${piece.path} in ${fileName}: ${error.message}`);
+            } else if (size !== piece.size || hash.digest('hex') !== piece.sha256) {
+              fail(piece.attachmentId, 'corrupt', `${piece.path} in ${fileName} does not match its manifest checksum`);
+            }
+          }
+        };
+      });
+      for (const piece of unread.values()) {
+        fail(piece.attachmentId, 'missing', `${piece.path} not found in ${fileName}`);
+      }
+    } catch (error) {
+      for (const piece of unread.values()) {
+        fail(piece.attachmentId, 'corrupt', `${fileName} is unreadable: ${error.message}`);
+      }
+    }
+  }
+
+  for (const result of results.values()) {
+    Object.assign(result, await hashFile(path.join(targetDir, result.path)));
+    if (result.status === 'ok' && result.size !== result.expectedSize) {
+      fail(result.id, 'incomplete', `Reassembled ${result.size} bytes, Jira reported ${result.expectedSize}`);
+    }
+  }
+
+  const attachments = [...results.values()];
+  const count = (status) => attachments.filter(attachment => attachment.status === status).length;
+  const summary = {
+    attachments: attachments.length,
+    split: attachments.filter(attachment => attachment.parts > 1).length,
+    ok: count('ok'),
+    missing: count('missing'),
+    corrupt: count('corrupt'),
+    incomplete: count('incomplete')
+  };
+  const report = {
+    ok: summary.ok === summary.attachments,
+    reassembledAt: new Date().toISOString(),
+    manifest: path.basename(manifestPath),
+    directory: targetDir,
+    summary,
+    attachments
+  };
+  await fs.promises.writeFile(path.join(targetDir, REPORT_NAME), JSON.stringify(report, null, 2));
+  return report;
+}
+
+/**
+ * Write a copy of this module into an export, to reassemble it offline
+ * @param {string} outputPath Output directory
+ * @param {string} filePrefix Output file name prefix
+ * @returns {string} Script file name
+ */
+function writeReassemblyScript(outputPath, filePrefix) {
+  const scriptFileName = `${filePrefix}_reassemble_${new Date().toISOString().replace(/[:.]/g, '-')}.js`;
+  fs.copyFileSync(__filename, path.join(outputPath, scriptFileName));
+  return scriptFileName;
+}
+
+/**
+ * Command line entry point of the copy written into an export
+ * Without arguments, the export manifest next to the script is used
+ * @param {Array<string>} args [manifestPath, targetDir]
+ * @returns {Promise<number>} Exit code
+ * @private
+ */
+async function main([manifestArg, targetArg]) {
+  let manifestPath = manifestArg;
+  if (!manifestPath) {
+    const manifests = fs.readdirSync(__dirname).filter(name => name.includes('_export_manifest_') && name.endsWith('.json'));
+    if (manifests.length !== 1) {
+      console.error(`Usage: node ${path.basename(__filename)} <export manifest> [target folder]`);
+      if (manifests.length > 1) {
+        console.error(`Several export manifests found here:\n  ${manifests.join('\n  ')}`);
+      } else if (fs.readdirSync(__dirname).some(name => name.includes('_export_manifest_') && name.endsWith('.json.enc'))) {
+        console.error('The export is encrypted: decrypt it first with its *_decrypt_*.js script, then pass the decrypted export manifest');
+      }
+      return 2;
+    }
+    manifestPath = path.join(__dirname, manifests[0]);
+  }
+
+  const report = await reassembleExport(path.resolve(manifestPath), targetArg ? path.resolve(targetArg) : undefined);
+  for (const attachment of report.attachments.filter(attachment => attachment.status !== 'ok')) {
+    console.error(`${attachment.status.toUpperCase()}: ${attachment.path}\n  ${attachment.errors.join('\n  ')}`);
+  }
+  const { summary } = report;
+  console.log(`Reassembled ${summary.ok} of ${summary.attachments} attachments (${summary.split} split) into ${report.directory}`);
+  console.log(`Report: ${path.join(report.directory, REPORT_NAME)}`);
+  return report.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      console.error(`Reassembly failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  REPORT_NAME,
+  readArchive,
+  defaultTargetDir,
+  reassembleExport,
+  writeReassemblyScript
+};
@@ -0,0 +1,130 @@
+/**
+ * Jira field metadata for Jira Ticket Downloader exports
+ * Resolves custom fields by display name and renders values according to their schema type
+ */
+const { jiraClient } = require('./jira-client');
+const instances = require('../config/instances');
+
+/**
+ * Fetch the field definitions of an instance (system and custom fields)
+ * @param {Object} instance Jira instance profile
+ * @param {Object} headers Jira API headers
+ * @returns {Promise<Array<Object>>} Field definitions as returned by /field
+ */
+async function fetchFieldDefinitions(instance, headers) {
+  const response = await jiraClient.get(instances.apiUrl(instance, '/field'), { headers });
+  return response.data;
+}
+
+/**
+ * List the custom fields users can pick from
+ * @param {Array<Object>} fieldDefinitions Field definitions
+ * @returns {Array<Object>} Custom fields as { id, name, type }, sorted by name
+ */
+function listCustomFields(fieldDefinitions) {
+  return fieldDefinitions
+    .filter(field => field.custom)
+    .map(field => ({
+      id: field.id,
+      name: field.name,
+      type: field.schema?.type === 'array' ? `array of ${field.schema.items}` : (field.schema?.type || 'unknown')
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Resolve selected custom field display names to field definitions
+ * Names shared by several fields select all of them, labelled with their ID to keep columns unique
+ * @param {Array<Object>} fieldDefinitions Field definitions
+ * @param {Array<string>} names Selected display names
+ * @returns {Array<Object>} Selected fields as { id, label, schema }
+ */
+function resolveCustomFields(fieldDefinitions, names) {
+  const selected = [];
+  for (const name of names || []) {
+    const matches = fieldDefinitions.filter(field => field.custom && field.name === name);
+    if (matches.length === 0) {
+      console.warn(`Custom field not found: ${name}`);
+      continue;
+    }
+    for (const field of matches) {
+      selected.push({
+        id: field.id,
+        label: matches.length > 1 ? `${field.name} (${field.id})` : field.name,
+        schema: field.schema || {}
+      });
+    }
+  }
+  return selected;
+}
+
+/**
+ * Render a field value according to its schema type
+ * @param {*} value Raw field value from the search API
+ * @param {Object} schema Field schema ({ type, items })
+ * @returns {*} Plain value: string, number, array of plain values or null
+ */
+function renderFieldValue(value, schema = {}) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  switch (schema.type) {
+    case 'array':
+      return (Array.isArray(value) ? value : [value]).map(item => renderFieldValue(item, { type: schema.items }));
+    case 'option':
+    case 'option-with-child':
+      // Cascading selects hold the child option under `child`
+      return value.child ? `${value.value} - ${value.child.value}` : (value.value ?? null);
+    case 'user':
+      return value.displayName || value.name || value.accountId || null;
+    case 'number':
+      return typeof value === 'number' ? value : Number(value);
+    case 'date':
+    case 'datetime':
+    case 'string':
+      return String(value);
+    default:
+      // Sprints, versions, groups, components and other objects are labelled by name
+      if (typeof value !== 'object') {
+        return value;
+      }
+      return value.name || value.value || value.displayName || value.key || JSON.stringify(value);
+  }
+}
+
+/**
+ * Collect the selected custom field values of an issue, keyed by column label
+ * @param {Object} issue Issue from the search API
+ * @param {Array<Object>} customFields Selected fields from resolveCustomFields
+ * @returns {Object} Rendered values keyed by label
+ */
+function customFieldValues(issue, customFields) {
+  const values = {};
+  for (const field of customFields) {
+    values[field.label] = renderFieldValue(issue.fields?.[field.id], field.schema);
+  }
+  return values;
+}
+
+/**
+ * Get the CSV cell value of a rendered field
+ * The value is returned unescaped; lib/csv.js toCsv quotes it when the row is written
+ * @param {*} value Rendered value
+ * @returns {*} Cell value: multi-value fields joined with ' | ', others as they are
+ */
+function fieldCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return Array.isArray(value) ? value.join(' | ') : value;
+}
+
+module.exports = {
+  fetchFieldDefinitions,
+  listCustomFields,
+  resolveCustomFields,
+  renderFieldValue,
+  customFieldValues,
+  fieldCsvCell
+};
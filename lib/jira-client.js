@@ -0,0 +1,152 @@
+/**
+ * Shared HTTP client for Jira REST calls
+ * Every request draws from one request budget, shared by interactive downloads and all queue workers.
+ * 429 responses pause the whole budget for Retry-After (or an exponential backoff) and lower its rate;
+ * the rate climbs back while requests succeed. Network errors and 5xx responses are retried as before.
+ */
+const axios = require('axios');
+const axiosRetry = require('axios-retry');
+const defaults = require('../config/defaults');
+
+const limits = defaults.api.rateLimit;
+
+// Request budget: requests are spaced 1 / rate seconds apart, with up to `burst` requests saved up while idle
+const budget = {
+  rate: limits.requestsPerSecond,
+  nextSlotAt: 0,
+  pausedUntil: 0
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait for the next request slot of the budget
+ * @returns {Promise<void>}
+ * @private
+ */
+async function acquireSlot() {
+  const now = Date.now();
+  const interval = 1000 / budget.rate;
+  const start = Math.max(budget.nextSlotAt, now - limits.burst * interval, budget.pausedUntil);
+  budget.nextSlotAt = start + interval;
+
+  if (start > now) {
+    await sleep(start - now);
+  }
+}
+
+/**
+ * Lower the request rate after Jira pushed back
+ * @param {number} factor Multiplier below 1
+ * @private
+ */
+function slowDown(factor) {
+  budget.rate = Math.max(limits.minRequestsPerSecond, budget.rate * factor);
+}
+
+/**
+ * Read how long Jira asks us to wait
+ * @param {Object} headers Response headers
+ * @returns {number|null} Milliseconds, or null without a usable Retry-After header
+ * @private
+ */
+function retryAfterMs(headers) {
+  const value = headers?.['retry-after'];
+  if (!value) {
+    return null;
+  }
+  // Either delay seconds or an HTTP date
+  const delay = /^\d+(\.\d+)?$/.test(value) ? parseFloat(value) * 1000 : new Date(value).getTime() - Date.now();
+  return Number.isNaN(delay) ? null : Math.max(delay, 0);
+}
+
+/**
+ * Adapt the budget to the rate limit headers of a successful response
+ * @param {Object} headers Response headers
+ * @private
+ */
+function trackRateLimitHeaders(headers) {
+  const limit = parseInt(headers['x-ratelimit-limit'], 10);
+  const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+
+  if (remaining === 0 && headers['x-ratelimit-reset']) {
+    const resetAt = new Date(headers['x-ratelimit-reset']).getTime();
+    if (!Number.isNaN(resetAt)) {
+      budget.pausedUntil = Math.max(budget.pausedUntil, resetAt);
+    }
+  }
+
+  if (headers['x-ratelimit-nearlimit'] === 'true' || (limit > 0 && remaining < limit * 0.2)) {
+    slowDown(0.8);
+  } else {
+    // Additive increase back up to the configured rate
+    budget.rate = Math.min(limits.requestsPerSecond, budget.rate + limits.rateIncrease);
+  }
+}
+
+const jiraClient = axios.create({
+  timeout: defaults.api.timeout
+});
+
+jiraClient.interceptors.request.use(async (config) => {
+  await acquireSlot();
+  return config;
+});
+
+// Network errors and 5xx responses
+axiosRetry(jiraClient, {
+  retries: defaults.api.maxRetries,
+  retryDelay: (retryCount) => {
+    return retryCount * defaults.api.retryDelay;
+  },
+  retryCondition: (error) => {
+    return axiosRetry.isNetworkOrIdempotentRequestError(error) ||
+           (error.response && error.response.status >= 500);
+  }
+});
+
+jiraClient.interceptors.response.use(
+  (response) => {
+    trackRateLimitHeaders(response.headers);
+    return response;
+  },
+  async (error) => {
+    const { config, response } = error;
+    if (!config || !response || response.status !== 429) {
+      throw error;
+    }
+
+    const attempt = (config.rateLimitRetries || 0) + 1;
+    if (attempt > limits.maxRetries) {
+      error.message = `Jira rate limit still exceeded after ${limits.maxRetries} retries: ${error.message}`;
+      throw error;
+    }
+
+    // Wait as long as Retry-After asks; without it, back off exponentially with jitter up to maxBackoffMs
+    const delay = retryAfterMs(response.headers) ??
+      Math.min(limits.maxBackoffMs, defaults.api.retryDelay * 2 ** attempt) * (0.5 + Math.random() / 2);
+
+    // Everyone waits, not just this request: the limit is shared
+    slowDown(0.5);
+    budget.pausedUntil = Math.max(budget.pausedUntil, Date.now() + delay);
+    console.warn(`Jira rate limit hit (${config.method?.toUpperCase()} ${config.url}); retry ${attempt}/${limits.maxRetries} in ${Math.ceil(delay / 1000)}s at ${budget.rate.toFixed(2)} requests/s`);
+
+    return jiraClient.request({ ...config, rateLimitRetries: attempt });
+  }
+);
+
+/**
+ * Get the current state of the request budget
+ * @returns {Object} { requestsPerSecond, pausedUntil }
+ */
+function getRateLimitState() {
+  return {
+    requestsPerSecond: budget.rate,
+    pausedUntil: budget.pausedUntil > Date.now() ? new Date(budget.pausedUntil).toISOString() : null
+  };
+}
+
+module.exports = {
+  jiraClient,
+  getRateLimitState
+};
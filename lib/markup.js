@@ -0,0 +1,895 @@
+/**
+ * Rich text rendering for Jira Ticket Downloader exports
+ * Converts Jira wiki markup (API v2) and Atlassian Document Format (API v3) to Markdown or sanitized HTML.
+ * Wiki markup is first parsed into ADF-shaped nodes so both inputs share the same renderers.
+ */
+
+// Supported output formats; 'raw' keeps Jira's own representation
+const RENDER_FORMATS = ['raw', 'markdown', 'html'];
+
+// Wiki panel macros and the ADF panel type they map to
+const WIKI_PANELS = {
+  panel: 'info',
+  info: 'info',
+  note: 'note',
+  warning: 'warning',
+  tip: 'success'
+};
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|bmp|svg|webp)$/i;
+
+/**
+ * Render a description or comment body
+ * @param {string|Object} value Wiki markup string or ADF document
+ * @param {string} format 'raw', 'markdown' or 'html'
+ * @param {Object} context Rendering context from issueContext
+ * @returns {string|Object} Rendered text (the original value for 'raw')
+ */
+function renderText(value, format, context) {
+  if (format === 'raw' || value === null || value === undefined || value === '') {
+    return value ?? '';
+  }
+
+  const doc = typeof value === 'string' ? wikiToAdf(value) : value;
+  return format === 'html' ? adfToHtml(doc, context) : adfToMarkdown(doc, context);
+}
+
+/**
+ * Build the rendering context of an issue: user names for mentions and attachment paths
+ * @param {Object} issue Issue from the search API
+ * @param {string} exportLabel Folder attachments are stored under in the segment zips
+ * @returns {Object} Rendering context
+ */
+function issueContext(issue, exportLabel) {
+  const users = new Map();
+  const fields = issue.fields || {};
+  const people = [fields.assignee, fields.reporter, fields.creator, ...(fields.comment?.comments || []).map(c => c.author)];
+
+  for (const user of people) {
+    if (!user?.displayName) continue;
+    for (const id of [user.accountId, user.name, user.key]) {
+      if (id) users.set(id, user.displayName);
+    }
+  }
+
+  return {
+    users,
+    attachmentPath: (filename) => `${exportLabel}/${issue.key}/${filename}`
+  };
+}
+
+// Wiki markup parsing
+
+/**
+ * Parse Jira wiki markup into an ADF-shaped document
+ * @param {string} text Wiki markup
+ * @returns {Object} Document node
+ */
+function wikiToAdf(text) {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  return { type: 'doc', content: parseWikiBlocks(lines) };
+}
+
+/**
+ * Parse block-level wiki markup
+ * @param {Array<string>} lines Source lines
+ * @returns {Array<Object>} Block nodes
+ * @private
+ */
+function parseWikiBlocks(lines) {
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', content: parseWikiInline(paragraph.join('\n')) });
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    let match;
+
+    // Macros with a body: {code}, {noformat}, {quote}, {panel} and friends
+    if ((match = /^\{(code|noformat|quote|panel|info|note|warning|tip)(?::([^}]*))?\}(.*)$/.exec(trimmed))) {
+      flush();
+      const [, macro, params = '', rest] = match;
+      const closeTag = `{${macro}}`;
+      const body = [];
+      let remainder = rest;
+      let after = '';
+
+      while (true) {
+        const closeIndex = remainder.indexOf(closeTag);
+        if (closeIndex !== -1) {
+          body.push(remainder.slice(0, closeIndex));
+          after = remainder.slice(closeIndex + closeTag.length);
+          break;
+        }
+        body.push(remainder);
+        if (++i >= lines.length) break;
+        remainder = lines[i];
+      }
+      if (body[0] === '') body.shift();
+      if (body.length > 1 && body[body.length - 1] === '') body.pop();
+
+      if (macro === 'code' || macro === 'noformat') {
+        blocks.push({
+          type: 'codeBlock',
+          attrs: { language: macro === 'code' ? codeLanguage(params) : null },
+          content: [{ type: 'text', text: body.join('\n') }]
+        });
+      } else if (macro === 'quote') {
+        blocks.push({ type: 'blockquote', content: parseWikiBlocks(body) });
+      } else {
+        blocks.push({
+          type: 'panel',
+          attrs: { panelType: WIKI_PANELS[macro], title: macroParam(params, 'title') },
+          content: parseWikiBlocks(body)
+        });
+      }
+
+      if (after.trim()) paragraph.push(after);
+      continue;
+    }
+
+    if (trimmed === '') {
+      flush();
+      continue;
+    }
+
+    if ((match = /^h([1-6])\.\s+(.*)$/.exec(trimmed))) {
+      flush();
+      blocks.push({ type: 'heading', attrs: { level: Number(match[1]) }, content: parseWikiInline(match[2]) });
+      continue;
+    }
+
+    if ((match = /^bq\.\s+(.*)$/.exec(trimmed))) {
+      flush();
+      blocks.push({ type: 'blockquote', content: [{ type: 'paragraph', content: parseWikiInline(match[1]) }] });
+      continue;
+    }
+
+    if (/^-{4,}$/.test(trimmed)) {
+      flush();
+      blocks.push({ type: 'rule' });
+      continue;
+    }
+
+    if (/^[*#-]+\s/.test(trimmed)) {
+      flush();
+      const items = [];
+      // A change of top-level marker (bullets to numbers) starts a new list
+      while (i < lines.length && (match = /^([*#-]+)\s+(.*)$/.exec(lines[i].trim())) &&
+        (items.length === 0 || match[1][0] === items[0].markers[0])) {
+        items.push({ markers: match[1], text: match[2] });
+        i++;
+      }
+      i--;
+      blocks.push(buildWikiList(items, 1));
+      continue;
+    }
+
+    if (trimmed.startsWith('|')) {
+      flush();
+      const rows = [];
+      while (i < lines.length && lines[i].trim().startsWith('|')) {
+        rows.push(splitWikiTableRow(lines[i].trim()));
+        i++;
+      }
+      i--;
+      blocks.push({
+        type: 'table',
+        content: rows.map(cells => ({
+          type: 'tableRow',
+          content: cells.map(cell => ({
+            type: cell.header ? 'tableHeader' : 'tableCell',
+            content: [{ type: 'paragraph', content: parseWikiInline(cell.text.trim()) }]
+          }))
+        }))
+      });
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+
+  flush();
+  return blocks;
+}
+
+/**
+ * Build a (nested) list from wiki list lines
+ * @param {Array<Object>} items List lines as { markers, text }, e.g. markers '*#'
+ * @param {number} depth Nesting depth, starting at 1
+ * @returns {Object} List node
+ * @private
+ */
+function buildWikiList(items, depth) {
+  const list = {
+    type: items[0].markers[depth - 1] === '#' ? 'orderedList' : 'bulletList',
+    content: []
+  };
+
+  let i = 0;
+  while (i < items.length) {
+    if (items[i].markers.length === depth) {
+      list.content.push({ type: 'listItem', content: [{ type: 'paragraph', content: parseWikiInline(items[i].text) }] });
+      i++;
+      continue;
+    }
+
+    const nested = [];
+    while (i < items.length && items[i].markers.length > depth) {
+      nested.push(items[i]);
+      i++;
+    }
+    const nestedList = buildWikiList(nested, depth + 1);
+    const parent = list.content[list.content.length - 1];
+    if (parent) {
+      parent.content.push(nestedList);
+    } else {
+      list.content.push({ type: 'listItem', content: [nestedList] });
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Split a wiki table row into cells, ignoring pipes inside links, macros and images
+ * @param {string} line Table row, e.g. "||Header||Other||" or "|a|[link|http://x]|"
+ * @returns {Array<Object>} Cells as { header, text }
+ * @private
+ */
+function splitWikiTableRow(line) {
+  const cells = [];
+  let current = null;
+  let depth = 0;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    // Pipes inside an embedded image (!file.png|thumbnail!) belong to the cell
+    const inImage = current && (current.text.split('!').length % 2 === 0) && line.indexOf('!', i) !== -1;
+    if (depth === 0 && ch === '|' && !inImage) {
+      if (current) cells.push(current);
+      const header = line[i + 1] === '|';
+      current = { header, text: '' };
+      if (header) i++;
+      continue;
+    }
+    if (ch === '[' || ch === '{') depth++;
+    else if ((ch === ']' || ch === '}') && depth > 0) depth--;
+    if (current) current.text += ch;
+  }
+
+  // A trailing pipe opens an empty cell that is not part of the row
+  if (current && current.text.trim() !== '') cells.push(current);
+  return cells;
+}
+
+/**
+ * Read the language of a {code} macro, e.g. {code:java} or {code:title=A.java|language=java}
+ * @param {string} params Macro parameters
+ * @returns {string|null} Language
+ * @private
+ */
+function codeLanguage(params) {
+  const parts = params.split('|').map(part => part.trim()).filter(Boolean);
+  const named = macroParam(params, 'language');
+  return named || parts.find(part => !part.includes('=')) || null;
+}
+
+/**
+ * Read a named macro parameter
+ * @param {string} params Macro parameters, e.g. "title=Hello|borderStyle=solid"
+ * @param {string} name Parameter name
+ * @returns {string|null} Parameter value
+ * @private
+ */
+function macroParam(params, name) {
+  for (const part of params.split('|')) {
+    const [key, ...value] = part.split('=');
+    if (key.trim() === name) return value.join('=').trim();
+  }
+  return null;
+}
+
+// Inline wiki patterns, tried in order when several match at the same position
+const WIKI_INLINE_PATTERNS = [
+  { regex: /\{\{([\s\S]+?)\}\}/, handle: (m, marks) => [textNode(m[1], [...marks, { type: 'code' }])] },
+  { regex: /\{(code|noformat)(?::[^}]*)?\}([\s\S]*?)\{\1\}/, handle: (m, marks) => [textNode(m[2], [...marks, { type: 'code' }])] },
+  { regex: /\{color(?::[^}]*)?\}([\s\S]*?)\{color\}/, handle: (m, marks) => parseWikiInline(m[1], marks) },
+  {
+    regex: /!([^!\s|][^!\n|]*?\.[A-Za-z0-9]{2,5}|https?:\/\/[^!\s|]+)(?:\|[^!\n]*)?!/,
+    handle: (m) => [{ type: 'media', attrs: { type: 'file', filename: m[1] } }]
+  },
+  { regex: /\[([^\]\n]+)\]/, handle: (m, marks) => wikiLink(m[0], m[1], marks) },
+  { regex: /(?<![\w*])\*(?=\S)([^*\n]*?\S)\*(?![\w*])/, handle: (m, marks) => parseWikiInline(m[1], [...marks, { type: 'strong' }]) },
+  { regex: /(?<![\w_])_(?=\S)([^_\n]*?\S)_(?![\w_])/, handle: (m, marks) => parseWikiInline(m[1], [...marks, { type: 'em' }]) },
+  { regex: /\?\?(?=\S)([^?\n]*?\S)\?\?/, handle: (m, marks) => parseWikiInline(m[1], [...marks, { type: 'em' }]) },
+  { regex: /(?<![\w-])-(?=\S)([^-\n]*?\S)-(?![\w-])/, handle: (m, marks) => parseWikiInline(m[1], [...marks, { type: 'strike' }]) },
+  { regex: /(?<![\w+])\+(?=\S)([^+\n]*?\S)\+(?![\w+])/, handle: (m, marks) => parseWikiInline(m[1], [...marks, { type: 'underline' }]) },
+  { regex: /\^(?=\S)([^^\n]*?\S)\^/, handle: (m, marks) => parseWikiInline(m[1], [...marks, { type: 'subsup', attrs: { type: 'sup' } }]) },
+  { regex: /(?<![\w~])~(?=\S)([^~\n]*?\S)~(?![\w~])/, handle: (m, marks) => parseWikiInline(m[1], [...marks, { type: 'subsup', attrs: { type: 'sub' } }]) },
+  { regex: /https?:\/\/[^\s\]|<>"]+[^\s\]|<>".,;:!?)]/, handle: (m, marks) => [textNode(m[0], [...marks, { type: 'link', attrs: { href: m[0] } }])] },
+  { regex: /\\\\|\n/, handle: () => [{ type: 'hardBreak' }] }
+];
+
+/**
+ * Parse inline wiki markup
+ * @param {string} text Inline text
+ * @param {Array<Object>} [marks] Marks inherited from enclosing formatting
+ * @returns {Array<Object>} Inline nodes
+ * @private
+ */
+function parseWikiInline(text, marks = []) {
+  const nodes = [];
+  let rest = text;
+
+  while (rest.length > 0) {
+    let best = null;
+    for (const pattern of WIKI_INLINE_PATTERNS) {
+      const match = pattern.regex.exec(rest);
+      if (match && (!best || match.index < best.match.index)) {
+        best = { match, pattern };
+      }
+    }
+
+    if (!best) {
+      nodes.push(textNode(rest, marks));
+      break;
+    }
+
+    if (best.match.index > 0) {
+      nodes.push(textNode(rest.slice(0, best.match.index), marks));
+    }
+    nodes.push(...best.pattern.handle(best.match, marks));
+    rest = rest.slice(best.match.index + best.match[0].length);
+  }
+
+  return nodes;
+}
+
+/**
+ * Parse a bracketed wiki link: mention, attachment, titled or bare link
+ * @param {string} source Full source text, kept when the brackets are not a link
+ * @param {string} inner Text between the brackets
+ * @param {Array<Object>} marks Inherited marks
+ * @returns {Array<Object>} Inline nodes
+ * @private
+ */
+function wikiLink(source, inner, marks) {
+  if (inner.startsWith('~')) {
+    return [{ type: 'mention', attrs: { id: inner.slice(1).replace(/^accountid:/, '') } }];
+  }
+  if (inner.startsWith('^')) {
+    return [{ type: 'media', attrs: { type: 'file', filename: inner.slice(1) } }];
+  }
+
+  const pipe = inner.lastIndexOf('|');
+  const title = pipe === -1 ? null : inner.slice(0, pipe);
+  const target = (pipe === -1 ? inner : inner.slice(pipe + 1)).trim();
+
+  if (target.startsWith('^')) {
+    return [{ type: 'media', attrs: { type: 'file', filename: target.slice(1), alt: title } }];
+  }
+  if (!/^(https?:|mailto:|#|\/)/i.test(target)) {
+    return [textNode(source, marks)];
+  }
+
+  const linkMarks = [...marks, { type: 'link', attrs: { href: target } }];
+  return title ? parseWikiInline(title, linkMarks) : [textNode(target, linkMarks)];
+}
+
+/**
+ * Create a text node
+ * @param {string} text Text
+ * @param {Array<Object>} marks Marks
+ * @returns {Object} Text node
+ * @private
+ */
+function textNode(text, marks) {
+  return marks.length > 0 ? { type: 'text', text, marks } : { type: 'text', text };
+}
+
+// Shared rendering helpers
+
+/**
+ * Resolve a mention to a display name
+ * @param {Object} attrs Mention attributes
+ * @param {Object} context Rendering context
+ * @returns {string} Display name
+ * @private
+ */
+function mentionName(attrs, context) {
+  return context.users.get(attrs.id) || (attrs.text || '').replace(/^@/, '') || attrs.id;
+}
+
+/**
+ * Resolve an attachment reference to its name and path in the export
+ * @param {Object} attrs Media attributes
+ * @param {Object} context Rendering context
+ * @returns {Object} { name, href, image } (href is null when the file name is unknown)
+ * @private
+ */
+function mediaTarget(attrs, context) {
+  const filename = attrs.filename || attrs.alt;
+  if (!filename) {
+    return { name: `attachment ${attrs.id || ''}`.trim(), href: null, image: false };
+  }
+  return {
+    name: attrs.alt || filename,
+    href: /^https?:\/\//i.test(filename) ? filename : encodeURI(context.attachmentPath(filename)).replace(/\(/g, '%28').replace(/\)/g, '%29'),
+    image: IMAGE_EXTENSIONS.test(filename)
+  };
+}
+
+/**
+ * Only keep web, mail and relative URLs
+ * Control characters and spaces are removed first, as browsers ignore them when reading the scheme
+ * (e.g. "java\tscript:"); anything before the first "/", "?" or "#" that ends in ":" counts as a scheme
+ * @param {string} url URL from the document
+ * @returns {string|null} Safe URL or null
+ * @private
+ */
+function safeUrl(url) {
+  const cleaned = String(url || '').replace(/[\u0000- \u007F]/g, '');
+  const scheme = /^([^/?#]*):/.exec(cleaned);
+  if (scheme && !/^(https?|mailto)$/i.test(scheme[1])) {
+    return null;
+  }
+  return cleaned;
+}
+
+/**
+ * Format an ADF date node timestamp
+ * @param {string|number} timestamp Milliseconds since the epoch
+ * @returns {string} yyyy-MM-dd
+ * @private
+ */
+function formatDate(timestamp) {
+  const date = new Date(Number(timestamp));
+  return isNaN(date) ? String(timestamp) : date.toISOString().slice(0, 10);
+}
+
+// Markdown rendering
+
+/**
+ * Render an ADF document as Markdown
+ * @param {Object} doc ADF document
+ * @param {Object} context Rendering context
+ * @returns {string} Markdown
+ */
+function adfToMarkdown(doc, context) {
+  return markdownBlocks(doc.content || [], context).trim();
+}
+
+/**
+ * @param {Array<Object>} nodes Block nodes
+ * @param {Object} context Rendering context
+ * @returns {string} Markdown
+ * @private
+ */
+function markdownBlocks(nodes, context) {
+  return nodes.map(node => markdownBlock(node, context)).filter(text => text !== '').join('\n\n');
+}
+
+/**
+ * @param {Object} node Block node
+ * @param {Object} context Rendering context
+ * @returns {string} Markdown
+ * @private
+ */
+function markdownBlock(node, context) {
+  const content = node.content || [];
+
+  switch (node.type) {
+    case 'paragraph':
+      return markdownInline(content, context);
+    case 'heading':
+      return `${'#'.repeat(node.attrs?.level || 1)} ${markdownInline(content, context)}`;
+    case 'bulletList':
+    case 'orderedList':
+      return content.map((item, index) => {
+        const marker = node.type === 'orderedList' ? `${(node.attrs?.order || 1) + index}.` : '-';
+        const indent = ' '.repeat(marker.length + 1);
+        const body = (item.content || []).map(child => markdownBlock(child, context)).join('\n');
+        return `${marker} ${body.split('\n').join(`\n${indent}`)}`;
+      }).join('\n');
+    case 'codeBlock': {
+      const code = content.map(child => child.text || '').join('');
+      const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+      const fence = '`'.repeat(longestRun + 1);
+      return `${fence}${node.attrs?.language || ''}\n${code}\n${fence}`;
+    }
+    case 'blockquote':
+      return quoteMarkdown(markdownBlocks(content, context));
+    case 'panel': {
+      const label = (node.attrs?.panelType || 'info').replace(/^./, c => c.toUpperCase());
+      const title = node.attrs?.title ? `**${label}: ${escapeMarkdown(node.attrs.title)}**` : `**${label}**`;
+      return quoteMarkdown(`${title}\n\n${markdownBlocks(content, context)}`);
+    }
+    case 'expand':
+    case 'nestedExpand':
+      return `**${escapeMarkdown(node.attrs?.title || 'Details')}**\n\n${markdownBlocks(content, context)}`;
+    case 'rule':
+      return '---';
+    case 'table':
+      return markdownTable(node, context);
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return content.map(child => markdownInlineNode(child, [], context)).join('\n');
+    default:
+      return content.length > 0 ? markdownBlocks(content, context) : markdownInlineNode(node, [], context);
+  }
+}
+
+/**
+ * @param {string} text Markdown
+ * @returns {string} Markdown blockquote
+ * @private
+ */
+function quoteMarkdown(text) {
+  return text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+}
+
+/**
+ * Render a table as a GitHub-flavored Markdown table (the first row is the header)
+ * @param {Object} node Table node
+ * @param {Object} context Rendering context
+ * @returns {string} Markdown
+ * @private
+ */
+function markdownTable(node, context) {
+  const rows = (node.content || []).map(row => (row.content || []).map(cell =>
+    (cell.content || []).map(block => markdownBlock(block, { ...context, inTable: true })).join('<br>')
+  ));
+  if (rows.length === 0) return '';
+
+  const columns = Math.max(...rows.map(row => row.length));
+  const line = (cells) => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+
+  return [
+    line(rows[0]),
+    line(Array(columns).fill('---')),
+    ...rows.slice(1).map(line)
+  ].join('\n');
+}
+
+/**
+ * @param {Array<Object>} nodes Inline nodes
+ * @param {Object} context Rendering context
+ * @returns {string} Markdown
+ * @private
+ */
+function markdownInline(nodes, context) {
+  return nodes.map(node => markdownInlineNode(node, node.marks || [], context)).join('');
+}
+
+/**
+ * @param {Object} node Inline node
+ * @param {Array<Object>} marks Marks of the node
+ * @param {Object} context Rendering context
+ * @returns {string} Markdown
+ * @private
+ */
+function markdownInlineNode(node, marks, context) {
+  const attrs = node.attrs || {};
+
+  switch (node.type) {
+    case 'text':
+      return markdownMarks(node.text || '', marks, context);
+    case 'hardBreak':
+      return context.inTable ? '<br>' : '  \n';
+    case 'mention':
+      return `@${escapeMarkdown(mentionName(attrs, context))}`;
+    case 'emoji':
+      return attrs.text || attrs.shortName || '';
+    case 'inlineCard':
+    case 'blockCard': {
+      const url = safeUrl(attrs.url);
+      return url ? `<${url}>` : '';
+    }
+    case 'status':
+      return `[${escapeMarkdown(attrs.text || '')}]`;
+    case 'date':
+      return formatDate(attrs.timestamp);
+    case 'media': {
+      const target = mediaTarget(attrs, context);
+      if (!target.href) return `[${escapeMarkdown(target.name)}]`;
+      return `${target.image ? '!' : ''}[${escapeMarkdown(target.name)}](${target.href})`;
+    }
+    default:
+      return node.content ? markdownInline(node.content, context) : escapeMarkdown(node.text || '');
+  }
+}
+
+/**
+ * Apply text marks, keeping surrounding whitespace outside the markers
+ * @param {string} text Text
+ * @param {Array<Object>} marks Marks
+ * @param {Object} context Rendering context
+ * @returns {string} Markdown
+ * @private
+ */
+function markdownMarks(text, marks, context) {
+  const isCode = marks.some(mark => mark.type === 'code');
+  const [, leading, core, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+  if (core === '') return text;
+
+  let result = isCode ? inlineCode(core) : escapeMarkdown(core, context);
+  for (const mark of marks) {
+    switch (mark.type) {
+      case 'strong':
+        result = `**${result}**`;
+        break;
+      case 'em':
+        result = `*${result}*`;
+        break;
+      case 'strike':
+        result = `~~${result}~~`;
+        break;
+      case 'subsup':
+        result = mark.attrs?.type === 'sup' ? `<sup>${result}</sup>` : `<sub>${result}</sub>`;
+        break;
+      default:
+        break;
+    }
+  }
+
+  const link = marks.find(mark => mark.type === 'link');
+  const href = link && safeUrl(link.attrs?.href);
+  if (href) {
+    result = `[${result}](${href.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/ /g, '%20')})`;
+  }
+
+  return `${leading}${result}${trailing}`;
+}
+
+/**
+ * @param {string} code Inline code
+ * @returns {string} Markdown code span
+ * @private
+ */
+function inlineCode(code) {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return longestRun > 0 ? `${fence} ${code} ${fence}` : `${fence}${code}${fence}`;
+}
+
+/**
+ * Escape characters with a meaning in Markdown
+ * @param {string} text Plain text
+ * @param {Object} [context] Rendering context (pipes are escaped inside tables)
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeMarkdown(text, context = {}) {
+  let escaped = String(text).replace(/([\\`*_[\]<>])/g, '\\$1').replace(/^(\s*)([#+-]|\d+\.)(\s)/gm, '$1\\$2$3');
+  if (context.inTable) {
+    escaped = escaped.replace(/\|/g, '\\|');
+  }
+  return escaped;
+}
+
+// HTML rendering
+
+/**
+ * Render an ADF document as sanitized HTML
+ * Only a fixed set of tags is produced, all text and attributes are escaped and
+ * links are limited to web, mail and relative URLs
+ * @param {Object} doc ADF document
+ * @param {Object} context Rendering context
+ * @returns {string} HTML
+ */
+function adfToHtml(doc, context) {
+  return htmlBlocks(doc.content || [], context);
+}
+
+/**
+ * @param {Array<Object>} nodes Block nodes
+ * @param {Object} context Rendering context
+ * @returns {string} HTML
+ * @private
+ */
+function htmlBlocks(nodes, context) {
+  return nodes.map(node => htmlBlock(node, context)).join('\n');
+}
+
+/**
+ * @param {Object} node Block node
+ * @param {Object} context Rendering context
+ * @returns {string} HTML
+ * @private
+ */
+function htmlBlock(node, context) {
+  const content = node.content || [];
+  const attrs = node.attrs || {};
+
+  switch (node.type) {
+    case 'paragraph':
+      return `<p>${htmlInline(content, context)}</p>`;
+    case 'heading': {
+      const level = Math.min(Math.max(Number(attrs.level) || 1, 1), 6);
+      return `<h${level}>${htmlInline(content, context)}</h${level}>`;
+    }
+    case 'bulletList':
+      return `<ul>${content.map(item => htmlListItem(item, context)).join('')}</ul>`;
+    case 'orderedList':
+      return `<ol${attrs.order > 1 ? ` start="${Number(attrs.order)}"` : ''}>${content.map(item => htmlListItem(item, context)).join('')}</ol>`;
+    case 'codeBlock': {
+      const language = attrs.language ? ` class="language-${escapeHtml(attrs.language)}"` : '';
+      return `<pre><code${language}>${escapeHtml(content.map(child => child.text || '').join(''))}</code></pre>`;
+    }
+    case 'blockquote':
+      return `<blockquote>${htmlBlocks(content, context)}</blockquote>`;
+    case 'panel': {
+      const panelType = escapeHtml(attrs.panelType || 'info');
+      const title = attrs.title ? `<p><strong>${escapeHtml(attrs.title)}</strong></p>` : '';
+      return `<div class="panel panel-${panelType}">${title}${htmlBlocks(content, context)}</div>`;
+    }
+    case 'expand':
+    case 'nestedExpand':
+      return `<details><summary>${escapeHtml(attrs.title || 'Details')}</summary>${htmlBlocks(content, context)}</details>`;
+    case 'rule':
+      return '<hr>';
+    case 'table':
+      return `<table><tbody>${content.map(row =>
+        `<tr>${(row.content || []).map(cell => {
+          const tag = cell.type === 'tableHeader' ? 'th' : 'td';
+          return `<${tag}>${htmlCellContent(cell.content || [], context)}</${tag}>`;
+        }).join('')}</tr>`
+      ).join('')}</tbody></table>`;
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return `<p>${content.map(child => htmlInlineNode(child, [], context)).join(' ')}</p>`;
+    default:
+      return content.length > 0 ? htmlBlocks(content, context) : htmlInlineNode(node, [], context);
+  }
+}
+
+/**
+ * Render a list item, unwrapping a lone paragraph
+ * @param {Object} item List item node
+ * @param {Object} context Rendering context
+ * @returns {string} HTML
+ * @private
+ */
+function htmlListItem(item, context) {
+  return `<li>${htmlCellContent(item.content || [], context)}</li>`;
+}
+
+/**
+ * Render the blocks of a list item or table cell, unwrapping the first paragraph
+ * @param {Array<Object>} blocks Block nodes
+ * @param {Object} context Rendering context
+ * @returns {string} HTML
+ * @private
+ */
+function htmlCellContent(blocks, context) {
+  return blocks.map((block, index) => (
+    index === 0 && block.type === 'paragraph'
+      ? htmlInline(block.content || [], context)
+      : htmlBlock(block, context)
+  )).join('');
+}
+
+/**
+ * @param {Array<Object>} nodes Inline nodes
+ * @param {Object} context Rendering context
+ * @returns {string} HTML
+ * @private
+ */
+function htmlInline(nodes, context) {
+  return nodes.map(node => htmlInlineNode(node, node.marks || [], context)).join('');
+}
+
+/**
+ * @param {Object} node Inline node
+ * @param {Array<Object>} marks Marks of the node
+ * @param {Object} context Rendering context
+ * @returns {string} HTML
+ * @private
+ */
+function htmlInlineNode(node, marks, context) {
+  const attrs = node.attrs || {};
+
+  switch (node.type) {
+    case 'text':
+      return htmlMarks(escapeHtml(node.text || ''), marks);
+    case 'hardBreak':
+      return '<br>';
+    case 'mention':
+      return `<span class="mention">@${escapeHtml(mentionName(attrs, context))}</span>`;
+    case 'emoji':
+      return escapeHtml(attrs.text || attrs.shortName || '');
+    case 'inlineCard':
+    case 'blockCard': {
+      const url = safeUrl(attrs.url);
+      return url ? `<a href="${escapeHtml(url)}" rel="noopener noreferrer">${escapeHtml(url)}</a>` : '';
+    }
+    case 'status':
+      return `<span class="status">${escapeHtml(attrs.text || '')}</span>`;
+    case 'date':
+      return `<time>${escapeHtml(formatDate(attrs.timestamp))}</time>`;
+    case 'media': {
+      const target = mediaTarget(attrs, context);
+      if (!target.href) return `<span class="attachment">${escapeHtml(target.name)}</span>`;
+      return target.image
+        ? `<img src="${escapeHtml(target.href)}" alt="${escapeHtml(target.name)}">`
+        : `<a href="${escapeHtml(target.href)}" class="attachment">${escapeHtml(target.name)}</a>`;
+    }
+    default:
+      return node.content ? htmlInline(node.content, context) : escapeHtml(node.text || '');
+  }
+}
+
+/**
+ * Wrap escaped text in the HTML tags of its marks
+ * @param {string} html Escaped text
+ * @param {Array<Object>} marks Marks
+ * @returns {string} HTML
+ * @private
+ */
+function htmlMarks(html, marks) {
+  let result = html;
+  for (const mark of marks) {
+    switch (mark.type) {
+      case 'code':
+        result = `<code>${result}</code>`;
+        break;
+      case 'strong':
+        result = `<strong>${result}</strong>`;
+        break;
+      case 'em':
+        result = `<em>${result}</em>`;
+        break;
+      case 'strike':
+        result = `<del>${result}</del>`;
+        break;
+      case 'underline':
+        result = `<u>${result}</u>`;
+        break;
+      case 'subsup':
+        result = mark.attrs?.type === 'sup' ? `<sup>${result}</sup>` : `<sub>${result}</sub>`;
+        break;
+      case 'link': {
+        const href = safeUrl(mark.attrs?.href);
+        if (href) {
+          result = `<a href="${escapeHtml(href)}" rel="noopener noreferrer">${result}</a>`;
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {string} text Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  RENDER_FORMATS,
+  renderText,
+  issueContext,
+  wikiToAdf,
+  adfToMarkdown,
+  adfToHtml,
+  escapeHtml
+};
@@ -0,0 +1,162 @@
+/**
+ * Issue relationships for Jira Ticket Downloader exports
+ * Extracts issue links, parent/sub-task and epic membership and builds a dependency graph
+ */
+
+// Search fields needed to resolve relationships
+const RELATION_FIELDS = ['issuetype', 'parent', 'subtasks', 'issuelinks'];
+
+// Custom field type of the classic "Epic Link" field
+const EPIC_LINK_SCHEMA = 'com.pyxis.greenhopper.jira:gh-epic-link';
+
+/**
+ * Find the ID of the classic "Epic Link" custom field, if the instance has one
+ * Team-managed and newer company-managed projects use the parent field instead
+ * @param {Array<Object>} fieldDefinitions Field definitions from /field
+ * @returns {string|null} Field ID, e.g. customfield_10014
+ */
+function findEpicLinkField(fieldDefinitions) {
+  const field = fieldDefinitions.find(f => f.schema?.custom === EPIC_LINK_SCHEMA);
+  return field ? field.id : null;
+}
+
+/**
+ * Extract the relationships of an issue
+ * @param {Object} issue Issue from the search API
+ * @param {string|null} epicLinkField Epic Link custom field ID
+ * @returns {Object} { issueType, parent, epic, subtasks, links }
+ */
+function issueRelations(issue, epicLinkField) {
+  const fields = issue.fields || {};
+  const parent = fields.parent
+    ? {
+        key: fields.parent.key,
+        summary: fields.parent.fields?.summary || '',
+        issueType: fields.parent.fields?.issuetype?.name || ''
+      }
+    : null;
+
+  // An Epic parent means epic membership; otherwise fall back to the classic Epic Link field
+  let epic = null;
+  if (parent && (parent.issueType === 'Epic' || fields.parent.fields?.issuetype?.hierarchyLevel === 1)) {
+    epic = parent.key;
+  } else if (epicLinkField && fields[epicLinkField]) {
+    epic = fields[epicLinkField];
+  }
+
+  return {
+    issueType: fields.issuetype?.name || '',
+    parent,
+    epic,
+    subtasks: (fields.subtasks || []).map(subtask => ({
+      key: subtask.key,
+      summary: subtask.fields?.summary || '',
+      status: subtask.fields?.status?.name || ''
+    })),
+    links: (fields.issuelinks || []).map(link => {
+      const outward = Boolean(link.outwardIssue);
+      const linked = outward ? link.outwardIssue : link.inwardIssue;
+      return {
+        type: link.type?.name || '',
+        direction: outward ? 'outward' : 'inward',
+        relation: (outward ? link.type?.outward : link.type?.inward) || '',
+        key: linked?.key || '',
+        summary: linked?.fields?.summary || ''
+      };
+    })
+  };
+}
+
+/**
+ * Format the relationships of a ticket as CSV cells
+ * @param {Object} ticket Ticket with relationship fields
+ * @returns {Array<string>} Issue Type, Parent, Epic, Sub-tasks and Links cells
+ */
+function relationCsvCells(ticket) {
+  return [
+    ticket.issueType,
+    ticket.parent?.key || '',
+    ticket.epic || '',
+    ticket.subtasks.map(s => s.key).join(' | '),
+    ticket.links.map(l => `${l.relation} ${l.key}`).join(' | ')
+  ];
+}
+
+/**
+ * Build a dependency graph of the exported tickets
+ * Edges point from the outward side of a link (e.g. "A Blocks B") and from parent to child;
+ * issues referenced but not exported are included as external nodes
+ * @param {Array<Object>} tickets Tickets with relationship fields
+ * @returns {Object} Graph with nodes, edges and an adjacency list keyed by issue key
+ */
+function buildIssueGraph(tickets) {
+  const nodes = {};
+  const edges = [];
+  const seen = new Set();
+
+  for (const ticket of tickets) {
+    nodes[ticket.key] = {
+      summary: ticket.summary,
+      issueType: ticket.issueType,
+      status: ticket.status,
+      external: false
+    };
+  }
+
+  const addEdge = (from, to, type) => {
+    const id = `${from}|${to}|${type}`;
+    if (!from || !to || seen.has(id)) return;
+    seen.add(id);
+    edges.push({ from, to, type });
+    for (const key of [from, to]) {
+      if (!nodes[key]) {
+        nodes[key] = { summary: '', issueType: '', status: '', external: true };
+      }
+    }
+  };
+
+  for (const ticket of tickets) {
+    if (ticket.parent) {
+      addEdge(ticket.parent.key, ticket.key, ticket.epic === ticket.parent.key ? 'epic' : 'parent');
+    }
+    if (ticket.epic && ticket.epic !== ticket.parent?.key) {
+      addEdge(ticket.epic, ticket.key, 'epic');
+    }
+    for (const subtask of ticket.subtasks) {
+      addEdge(ticket.key, subtask.key, 'parent');
+    }
+    for (const link of ticket.links) {
+      // Inward links are recorded from the other side so both ends produce the same edge
+      if (link.direction === 'outward') {
+        addEdge(ticket.key, link.key, link.type);
+      } else {
+        addEdge(link.key, ticket.key, link.type);
+      }
+    }
+  }
+
+  const adjacency = {};
+  for (const key of Object.keys(nodes)) {
+    adjacency[key] = [];
+  }
+  for (const edge of edges) {
+    adjacency[edge.from].push({ key: edge.to, type: edge.type });
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    totalNodes: Object.keys(nodes).length,
+    totalEdges: edges.length,
+    nodes,
+    edges,
+    adjacency
+  };
+}
+
+module.exports = {
+  RELATION_FIELDS,
+  findEpicLinkField,
+  issueRelations,
+  relationCsvCells,
+  buildIssueGraph
+};
@@ -0,0 +1,317 @@
+/**
+ * Segment planner for attachment downloads
+ * Decides which attachments (or byte ranges of them) go into which zip segment before anything
+ * is downloaded. Plans are plain JSON, so they can be previewed, checkpointed and resumed.
+ *
+ * Strategies:
+ * - by-ticket: attachments in issue order, a new segment whenever the next one does not fit
+ * - by-size: largest attachments first, each into the first segment with room (fewest segments)
+ * - keep-tickets-together: all attachments of a ticket share one segment unless the ticket alone
+ *   exceeds the segment size, in which case it gets segments of its own
+ *
+ * Attachments larger than the segment size are split into parts that fill the space left in a
+ * segment instead of starting a new one at fixed byte boundaries.
+ */
+const defaults = require('../config/defaults');
+const { ARCHIVE_FORMATS } = require('./archive-formats');
+const { ENCRYPTED_EXTENSION } = require('./export-encryption');
+
+const STRATEGIES = ['by-ticket', 'by-size', 'keep-tickets-together'];
+
+// Split parts smaller than this are not worth a zip entry; the part starts a new segment instead
+const MIN_SPLIT_PART = 1024 * 1024;
+
+/**
+ * Build a planner error
+ * @param {string} message Error message
+ * @returns {Error} Error with a 400 status
+ * @private
+ */
+function planError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_SEGMENT_OPTIONS';
+  return error;
+}
+
+/**
+ * Validate the segment options of a job or download
+ * @param {Object} options { segmentSizeMb, strategy }, both optional
+ * @returns {Object} { segmentSize (bytes), strategy }
+ */
+function resolveSegmentOptions({ segmentSizeMb, strategy } = {}) {
+  let segmentSize = defaults.segmentSizeLimit;
+  if (segmentSizeMb !== undefined && segmentSizeMb !== null && segmentSizeMb !== '') {
+    const { minMb, maxMb } = defaults.segmentSizeRange;
+    const sizeMb = Number(segmentSizeMb);
+    if (!Number.isFinite(sizeMb) || sizeMb < minMb || sizeMb > maxMb) {
+      throw planError(`Segment size must be between ${minMb} and ${maxMb} MB`);
+    }
+    segmentSize = Math.round(sizeMb * 1024 * 1024);
+  }
+
+  const resolvedStrategy = strategy || defaults.segmentStrategy;
+  if (!STRATEGIES.includes(resolvedStrategy)) {
+    throw planError(`Unsupported segment strategy: ${strategy} (expected ${STRATEGIES.join(', ')})`);
+  }
+
+  return { segmentSize, strategy: resolvedStrategy };
+}
+
+/**
+ * Open a new segment
+ * @param {Array<Object>} segments Segments of the plan
+ * @returns {Object} The new segment
+ * @private
+ */
+function newSegment(segments) {
+  const segment = { size: 0, files: [] };
+  segments.push(segment);
+  return segment;
+}
+
+/**
+ * Put a byte range of an attachment into a segment
+ * Part numbers are assigned once the plan is complete
+ * @param {Object} segment Segment
+ * @param {Object} file Attachment entry { ticket, attachment, size }
+ * @param {number} startByte First byte
+ * @param {number} endByte Byte after the last one
+ * @private
+ */
+function addPart(segment, file, startByte, endByte) {
+  segment.files.push({
+    ticket: file.ticket,
+    attachment: file.attachment,
+    partNumber: 1,
+    totalParts: 1,
+    startByte,
+    endByte,
+    size: endByte - startByte
+  });
+  segment.size += endByte - startByte;
+}
+
+/**
+ * Split an attachment larger than a segment, starting in the space left in a segment
+ * @param {Array<Object>} segments Segments of the plan
+ * @param {number} segmentSize Segment size limit in bytes
+ * @param {Object|null} segment Segment to start in, if any
+ * @param {Object} file Attachment entry
+ * @returns {Object} Segment holding the last part, which may still have room
+ * @private
+ */
+function placeSplit(segments, segmentSize, segment, file) {
+  let target = segment && segmentSize - segment.size >= MIN_SPLIT_PART ? segment : newSegment(segments);
+  let offset = 0;
+  while (offset < file.size) {
+    if (target.size >= segmentSize) {
+      target = newSegment(segments);
+    }
+    const endByte = Math.min(file.size, offset + segmentSize - target.size);
+    addPart(target, file, offset, endByte);
+    offset = endByte;
+  }
+  return target;
+}
+
+/**
+ * Pack attachments in issue order, moving on to a new segment when the next one does not fit
+ * @param {Array<Object>} files Attachment entries
+ * @param {number} segmentSize Segment size limit in bytes
+ * @returns {Array<Object>} Segments
+ * @private
+ */
+function packInOrder(files, segmentSize) {
+  const segments = [];
+  let current = null;
+  for (const file of files) {
+    if (file.size > segmentSize) {
+      current = placeSplit(segments, segmentSize, current, file);
+    } else {
+      if (!current || current.size + file.size > segmentSize) {
+        current = newSegment(segments);
+      }
+      addPart(current, file, 0, file.size);
+    }
+  }
+  return segments;
+}
+
+/**
+ * Pack attachments largest first into the first segment with room (first-fit decreasing)
+ * Attachments larger than a segment fill whole segments; their remainder is packed like any other file
+ * @param {Array<Object>} files Attachment entries
+ * @param {number} segmentSize Segment size limit in bytes
+ * @returns {Array<Object>} Segments
+ * @private
+ */
+function packBySize(files, segmentSize) {
+  const segments = [];
+  const pieces = [];
+  for (const file of files) {
+    let offset = 0;
+    while (file.size - offset > segmentSize) {
+      addPart(newSegment(segments), file, offset, offset + segmentSize);
+      offset += segmentSize;
+    }
+    pieces.push({ file, startByte: offset, size: file.size - offset });
+  }
+
+  pieces.sort((a, b) => b.size - a.size);
+  for (const piece of pieces) {
+    const target = segments.find(segment => segment.size + piece.size <= segmentSize) || newSegment(segments);
+    addPart(target, piece.file, piece.startByte, piece.file.size);
+  }
+  return segments;
+}
+
+/**
+ * Pack whole tickets largest first into the first segment with room
+ * A ticket larger than a segment is packed in order into segments no other ticket shares
+ * @param {Array<Array<Object>>} tickets Attachment entries grouped by ticket
+ * @param {number} segmentSize Segment size limit in bytes
+ * @returns {Array<Object>} Segments
+ * @private
+ */
+function packTicketsTogether(tickets, segmentSize) {
+  const segments = [];
+  const oversized = [];
+  const groups = tickets
+    .map(files => ({ files, size: files.reduce((sum, file) => sum + file.size, 0) }))
+    .sort((a, b) => b.size - a.size);
+
+  for (const group of groups) {
+    if (group.size > segmentSize) {
+      oversized.push(...packInOrder(group.files, segmentSize));
+      continue;
+    }
+    const target = segments.find(segment => segment.size + group.size <= segmentSize) || newSegment(segments);
+    for (const file of group.files) {
+      addPart(target, file, 0, file.size);
+    }
+  }
+  return segments.concat(oversized);
+}
+
+/**
+ * Plan the segments of an attachment download
+ * @param {Array<Object>} issues Issues from the search API, with the attachment field
+ * @param {Object} options Planner options
+ * @param {number} [options.segmentSize] Segment size limit in bytes
+ * @param {string} [options.strategy] One of STRATEGIES
+ * @param {Set<string>} [options.skipAttachmentIds] Attachments to leave out, e.g. fetched by an earlier sync
+ * @returns {Object} { strategy, segmentSize, totalAttachments, totalBytes, segments: [{ number, size, files }] }
+ */
+function planSegments(issues, { segmentSize = defaults.segmentSizeLimit, strategy = defaults.segmentStrategy, skipAttachmentIds = new Set() } = {}) {
+  if (!STRATEGIES.includes(strategy)) {
+    throw planError(`Unsupported segment strategy: ${strategy}`);
+  }
+
+  const tickets = [];
+  for (const issue of issues) {
+    const files = [];
+    for (const attachment of issue.fields?.attachment || []) {
+      const size = parseInt(attachment.size || 0);
+      // Empty attachments have nothing to download
+      if (size === 0 || skipAttachmentIds.has(String(attachment.id))) continue;
+      files.push({
+        ticket: issue.key,
+        // Only what downloading needs, so plans stay small when checkpointed
+        attachment: {
+          id: attachment.id,
+          filename: attachment.filename,
+          size,
+          content: attachment.content
+        },
+        size
+      });
+    }
+    if (files.length > 0) {
+      tickets.push(files);
+    }
+  }
+
+  const files = tickets.flat();
+  let segments;
+  if (strategy === 'by-size') {
+    segments = packBySize(files, segmentSize);
+  } else if (strategy === 'keep-tickets-together') {
+    segments = packTicketsTogether(tickets, segmentSize);
+  } else {
+    segments = packInOrder(files, segmentSize);
+  }
+
+  // Number the parts of split attachments in byte order
+  const parts = new Map();
+  for (const segment of segments) {
+    for (const file of segment.files) {
+      if (!parts.has(file.attachment.id)) {
+        parts.set(file.attachment.id, []);
+      }
+      parts.get(file.attachment.id).push(file);
+    }
+  }
+  for (const attachmentParts of parts.values()) {
+    attachmentParts.sort((a, b) => a.startByte - b.startByte);
+    attachmentParts.forEach((file, index) => {
+      file.partNumber = index + 1;
+      file.totalParts = attachmentParts.length;
+    });
+  }
+
+  return {
+    strategy,
+    segmentSize,
+    totalAttachments: files.length,
+    totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+    segments: segments.map((segment, index) => ({
+      number: index + 1,
+      size: segment.size,
+      files: segment.files
+    }))
+  };
+}
+
+/**
+ * Name the segment files of a plan
+ * Names are fixed once, so a resumed job writes to the same files
+ * @param {Object} plan Segment plan
+ * @param {string} filePrefix Output file name prefix
+ * @param {string} [archiveFormat] Archive format of the segments (see lib/archive-formats.js)
+ * @param {boolean} [encrypted] True if the segments are sealed with a passphrase
+ * @returns {Object} The plan, with a fileName on every segment
+ */
+function nameSegments(plan, filePrefix, archiveFormat = 'zip', encrypted = false) {
+  const extension = ARCHIVE_FORMATS[archiveFormat].extension + (encrypted ? ENCRYPTED_EXTENSION : '');
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  for (const segment of plan.segments) {
+    segment.fileName = `${filePrefix}_attachments_part${segment.number}of${plan.segments.length}_${(segment.size / (1024 * 1024)).toFixed(1)}MB_${timestamp}${extension}`;
+  }
+  return plan;
+}
+
+/**
+ * Count the parts each planned attachment is split into
+ * @param {Array<Object>|null} segments Segments of a plan
+ * @returns {Object} Number of parts by attachment ID, for attachments split into more than one
+ */
+function attachmentPartCounts(segments) {
+  const counts = {};
+  for (const segment of segments || []) {
+    for (const file of segment.files) {
+      if (file.totalParts > 1) {
+        counts[file.attachment.id] = file.totalParts;
+      }
+    }
+  }
+  return counts;
+}
+
+module.exports = {
+  STRATEGIES,
+  resolveSegmentOptions,
+  planSegments,
+  nameSegments,
+  attachmentPartCounts
+};
@@ -0,0 +1,91 @@
+/**
+ * Streaming archive writer for attachment segments
+ * Each entry is piped from its download stream into the archive file on disk, so memory use
+ * depends on stream buffers only, not on the segment size.
+ *
+ * zip entries are streamed directly. A tar header needs the entry size before its data, so tar
+ * entries are first spooled to a file next to the segment; the archive is then compressed with
+ * gzip or zstd on its way to disk. Encrypted jobs seal the finished stream last (see
+ * lib/export-encryption.js), so no plain archive is written.
+ */
+const archiver = require('archiver');
+const fs = require('fs');
+const stream = require('stream');
+const zlib = require('zlib');
+const { createEncryptStream } = require('./export-encryption');
+
+/**
+ * Write a segment archive, streaming every entry to disk
+ * A segment that fails part-way is removed so no truncated archive is left behind
+ * @param {string} filePath Segment file path
+ * @param {string} format Archive format: 'zip', 'tar', 'tar.gz' or 'tar.zst' (see lib/archive-formats.js)
+ * @param {Function} fill Async callback receiving addEntry(name, stream), which resolves once the entry is written
+ * @param {Object} [options] { passphrase } to encrypt the segment
+ * @returns {Promise<number>} Size of the written segment in bytes
+ */
+async function writeSegment(filePath, format, fill, { passphrase = null } = {}) {
+  const output = fs.createWriteStream(filePath);
+  const archive = format === 'zip' ? archiver('zip') : archiver('tar');
+  const compressor = format === 'tar.gz' ? zlib.createGzip()
+    : format === 'tar.zst' ? zlib.createZstdCompress()
+    : null;
+  const encryptor = passphrase ? createEncryptStream(passphrase) : null;
+  const spoolPath = `${filePath}.entry`;
+  let currentSource = null;
+
+  const failed = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    archive.on('warning', reject);
+    output.on('error', reject);
+    for (const transform of [compressor, encryptor].filter(Boolean)) {
+      transform.on('error', reject);
+    }
+  });
+  // Rejections are consumed by the races below
+  failed.catch(() => {});
+  const closed = new Promise(resolve => output.on('close', resolve));
+
+  [compressor, encryptor].filter(Boolean).reduce((source, transform) => source.pipe(transform), archive).pipe(output);
+
+  // Entries are added one at a time so only one download is open per segment
+  const addEntry = async (name, source) => {
+    currentSource = source;
+    if (format !== 'zip') {
+      await stream.promises.pipeline(source, fs.createWriteStream(spoolPath));
+      const written = new Promise(resolve => archive.once('entry', resolve));
+      archive.file(spoolPath, { name });
+      await Promise.race([written, failed]);
+      await fs.promises.rm(spoolPath, { force: true });
+      return;
+    }
+
+    const written = new Promise(resolve => archive.once('entry', resolve));
+    // archiver does not forward errors of its sources, e.g. a dropped connection
+    const sourceFailed = new Promise((resolve, reject) => source.once('error', reject));
+    archive.append(source, { name });
+    return Promise.race([written, sourceFailed, failed]);
+  };
+
+  try {
+    await fill(addEntry);
+    await Promise.race([archive.finalize(), failed]);
+    await Promise.race([closed, failed]);
+    return fs.statSync(filePath).size;
+  } catch (error) {
+    if (currentSource && typeof currentSource.destroy === 'function') {
+      currentSource.destroy();
+    }
+    archive.abort();
+    for (const transform of [compressor, encryptor].filter(Boolean)) {
+      transform.destroy();
+    }
+    output.destroy();
+    await fs.promises.rm(filePath, { force: true });
+    await fs.promises.rm(spoolPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  writeSegment
+};
@@ -0,0 +1,125 @@
+/**
+ * Server-side login sessions
+ * Jira credentials stay in server memory; the browser only holds a random session ID
+ * in an HttpOnly cookie, so API keys no longer travel in query strings or request bodies
+ */
+const crypto = require('crypto');
+const defaults = require('../config/defaults');
+
+const COOKIE_NAME = 'jira_session';
+
+// Sessions by ID: { instance, username, secret, createdAt, expiresAt }
+// The secret is the API token, PAT or serialized OAuth tokens (see lib/auth-providers.js)
+const sessions = new Map();
+
+/**
+ * Create a session for verified credentials
+ * @param {Object} credentials { instance, username, secret }
+ * @returns {Object} { sessionId, expiresAt }
+ */
+function createSession({ instance, username, secret }) {
+  const sessionId = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const expiresAt = now + defaults.sessions.ttlMs;
+
+  sessions.set(sessionId, { instance, username, secret, createdAt: now, expiresAt });
+  return { sessionId, expiresAt };
+}
+
+/**
+ * Get a live session
+ * @param {string|null} sessionId Session ID
+ * @returns {Object|null} Session, or null if unknown or expired
+ */
+function getSession(sessionId) {
+  const session = sessionId ? sessions.get(sessionId) : null;
+  if (!session) {
+    return null;
+  }
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(sessionId);
+    return null;
+  }
+  return session;
+}
+
+/**
+ * End a session
+ * @param {string|null} sessionId Session ID
+ * @returns {Object|null} The ended session, or null if there was none
+ */
+function destroySession(sessionId) {
+  const session = sessionId ? sessions.get(sessionId) : null;
+  if (session) {
+    sessions.delete(sessionId);
+  }
+  return session || null;
+}
+
+/**
+ * Drop expired sessions so their credentials leave memory
+ * @returns {number} Number of sessions removed
+ */
+function purgeExpiredSessions() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [sessionId, session] of sessions) {
+    if (session.expiresAt <= now) {
+      sessions.delete(sessionId);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Read the session ID from a request's cookies
+ * @param {Object} req Express request
+ * @returns {string|null} Session ID
+ */
+function readSessionId(req) {
+  return readCookie(req, COOKIE_NAME);
+}
+
+/**
+ * Read a cookie from a request
+ * @param {Object} req Express request
+ * @param {string} cookieName Cookie name
+ * @returns {string|null} Cookie value
+ */
+function readCookie(req, cookieName) {
+  const cookies = req.headers.cookie || '';
+  for (const cookie of cookies.split(';')) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === cookieName) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+/**
+ * Cookie options for the session cookie
+ * @param {Object} req Express request
+ * @returns {Object} Options for res.cookie / res.clearCookie
+ */
+function cookieOptions(req) {
+  return {
+    httpOnly: true,
+    // Strict keeps the cookie off cross-site requests, which also blocks CSRF
+    sameSite: 'strict',
+    secure: req.secure,
+    path: '/'
+  };
+}
+
+module.exports = {
+  COOKIE_NAME,
+  createSession,
+  getSession,
+  destroySession,
+  purgeExpiredSessions,
+  readSessionId,
+  readCookie,
+  cookieOptions
+};
@@ -0,0 +1,187 @@
+/**
+ * Agile board and sprint export for Jira Ticket Downloader
+ * Walks the Jira Software API: boards of a project, sprints of each board, issues of each sprint
+ */
+const { jiraClient } = require('./jira-client');
+const fs = require('fs');
+const path = require('path');
+const instances = require('../config/instances');
+const { toCsv } = require('./csv');
+
+// Page size for agile endpoints (Jira caps boards and sprints at 50 per page)
+const AGILE_PAGE_SIZE = 50;
+
+/**
+ * Fetch every page of a paginated agile endpoint
+ * @param {string} url Endpoint URL
+ * @param {Object} headers Jira API headers
+ * @param {Object} params Query parameters
+ * @param {string} listKey Response property holding the page items ('values' or 'issues')
+ * @returns {Promise<Array<Object>>} All items
+ * @private
+ */
+async function fetchAllPages(url, headers, params, listKey) {
+  const items = [];
+  let startAt = 0;
+
+  while (true) {
+    const response = await jiraClient.get(url, {
+      headers,
+      params: { ...params, startAt, maxResults: AGILE_PAGE_SIZE }
+    });
+
+    const page = response.data[listKey] || [];
+    items.push(...page);
+    startAt += page.length;
+
+    const done = response.data.isLast ?? startAt >= (response.data.total || 0);
+    if (done || page.length === 0) {
+      break;
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Fetch the issues added and removed after a sprint started
+ * Uses the sprint report behind Jira's own reports, which the public agile API does not expose
+ * @param {Object} instance Jira instance profile
+ * @param {Object} headers Jira API headers
+ * @param {number} boardId Board ID
+ * @param {number} sprintId Sprint ID
+ * @returns {Promise<Object|null>} { added, removed } issue keys, or null if the report is unavailable
+ * @private
+ */
+async function fetchSprintChanges(instance, headers, boardId, sprintId) {
+  try {
+    const response = await jiraClient.get(`${instance.baseUrl}/rest/greenhopper/1.0/rapid/charts/sprintreport`, {
+      headers,
+      params: { rapidViewId: boardId, sprintId }
+    });
+    const contents = response.data.contents || {};
+    return {
+      added: Object.keys(contents.issueKeysAddedDuringSprint || {}),
+      removed: (contents.puntedIssues || []).map(issue => ({
+        key: issue.key,
+        summary: issue.summary || '',
+        status: issue.statusName || ''
+      }))
+    };
+  } catch (error) {
+    console.warn(`Sprint report unavailable for sprint ${sprintId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Collect the boards, sprints and sprint issues of a project
+ * @param {Object} instance Jira instance profile
+ * @param {Object} headers Jira API headers
+ * @param {string} projectKey Project key
+ * @param {Function} [onSprint] Called with (board, sprint) before each sprint is fetched
+ * @returns {Promise<Object>} Sprint export
+ */
+async function collectProjectSprints(instance, headers, projectKey, onSprint) {
+  const boards = await fetchAllPages(instances.agileUrl(instance, '/board'), headers, { projectKeyOrId: projectKey }, 'values');
+  // Sprints shared by several boards are fetched once
+  const sprintCache = new Map();
+  const result = [];
+
+  for (const board of boards) {
+    // Only scrum boards have sprints
+    if (board.type !== 'scrum') {
+      result.push({ id: board.id, name: board.name, type: board.type, sprints: [] });
+      continue;
+    }
+
+    const sprints = await fetchAllPages(instances.agileUrl(instance, `/board/${board.id}/sprint`), headers, {}, 'values');
+    const boardSprints = [];
+
+    for (const sprint of sprints) {
+      if (!sprintCache.has(sprint.id)) {
+        if (onSprint) {
+          await onSprint(board, sprint);
+        }
+
+        const issues = await fetchAllPages(
+          instances.agileUrl(instance, `/sprint/${sprint.id}/issue`),
+          headers,
+          { fields: 'summary,status' },
+          'issues'
+        );
+        const changes = await fetchSprintChanges(instance, headers, board.id, sprint.id);
+
+        sprintCache.set(sprint.id, {
+          id: sprint.id,
+          name: sprint.name,
+          state: sprint.state,
+          goal: sprint.goal || '',
+          startDate: sprint.startDate || null,
+          endDate: sprint.endDate || null,
+          completeDate: sprint.completeDate || null,
+          originBoardId: sprint.originBoardId ?? board.id,
+          issues: issues.map(issue => ({
+            key: issue.key,
+            summary: issue.fields?.summary || '',
+            status: issue.fields?.status?.name || ''
+          })),
+          addedDuringSprint: changes ? changes.added : null,
+          removedFromSprint: changes ? changes.removed : null
+        });
+      }
+      boardSprints.push(sprintCache.get(sprint.id));
+    }
+
+    result.push({ id: board.id, name: board.name, type: board.type, sprints: boardSprints });
+  }
+
+  return {
+    projectKey,
+    generatedAt: new Date().toISOString(),
+    totalBoards: result.length,
+    totalSprints: sprintCache.size,
+    boards: result
+  };
+}
+
+/**
+ * Write sprints JSON and CSV files
+ * The CSV has one row per sprint issue; removed issues are listed with the "removed" change
+ * @param {string} outputPath Output directory
+ * @param {string} filePrefix Output file name prefix
+ * @param {Object} sprintExport Export from collectProjectSprints
+ * @returns {Object} { jsonFileName, csvFileName }
+ */
+function writeSprintExport(outputPath, filePrefix, sprintExport) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const jsonFileName = `${filePrefix}_sprints_${timestamp}.json`;
+  const csvFileName = `${filePrefix}_sprints_${timestamp}.csv`;
+
+  const rows = [['Board', 'Sprint ID', 'Sprint', 'State', 'Goal', 'Start Date', 'End Date', 'Complete Date', 'Issue Key', 'Issue Summary', 'Issue Status', 'Change']];
+  for (const board of sprintExport.boards) {
+    for (const sprint of board.sprints) {
+      const sprintCells = [board.name, sprint.id, sprint.name, sprint.state, sprint.goal, sprint.startDate, sprint.endDate, sprint.completeDate];
+      const added = new Set(sprint.addedDuringSprint || []);
+      for (const issue of sprint.issues) {
+        rows.push([...sprintCells, issue.key, issue.summary, issue.status, added.has(issue.key) ? 'added' : '']);
+      }
+      for (const issue of sprint.removedFromSprint || []) {
+        rows.push([...sprintCells, issue.key, issue.summary, issue.status, 'removed']);
+      }
+      if (sprint.issues.length === 0 && !sprint.removedFromSprint?.length) {
+        rows.push([...sprintCells, '', '', '', '']);
+      }
+    }
+  }
+
+  fs.writeFileSync(path.join(outputPath, jsonFileName), JSON.stringify(sprintExport, null, 2));
+  fs.writeFileSync(path.join(outputPath, csvFileName), toCsv(rows));
+
+  return { jsonFileName, csvFileName };
+}
+
+module.exports = {
+  collectProjectSprints,
+  writeSprintExport
+};
@@ -0,0 +1,242 @@
+/**
+ * Offline HTML viewer for Jira Ticket Downloader exports
+ * Builds a static site (index, one page per ticket, client-side search) that works from file://
+ * The site shares the export folder of the attachment segments, so extracting every segment
+ * (zip or tar) into one directory makes the attachment links resolve
+ */
+const AdmZip = require('adm-zip');
+const path = require('path');
+const markup = require('./markup');
+
+const VIEWER_CSS = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #172b4d; margin: 0; background: #f4f5f7; }
+header { background: #0052cc; color: #fff; padding: 1rem 2rem; }
+header a { color: #fff; }
+main { max-width: 1100px; margin: 1.5rem auto; background: #fff; padding: 1.5rem 2rem; border-radius: 8px; box-shadow: 0 1px 3px rgba(9, 30, 66, 0.13); }
+table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+th, td { border: 1px solid #dfe1e6; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f4f5f7; }
+pre { background: #f4f5f7; padding: 0.75rem; overflow-x: auto; }
+blockquote, .panel { border-left: 4px solid #dfe1e6; margin: 0.5rem 0; padding: 0.25rem 1rem; }
+.panel-info { border-color: #0052cc; } .panel-note { border-color: #6554c0; } .panel-warning { border-color: #ffab00; } .panel-success { border-color: #36b37e; } .panel-error { border-color: #ff5630; }
+.mention { background: #e9f2ff; border-radius: 3px; padding: 0 0.2rem; }
+.meta th { width: 180px; }
+.comment { border-top: 1px solid #dfe1e6; padding: 0.75rem 0; }
+.comment-header { color: #6b778c; font-size: 0.875rem; margin-bottom: 0.5rem; }
+.parts { color: #6b778c; font-size: 0.875rem; }
+#search { width: 100%; padding: 0.6rem; font-size: 1rem; border: 1px solid #dfe1e6; border-radius: 4px; box-sizing: border-box; }
+#result-count { color: #6b778c; margin-top: 0.5rem; }
+img { max-width: 100%; }
+`;
+
+const VIEWER_JS = `
+(function () {
+  var input = document.getElementById('search');
+  if (!input) return;
+  var rows = Array.prototype.slice.call(document.querySelectorAll('tr[data-key]'));
+  var count = document.getElementById('result-count');
+  function filter() {
+    var terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    var shown = 0;
+    rows.forEach(function (row) {
+      var text = window.TICKET_SEARCH_INDEX[row.getAttribute('data-key')] || '';
+      var match = terms.every(function (term) { return text.indexOf(term) !== -1; });
+      row.style.display = match ? '' : 'none';
+      if (match) shown++;
+    });
+    count.textContent = shown + ' of ' + rows.length + ' tickets';
+  }
+  input.addEventListener('input', filter);
+  filter();
+})();
+`;
+
+/**
+ * Build the viewer zip for an export
+ * @param {string} outputPath Output directory
+ * @param {string} filePrefix Output file name prefix
+ * @param {Object} viewer Viewer content
+ * @param {string} viewer.title Export title (project or JQL)
+ * @param {string} viewer.exportLabel Root folder shared with the attachment segments
+ * @param {Array<Object>} viewer.issues Issues from the search API, used for rich text
+ * @param {Array<Object>} viewer.tickets Exported tickets, in the same order as issues
+ * @param {Object} [viewer.attachmentParts] Parts of attachments split across segments, by attachment ID
+ * @returns {string} Viewer zip file name
+ */
+function writeViewer(outputPath, filePrefix, { title, exportLabel, issues, tickets, attachmentParts = {} }) {
+  const zip = new AdmZip();
+  const exportedKeys = new Set(tickets.map(ticket => ticket.key));
+  const searchIndex = {};
+
+  tickets.forEach((ticket, index) => {
+    const issue = issues[index] || {};
+    const page = ticketPage(ticket, issue, { title, exportLabel, exportedKeys, attachmentParts });
+    zip.addFile(`${exportLabel}/tickets/${ticket.key}.html`, Buffer.from(page.html));
+    searchIndex[ticket.key] = [
+      ticket.key,
+      ticket.summary,
+      ticket.status,
+      ticket.assignee,
+      ticket.reporter,
+      page.text
+    ].join(' ').toLowerCase();
+  });
+
+  zip.addFile(`${exportLabel}/index.html`, Buffer.from(indexPage(title, tickets)));
+  zip.addFile(`${exportLabel}/assets/viewer.css`, Buffer.from(VIEWER_CSS.trimStart()));
+  zip.addFile(`${exportLabel}/assets/viewer.js`, Buffer.from(VIEWER_JS.trimStart()));
+  // Loaded with a script tag because browsers block fetch() from file://
+  zip.addFile(`${exportLabel}/assets/search-index.js`, Buffer.from(`window.TICKET_SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n`));
+
+  const viewerFileName = `${filePrefix}_viewer_${new Date().toISOString().replace(/[:.]/g, '-')}.zip`;
+  zip.writeZip(path.join(outputPath, viewerFileName));
+  return viewerFileName;
+}
+
+/**
+ * Wrap page content in the shared layout
+ * @param {string} pageTitle Page title
+ * @param {string} assetPath Relative path to the assets folder
+ * @param {string} header Header HTML
+ * @param {string} body Main HTML
+ * @returns {string} HTML document
+ * @private
+ */
+function layout(pageTitle, assetPath, header, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${markup.escapeHtml(pageTitle)}</title>
+<link rel="stylesheet" href="${assetPath}/viewer.css">
+</head>
+<body>
+<header>${header}</header>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the index page with the ticket table and search box
+ * @param {string} title Export title
+ * @param {Array<Object>} tickets Exported tickets
+ * @returns {string} HTML document
+ * @private
+ */
+function indexPage(title, tickets) {
+  const rows = tickets.map(ticket => `<tr data-key="${markup.escapeHtml(ticket.key)}">
+<td><a href="tickets/${encodeURIComponent(ticket.key)}.html">${markup.escapeHtml(ticket.key)}</a></td>
+<td>${markup.escapeHtml(ticket.summary)}</td>
+<td>${markup.escapeHtml(ticket.issueType || '')}</td>
+<td>${markup.escapeHtml(ticket.status)}</td>
+<td>${markup.escapeHtml(ticket.assignee)}</td>
+<td>${markup.escapeHtml(ticket.updated)}</td>
+</tr>`).join('\n');
+
+  const body = `<input type="search" id="search" placeholder="Search tickets, descriptions and comments" autofocus>
+<div id="result-count"></div>
+<table>
+<thead><tr><th>Key</th><th>Summary</th><th>Type</th><th>Status</th><th>Assignee</th><th>Updated</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+<script src="assets/search-index.js"></script>
+<script src="assets/viewer.js"></script>`;
+
+  return layout(title, 'assets', `<h1>${markup.escapeHtml(title)}</h1><p>${tickets.length} tickets, exported ${new Date().toISOString()}</p>`, body);
+}
+
+/**
+ * Build the page of one ticket
+ * @param {Object} ticket Exported ticket
+ * @param {Object} issue Issue from the search API
+ * @param {Object} options { title, exportLabel, exportedKeys, attachmentParts }
+ * @returns {Object} { html, text } where text is the searchable plain text
+ * @private
+ */
+function ticketPage(ticket, issue, { title, exportLabel, exportedKeys, attachmentParts }) {
+  const escape = markup.escapeHtml;
+  // Ticket pages live in <exportLabel>/tickets/, attachments in <exportLabel>/<key>/
+  const context = { ...markup.issueContext(issue, exportLabel), attachmentPath: (filename) => `../${ticket.key}/${filename}` };
+  const fields = issue.fields || {};
+
+  const issueLink = (key) => (exportedKeys.has(key)
+    ? `<a href="${encodeURIComponent(key)}.html">${escape(key)}</a>`
+    : escape(key));
+
+  const descriptionHtml = fields.description ? markup.renderText(fields.description, 'html', context) : '';
+  const comments = (fields.comment?.comments || []).map(comment => ({
+    author: comment.author?.displayName || '',
+    created: comment.created || '',
+    html: markup.renderText(comment.body || '', 'html', context)
+  }));
+
+  const metaRows = [
+    ['Status', escape(ticket.status)],
+    ['Type', escape(ticket.issueType || '')],
+    ['Priority', escape(ticket.priority)],
+    ['Assignee', escape(ticket.assignee)],
+    ['Reporter', escape(ticket.reporter)],
+    ['Created', escape(ticket.created)],
+    ['Updated', escape(ticket.updated)],
+    ['Parent', ticket.parent ? issueLink(ticket.parent.key) : ''],
+    ['Epic', ticket.epic ? issueLink(ticket.epic) : ''],
+    ['Sub-tasks', (ticket.subtasks || []).map(subtask => issueLink(subtask.key)).join(', ')],
+    ['Links', (ticket.links || []).map(link => `${escape(link.relation)} ${issueLink(link.key)}`).join('<br>')],
+    ...Object.entries(ticket.customFields || {}).map(([name, value]) => [
+      escape(name),
+      escape(Array.isArray(value) ? value.join(', ') : (value ?? ''))
+    ])
+  ].filter(([, value]) => value !== '');
+
+  const attachments = (fields.attachment || []).map(attachment => {
+    const size = parseInt(attachment.size || 0);
+    const href = `../${encodeURIComponent(ticket.key)}/${encodeURIComponent(attachment.filename)}`;
+    const partCount = attachmentParts[attachment.id] || 1;
+    const parts = partCount > 1
+      ? `<div class="parts">Split into ${partCount} parts across segments: ${Array.from({ length: partCount }, (_, i) =>
+          `<a href="${href}.part${i + 1}">part ${i + 1}</a>`).join(', ')}. The link above opens the reassembled file.</div>`
+      : '';
+    return `<li><a href="${href}">${escape(attachment.filename)}</a> (${(size / (1024 * 1024)).toFixed(1)} MB)${parts}</li>`;
+  });
+
+  const history = ticket.history || [];
+
+  const body = `<p><a href="../index.html">&larr; All tickets</a></p>
+<table class="meta"><tbody>
+${metaRows.map(([name, value]) => `<tr><th>${name}</th><td>${value}</td></tr>`).join('\n')}
+</tbody></table>
+<h2>Description</h2>
+${descriptionHtml || '<p><em>No description</em></p>'}
+${attachments.length > 0 ? `<h2>Attachments</h2>\n<ul>\n${attachments.join('\n')}\n</ul>` : ''}
+<h2>Comments (${comments.length})</h2>
+${comments.map(comment => `<div class="comment">
+<div class="comment-header">${escape(comment.author)} &middot; ${escape(comment.created)}</div>
+${comment.html}
+</div>`).join('\n') || '<p><em>No comments</em></p>'}
+${history.length > 0 ? `<h2>History</h2>
+<table>
+<thead><tr><th>When</th><th>Who</th><th>Field</th><th>From</th><th>To</th></tr></thead>
+<tbody>
+${history.map(entry => `<tr><td>${escape(entry.timestamp)}</td><td>${escape(entry.author)}</td><td>${escape(entry.field)}</td><td>${escape(entry.from)}</td><td>${escape(entry.to)}</td></tr>`).join('\n')}
+</tbody>
+</table>` : ''}`;
+
+  const header = `<p><a href="../index.html">${escape(title)}</a></p><h1>${escape(ticket.key)}: ${escape(ticket.summary)}</h1>`;
+  const text = [descriptionHtml, ...comments.map(comment => comment.html)].join(' ').replace(/<[^>]+>/g, ' ').replace(/&[a-z#0-9]+;/g, ' ').replace(/\s+/g, ' ');
+
+  return {
+    html: layout(`${ticket.key}: ${ticket.summary}`, '../assets', header, body),
+    text
+  };
+}
+
+module.exports = {
+  writeViewer
+};
@@ -0,0 +1,130 @@
+/**
+ * Worklog export for Jira Ticket Downloader
+ * Collects every worklog of an issue and summarizes time spent per author, issue and month
+ */
+const { jiraClient } = require('./jira-client');
+const fs = require('fs');
+const path = require('path');
+const instances = require('../config/instances');
+const { toCsv } = require('./csv');
+
+// Page size for the per-issue worklog endpoint
+const WORKLOG_PAGE_SIZE = 100;
+
+/**
+ * Collect all worklogs of an issue fetched with the worklog field
+ * The search API embeds at most 20 worklogs, so longer lists are paginated
+ * @param {Object} instance Jira instance profile
+ * @param {Object} headers Jira API headers
+ * @param {Object} issue Issue from the search API
+ * @returns {Promise<Array<Object>>} Normalized worklogs
+ */
+async function collectIssueWorklogs(instance, headers, issue) {
+  const embedded = issue.fields?.worklog || {};
+  let worklogs = embedded.worklogs || [];
+
+  if ((embedded.total || 0) > worklogs.length) {
+    worklogs = [];
+    let startAt = 0;
+    while (true) {
+      const response = await jiraClient.get(instances.apiUrl(instance, `/issue/${issue.key}/worklog`), {
+        headers,
+        params: { startAt, maxResults: WORKLOG_PAGE_SIZE }
+      });
+
+      const page = response.data.worklogs || [];
+      worklogs.push(...page);
+      startAt += page.length;
+
+      if (page.length === 0 || startAt >= (response.data.total || 0)) {
+        break;
+      }
+    }
+  }
+
+  return worklogs.map(worklog => ({
+    id: worklog.id || '',
+    issueKey: issue.key,
+    author: worklog.author?.displayName || '',
+    started: worklog.started || '',
+    timeSpent: worklog.timeSpent || '',
+    timeSpentSeconds: worklog.timeSpentSeconds || 0,
+    comment: worklog.comment || ''
+  }));
+}
+
+/**
+ * Summarize time spent per author, per issue and per month (yyyy-MM of the start date)
+ * @param {Array<Object>} worklogs Normalized worklogs
+ * @returns {Object} Summary with byAuthor, byIssue and byMonth totals
+ */
+function summarizeWorklogs(worklogs) {
+  const group = (keyOf) => {
+    const totals = new Map();
+    for (const worklog of worklogs) {
+      const name = keyOf(worklog);
+      const total = totals.get(name) || { name, timeSpentSeconds: 0, entries: 0 };
+      total.timeSpentSeconds += worklog.timeSpentSeconds;
+      total.entries++;
+      totals.set(name, total);
+    }
+    return [...totals.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(total => ({ ...total, hours: Number((total.timeSpentSeconds / 3600).toFixed(2)) }));
+  };
+
+  const totalSeconds = worklogs.reduce((sum, worklog) => sum + worklog.timeSpentSeconds, 0);
+
+  return {
+    totalWorklogs: worklogs.length,
+    totalTimeSpentSeconds: totalSeconds,
+    totalHours: Number((totalSeconds / 3600).toFixed(2)),
+    byAuthor: group(worklog => worklog.author),
+    byIssue: group(worklog => worklog.issueKey),
+    byMonth: group(worklog => worklog.started.slice(0, 7))
+  };
+}
+
+/**
+ * Write the worklogs and their summary next to the tickets file
+ * @param {string} outputPath Output directory
+ * @param {string} filePrefix Output file name prefix
+ * @param {string} fileFormat 'json' or 'csv'
+ * @param {Array<Object>} worklogs Normalized worklogs
+ * @returns {Object} { worklogFileName, summaryFileName, summary }
+ */
+function writeWorklogExport(outputPath, filePrefix, fileFormat, worklogs) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const worklogFileName = `${filePrefix}_worklogs_${timestamp}.${fileFormat}`;
+  const summaryFileName = `${filePrefix}_worklog_summary_${timestamp}.${fileFormat}`;
+  const summary = summarizeWorklogs(worklogs);
+
+  if (fileFormat === 'json') {
+    fs.writeFileSync(path.join(outputPath, worklogFileName), JSON.stringify(worklogs, null, 2));
+    fs.writeFileSync(path.join(outputPath, summaryFileName), JSON.stringify(summary, null, 2));
+  } else {
+    const worklogRows = [['Key', 'Author', 'Started', 'Time Spent', 'Time Spent (seconds)', 'Comment']];
+    for (const worklog of worklogs) {
+      worklogRows.push([worklog.issueKey, worklog.author, worklog.started, worklog.timeSpent, worklog.timeSpentSeconds, worklog.comment]);
+    }
+
+    const summaryRows = [['Group', 'Name', 'Time Spent (seconds)', 'Hours', 'Entries']];
+    for (const [groupName, totals] of [['Author', summary.byAuthor], ['Issue', summary.byIssue], ['Month', summary.byMonth]]) {
+      for (const total of totals) {
+        summaryRows.push([groupName, total.name, total.timeSpentSeconds, total.hours, total.entries]);
+      }
+    }
+    summaryRows.push(['Total', '', summary.totalTimeSpentSeconds, summary.totalHours, summary.totalWorklogs]);
+
+    fs.writeFileSync(path.join(outputPath, worklogFileName), toCsv(worklogRows));
+    fs.writeFileSync(path.join(outputPath, summaryFileName), toCsv(summaryRows));
+  }
+
+  return { worklogFileName, summaryFileName, summary };
+}
+
+module.exports = {
+  collectIssueWorklogs,
+  summarizeWorklogs,
+  writeWorklogExport
+};
@@ -25,12 +25,102 @@ const DEFAULT_CONFIG = {
   combinedLogPath: path.join(__dirname, 'logs', 'combined.log'),
   maxLogSize: 10 * 1024 * 1024, // 10MB
   maxLogFiles: 5,
-  format: 'json'
+  format: 'json',
+  // Secret redaction, applied to every entry before it reaches the console or a log file
+  // Rules given here or in LOG_REDACT_KEYS / LOG_REDACT_PATHS / LOG_REDACT_HEADERS (comma-separated)
+  // are added to the built-in ones
+  redact: {
+    // Regular expressions matched against whole object keys, case-insensitive
+    keys: [
+      'api[_-]?key',
+      'pass(word|phrase)',
+      '(client[_-]?)?secret',
+      'token',
+      '(access|refresh|auth|id|api)[_-]?token',
+      'credentials?',
+      'session[_-]?id'
+    ],
+    // Dotted paths from the top of the logged data; '*' matches any one key or array index
+    paths: [],
+    // Header names, redacted inside any "headers" object
+    headers: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'],
+    replacement: '[REDACTED]'
+  }
 };
 
+// Secrets recognised inside any logged string (messages, URLs, SQL, error texts)
+const SECRET_PATTERNS = [
+  // HTTP Basic and Bearer credentials
+  { pattern: /\b(Basic|Bearer)\s+[A-Za-z0-9._~+/=-]{8,}/gi, keep: '$1 ' },
+  // Atlassian API tokens, Connect tokens and Bitbucket app passwords
+  { pattern: /\b(?:ATATT|ATCTT|ATBB)[A-Za-z0-9_=-]{16,}/g, keep: '' },
+  // Credentials sealed by lib/credential-store.js
+  { pattern: /\benc:v1:[A-Za-z0-9+/=:]+/g, keep: '' },
+  // Secrets passed in query strings
+  { pattern: /([?&](?:api_?key|token|access_token|password)=)[^&\s"']+/gi, keep: '$1' }
+];
+
+// Objects nested deeper than this are logged as a placeholder
+const MAX_REDACT_DEPTH = 20;
+
+/**
+ * Split a comma-separated environment variable into a list
+ * @param {string} name - Variable name
+ * @returns {string[]} Values
+ * @private
+ */
+function envList(name) {
+  return (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * Combine the built-in redaction rules with configured ones
+ * @param {object} redact - Configured rules
+ * @returns {object} Rules with the built-in ones first
+ * @private
+ */
+function mergeRedactRules(redact = {}) {
+  const builtIn = DEFAULT_CONFIG.redact;
+  const merge = (name, envName) => [...new Set([...builtIn[name], ...(redact[name] || []), ...envList(envName)])];
+  return {
+    keys: merge('keys', 'LOG_REDACT_KEYS'),
+    paths: merge('paths', 'LOG_REDACT_PATHS'),
+    headers: merge('headers', 'LOG_REDACT_HEADERS').map(name => name.toLowerCase()),
+    replacement: redact.replacement || builtIn.replacement
+  };
+}
+
+/**
+ * Find the column each "?" placeholder of a SQL statement is bound to
+ * Understands INSERT column lists and "column = ?" style comparisons; other placeholders get null
+ * @param {string} sql - SQL statement
+ * @returns {Array<string|null>} Column name per placeholder
+ * @private
+ */
+function placeholderColumns(sql) {
+  const insert = sql.match(/INSERT\s+(?:OR\s+\w+\s+)?INTO\s+\w+\s*\(([^)]*)\)\s*VALUES\s*\(([^)]*)\)/i);
+  if (insert) {
+    const columns = insert[1].split(',').map(column => column.trim());
+    return insert[2].split(',')
+      .map((value, index) => (value.trim() === '?' ? columns[index] || null : undefined))
+      .filter(column => column !== undefined);
+  }
+
+  const columns = [];
+  const placeholder = /\?/g;
+  while (placeholder.exec(sql)) {
+    const before = sql.slice(0, placeholder.lastIndex - 1);
+    const comparison = before.match(/(\w+)\s*(?:=|!=|<>|<=|>=|<|>|\bLIKE)\s*$/i);
+    columns.push(comparison ? comparison[1] : null);
+  }
+  return columns;
+}
+
 class Logger {
   constructor(config = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config };
+    this.config.redact = mergeRedactRules(config.redact);
+    this._compileRedactRules();
     this.currentLevel = LOG_LEVELS[this.config.level] || LOG_LEVELS.INFO;
     
     // Create log directory if it doesn't exist
@@ -100,6 +190,141 @@ class Logger {
     this._log('TRACE', message, data);
   }
   
+  /**
+   * Add redaction rules at runtime
+   * @param {object} rules - { keys, paths, headers } lists to add
+   */
+  addRedactionRules(rules = {}) {
+    const current = this.config.redact;
+    this.config.redact = {
+      ...current,
+      keys: [...new Set([...current.keys, ...(rules.keys || [])])],
+      paths: [...new Set([...current.paths, ...(rules.paths || [])])],
+      headers: [...new Set([...current.headers, ...(rules.headers || []).map(name => name.toLowerCase())])]
+    };
+    this._compileRedactRules();
+  }
+  
+  /**
+   * Return a copy of a value with secrets replaced
+   * @param {*} value - Value to redact
+   * @returns {*} Redacted copy
+   */
+  redact(value) {
+    return this._redactValue(value, [], false, new WeakSet());
+  }
+  
+  /**
+   * Redact the bound parameters of a SQL statement
+   * Parameters bound to a column whose name looks secret (e.g. api_key) are replaced
+   * @param {string} sql - SQL statement
+   * @param {Array|object} params - Bound parameters
+   * @returns {Array|object} Redacted copy of the parameters
+   */
+  redactQueryParams(sql, params) {
+    if (!Array.isArray(params)) {
+      return params;
+    }
+    
+    const columns = typeof sql === 'string' ? placeholderColumns(sql) : [];
+    return params.map((param, index) => (
+      columns[index] && this._isSecretKey(columns[index]) ? this.config.redact.replacement : param
+    ));
+  }
+  
+  /**
+   * Build the regular expressions for the configured key and path rules
+   * @private
+   */
+  _compileRedactRules() {
+    const { keys, paths } = this.config.redact;
+    this._secretKeys = keys.map(source => new RegExp(`^(?:${source})$`, 'i'));
+    this._secretPaths = paths.map(pathRule => pathRule.split('.'));
+  }
+  
+  /**
+   * Check whether an object key holds a secret
+   * @param {string} key - Object key
+   * @returns {boolean} True if the key matches a key rule
+   * @private
+   */
+  _isSecretKey(key) {
+    return this._secretKeys.some(rule => rule.test(key));
+  }
+  
+  /**
+   * Check whether a path matches a path rule
+   * @param {string[]} keyPath - Keys from the top of the logged data
+   * @returns {boolean} True if a path rule matches
+   * @private
+   */
+  _isSecretPath(keyPath) {
+    return this._secretPaths.some(rule => rule.length === keyPath.length &&
+      rule.every((segment, index) => segment === '*' || segment === keyPath[index]));
+  }
+  
+  /**
+   * Replace secrets found inside a string
+   * @param {string} text - Text
+   * @returns {string} Redacted text
+   * @private
+   */
+  _redactString(text) {
+    const { replacement } = this.config.redact;
+    return SECRET_PATTERNS.reduce((result, { pattern, keep }) => result.replace(pattern, `${keep}${replacement}`), text);
+  }
+  
+  /**
+   * Recursively copy a value, replacing secrets
+   * @param {*} value - Value to copy
+   * @param {string[]} keyPath - Keys from the top of the logged data
+   * @param {boolean} inHeaders - True if value is a "headers" object
+   * @param {WeakSet} seen - Objects on the current path, to cut cycles
+   * @returns {*} Redacted copy
+   * @private
+   */
+  _redactValue(value, keyPath, inHeaders, seen) {
+    if (typeof value === 'string') {
+      return this._redactString(value);
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    
+    // Same view JSON.stringify would use (e.g. axios errors expose their request config this way)
+    if (typeof value.toJSON === 'function' && !Buffer.isBuffer(value)) {
+      const json = value.toJSON();
+      return json === value ? json : this._redactValue(json, keyPath, inHeaders, seen);
+    }
+    if (value instanceof Error) {
+      value = { name: value.name, message: value.message, stack: value.stack, ...value };
+    }
+    if (Buffer.isBuffer(value)) {
+      return `[Buffer ${value.length} bytes]`;
+    }
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    if (keyPath.length >= MAX_REDACT_DEPTH) {
+      return '[Object]';
+    }
+    
+    seen.add(value);
+    const { replacement, headers } = this.config.redact;
+    const copy = Array.isArray(value) ? [] : {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = [...keyPath, key];
+      const secret = (inHeaders && headers.includes(key.toLowerCase())) ||
+        (!Array.isArray(value) && this._isSecretKey(key)) ||
+        this._isSecretPath(childPath);
+      copy[key] = secret && child !== null && child !== undefined
+        ? replacement
+        : this._redactValue(child, childPath, key.toLowerCase() === 'headers', seen);
+    }
+    seen.delete(value);
+    return copy;
+  }
+  
   /**
    * Log an HTTP request
    * @param {object} req - Express request object
@@ -173,6 +398,11 @@ class Logger {
     }
     
     const timestamp = new Date().toISOString();
+    
+    // Redact once so console, combined.log and error.log all get the same safe entry
+    message = this._redactString(String(message));
+    data = data ? this.redact(data) : null;
+    
     const logEntry = {
       timestamp,
       level,
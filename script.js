@@ -4,9 +4,14 @@ const STORAGE_KEY = 'jira_downloader_settings';
 
 // DOM Elements
 const connectionForm = document.getElementById('connectionForm');
+const instanceSelect = document.getElementById('instance');
+const usernameGroup = document.getElementById('usernameGroup');
+const apiKeyGroup = document.getElementById('apiKeyGroup');
+const apiKeyLabel = document.getElementById('apiKeyLabel');
 const usernameInput = document.getElementById('username');
 const apiKeyInput = document.getElementById('apiKey');
 const connectBtn = document.getElementById('connectBtn');
+const logoutBtn = document.getElementById('logoutBtn');
 const projectSelection = document.getElementById('projectSelection');
 const projectList = document.querySelector('.project-list');
 const downloadBtn = document.getElementById('downloadBtn');
@@ -16,12 +21,43 @@ const downloadSummary = document.getElementById('downloadSummary');
 const downloadReportBtn = document.getElementById('downloadReportBtn');
 const newDownloadBtn = document.getElementById('newDownloadBtn');
 const downloadLocationSection = document.getElementById('downloadLocationSection');
+const syncModeSection = document.getElementById('syncModeSection');
+const encryptionSection = document.getElementById('encryptionSection');
+const exportPassphraseInput = document.getElementById('exportPassphrase');
+const includeHistoryInput = document.getElementById('includeHistory');
 const downloadPathInput = document.getElementById('downloadPath');
 const validatePathBtn = document.getElementById('validatePathBtn');
 const browseBtn = document.getElementById('browseBtn');
 const directoryInput = document.getElementById('directoryInput');
 const pathValidationResult = document.querySelector('.path-validation-result');
 const pathOptions = document.querySelector('.path-options');
+const jqlQueryInput = document.getElementById('jqlQuery');
+const validateJqlBtn = document.getElementById('validateJqlBtn');
+const jqlValidationResult = document.querySelector('.jql-validation-result');
+const segmentSizeInput = document.getElementById('segmentSizeMb');
+const segmentStrategySelect = document.getElementById('segmentStrategy');
+const archiveFormatSelect = document.getElementById('archiveFormat');
+const previewSegmentsBtn = document.getElementById('previewSegmentsBtn');
+const segmentPlanResult = document.querySelector('.segment-plan-result');
+const reassemblyScriptInput = document.getElementById('reassemblyScript');
+const customFieldFilterInput = document.getElementById('customFieldFilter');
+const customFieldList = document.querySelector('.custom-field-list');
+const scheduleSection = document.getElementById('scheduleSection');
+const scheduleNameInput = document.getElementById('scheduleName');
+const scheduleCronInput = document.getElementById('scheduleCron');
+const saveScheduleBtn = document.getElementById('saveScheduleBtn');
+
+// Label used in place of a project key when downloading a custom JQL query
+const JQL_TARGET = 'JQL';
+
+// Display names of the supported download types
+const DOWNLOAD_TYPE_LABELS = {
+    all: 'Everything',
+    tickets: 'Tickets Only',
+    attachments: 'Attachments Only',
+    worklogs: 'Tickets & Worklogs',
+    sprints: 'Sprints'
+};
 
 // State
 let isConnected = false;
@@ -34,6 +70,7 @@ let currentDownloadStats = {
     failedProjects: []
 };
 let predefinedPaths = [];
+let instanceProfiles = [];
 let isDownloadPathValid = false;
 
 // Client-side error logging
@@ -74,24 +111,90 @@ window.REPORT_ERRORS_TO_SERVER = true;
 function loadSavedSettings() {
     const savedSettings = localStorage.getItem(STORAGE_KEY);
     if (savedSettings) {
-        const { username } = JSON.parse(savedSettings);
-        usernameInput.value = username;
+        const { username, instance } = JSON.parse(savedSettings);
+        usernameInput.value = username || '';
+        if (instance && instanceProfiles.some(profile => profile.name === instance)) {
+            instanceSelect.value = instance;
+            updateCredentialFields();
+        }
     }
 }
 
 // Save settings
 function saveSettings() {
     const settings = {
-        username: usernameInput.value
+        username: usernameInput.value,
+        instance: instanceSelect.value
     };
     localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
 }
 
+// Get the selected Jira instance profile
+function getSelectedInstance() {
+    return instanceProfiles.find(profile => profile.name === instanceSelect.value) || null;
+}
+
+// Show the credential fields required by the selected instance's auth type
+function updateCredentialFields() {
+    const instance = getSelectedInstance();
+    const isBearer = instance && instance.authType === 'bearer';
+    // OAuth logins happen at Atlassian, so no credentials are entered here
+    const isOAuth = instance && instance.authType === 'oauth';
+    usernameGroup.style.display = isBearer || isOAuth ? 'none' : 'block';
+    usernameInput.required = !isBearer && !isOAuth;
+    apiKeyGroup.style.display = isOAuth ? 'none' : 'block';
+    apiKeyInput.required = !isOAuth;
+    apiKeyLabel.textContent = isBearer ? 'Personal Access Token' : 'API Key';
+    connectBtn.querySelector('.btn-text').textContent = isOAuth ? 'Log in with Atlassian' : 'Connect';
+}
+
+// Fetch configured Jira instance profiles
+async function fetchInstances() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/instances`);
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to fetch Jira instances');
+        }
+        
+        instanceProfiles = data.instances;
+        instanceSelect.innerHTML = instanceProfiles.map(profile => `
+            <option value="${profile.name}">${profile.label} (${profile.baseUrl})</option>
+        `).join('');
+        instanceSelect.value = data.defaultInstance;
+        updateCredentialFields();
+    } catch (error) {
+        logError('INSTANCES', 'Failed to fetch Jira instances', { error: error.message });
+        showError(error.message);
+    }
+}
+
+// Mark the archive formats this server cannot write (tar.zst needs zstd support in Node.js)
+async function fetchArchiveFormats() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/archive-formats`);
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to fetch archive formats');
+        }
+        
+        archiveFormatSelect.innerHTML = data.formats.map(({ format, available }) => `
+            <option value="${format}" ${available ? '' : 'disabled'}>${format}${available ? '' : ' (not available on this server)'}</option>
+        `).join('');
+        archiveFormatSelect.value = data.defaultFormat;
+    } catch (error) {
+        logError('ARCHIVE_FORMATS', 'Failed to fetch archive formats', { error: error.message });
+    }
+}
+
 // Validate credentials format
 function validateCredentials(username, apiKey) {
     const errors = [];
+    const instance = getSelectedInstance();
     
-    if (!username) {
+    if (instance && instance.authType === 'bearer') {
+        // Personal access tokens identify the user on their own
+    } else if (!username) {
         errors.push('Username is required');
     } else if (!username.includes('@')) {
         errors.push('Username must be a valid email address');
@@ -106,7 +209,14 @@ function validateCredentials(username, apiKey) {
     return errors;
 }
 
-// Show error message
+// Escape user-supplied text (JQL, names) before it goes into HTML built from template strings
+function escapeHtml(text) {
+    const element = document.createElement('div');
+    element.textContent = text;
+    return element.innerHTML.replace(/"/g, '&quot;');
+}
+
+// Show error message; the message is plain text, one line per \n
 function showError(message, container = connectionForm) {
     const existingError = container.querySelector('.error-message');
     if (existingError) {
@@ -115,11 +225,11 @@ function showError(message, container = connectionForm) {
     
     const errorDiv = document.createElement('div');
     errorDiv.className = 'error-message';
-    errorDiv.innerHTML = `<i class="fas fa-exclamation-circle"></i>${message}`;
+    errorDiv.innerHTML = `<i class="fas fa-exclamation-circle"></i>${escapeHtml(message).replace(/\n/g, '<br>')}`;
     container.insertBefore(errorDiv, container.firstChild);
 }
 
-// Show success message
+// Show success message; the message is plain text
 function showSuccess(message, container = connectionForm) {
     const existingSuccess = container.querySelector('.success-message');
     if (existingSuccess) {
@@ -128,7 +238,7 @@ function showSuccess(message, container = connectionForm) {
     
     const successDiv = document.createElement('div');
     successDiv.className = 'success-message';
-    successDiv.innerHTML = `<i class="fas fa-check-circle"></i>${message}`;
+    successDiv.innerHTML = `<i class="fas fa-check-circle"></i>${escapeHtml(message)}`;
     container.insertBefore(successDiv, container.firstChild);
 }
 
@@ -139,15 +249,15 @@ document.querySelector('.toggle-password').addEventListener('click', function()
     this.innerHTML = `<i class="fas fa-eye${type === 'password' ? '' : '-slash'}"></i>`;
 });
 
-// Test connection to Jira
-async function testConnection(username, apiKey) {
+// Log in to Jira; the server keeps the credentials in a session tied to an HttpOnly cookie
+async function login(username, apiKey) {
     try {
-        const response = await fetch(`${API_BASE_URL}/test-connection`, {
+        const response = await fetch(`${API_BASE_URL}/login`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ username, apiKey })
+            body: JSON.stringify({ username, apiKey, instance: instanceSelect.value })
         });
         
         const data = await response.json();
@@ -210,16 +320,11 @@ function populateProjects(projects) {
     
     // Enable download button and show download options when at least one project is selected
     const checkboxes = projectList.querySelectorAll('input[type="checkbox"]');
-    const downloadOptions = document.querySelector('.download-options');
     checkboxes.forEach(checkbox => {
-        checkbox.addEventListener('change', () => {
-            const anyChecked = Array.from(checkboxes).some(cb => cb.checked);
-            downloadBtn.disabled = !anyChecked;
-            downloadOptions.style.display = anyChecked ? 'block' : 'none';
-        });
+        checkbox.addEventListener('change', updateDownloadControls);
     });
-    // Initially hide download options
-    downloadOptions.style.display = 'none';
+    // Initially hide download options unless a JQL query is already entered
+    updateDownloadControls();
 
     // Update active letter in navigation based on scroll position
     const observer = new IntersectionObserver((entries) => {
@@ -245,6 +350,74 @@ function populateProjects(projects) {
     });
 }
 
+// Populate the custom field picker
+function populateCustomFields(fields) {
+    customFieldList.innerHTML = '';
+    customFieldFilterInput.value = '';
+    
+    if (fields.length === 0) {
+        customFieldList.textContent = 'No custom fields available';
+        return;
+    }
+    
+    // Fields sharing a display name are exported together, so list each name once
+    const names = [...new Set(fields.map(field => field.name))];
+    names.forEach((name, index) => {
+        const types = [...new Set(fields.filter(field => field.name === name).map(field => field.type))];
+        const fieldItem = document.createElement('div');
+        fieldItem.className = 'custom-field-item';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `custom-field-${index}`;
+        checkbox.value = name;
+        
+        const label = document.createElement('label');
+        label.htmlFor = checkbox.id;
+        label.textContent = name;
+        
+        const type = document.createElement('small');
+        type.textContent = types.join(', ');
+        
+        fieldItem.append(checkbox, label, type);
+        customFieldList.appendChild(fieldItem);
+    });
+}
+
+// Fetch the custom fields of the connected instance
+async function fetchCustomFields() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/get-fields`, {
+            method: 'POST'
+        });
+        
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to fetch custom fields');
+        }
+        
+        populateCustomFields(data.fields);
+    } catch (error) {
+        // Custom fields are optional, so the export can still proceed without them
+        console.error('Error fetching custom fields:', error);
+        customFieldList.textContent = 'Custom fields could not be loaded';
+    }
+}
+
+// Get the display names of the selected custom fields
+function getSelectedCustomFields() {
+    return Array.from(customFieldList.querySelectorAll('input[type="checkbox"]:checked')).map(cb => cb.value);
+}
+
+// Enable download controls when projects are selected or a JQL query is entered
+function updateDownloadControls() {
+    const downloadOptions = document.querySelector('.download-options');
+    const anyChecked = Array.from(projectList.querySelectorAll('input[type="checkbox"]')).some(cb => cb.checked);
+    const hasJql = jqlQueryInput.value.trim() !== '';
+    downloadBtn.disabled = !anyChecked && !hasJql;
+    downloadOptions.style.display = anyChecked || hasJql ? 'block' : 'none';
+}
+
 // Update progress bar
 function updateProgress(projectKey, progress, message) {
     const projectProgress = downloadProgress.querySelector(`[data-project="${projectKey}"]`);
@@ -276,17 +449,90 @@ function generateReport() {
     URL.revokeObjectURL(url);
 }
 
+// Show the project selection of the logged-in session
+async function showProjectSelection() {
+    isConnected = true;
+    logoutBtn.classList.remove('hidden');
+    projectSelection.classList.remove('hidden');
+    
+    // Get and populate projects
+    const projectsResponse = await fetch(`${API_BASE_URL}/get-projects`, {
+        method: 'POST'
+    });
+    
+    const projectsData = await projectsResponse.json();
+    if (!projectsData.success) {
+        checkSession(projectsData);
+        throw new Error('Failed to fetch projects');
+    }
+    
+    populateProjects(projectsData.projects);
+    await fetchCustomFields();
+}
+
+// Restore the login of an existing session after a page reload
+async function restoreSession() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/session`);
+        const data = await response.json();
+        if (!data.loggedIn) {
+            return;
+        }
+        
+        instanceSelect.value = data.session.instance;
+        updateCredentialFields();
+        usernameInput.value = data.session.username || '';
+        await showProjectSelection();
+    } catch (error) {
+        console.error('Failed to restore session:', error);
+    }
+}
+
+// Back to the login form when the server reports a missing or expired session
+function checkSession(data) {
+    if (data && data.code === 'SESSION_REQUIRED') {
+        isConnected = false;
+        logoutBtn.classList.add('hidden');
+        projectSelection.classList.add('hidden');
+        showError('Your session has expired. Please connect again.');
+        connectionForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+// Log out: the server forgets the credentials and clears the session cookie
+logoutBtn.addEventListener('click', async () => {
+    try {
+        await fetch(`${API_BASE_URL}/logout`, { method: 'POST' });
+    } catch (error) {
+        console.error('Failed to log out:', error);
+    }
+    
+    isConnected = false;
+    apiKeyInput.value = '';
+    logoutBtn.classList.add('hidden');
+    projectSelection.classList.add('hidden');
+    showSuccess('Logged out');
+});
+
 // Handle form submission
 connectionForm.addEventListener('submit', async (e) => {
     e.preventDefault();
     
+    // OAuth instances log in at Atlassian, which sends the browser back here with a session
+    const instance = getSelectedInstance();
+    if (instance && instance.authType === 'oauth') {
+        saveSettings();
+        window.location.href = `${API_BASE_URL}/oauth/authorize?instance=${encodeURIComponent(instance.name)}`;
+        return;
+    }
+    
     const username = usernameInput.value.trim();
     const apiKey = apiKeyInput.value.trim();
     
     // Validate credentials format
     const errors = validateCredentials(username, apiKey);
     if (errors.length > 0) {
-        showError(errors.join('<br>'));
+        showError(errors.join('\n'));
         return;
     }
     
@@ -298,32 +544,14 @@ connectionForm.addEventListener('submit', async (e) => {
     spinner.classList.remove('hidden');
     
     try {
-        // Test connection
-        await testConnection(username, apiKey);
+        // Log in
+        await login(username, apiKey);
         
-        // Connection successful
+        // Connection successful; the key now lives in the server-side session only
         showSuccess('Connected successfully!');
         saveSettings();
-        isConnected = true;
-        
-        // Show project selection
-        projectSelection.classList.remove('hidden');
-        
-        // Get and populate projects
-        const projectsResponse = await fetch(`${API_BASE_URL}/get-projects`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ username, apiKey })
-        });
-        
-        const projectsData = await projectsResponse.json();
-        if (!projectsData.success) {
-            throw new Error('Failed to fetch projects');
-        }
-        
-        populateProjects(projectsData.projects);
+        apiKeyInput.value = '';
+        await showProjectSelection();
         
     } catch (error) {
         showError(error.message);
@@ -337,11 +565,14 @@ connectionForm.addEventListener('submit', async (e) => {
 
 // Handle download
 downloadBtn.addEventListener('click', async () => {
-    const selectedProjects = Array.from(projectList.querySelectorAll('input[type="checkbox"]:checked'))
-        .map(cb => cb.value);
+    const jql = jqlQueryInput.value.trim();
+    // A custom JQL query is downloaded once, in place of the selected projects
+    const selectedProjects = jql
+        ? [JQL_TARGET]
+        : Array.from(projectList.querySelectorAll('input[type="checkbox"]:checked')).map(cb => cb.value);
     
     if (selectedProjects.length === 0) {
-        showError('Please select at least one project', projectSelection);
+        showError('Please select at least one project or enter a JQL query', projectSelection);
         return;
     }
     
@@ -367,7 +598,7 @@ downloadBtn.addEventListener('click', async () => {
             // Submit background jobs for each selected project
             const jobs = [];
             for (const project of selectedProjects) {
-                const job = await submitBackgroundDownloadJob(project);
+                const job = await submitBackgroundDownloadJob(project === JQL_TARGET ? null : project, jql || undefined);
                 jobs.push(job);
             }
             
@@ -466,6 +697,13 @@ downloadBtn.addEventListener('click', async () => {
                 // Get selected options
                 const downloadType = document.querySelector('input[name="downloadType"]:checked').value;
                 const fileFormat = document.querySelector('input[name="fileFormat"]:checked').value;
+                const includeHistory = includeHistoryInput.checked;
+                const customFields = getSelectedCustomFields();
+                const renderFormat = document.querySelector('input[name="renderFormat"]:checked').value;
+                const segmentSizeMb = segmentSizeInput.value;
+                const segmentStrategy = segmentStrategySelect.value;
+                const archiveFormat = archiveFormatSelect.value;
+                const reassemblyScript = reassemblyScriptInput.checked;
                 
     // Set up event source for progress updates with retry logic
     function setupEventSource(url, projectKey) {
@@ -512,8 +750,8 @@ downloadBtn.addEventListener('click', async () => {
                             throw new Error(data.error);
                         }
                         
-                        // Handle tickets-only download
-                        if (data.data.downloadType === 'tickets') {
+                        // Handle downloads that produce a tickets file only
+                        if (data.data.downloadType === 'tickets' || data.data.downloadType === 'worklogs') {
                             const downloadUrl = `/api/download-project/${data.data.fileName}`;
                             window.location.href = downloadUrl;
                         }
@@ -619,7 +857,9 @@ downloadBtn.addEventListener('click', async () => {
     }
 
     // Create EventSource with retry logic
-    const eventSourceUrl = `${API_BASE_URL}/download-tickets?username=${encodeURIComponent(usernameInput.value)}&apiKey=${encodeURIComponent(apiKeyInput.value)}&projectKey=${encodeURIComponent(project)}&downloadType=${downloadType}&fileFormat=${fileFormat}`;
+    const target = jql ? `jql=${encodeURIComponent(jql)}` : `projectKey=${encodeURIComponent(project)}`;
+    // Credentials come from the session cookie, never the query string
+    const eventSourceUrl = `${API_BASE_URL}/download-tickets?${target}&downloadType=${downloadType}&fileFormat=${fileFormat}&renderFormat=${renderFormat}&includeHistory=${includeHistory}&segmentSizeMb=${encodeURIComponent(segmentSizeMb)}&segmentStrategy=${segmentStrategy}&archiveFormat=${encodeURIComponent(archiveFormat)}&reassemblyScript=${reassemblyScript}${customFields.length > 0 ? `&customFields=${encodeURIComponent(JSON.stringify(customFields))}` : ''}`;
     const eventSource = setupEventSource(eventSourceUrl, project);
                 
                 // Wait for completion
@@ -649,8 +889,8 @@ downloadBtn.addEventListener('click', async () => {
                 downloadDialog.innerHTML = `
                     <div class="download-dialog-content">
                         <h3>Download Ready</h3>
-                        <p>Project: ${project}</p>
-                        <p>Download Type: ${downloadType === 'all' ? 'Everything' : downloadType === 'tickets' ? 'Tickets Only' : 'Attachments Only'}</p>
+                        <p>${jql ? `JQL: ${escapeHtml(jql)}` : `Project: ${escapeHtml(project)}`}</p>
+                        <p>Download Type: ${DOWNLOAD_TYPE_LABELS[downloadType]}</p>
                         <p>File Format: ${fileFormat.toUpperCase()}</p>
                         <p>Total Size: ${data.data.totalSize}</p>
                         <p>Contains:</p>
@@ -659,9 +899,26 @@ downloadBtn.addEventListener('click', async () => {
                             <li>${data.data.totalComments || 0} comments</li>
                             <li>${data.data.totalAttachments || 0} attachments</li>
                         </ul>
+                        ${data.data.totalSprints !== undefined ? `
+                            <p>Sprints: ${data.data.totalSprints} across ${data.data.totalBoards} boards</p>
+                        ` : ''}
+                        ${data.data.worklogSummary ? `
+                            <p>Worklogs: ${data.data.worklogSummary.totalWorklogs} entries, ${data.data.worklogSummary.totalHours}h logged</p>
+                        ` : ''}
+                        ${[
+                            [data.data.historyFileName, 'Download Change History'],
+                            [data.data.graphFileName, 'Download Dependency Graph'],
+                            [data.data.viewerFileName, 'Download Offline Viewer'],
+                            [data.data.worklogFileName, 'Download Worklogs'],
+                            [data.data.worklogSummaryFileName, 'Download Worklog Summary'],
+                            [data.data.sprintsFileName, 'Download Sprints (JSON)'],
+                            [data.data.sprintsCsvFileName, 'Download Sprints (CSV)']
+                        ].filter(([fileName]) => fileName).map(([fileName, label]) => `
+                            <button class="btn secondary download-extra" data-filename="${fileName}">${label}</button>
+                        `).join('')}
                         ${data.data.segments ? `
                             <div class="segments-info">
-                                <p>Download split into ${data.data.totalSegments} segments (50MB each):</p>
+                                <p>Download split into ${data.data.totalSegments} segments (up to ${data.data.segmentSize} each):</p>
                                 <div class="segments-list">
                                     ${data.data.segmentDetails.map(segment => `
                                         <div class="segment-item">
@@ -698,6 +955,39 @@ downloadBtn.addEventListener('click', async () => {
                 `;
                 document.body.appendChild(downloadDialog);
                 
+                // Handle files written next to the tickets file (history, worklogs)
+                downloadDialog.querySelectorAll('.download-extra').forEach(extraButton => {
+                    extraButton.addEventListener('click', async () => {
+                        const filename = extraButton.dataset.filename;
+                        extraButton.disabled = true;
+                        extraButton.textContent = 'Downloading...';
+                        
+                        try {
+                            const extraResponse = await fetch(`${API_BASE_URL}/download-project/${filename}`);
+                            if (!extraResponse.ok) {
+                                throw new Error(`Failed to download ${filename}`);
+                            }
+                            
+                            const blob = await extraResponse.blob();
+                            const url = window.URL.createObjectURL(blob);
+                            const a = document.createElement('a');
+                            a.href = url;
+                            a.download = filename;
+                            document.body.appendChild(a);
+                            a.click();
+                            document.body.removeChild(a);
+                            window.URL.revokeObjectURL(url);
+                            
+                            extraButton.textContent = 'Downloaded';
+                            extraButton.classList.add('success');
+                        } catch (error) {
+                            extraButton.textContent = 'Failed - Try Again';
+                            extraButton.disabled = false;
+                            extraButton.classList.add('error');
+                        }
+                    });
+                });
+                
                 // Handle segment downloads
                 if (data.data.segments) {
                     // Add click handlers for segment downloads
@@ -939,7 +1229,7 @@ async function validateDownloadPath() {
                 pathValidationResult.className = 'path-validation-result valid';
                 isDownloadPathValid = true;
             } else {
-                pathValidationResult.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${data.validation.error}`;
+                pathValidationResult.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${escapeHtml(data.validation.error)}`;
                 pathValidationResult.className = 'path-validation-result invalid';
                 isDownloadPathValid = false;
             }
@@ -947,19 +1237,111 @@ async function validateDownloadPath() {
             throw new Error(data.error || 'Failed to validate path');
         }
     } catch (error) {
-        pathValidationResult.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${error.message}`;
+        pathValidationResult.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${escapeHtml(error.message)}`;
         pathValidationResult.className = 'path-validation-result invalid';
         isDownloadPathValid = false;
     }
 }
 
+// Validate the custom JQL query against Jira's parser
+async function validateJqlQuery() {
+    const jql = jqlQueryInput.value.trim();
+    if (!jql) {
+        jqlValidationResult.innerHTML = '';
+        jqlValidationResult.className = 'jql-validation-result';
+        return false;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/validate-jql`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ jql })
+        });
+        
+        const data = await response.json();
+        if (!data.success) {
+            checkSession(data);
+            throw new Error(data.details || data.error || 'Failed to validate JQL');
+        }
+        
+        if (data.validation.valid) {
+            jqlValidationResult.innerHTML = '<i class="fas fa-check-circle"></i> Valid JQL query';
+            jqlValidationResult.className = 'jql-validation-result valid';
+            return true;
+        }
+        
+        jqlValidationResult.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${data.validation.errors.map(escapeHtml).join('<br>')}`;
+        jqlValidationResult.className = 'jql-validation-result invalid';
+        return false;
+    } catch (error) {
+        jqlValidationResult.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${escapeHtml(error.message)}`;
+        jqlValidationResult.className = 'jql-validation-result invalid';
+        return false;
+    }
+}
+
+// Show how attachments would be split into segments, before anything is downloaded
+async function previewSegmentPlan() {
+    const jql = jqlQueryInput.value.trim();
+    const projectKey = projectList.querySelector('input[type="checkbox"]:checked')?.value;
+    segmentPlanResult.className = 'segment-plan-result';
+
+    if (!jql && !projectKey) {
+        segmentPlanResult.innerHTML = '<i class="fas fa-exclamation-circle"></i> Select a project or enter a JQL query first';
+        segmentPlanResult.className = 'segment-plan-result invalid';
+        return;
+    }
+
+    segmentPlanResult.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Planning segments...';
+    try {
+        const response = await fetch(`${API_BASE_URL}/segment-plan`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                projectKey: jql ? undefined : projectKey,
+                jql: jql || undefined,
+                segmentSizeMb: segmentSizeInput.value,
+                segmentStrategy: segmentStrategySelect.value
+            })
+        });
+
+        const data = await response.json();
+        if (!data.success) {
+            checkSession(data);
+            throw new Error(data.error || 'Failed to plan segments');
+        }
+
+        const { plan } = data;
+        const toMb = bytes => (bytes / (1024 * 1024)).toFixed(1);
+        segmentPlanResult.innerHTML = `
+            <p>${jql ? 'JQL query' : projectKey}: ${plan.totalAttachments} attachments (${toMb(plan.totalBytes)} MB) in ${plan.segments.length} segments</p>
+            <ul>
+                ${plan.segments.map(segment => `
+                    <li>Segment ${segment.number}: ${toMb(segment.size)} MB, ${segment.files.length} files
+                        (${[...new Set(segment.files.map(file => file.ticket))].join(', ')})</li>
+                `).join('')}
+            </ul>
+        `;
+    } catch (error) {
+        segmentPlanResult.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${escapeHtml(error.message)}`;
+        segmentPlanResult.className = 'segment-plan-result invalid';
+    }
+}
+
 // Submit background download job
-async function submitBackgroundDownloadJob(projectKey) {
-    const username = usernameInput.value.trim();
-    const apiKey = apiKeyInput.value.trim();
+async function submitBackgroundDownloadJob(projectKey, jql) {
     const downloadType = document.querySelector('input[name="downloadType"]:checked').value;
     const fileFormat = document.querySelector('input[name="fileFormat"]:checked').value;
     const downloadPath = downloadPathInput.value.trim();
+    const incremental = document.querySelector('input[name="syncMode"]:checked').value === 'incremental';
+    const includeHistory = includeHistoryInput.checked;
+    const customFields = getSelectedCustomFields();
+    const renderFormat = document.querySelector('input[name="renderFormat"]:checked').value;
     
     try {
         const response = await fetch(`${API_BASE_URL}/submit-download-job`, {
@@ -968,20 +1350,32 @@ async function submitBackgroundDownloadJob(projectKey) {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                username,
-                apiKey,
                 projectKey,
+                jql,
                 downloadType,
                 fileFormat,
+                incremental,
+                includeHistory,
+                customFields,
+                renderFormat,
+                segmentSizeMb: segmentSizeInput.value,
+                segmentStrategy: segmentStrategySelect.value,
+                archiveFormat: archiveFormatSelect.value,
+                reassemblyScript: reassemblyScriptInput.checked,
+                passphrase: exportPassphraseInput.value || undefined,
                 downloadPath: isDownloadPathValid ? downloadPath : undefined
             })
         });
         
         const data = await response.json();
         if (!data.success) {
+            checkSession(data);
             throw new Error(data.error || 'Failed to submit download job');
         }
         
+        // The page does not keep the passphrase once the job holds it
+        exportPassphraseInput.value = '';
+        
         return data.job;
     } catch (error) {
         throw new Error(`Failed to submit background job: ${error.message}`);
@@ -1041,6 +1435,176 @@ async function cancelDownloadJob(jobId) {
     }
 }
 
+// Pause a processing download job
+async function pauseDownloadJob(jobId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/download-job/${jobId}/pause`, {
+            method: 'POST'
+        });
+        
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to pause job');
+        }
+        
+        return true;
+    } catch (error) {
+        console.error(`Failed to pause job ${jobId}:`, error);
+        return false;
+    }
+}
+
+// Ask for the passphrase of an encrypted job; resolves undefined for plain jobs and null if cancelled
+function askJobPassphrase(job, action) {
+    return job.encrypted ? prompt(`Export passphrase to ${action} this encrypted job:`) : undefined;
+}
+
+// Re-hash a completed job's files against its export manifest
+async function verifyDownloadJob(jobId, passphrase) {
+    const response = await fetch(`${API_BASE_URL}/download-job/${jobId}/verify`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ passphrase })
+    });
+    
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to verify job');
+    }
+    
+    return data.report;
+}
+
+// Extract a completed job's attachments into ticket folders, joining split parts
+async function reassembleDownloadJob(jobId, passphrase) {
+    const response = await fetch(`${API_BASE_URL}/download-job/${jobId}/reassemble`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ passphrase })
+    });
+    
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to reassemble job');
+    }
+    
+    return data.report;
+}
+
+// Resume a paused download job; encrypted jobs send their passphrase again
+async function resumeDownloadJob(jobId, passphrase) {
+    const response = await fetch(`${API_BASE_URL}/download-job/${jobId}/resume`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ passphrase })
+    });
+    
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to resume job');
+    }
+}
+
+// Save the current project selection and download options as a recurring schedule
+async function saveSchedule() {
+    const jql = jqlQueryInput.value.trim();
+    const projectKeys = jql
+        ? []
+        : Array.from(projectList.querySelectorAll('input[type="checkbox"]:checked')).map(cb => cb.value);
+    const name = scheduleNameInput.value.trim();
+    const cron = scheduleCronInput.value.trim();
+    const downloadPath = downloadPathInput.value.trim();
+    
+    if (!name || !cron) {
+        showError('Please enter a schedule name and a cron expression', scheduleSection);
+        return;
+    }
+    
+    if (downloadPath && !isDownloadPathValid) {
+        showError('Please validate the download path first', downloadLocationSection);
+        return;
+    }
+    
+    saveScheduleBtn.disabled = true;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/schedules`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                name,
+                cron,
+                projectKeys,
+                jql: jql || undefined,
+                downloadType: document.querySelector('input[name="downloadType"]:checked').value,
+                fileFormat: document.querySelector('input[name="fileFormat"]:checked').value,
+                incremental: document.querySelector('input[name="syncMode"]:checked').value === 'incremental',
+                includeHistory: includeHistoryInput.checked,
+                customFields: getSelectedCustomFields(),
+                renderFormat: document.querySelector('input[name="renderFormat"]:checked').value,
+                downloadPath: isDownloadPathValid ? downloadPath : undefined
+            })
+        });
+        
+        const data = await response.json();
+        if (!data.success) {
+            checkSession(data);
+            throw new Error(data.error || 'Failed to save schedule');
+        }
+        
+        showSuccess(`Schedule "${data.schedule.name}" saved; next run ${new Date(data.schedule.next_run_at).toLocaleString()}`, scheduleSection);
+        scheduleNameInput.value = '';
+        scheduleCronInput.value = '';
+        await updateSchedulesList();
+    } catch (error) {
+        showError(error.message, scheduleSection);
+    } finally {
+        saveScheduleBtn.disabled = false;
+    }
+}
+
+// Fetch schedules
+async function fetchSchedules() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/schedules`);
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to fetch schedules');
+        }
+        
+        return data.schedules;
+    } catch (error) {
+        console.error('Failed to fetch schedules:', error);
+        return [];
+    }
+}
+
+// Call a schedule endpoint; throws with the server's error message
+async function requestSchedule(scheduleId, method, action = '', body) {
+    const response = await fetch(`${API_BASE_URL}/schedules/${scheduleId}${action ? `/${action}` : ''}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    
+    const data = await response.json();
+    if (!data.success) {
+        checkSession(data);
+        throw new Error(data.error || 'Schedule request failed');
+    }
+    
+    return data;
+}
+
 // Create jobs dashboard
 function createJobsDashboard() {
     // Create dashboard container if it doesn't exist
@@ -1059,6 +1623,7 @@ function createJobsDashboard() {
                 <div class="tabs-nav">
                     <div class="tab-item active" data-tab="active-jobs">Active Jobs</div>
                     <div class="tab-item" data-tab="completed-jobs">Completed Jobs</div>
+                    <div class="tab-item" data-tab="schedules">Schedules</div>
                 </div>
                 <div class="tab-content active" id="active-jobs">
                     <div class="jobs-list active-jobs-list"></div>
@@ -1066,6 +1631,9 @@ function createJobsDashboard() {
                 <div class="tab-content" id="completed-jobs">
                     <div class="jobs-list completed-jobs-list"></div>
                 </div>
+                <div class="tab-content" id="schedules">
+                    <div class="jobs-list schedules-list"></div>
+                </div>
             </div>
         `;
         
@@ -1111,6 +1679,9 @@ async function updateJobsDashboard() {
     const activeJobsList = jobsDashboard.querySelector('.active-jobs-list');
     const completedJobsList = jobsDashboard.querySelector('.completed-jobs-list');
     
+    // Schedules are listed independently of the jobs
+    updateSchedulesList();
+    
     try {
         const jobs = await fetchDownloadJobs();
         
@@ -1139,7 +1710,7 @@ async function updateJobsDashboard() {
         jobs.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
         
         // Split jobs into active and completed
-        const activeJobs = jobs.filter(job => ['pending', 'processing'].includes(job.status));
+        const activeJobs = jobs.filter(job => ['pending', 'processing', 'paused'].includes(job.status));
         const completedJobs = jobs.filter(job => ['completed', 'failed', 'cancelled'].includes(job.status));
         
         // Populate active jobs
@@ -1157,6 +1728,8 @@ async function updateJobsDashboard() {
             });
         }
         
+        subscribeToJobEvents(activeJobs);
+        
         // Populate completed jobs
         if (completedJobs.length === 0) {
             completedJobsList.innerHTML = `
@@ -1176,6 +1749,291 @@ async function updateJobsDashboard() {
     }
 }
 
+// Update the Schedules tab of the jobs dashboard
+async function updateSchedulesList() {
+    const jobsDashboard = createJobsDashboard();
+    const schedulesList = jobsDashboard.querySelector('.schedules-list');
+    const schedules = await fetchSchedules();
+    
+    schedulesList.innerHTML = '';
+    
+    if (schedules.length === 0) {
+        schedulesList.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-calendar-alt"></i>
+                <p>No schedules. Choose "Background", then "Save as Schedule" to add one</p>
+            </div>
+        `;
+        return;
+    }
+    
+    schedules.forEach(schedule => {
+        schedulesList.appendChild(createScheduleCard(schedule));
+    });
+}
+
+// Create schedule card with its edit form
+function createScheduleCard(schedule) {
+    const scheduleCard = document.createElement('div');
+    scheduleCard.className = 'job-card schedule-card';
+    scheduleCard.dataset.scheduleId = schedule.schedule_id;
+    
+    const projectKeys = JSON.parse(schedule.project_keys || '[]');
+    const status = schedule.enabled ? 'scheduled' : 'paused';
+    
+    scheduleCard.innerHTML = `
+        <div class="job-header">
+            <div class="job-title">${escapeHtml(schedule.name)}</div>
+            <div class="job-status ${status}">${status}</div>
+        </div>
+        <div class="job-details">
+            <div class="job-detail">
+                <div class="job-detail-label">Cron</div>
+                <div class="job-detail-value">${escapeHtml(schedule.cron)}</div>
+            </div>
+            <div class="job-detail">
+                <div class="job-detail-label">${schedule.jql ? 'JQL' : 'Projects'}</div>
+                <div class="job-detail-value">${escapeHtml(schedule.jql || projectKeys.join(', '))}</div>
+            </div>
+            <div class="job-detail">
+                <div class="job-detail-label">Download Type</div>
+                <div class="job-detail-value">${DOWNLOAD_TYPE_LABELS[schedule.download_type] || schedule.download_type}</div>
+            </div>
+            <div class="job-detail">
+                <div class="job-detail-label">Format</div>
+                <div class="job-detail-value">${schedule.file_format.toUpperCase()}${schedule.incremental ? ' (since last sync)' : ''}${schedule.include_history ? ' + change history' : ''}</div>
+            </div>
+            <div class="job-detail">
+                <div class="job-detail-label">Next Run</div>
+                <div class="job-detail-value">${schedule.next_run_at ? new Date(schedule.next_run_at).toLocaleString() : 'Paused'}</div>
+            </div>
+            <div class="job-detail">
+                <div class="job-detail-label">Last Run</div>
+                <div class="job-detail-value">${schedule.last_run_at ? new Date(schedule.last_run_at).toLocaleString() : 'Never'}</div>
+            </div>
+            <div class="job-detail">
+                <div class="job-detail-label">Jira Instance</div>
+                <div class="job-detail-value">${schedule.instance || 'default'}</div>
+            </div>
+            <div class="job-detail">
+                <div class="job-detail-label">Download Location</div>
+                <div class="job-detail-value">${escapeHtml(schedule.download_path || 'Default')}</div>
+            </div>
+        </div>
+        <form class="schedule-edit-form hidden">
+            <div class="form-group">
+                <label>Schedule Name</label>
+                <input type="text" name="name" required>
+            </div>
+            <div class="form-group">
+                <label>Cron Expression</label>
+                <input type="text" name="cron" required>
+            </div>
+            <div class="form-group">
+                <label>Projects (comma-separated keys)</label>
+                <input type="text" name="projectKeys">
+            </div>
+            <div class="form-group">
+                <label>JQL (replaces the projects)</label>
+                <textarea name="jql" rows="2"></textarea>
+            </div>
+            <div class="form-group">
+                <label>Download Type</label>
+                <select name="downloadType">
+                    ${Object.entries(DOWNLOAD_TYPE_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>File Format</label>
+                <select name="fileFormat">
+                    <option value="json">JSON</option>
+                    <option value="csv">CSV</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Download Location (blank for the default)</label>
+                <input type="text" name="downloadPath">
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" name="incremental"> Since last sync</label>
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" name="useSessionCredentials"> Run with my current login (replaces the stored credentials)</label>
+            </div>
+            <div class="job-actions">
+                <button type="button" class="btn secondary cancel-edit-btn">Cancel</button>
+                <button type="submit" class="btn primary">Save</button>
+            </div>
+        </form>
+        <div class="job-actions schedule-actions">
+            <button class="btn secondary delete-schedule-btn"><i class="fas fa-trash"></i> Delete</button>
+            <button class="btn secondary edit-schedule-btn"><i class="fas fa-edit"></i> Edit</button>
+            <button class="btn secondary toggle-schedule-btn">
+                ${schedule.enabled ? '<i class="fas fa-pause"></i> Pause' : '<i class="fas fa-play"></i> Resume'}
+            </button>
+            <button class="btn primary run-schedule-btn"><i class="fas fa-bolt"></i> Run Now</button>
+        </div>
+    `;
+    
+    const editForm = scheduleCard.querySelector('.schedule-edit-form');
+    const actions = scheduleCard.querySelector('.schedule-actions');
+    
+    // Values are set as properties so quotes in JQL or paths need no escaping
+    editForm.elements.name.value = schedule.name;
+    editForm.elements.cron.value = schedule.cron;
+    editForm.elements.projectKeys.value = projectKeys.join(', ');
+    editForm.elements.jql.value = schedule.jql || '';
+    editForm.elements.downloadType.value = schedule.download_type;
+    editForm.elements.fileFormat.value = schedule.file_format;
+    editForm.elements.downloadPath.value = schedule.download_path || '';
+    editForm.elements.incremental.checked = Boolean(schedule.incremental);
+    
+    const runAction = async (button, request) => {
+        button.disabled = true;
+        try {
+            const data = await request();
+            // Running a schedule adds jobs, so refresh the whole dashboard
+            if (data.jobs) {
+                await updateJobsDashboard();
+            } else {
+                await updateSchedulesList();
+            }
+            if (data.message) {
+                showSuccess(data.message, document.getElementById('schedules'));
+            }
+        } catch (error) {
+            button.disabled = false;
+            showError(error.message, scheduleCard);
+        }
+    };
+    
+    actions.querySelector('.run-schedule-btn').addEventListener('click', (event) => {
+        runAction(event.currentTarget, () => requestSchedule(schedule.schedule_id, 'POST', 'run'));
+    });
+    
+    actions.querySelector('.toggle-schedule-btn').addEventListener('click', (event) => {
+        runAction(event.currentTarget, () => requestSchedule(schedule.schedule_id, 'POST', schedule.enabled ? 'pause' : 'resume'));
+    });
+    
+    actions.querySelector('.delete-schedule-btn').addEventListener('click', (event) => {
+        if (confirm(`Delete schedule "${schedule.name}"? Jobs it already queued are kept.`)) {
+            runAction(event.currentTarget, () => requestSchedule(schedule.schedule_id, 'DELETE'));
+        }
+    });
+    
+    actions.querySelector('.edit-schedule-btn').addEventListener('click', () => {
+        editForm.classList.remove('hidden');
+        actions.classList.add('hidden');
+    });
+    
+    editForm.querySelector('.cancel-edit-btn').addEventListener('click', () => {
+        editForm.classList.add('hidden');
+        actions.classList.remove('hidden');
+    });
+    
+    editForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const fields = editForm.elements;
+        const jql = fields.jql.value.trim();
+        
+        runAction(editForm.querySelector('button[type="submit"]'), () => requestSchedule(schedule.schedule_id, 'PUT', '', {
+            name: fields.name.value.trim(),
+            cron: fields.cron.value.trim(),
+            projectKeys: jql ? [] : fields.projectKeys.value.split(',').map(key => key.trim()).filter(Boolean),
+            jql,
+            downloadType: fields.downloadType.value,
+            fileFormat: fields.fileFormat.value,
+            downloadPath: fields.downloadPath.value.trim(),
+            incremental: fields.incremental.checked,
+            useSessionCredentials: fields.useSessionCredentials.checked
+        }));
+    });
+    
+    return scheduleCard;
+}
+
+// Live event streams of running background jobs, by job ID
+const jobEventSources = new Map();
+
+// Open an event stream for every running job and close the streams of jobs that stopped
+function subscribeToJobEvents(jobs) {
+    const runningJobIds = jobs
+        .filter(job => ['pending', 'processing'].includes(job.status))
+        .map(job => job.job_id);
+    
+    jobEventSources.forEach((eventSource, jobId) => {
+        if (!runningJobIds.includes(jobId)) {
+            eventSource.close();
+            jobEventSources.delete(jobId);
+        }
+    });
+    
+    runningJobIds.forEach(jobId => {
+        if (jobEventSources.has(jobId)) {
+            return;
+        }
+        
+        // EventSource reconnects by itself and the server resends the latest state
+        const eventSource = new EventSource(`${API_BASE_URL}/download-job/${jobId}/events`);
+        eventSource.onmessage = (event) => {
+            try {
+                handleJobEvent(jobId, JSON.parse(event.data));
+            } catch (error) {
+                console.error('Error processing job event:', error);
+            }
+        };
+        jobEventSources.set(jobId, eventSource);
+    });
+}
+
+// Apply a progress or status event to the job's card
+function handleJobEvent(jobId, data) {
+    if (data.keepAlive) {
+        return;
+    }
+    
+    const jobCard = document.querySelector(`.job-card[data-job-id="${jobId}"]`);
+    
+    if (data.type === 'progress') {
+        const progressFill = jobCard && jobCard.querySelector('.progress-fill');
+        const progressText = jobCard && jobCard.querySelector('.progress-text');
+        if (progressFill) {
+            progressFill.style.width = `${data.percent}%`;
+        }
+        if (progressText) {
+            progressText.textContent = formatJobProgress(data);
+        }
+        return;
+    }
+    
+    if (data.type === 'status') {
+        // The server ends the stream after these; close it so the browser does not reconnect
+        if (['completed', 'failed', 'cancelled', 'paused'].includes(data.status)) {
+            const eventSource = jobEventSources.get(jobId);
+            if (eventSource) {
+                eventSource.close();
+                jobEventSources.delete(jobId);
+            }
+        }
+        
+        const jobStatus = jobCard && jobCard.querySelector('.job-status');
+        if (!jobStatus || !jobStatus.classList.contains(data.status)) {
+            updateJobsDashboard();
+        }
+    }
+}
+
+// Progress line of a job card, e.g. "Downloading segment 2/5 (12 files) - 71.2% - 3m 10s left"
+function formatJobProgress(progress) {
+    let text = `${progress.message} - ${progress.percent}%`;
+    if (progress.etaSeconds !== null && progress.etaSeconds !== undefined) {
+        const minutes = Math.floor(progress.etaSeconds / 60);
+        const seconds = Math.round(progress.etaSeconds % 60);
+        text += ` - ${minutes}m ${seconds}s left`;
+    }
+    return text;
+}
+
 // Create job card
 function createJobCard(job) {
     const jobCard = document.createElement('div');
@@ -1198,17 +2056,21 @@ function createJobCard(job) {
     
     jobCard.innerHTML = `
         <div class="job-header">
-            <div class="job-title">${job.project_key}</div>
+            <div class="job-title">${escapeHtml(job.project_key || JQL_TARGET)}</div>
             <div class="job-status ${job.status}">${job.status}</div>
         </div>
         <div class="job-details">
             <div class="job-detail">
                 <div class="job-detail-label">Download Type</div>
-                <div class="job-detail-value">${job.download_type === 'all' ? 'Everything' : job.download_type === 'tickets' ? 'Tickets Only' : 'Attachments Only'}</div>
+                <div class="job-detail-value">${DOWNLOAD_TYPE_LABELS[job.download_type] || job.download_type}</div>
             </div>
             <div class="job-detail">
                 <div class="job-detail-label">Format</div>
-                <div class="job-detail-value">${job.file_format.toUpperCase()}</div>
+                <div class="job-detail-value">${job.file_format.toUpperCase()}${job.render_format && job.render_format !== 'raw' ? ` (${job.render_format} text)` : ''}${job.incremental ? ' (since last sync)' : ''}${job.include_history ? ' + change history' : ''}</div>
+            </div>
+            <div class="job-detail">
+                <div class="job-detail-label">Jira Instance</div>
+                <div class="job-detail-value">${job.instance || 'default'}</div>
             </div>
             <div class="job-detail">
                 <div class="job-detail-label">Created</div>
@@ -1218,19 +2080,37 @@ function createJobCard(job) {
                 <div class="job-detail-label">Duration</div>
                 <div class="job-detail-value">${duration}</div>
             </div>
+            ${job.jql ? `
+                <div class="job-detail">
+                    <div class="job-detail-label">JQL</div>
+                    <div class="job-detail-value">${escapeHtml(job.jql)}</div>
+                </div>
+            ` : ''}
+            ${job.encrypted ? `
+                <div class="job-detail">
+                    <div class="job-detail-label">Encryption</div>
+                    <div class="job-detail-value"><i class="fas fa-lock"></i> AES-256 (passphrase)</div>
+                </div>
+            ` : ''}
+            ${job.custom_fields ? `
+                <div class="job-detail">
+                    <div class="job-detail-label">Custom Fields</div>
+                    <div class="job-detail-value">${escapeHtml(JSON.parse(job.custom_fields).join(', '))}</div>
+                </div>
+            ` : ''}
         </div>
         ${job.status === 'processing' ? `
             <div class="job-progress">
                 <div class="progress-bar">
-                    <div class="progress-fill" style="width: 50%"></div>
+                    <div class="progress-fill" style="width: ${job.progress ? job.progress.percent : 0}%"></div>
                 </div>
-                <div class="progress-text">Processing...</div>
+                <div class="progress-text">${job.progress ? formatJobProgress(job.progress) : 'Processing...'}</div>
             </div>
         ` : ''}
         ${job.error ? `
             <div class="error-message">
                 <i class="fas fa-exclamation-circle"></i>
-                ${job.error}
+                ${escapeHtml(job.error)}
             </div>
         ` : ''}
         ${job.segments && job.segments.length > 0 ? `
@@ -1248,17 +2128,29 @@ function createJobCard(job) {
             </div>
         ` : ''}
         <div class="job-actions">
-            ${job.status === 'pending' ? `
+            ${job.status === 'processing' ? `
+                <button class="btn secondary pause-job-btn"><i class="fas fa-pause"></i> Pause</button>
+            ` : ''}
+            ${job.status === 'paused' ? `
+                <button class="btn primary resume-job-btn"><i class="fas fa-play"></i> Resume</button>
+            ` : ''}
+            ${['pending', 'processing', 'paused'].includes(job.status) ? `
                 <button class="btn secondary cancel-job-btn">Cancel</button>
             ` : ''}
             ${job.status === 'completed' ? `
                 <button class="btn secondary view-files-btn">View Files</button>
             ` : ''}
+            ${job.export_manifest ? `
+                <button class="btn secondary verify-job-btn"><i class="fas fa-check-double"></i> Verify</button>
+            ` : ''}
+            ${job.export_manifest && ['all', 'attachments'].includes(job.download_type) ? `
+                <button class="btn secondary reassemble-job-btn"><i class="fas fa-puzzle-piece"></i> Reassemble</button>
+            ` : ''}
         </div>
     `;
     
     // Add event listeners
-    if (job.status === 'pending') {
+    if (['pending', 'processing', 'paused'].includes(job.status)) {
         const cancelBtn = jobCard.querySelector('.cancel-job-btn');
         cancelBtn.addEventListener('click', async () => {
             cancelBtn.disabled = true;
@@ -1266,10 +2158,14 @@ function createJobCard(job) {
             
             try {
                 const success = await cancelDownloadJob(job.job_id);
-                if (success) {
+                if (success && job.status === 'processing') {
+                    // The worker stops after the current attachment; finished segments are kept
+                    jobCard.querySelector('.job-status').textContent = 'cancelling';
+                    jobCard.querySelectorAll('.job-actions button').forEach(button => button.remove());
+                } else if (success) {
                     jobCard.querySelector('.job-status').textContent = 'cancelled';
                     jobCard.querySelector('.job-status').className = 'job-status cancelled';
-                    cancelBtn.remove();
+                    jobCard.querySelectorAll('.job-actions button').forEach(button => button.remove());
                 } else {
                     throw new Error('Failed to cancel job');
                 }
@@ -1281,6 +2177,95 @@ function createJobCard(job) {
         });
     }
     
+    if (job.status === 'processing') {
+        const pauseBtn = jobCard.querySelector('.pause-job-btn');
+        pauseBtn.addEventListener('click', async () => {
+            pauseBtn.disabled = true;
+            pauseBtn.textContent = 'Pausing...';
+            
+            if (await pauseDownloadJob(job.job_id)) {
+                // The worker pauses after the current attachment
+                jobCard.querySelector('.job-status').textContent = 'pausing';
+            } else {
+                pauseBtn.innerHTML = '<i class="fas fa-pause"></i> Pause';
+                pauseBtn.disabled = false;
+                alert('Error: Failed to pause job');
+            }
+        });
+    }
+    
+    if (job.status === 'paused') {
+        const resumeBtn = jobCard.querySelector('.resume-job-btn');
+        resumeBtn.addEventListener('click', async () => {
+            const passphrase = askJobPassphrase(job, 'resume');
+            if (passphrase === null) {
+                return;
+            }
+            resumeBtn.disabled = true;
+            resumeBtn.textContent = 'Resuming...';
+            
+            try {
+                await resumeDownloadJob(job.job_id, passphrase);
+                updateJobsDashboard();
+            } catch (error) {
+                console.error(`Failed to resume job ${job.job_id}:`, error);
+                resumeBtn.innerHTML = '<i class="fas fa-play"></i> Resume';
+                resumeBtn.disabled = false;
+                alert(`Error: ${error.message}`);
+            }
+        });
+    }
+    
+    if (job.export_manifest) {
+        const verifyBtn = jobCard.querySelector('.verify-job-btn');
+        verifyBtn.addEventListener('click', async () => {
+            const passphrase = askJobPassphrase(job, 'verify');
+            if (passphrase === null) {
+                return;
+            }
+            verifyBtn.disabled = true;
+            verifyBtn.textContent = 'Verifying...';
+            
+            try {
+                const report = await verifyDownloadJob(job.job_id, passphrase);
+                const problems = report.files.filter(file => file.status !== 'ok');
+                alert(report.ok
+                    ? `All ${report.summary.files} files match the export manifest`
+                    : `${problems.length} of ${report.summary.files} files failed verification:\n${problems.map(file => `${file.fileName}: ${file.status}`).join('\n')}`);
+            } catch (error) {
+                alert(`Error: ${error.message}`);
+            } finally {
+                verifyBtn.innerHTML = '<i class="fas fa-check-double"></i> Verify';
+                verifyBtn.disabled = false;
+            }
+        });
+    }
+    
+    if (job.export_manifest && ['all', 'attachments'].includes(job.download_type)) {
+        const reassembleBtn = jobCard.querySelector('.reassemble-job-btn');
+        reassembleBtn.addEventListener('click', async () => {
+            const passphrase = askJobPassphrase(job, 'reassemble');
+            if (passphrase === null) {
+                return;
+            }
+            reassembleBtn.disabled = true;
+            reassembleBtn.textContent = 'Reassembling...';
+            
+            try {
+                const report = await reassembleDownloadJob(job.job_id, passphrase);
+                const problems = report.attachments.filter(attachment => attachment.status !== 'ok');
+                alert(report.ok
+                    ? `Reassembled ${report.summary.attachments} attachments (${report.summary.split} split) into ${report.directory}`
+                    : `${problems.length} of ${report.summary.attachments} attachments could not be reassembled intact into ${report.directory}:\n${problems.map(attachment => `${attachment.path}: ${attachment.status}`).join('\n')}`);
+            } catch (error) {
+                alert(`Error: ${error.message}`);
+            } finally {
+                reassembleBtn.innerHTML = '<i class="fas fa-puzzle-piece"></i> Reassemble';
+                reassembleBtn.disabled = false;
+            }
+        });
+    }
+    
     // Add View Files button handler for completed jobs
     if (job.status === 'completed') {
         const viewFilesBtn = jobCard.querySelector('.view-files-btn');
@@ -1314,7 +2299,7 @@ function createJobCard(job) {
                     filesDialog.innerHTML = `
                         <div class="download-dialog-content">
                             <h3>Download Files</h3>
-                            <p>Project: ${job.project_key}</p>
+                            <p>${job.jql ? `JQL: ${escapeHtml(job.jql)}` : `Project: ${escapeHtml(job.project_key)}`}</p>
                             <div class="segments-list">
                                 ${job.segments.map(segment => `
                                     <div class="segment-item">
@@ -1421,6 +2406,12 @@ function createJobCard(job) {
 function toggleDownloadMode() {
     const downloadMode = document.querySelector('input[name="downloadMode"]:checked').value;
     downloadLocationSection.style.display = downloadMode === 'background' ? 'block' : 'none';
+    // Incremental sync state is only tracked for background jobs
+    syncModeSection.style.display = downloadMode === 'background' ? 'block' : 'none';
+    // Schedules queue background jobs
+    scheduleSection.style.display = downloadMode === 'background' ? 'block' : 'none';
+    // Passphrases are held by queued jobs only
+    encryptionSection.style.display = downloadMode === 'background' ? 'block' : 'none';
 }
 
 // Event listeners for download mode and path validation
@@ -1429,6 +2420,20 @@ document.querySelectorAll('input[name="downloadMode"]').forEach(radio => {
 });
 
 validatePathBtn.addEventListener('click', validateDownloadPath);
+saveScheduleBtn.addEventListener('click', saveSchedule);
+validateJqlBtn.addEventListener('click', validateJqlQuery);
+previewSegmentsBtn.addEventListener('click', previewSegmentPlan);
+jqlQueryInput.addEventListener('input', () => {
+    jqlValidationResult.innerHTML = '';
+    jqlValidationResult.className = 'jql-validation-result';
+    updateDownloadControls();
+});
+customFieldFilterInput.addEventListener('input', () => {
+    const filter = customFieldFilterInput.value.trim().toLowerCase();
+    customFieldList.querySelectorAll('.custom-field-item').forEach(item => {
+        item.style.display = item.textContent.toLowerCase().includes(filter) ? '' : 'none';
+    });
+});
 downloadPathInput.addEventListener('blur', validateDownloadPath);
 
 // Handle browse button click
@@ -1459,9 +2464,16 @@ directoryInput.addEventListener('change', (event) => {
 });
 
 // Initialize
-loadSavedSettings();
+instanceSelect.addEventListener('change', () => {
+    updateCredentialFields();
+    // Projects belong to a single instance, so a new connection is required
+    isConnected = false;
+    projectSelection.classList.add('hidden');
+});
+fetchInstances().then(loadSavedSettings).then(restoreSession);
 fetchPredefinedPaths();
+fetchArchiveFormats();
 toggleDownloadMode();
 
-// Set up periodic job status updates
-setInterval(updateJobsDashboard, 10000); // Update every 10 seconds
+// Load background jobs; running jobs then push their updates over their event streams
+updateJobsDashboard();
@@ -35,7 +35,7 @@ function wrapDatabase(db) {
     
     db.get = function(sql, params, callback) {
         const queryId = Math.random().toString(36).substring(2, 10);
-        logger.debug(`DB GET query ${queryId}`, { sql, params });
+        logger.debug(`DB GET query ${queryId}`, { sql, params: logger.redactQueryParams(sql, params) });
         
         if (typeof params === 'function') {
             callback = params;
@@ -46,7 +46,7 @@ function wrapDatabase(db) {
             if (err) {
                 logger.error(`DB GET query ${queryId} error`, { 
                     sql, 
-                    params, 
+                    params: logger.redactQueryParams(sql, params), 
                     error: err.message,
                     stack: err.stack 
                 });
@@ -60,7 +60,7 @@ function wrapDatabase(db) {
     
     db.all = function(sql, params, callback) {
         const queryId = Math.random().toString(36).substring(2, 10);
-        logger.debug(`DB ALL query ${queryId}`, { sql, params });
+        logger.debug(`DB ALL query ${queryId}`, { sql, params: logger.redactQueryParams(sql, params) });
         
         if (typeof params === 'function') {
             callback = params;
@@ -71,7 +71,7 @@ function wrapDatabase(db) {
             if (err) {
                 logger.error(`DB ALL query ${queryId} error`, { 
                     sql, 
-                    params, 
+                    params: logger.redactQueryParams(sql, params), 
                     error: err.message,
                     stack: err.stack 
                 });
@@ -88,7 +88,7 @@ function wrapDatabase(db) {
     
     db.run = function(sql, params, callback) {
         const queryId = Math.random().toString(36).substring(2, 10);
-        logger.debug(`DB RUN query ${queryId}`, { sql, params });
+        logger.debug(`DB RUN query ${queryId}`, { sql, params: logger.redactQueryParams(sql, params) });
         
         if (typeof params === 'function') {
             callback = params;
@@ -99,7 +99,7 @@ function wrapDatabase(db) {
             if (err) {
                 logger.error(`DB RUN query ${queryId} error`, { 
                     sql, 
-                    params, 
+                    params: logger.redactQueryParams(sql, params), 
                     error: err.message,
                     stack: err.stack 
                 });
@@ -185,7 +185,7 @@ function wrapQueueManager(queueManager) {
         
         try {
             const result = await originalMethods.cancelJob.call(this, db, queue, jobId);
-            logger.info(`QUEUE Job cancelled successfully`, { jobId });
+            logger.info(`QUEUE Job cancelled successfully`, { jobId, status: result });
             return result;
         } catch (error) {
             logger.error(`QUEUE Error cancelling job: ${jobId}`, {
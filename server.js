@@ -1,9 +1,7 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const dotenv = require('dotenv');
 const path = require('path');
-const AdmZip = require('adm-zip');
 const fs = require('fs');
 const sqlite3 = require('sqlite3');
 
@@ -16,7 +14,26 @@ let db = new sqlite3.Database('jira_attachments.db');
 // Wrap database with debug logging
 db = debug.wrapDatabase(db);
 
-// Database schema setup
+// Add a column to an existing table if an older database is missing it
+// Resolves once the column exists
+function ensureColumn(table, column, definition) {
+  return new Promise((resolve, reject) => {
+    db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+      if (err) {
+        logger.error('Failed to inspect table schema', { table, error: err.message });
+        return reject(err);
+      }
+      if (columns.some(c => c.name === column)) {
+        return resolve();
+      }
+      logger.info('Migrating database schema', { table, column });
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (alterErr) => (alterErr ? reject(alterErr) : resolve()));
+    });
+  });
+}
+
+// Database schema setup; background jobs and the HTTP listener start once schemaReady resolves
+let schemaReady;
 db.serialize(() => {
   db.run("CREATE TABLE IF NOT EXISTS attachments (id INTEGER PRIMARY KEY, ticket TEXT, filename TEXT, filepath TEXT, size INTEGER)");
   db.run("CREATE TABLE IF NOT EXISTS projects (key TEXT PRIMARY KEY, name TEXT)");
@@ -26,11 +43,25 @@ db.serialize(() => {
     id INTEGER PRIMARY KEY,
     job_id TEXT UNIQUE,
     username TEXT,
-    api_key TEXT,
+    api_key TEXT, -- credentials stored by older versions; migrated to credential_id at startup
+    credential_id TEXT,
+    instance TEXT,
     project_key TEXT,
     download_type TEXT,
     file_format TEXT,
     download_path TEXT,
+    jql TEXT,
+    incremental INTEGER DEFAULT 0,
+    include_history INTEGER DEFAULT 0,
+    custom_fields TEXT,
+    render_format TEXT DEFAULT 'raw',
+    segment_size INTEGER,
+    segment_strategy TEXT,
+    archive_format TEXT,
+    reassembly_script INTEGER DEFAULT 1,
+    encrypted INTEGER DEFAULT 0,
+    export_manifest TEXT,
+    schedule_id TEXT,
     status TEXT,
     created_at TEXT,
     updated_at TEXT,
@@ -50,15 +81,154 @@ db.serialize(() => {
     created_at TEXT,
     updated_at TEXT
   )`);
+
+  // Checkpoints that let interrupted jobs resume after a restart
+  db.run(`CREATE TABLE IF NOT EXISTS job_checkpoints (
+    id INTEGER PRIMARY KEY,
+    job_id TEXT,
+    kind TEXT,
+    item TEXT,
+    data TEXT,
+    created_at TEXT,
+    UNIQUE(job_id, kind, item)
+  )`);
+
+  // Latest progress of each background job, streamed to the dashboard
+  db.run(`CREATE TABLE IF NOT EXISTS job_progress (
+    job_id TEXT PRIMARY KEY,
+    stage TEXT,
+    message TEXT,
+    percent REAL,
+    bytes_downloaded INTEGER,
+    total_bytes INTEGER,
+    eta_seconds INTEGER,
+    updated_at TEXT
+  )`);
+
+  // Encrypted credentials of a login, shared by the jobs and schedules it created
+  db.run(`CREATE TABLE IF NOT EXISTS credentials (
+    id INTEGER PRIMARY KEY,
+    credential_id TEXT UNIQUE,
+    instance TEXT,
+    username TEXT,
+    secret TEXT,
+    held_until TEXT,
+    created_at TEXT,
+    updated_at TEXT
+  )`);
+
+  // Recurring downloads; jobs queued by a schedule keep its ID in download_jobs.schedule_id
+  db.run(`CREATE TABLE IF NOT EXISTS schedules (
+    id INTEGER PRIMARY KEY,
+    schedule_id TEXT UNIQUE,
+    name TEXT,
+    cron TEXT,
+    instance TEXT,
+    username TEXT,
+    api_key TEXT, -- credentials stored by older versions; migrated to credential_id at startup
+    credential_id TEXT,
+    project_keys TEXT,
+    jql TEXT,
+    download_type TEXT,
+    file_format TEXT,
+    include_history INTEGER DEFAULT 0,
+    custom_fields TEXT,
+    render_format TEXT DEFAULT 'raw',
+    incremental INTEGER DEFAULT 0,
+    download_path TEXT,
+    enabled INTEGER DEFAULT 1,
+    last_run_at TEXT,
+    next_run_at TEXT,
+    created_at TEXT,
+    updated_at TEXT
+  )`);
+
+  // Tables for incremental (delta) sync
+  db.run(`CREATE TABLE IF NOT EXISTS sync_state (
+    id INTEGER PRIMARY KEY,
+    instance TEXT,
+    scope TEXT,
+    last_updated TEXT,
+    last_job_id TEXT,
+    last_synced_at TEXT,
+    UNIQUE(instance, scope)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS sync_issues (
+    id INTEGER PRIMARY KEY,
+    instance TEXT,
+    scope TEXT,
+    issue_key TEXT,
+    updated TEXT,
+    job_id TEXT,
+    synced_at TEXT,
+    UNIQUE(instance, scope, issue_key)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS sync_attachments (
+    id INTEGER PRIMARY KEY,
+    instance TEXT,
+    scope TEXT,
+    attachment_id TEXT,
+    issue_key TEXT,
+    filename TEXT,
+    size INTEGER,
+    segment_files TEXT,
+    job_id TEXT,
+    synced_at TEXT,
+    UNIQUE(instance, scope, attachment_id)
+  )`);
+
+  // Add columns introduced after the initial schema to existing databases
+  schemaReady = Promise.all([
+    ensureColumn('download_jobs', 'jql', 'TEXT'),
+    ensureColumn('download_jobs', 'instance', 'TEXT'),
+    ensureColumn('download_jobs', 'incremental', 'INTEGER DEFAULT 0'),
+    ensureColumn('download_jobs', 'include_history', 'INTEGER DEFAULT 0'),
+    ensureColumn('download_jobs', 'custom_fields', 'TEXT'),
+    ensureColumn('download_jobs', 'render_format', "TEXT DEFAULT 'raw'"),
+    ensureColumn('download_jobs', 'schedule_id', 'TEXT'),
+    ensureColumn('download_jobs', 'segment_size', 'INTEGER'),
+    ensureColumn('download_jobs', 'segment_strategy', 'TEXT'),
+    ensureColumn('download_jobs', 'export_manifest', 'TEXT'),
+    ensureColumn('download_jobs', 'reassembly_script', 'INTEGER DEFAULT 1'),
+    ensureColumn('download_jobs', 'archive_format', 'TEXT'),
+    ensureColumn('download_jobs', 'encrypted', 'INTEGER DEFAULT 0'),
+    ensureColumn('download_jobs', 'credential_id', 'TEXT'),
+    ensureColumn('schedules', 'credential_id', 'TEXT')
+  ]);
 });
 
 // Load environment variables
 dotenv.config();
 
+// Import Jira instance profiles
+const instances = require('./config/instances');
+const defaults = require('./config/defaults');
+const changelog = require('./lib/changelog');
+const { toCsv, ticketCsvRows } = require('./lib/csv');
+const worklogs = require('./lib/worklogs');
+const relations = require('./lib/relations');
+const fieldMetadata = require('./lib/fields');
+const sprints = require('./lib/sprints');
+const markup = require('./lib/markup');
+const viewer = require('./lib/viewer');
+const credentialStore = require('./lib/credential-store');
+const sessions = require('./lib/sessions');
+const authProviders = require('./lib/auth-providers');
+const { jiraClient } = require('./lib/jira-client');
+const { writeSegment } = require('./lib/segment-writer');
+const archiveFormats = require('./lib/archive-formats');
+const segmentPlanner = require('./lib/segment-planner');
+const exportManifest = require('./lib/export-manifest');
+const exportReassembly = require('./lib/export-reassembly');
+
 // Import background processing modules
 let queueManager = require('./workers/queue-manager');
 // Wrap queue manager with debug logging
 queueManager = debug.wrapQueueManager(queueManager);
+const jobEvents = require('./workers/job-events');
+const scheduleManager = require('./workers/schedule-manager');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -68,13 +238,52 @@ app.use(cors());
 app.use(express.json());
 app.use(debug.debugMiddleware); // Add debug middleware for request logging
 
-// Serve static files
-app.use(express.static(__dirname));
-app.use('/downloads', express.static(path.join(__dirname, 'downloads')));
+// Serve the UI files only; the database, logs, configuration and exports next to them stay private
+const UI_FILES = ['index.html', 'script.js', 'debug-helper.js', 'styles.css'];
+app.get(UI_FILES.map(file => `/${file}`), (req, res) => {
+  res.sendFile(path.join(__dirname, path.basename(req.path)));
+});
 
 // Initialize download queue
 const downloadQueue = queueManager.initializeQueue(db);
 
+// Move API keys stored with jobs and schedules by older versions to the credentials table before any job or schedule uses them
+const startBackgroundJobs = () => credentialStore.migrateStoredCredentials(db)
+  .then(({ migrated, purged }) => {
+    if (migrated > 0 || purged > 0) {
+      logger.info('Migrated stored credentials', { migrated, purged });
+    }
+  })
+  .catch(err => {
+    logger.error('Error migrating stored credentials', { error: err.message });
+  })
+  .then(() => {
+    // Re-queue jobs interrupted by a restart; they continue from their last checkpoint
+    queueManager.resumeInterruptedJobs(db, downloadQueue)
+      .then(count => {
+        if (count > 0) {
+          logger.info('Resumed interrupted download jobs', { count });
+        }
+      })
+      .catch(err => {
+        logger.error('Error resuming interrupted jobs', { error: err.message });
+      });
+
+    // Run due schedules every minute, starting with any runs missed while the server was down
+    scheduleManager.startScheduler(db, downloadQueue);
+  });
+
+// Drop expired login sessions, unfinished OAuth logins and stored credentials nothing uses any more every 15 minutes
+setInterval(() => {
+  authProviders.purgeExpiredLogins();
+  const count = sessions.purgeExpiredSessions();
+  if (count > 0) {
+    logger.info('Expired login sessions removed', { count });
+  }
+  credentialStore.releaseUnusedCredentials(db)
+    .catch(err => logger.error('Error releasing stored credentials', { error: err.message }));
+}, 15 * 60 * 1000);
+
 // Schedule cleanup of old jobs
 setInterval(() => {
   queueManager.cleanupOldJobs(db)
@@ -88,40 +297,178 @@ setInterval(() => {
     });
 }, 24 * 60 * 60 * 1000); // Run once per day
 
-// Utility function to create Jira API headers
-const createJiraHeaders = (auth) => ({
-  'Authorization': `Basic ${auth}`,
-  'Accept': 'application/json',
-  'Content-Type': 'application/json'
+// Middleware to resolve the Jira instance profile named in the request body or query string
+const resolveInstance = (req, res, next) => {
+  try {
+    req.jiraInstance = instances.getInstance(req.body?.instance || req.query.instance);
+    next();
+  } catch (error) {
+    logger.warn('Invalid Jira instance requested', { error: error.message });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// API routes that work without a login session
+const PUBLIC_API_PATHS = ['/instances', '/archive-formats', '/login', '/logout', '/session', '/client-error', '/oauth/authorize', '/oauth/callback'];
+
+// End a session; the credentials stored for its jobs and schedules are deleted as soon as none of them needs them
+const endSession = (sessionId) => {
+  const session = sessions.destroySession(sessionId);
+  if (session?.credentialId) {
+    credentialStore.releaseCredentialHold(db, session.credentialId)
+      .catch(err => logger.error('Error releasing stored credentials', { error: err.message }));
+  }
+};
+
+// Middleware to require a login session; attaches its credentials (req.auth) and Jira instance profile
+// OAuth access tokens close to expiry are refreshed here; the session keeps the rotated tokens, and so do
+// the stored credentials its jobs and schedules share once it has any
+const requireSession = async (req, res, next) => {
+  const sessionId = sessions.readSessionId(req);
+  const session = sessions.getSession(sessionId);
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: 'Not logged in or session expired',
+      code: 'SESSION_REQUIRED'
+    });
+  }
+
+  try {
+    req.auth = authProviders.createAuth(instances.getInstance(session.instance), {
+      username: session.username,
+      secret: session.secret,
+      onRefresh: async (secret) => {
+        session.secret = secret;
+        if (session.credentialId) {
+          await credentialStore.updateCredential(db, session.credentialId, secret);
+        }
+      },
+      loadSecret: () => credentialStore.loadCredential(db, session.credentialId)
+    });
+    await req.auth.refreshIfNeeded();
+  } catch (error) {
+    logger.warn('Session credentials are no longer usable', { error: error.message, code: error.code });
+    endSession(sessionId);
+    return res.status(401).json({
+      success: false,
+      error: error.status === 401 ? error.message : 'Not logged in or session expired',
+      code: 'SESSION_REQUIRED'
+    });
+  }
+
+  req.session = session;
+  req.jiraInstance = req.auth.instance;
+  next();
+};
+
+// Start a session for verified credentials and set its cookie
+// Returns the session details sent to the browser
+const startSession = (req, res, { instance, username, secret }) => {
+  // Replace any session this browser already had
+  endSession(sessions.readSessionId(req));
+  const { sessionId, expiresAt } = sessions.createSession({ instance: instance.name, username, secret });
+  res.cookie(sessions.COOKIE_NAME, sessionId, {
+    ...sessions.cookieOptions(req),
+    maxAge: expiresAt - Date.now()
+  });
+
+  return {
+    instance: instance.name,
+    username,
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+};
+
+// Stored credentials of the session for the jobs and schedules it creates
+// All of them share one copy, which every refresh of its OAuth tokens updates
+// Returns the credential ID
+const sessionCredential = async (req) => {
+  const session = req.session;
+  if (!session.credentialId || await credentialStore.loadCredential(db, session.credentialId) === null) {
+    session.credentialId = await credentialStore.saveCredential(db, {
+      instance: session.instance,
+      username: session.username,
+      secret: session.secret
+    }, session.expiresAt);
+  }
+  return session.credentialId;
+};
+
+app.use('/api', (req, res, next) => (PUBLIC_API_PATHS.includes(req.path) ? next() : requireSession(req, res, next)));
+app.use('/downloads', requireSession, express.static(path.join(__dirname, 'downloads')));
+
+// Utility function to validate a JQL query with Jira's parser before it is used
+const validateJql = async (instance, headers, jql) => {
+  const response = await jiraClient.post(`${instances.apiUrl(instance, '/jql/parse')}?validation=strict`, {
+    queries: [jql]
+  }, {
+    headers
+  });
+
+  const [result] = response.data.queries || [];
+  const errors = result?.errors || [];
+  return { valid: errors.length === 0, errors };
+};
+
+// List Jira instance profiles endpoint
+app.get('/api/instances', (req, res) => {
+  res.json({
+    success: true,
+    instances: instances.listInstances(),
+    defaultInstance: instances.getDefaultInstanceName()
+  });
 });
 
-// Test connection endpoint
-app.post('/api/test-connection', async (req, res, next) => {
+// List the archive formats segments can be written in on this server
+app.get('/api/archive-formats', (req, res) => {
+  res.json({
+    success: true,
+    formats: archiveFormats.listArchiveFormats(),
+    defaultFormat: defaults.archiveFormat
+  });
+});
+
+// Login endpoint: verifies the credentials with Jira and keeps them in a server-side session
+app.post('/api/login', resolveInstance, async (req, res, next) => {
   const { username, apiKey } = req.body;
+  const instance = req.jiraInstance;
   
-  if (!username || !apiKey) {
+  if (instance.authType === 'oauth') {
+    return res.status(400).json({
+      success: false,
+      error: `${instance.label} uses OAuth; log in through /api/oauth/authorize`
+    });
+  }
+
+  if (!authProviders.hasCredentials(instance, username, apiKey)) {
     return res.status(400).json({
       success: false,
       error: 'Username and API key are required'
     });
   }
   
-  const auth = Buffer.from(`${username}:${apiKey}`).toString('base64');
-  logger.info('Testing connection with auth', { username });
+  logger.info('Testing connection with auth', { username, instance: instance.name });
 
   try {
-    const response = await axios.get('https://thehut.atlassian.net/rest/api/2/myself', {
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Accept': 'application/json'
-      }
+    const auth = authProviders.createAuth(instance, { username, secret: apiKey });
+    const response = await jiraClient.get(instances.apiUrl(auth.instance, '/myself'), {
+      headers: auth.headers
     });
     logger.info('Connection successful', { 
       username, 
       displayName: response.data.displayName,
       accountId: response.data.accountId
     });
-    res.json({ success: true, user: response.data });
+
+    res.json({
+      success: true,
+      user: response.data,
+      session: startSession(req, res, { instance, username, secret: apiKey })
+    });
   } catch (error) {
     logger.warn('Connection failed', { 
       username, 
@@ -155,23 +502,87 @@ app.post('/api/test-connection', async (req, res, next) => {
   }
 });
 
-// Get projects endpoint
-app.post('/api/get-projects', async (req, res, next) => {
-  const { username, apiKey } = req.body;
-  
-  if (!username || !apiKey) {
+// Logout endpoint: forgets the session's credentials
+app.post('/api/logout', (req, res) => {
+  endSession(sessions.readSessionId(req));
+  res.clearCookie(sessions.COOKIE_NAME, sessions.cookieOptions(req));
+  res.json({ success: true });
+});
+
+// Cookie holding the state of the OAuth login this browser started
+// Lax, not Strict: the callback is a top-level navigation coming back from the authorization server
+const OAUTH_STATE_COOKIE = 'jira_oauth_state';
+const oauthStateCookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: req.secure,
+  path: '/api/oauth',
+  maxAge: defaults.auth.loginTimeoutMs
+});
+
+// OAuth login endpoint: sends the browser to the instance's authorization server
+app.get('/api/oauth/authorize', resolveInstance, (req, res) => {
+  const instance = req.jiraInstance;
+  if (instance.authType !== 'oauth') {
     return res.status(400).json({
       success: false,
-      error: 'Username and API key are required'
+      error: `${instance.label} does not use OAuth`
     });
   }
-  
-  const auth = Buffer.from(`${username}:${apiKey}`).toString('base64');
+
+  const redirectUri = `${req.protocol}://${req.get('host')}/api/oauth/callback`;
+  logger.info('Starting OAuth login', { instance: instance.name });
+  const { url, state } = authProviders.startOAuthLogin(instance, redirectUri);
+  // The callback only accepts the state of a login this browser started
+  res.cookie(OAUTH_STATE_COOKIE, state, oauthStateCookieOptions(req));
+  res.redirect(url);
+});
+
+// OAuth callback endpoint: exchanges the authorization code and starts a session
+app.get('/api/oauth/callback', async (req, res) => {
+  try {
+    const browserState = sessions.readCookie(req, OAUTH_STATE_COOKIE);
+    res.clearCookie(OAUTH_STATE_COOKIE, { ...oauthStateCookieOptions(req), maxAge: undefined });
+    const { instance, secret } = await authProviders.finishOAuthLogin(instances.getInstance, req.query, browserState);
+    const auth = authProviders.createAuth(instance, { secret });
+    const response = await jiraClient.get(instances.apiUrl(auth.instance, '/myself'), {
+      headers: auth.headers
+    });
+
+    const username = response.data.emailAddress || response.data.displayName || response.data.accountId;
+    startSession(req, res, { instance, username, secret });
+    logger.info('OAuth login successful', { instance: instance.name, username, accountId: response.data.accountId });
+    res.redirect('/');
+  } catch (error) {
+    logger.warn('OAuth login failed', { error: error.message, code: error.code, status: error.response?.status });
+    // The message can carry the callback's error parameter; it is escaped so it cannot inject markup
+    res.status(error.status || error.response?.status || 500).send(`OAuth login failed: ${markup.escapeHtml(error.message)}. <a href="/">Back</a>`);
+  }
+});
+
+// Current session endpoint, so the page can restore a login after a reload
+app.get('/api/session', (req, res) => {
+  const session = sessions.getSession(sessions.readSessionId(req));
+  res.json({
+    success: true,
+    loggedIn: Boolean(session),
+    session: session ? {
+      instance: session.instance,
+      username: session.username,
+      expiresAt: new Date(session.expiresAt).toISOString()
+    } : null
+  });
+});
+
+// Get projects endpoint
+app.post('/api/get-projects', async (req, res, next) => {
+  const { username } = req.session;
+  const instance = req.jiraInstance;
 
   try {
-    logger.info('Fetching projects', { username });
-    const response = await axios.get('https://thehut.atlassian.net/rest/api/2/project', {
-      headers: createJiraHeaders(auth)
+    logger.info('Fetching projects', { username, instance: instance.name });
+    const response = await jiraClient.get(instances.apiUrl(instance, '/project'), {
+      headers: req.auth.headers
     });
     
     // Map the response to include both name and key
@@ -212,16 +623,172 @@ app.post('/api/get-projects', async (req, res, next) => {
   }
 });
 
+// Get custom fields endpoint
+app.post('/api/get-fields', async (req, res, next) => {
+  const { username } = req.session;
+  const instance = req.jiraInstance;
+
+  try {
+    const fieldDefinitions = await fieldMetadata.fetchFieldDefinitions(instance, req.auth.headers);
+    const fields = fieldMetadata.listCustomFields(fieldDefinitions);
+    logger.info('Custom fields fetched successfully', { username, fieldCount: fields.length });
+    res.json({ success: true, fields });
+  } catch (error) {
+    logger.error('Failed to fetch custom fields', {
+      username,
+      error: error.message,
+      status: error.response?.status
+    });
+
+    if (error.response) {
+      res.status(error.response.status).json({
+        success: false,
+        error: 'Failed to fetch custom fields',
+        details: error.response.data?.message || error.response.statusText
+      });
+    } else if (error.request) {
+      res.status(500).json({
+        success: false,
+        error: 'No response received from Jira API',
+        details: 'The server may be down or unreachable'
+      });
+    } else {
+      next(error); // Pass to error handler
+    }
+  }
+});
+
+// Validate JQL endpoint
+app.post('/api/validate-jql', async (req, res, next) => {
+  const { jql } = req.body;
+  const { username } = req.session;
+  const instance = req.jiraInstance;
+
+  if (!jql) {
+    return res.status(400).json({
+      success: false,
+      error: 'JQL is required'
+    });
+  }
+
+  try {
+    const validation = await validateJql(instance, req.auth.headers, jql);
+    logger.info('JQL validated', { username, jql, valid: validation.valid });
+    res.json({ success: true, validation });
+  } catch (error) {
+    logger.error('Failed to validate JQL', {
+      username,
+      jql,
+      error: error.message,
+      status: error.response?.status,
+      data: error.response?.data
+    });
+
+    if (error.response) {
+      res.status(error.response.status).json({
+        success: false,
+        error: 'Failed to validate JQL',
+        details: error.response.data?.errorMessages?.join(' ') || error.response.statusText
+      });
+    } else if (error.request) {
+      res.status(500).json({
+        success: false,
+        error: 'No response received from Jira API',
+        details: 'The server may be down or unreachable'
+      });
+    } else {
+      next(error); // Pass to error handler
+    }
+  }
+});
+
+// Preview how the attachments of a download would be split into segments, without downloading them
+app.post('/api/segment-plan', async (req, res) => {
+  const { projectKey, jql: customJql, segmentSizeMb, segmentStrategy } = req.body;
+  const { username } = req.session;
+  const instance = req.jiraInstance;
+
+  if (!projectKey && !customJql) {
+    return res.status(400).json({
+      success: false,
+      error: 'A project key or JQL query is required'
+    });
+  }
+
+  try {
+    const segmentOptions = segmentPlanner.resolveSegmentOptions({ segmentSizeMb, strategy: segmentStrategy });
+    const jql = customJql || `project = ${projectKey}`;
+
+    // Only attachment metadata is needed to plan
+    let issues = [];
+    let startAt = 0;
+    let total = 0;
+    do {
+      const response = await jiraClient.post(instances.apiUrl(instance, '/search'), {
+        jql,
+        startAt,
+        maxResults: 100,
+        fields: ['attachment']
+      }, {
+        headers: req.auth.headers
+      });
+      issues = issues.concat(response.data.issues);
+      total = response.data.total;
+      startAt += 100;
+    } while (startAt < total);
+
+    const plan = segmentPlanner.planSegments(issues, segmentOptions);
+    logger.info('Segment plan previewed', {
+      username,
+      jql,
+      strategy: plan.strategy,
+      segments: plan.segments.length,
+      totalAttachments: plan.totalAttachments
+    });
+    res.json({ success: true, plan });
+  } catch (error) {
+    logger.error('Failed to plan segments', { username, error: error.message, status: error.response?.status });
+    res.status(error.status || error.response?.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Ensure downloads directory exists
 const downloadsDir = path.join(__dirname, 'downloads');
 if (!fs.existsSync(downloadsDir)) {
   fs.mkdirSync(downloadsDir);
 }
 
+// Display names of the supported download types
+const DOWNLOAD_TYPE_LABELS = {
+  all: 'Everything',
+  tickets: 'Tickets Only',
+  attachments: 'Attachments Only',
+  worklogs: 'Tickets & Worklogs',
+  sprints: 'Sprints'
+};
+
 // Download tickets endpoint
+// Output files named in a foreground download event: *FileName fields and segments
+const announcedFiles = (data = {}) => [
+  ...Object.entries(data)
+    .filter(([key, value]) => /(^f|F)ileName$/.test(key) && typeof value === 'string')
+    .map(([, value]) => value),
+  ...(data.segments || []).map(segment => segment.fileName)
+];
+
 app.get('/api/download-tickets', async (req, res) => {
-  const { username, apiKey, projectKey, downloadType = 'all', fileFormat = 'json' } = req.query;
-  const auth = Buffer.from(`${username}:${apiKey}`).toString('base64');
+  const { username } = req.session;
+  // Files of this session's foreground downloads, see /api/download-project
+  req.session.downloads = req.session.downloads || new Set();
+  const { projectKey, jql: customJql, downloadType = 'all', fileFormat = 'json', includeHistory, customFields: customFieldsParam, renderFormat = 'raw', segmentSizeMb, segmentStrategy, archiveFormat: archiveFormatParam, reassemblyScript } = req.query;
+  const instance = req.jiraInstance;
+  const jiraHeaders = req.auth.headers;
+
+  // A custom JQL query replaces the project filter; the project key, if any, only labels the output
+  const exportLabel = projectKey || 'JQL';
 
   // Helper function to send periodic keep-alive messages
   const startKeepAlive = (res, projectKey, intervalMs = 15000) => {
@@ -258,13 +825,17 @@ app.get('/api/download-tickets', async (req, res) => {
 
   logger.info('Download request received', {
     projectKey,
+    jql: customJql,
     downloadType,
     fileFormat,
     username,
+    instance: instance.name,
     timestamp: new Date().toISOString()
   });
 
   let keepAliveInterval;
+  // Long downloads outlive OAuth access tokens; refresh them while the export runs
+  const stopRefreshing = req.auth.keepFresh();
 
   try {
     // Log downloads directory status
@@ -282,35 +853,111 @@ app.get('/api/download-tickets', async (req, res) => {
     });
 
     // Start keep-alive messages
-    keepAliveInterval = startKeepAlive(res, projectKey);
+    keepAliveInterval = startKeepAlive(res, exportLabel);
 
-    // Helper function to send SSE
+    // Helper function to send SSE; files it announces become downloadable by this session
     const sendProgress = (data) => {
+      announcedFiles(data.data).forEach(fileName => req.session.downloads.add(fileName));
       res.write(`data: ${JSON.stringify(data)}\n\n`);
     };
 
+    if (!projectKey && !customJql) {
+      throw new Error('A project key or JQL query is required');
+    }
+
+    if (!markup.RENDER_FORMATS.includes(renderFormat)) {
+      throw new Error(`Unsupported render format: ${renderFormat}`);
+    }
+
+    const segmentOptions = segmentPlanner.resolveSegmentOptions({ segmentSizeMb, strategy: segmentStrategy });
+    const archiveFormat = archiveFormats.resolveArchiveFormat(archiveFormatParam);
+
+    // Custom fields are selected by display name and passed as a JSON array
+    let selectedFieldNames = [];
+    if (customFieldsParam) {
+      try {
+        selectedFieldNames = JSON.parse(customFieldsParam);
+      } catch (parseError) {
+        throw new Error('customFields must be a JSON array of field names');
+      }
+    }
+
+    // Reject invalid queries before any issues are fetched
+    if (customJql) {
+      const validation = await validateJql(instance, jiraHeaders, customJql);
+      if (!validation.valid) {
+        throw new Error(`Invalid JQL: ${validation.errors.join(' ')}`);
+      }
+    }
+
+    // Sprint exports walk the agile API instead of searching issues
+    if (downloadType === 'sprints') {
+      if (!projectKey) {
+        throw new Error('Sprint exports need a project key');
+      }
+
+      const sprintStartTime = Date.now();
+      const sprintProgress = {
+        stage: 'fetching',
+        message: 'Fetching boards and sprints...',
+        totalIssues: 0,
+        currentIssue: 0,
+        downloadedSize: '0 MB',
+        timeElapsed: '0s',
+        estimatedTimeRemaining: 'Calculating...',
+        currentOperation: 'Scanning Boards',
+        operationDetails: `Project: ${projectKey}`
+      };
+      sendProgress(sprintProgress);
+
+      const sprintExport = await sprints.collectProjectSprints(instance, jiraHeaders, projectKey, (board, sprint) => {
+        sprintProgress.currentOperation = 'Fetching Sprints';
+        sprintProgress.message = `Fetching ${sprint.name}...`;
+        sprintProgress.operationDetails = board.name;
+        sprintProgress.timeElapsed = `${Math.floor((Date.now() - sprintStartTime) / 1000)}s`;
+        sendProgress(sprintProgress);
+      });
+      const { jsonFileName, csvFileName } = sprints.writeSprintExport(downloadsDir, exportLabel, sprintExport);
+
+      sendProgress({
+        success: true,
+        data: {
+          totalBoards: sprintExport.totalBoards,
+          totalSprints: sprintExport.totalSprints,
+          sprintsFileName: jsonFileName,
+          sprintsCsvFileName: csvFileName,
+          totalSize: `${(fs.statSync(path.join(downloadsDir, jsonFileName)).size / (1024 * 1024)).toFixed(1)}MB`,
+          downloadType
+        }
+      });
+      return;
+    }
+
     // Get project info and total number of issues
     console.log('Fetching project info and issue count...');
-    const jql = `project = ${projectKey}`;
+    const jql = customJql || `project = ${projectKey}`;
     const [projectResponse, countResponse] = await Promise.all([
-      axios.get(`https://thehut.atlassian.net/rest/api/2/project/${projectKey}`, {
-        headers: createJiraHeaders(auth)
-      }),
-      axios.post('https://thehut.atlassian.net/rest/api/2/search', {
+      projectKey
+        ? jiraClient.get(instances.apiUrl(instance, `/project/${projectKey}`), {
+            headers: jiraHeaders
+          })
+        : Promise.resolve({ data: { key: null, name: 'JQL query' } }),
+      jiraClient.post(instances.apiUrl(instance, '/search'), {
         jql,
         maxResults: 0
       }, {
-        headers: createJiraHeaders(auth)
+        headers: jiraHeaders
       })
     ]);
 
     console.log('Total issues from Jira:', countResponse.data.total);
 
-    const projectInfo = projectResponse.data;
+    const projectInfo = { ...projectResponse.data, jql };
     const totalIssues = countResponse.data.total;
 
     console.log('Project info retrieved:', {
       projectKey: projectInfo.key,
+      jql,
       projectName: projectInfo.name,
       totalIssues,
       timestamp: new Date().toISOString()
@@ -339,14 +986,14 @@ app.get('/api/download-tickets', async (req, res) => {
     };
 
     // Send initial progress with download type info
-    progress.currentOperation = `Downloading ${downloadType === 'all' ? 'Everything' : downloadType === 'tickets' ? 'Tickets Only' : 'Attachments Only'}`;
+    progress.currentOperation = `Downloading ${DOWNLOAD_TYPE_LABELS[downloadType] || downloadType}`;
     sendProgress(progress);
 
     // Fetch issues based on download type
     progress.stage = 'fetching';
     progress.currentOperation = 'Scanning Project';
     progress.message = 'Finding content...';
-    progress.operationDetails = `Project: ${projectKey}`;
+    progress.operationDetails = customJql ? `JQL: ${customJql}` : `Project: ${projectKey}`;
     sendProgress(progress);
 
     // Define fields to fetch based on download type
@@ -354,21 +1001,39 @@ app.get('/api/download-tickets', async (req, res) => {
     if (downloadType === 'all' || downloadType === 'attachments') {
       fields.push('attachment');
     }
-    if (downloadType === 'all' || downloadType === 'tickets') {
+    let epicLinkField = null;
+    let customFields = [];
+    if (downloadType === 'all' || downloadType === 'tickets' || downloadType === 'worklogs') {
       fields.push('summary', 'description', 'comment', 'created', 'updated', 'status', 'priority', 'assignee', 'reporter');
+      fields.push(...relations.RELATION_FIELDS);
+
+      // Field metadata is fetched once per job to find the Epic Link and the selected custom fields
+      const fieldDefinitions = await fieldMetadata.fetchFieldDefinitions(instance, jiraHeaders);
+      epicLinkField = relations.findEpicLinkField(fieldDefinitions);
+      if (epicLinkField) {
+        fields.push(epicLinkField);
+      }
+      customFields = fieldMetadata.resolveCustomFields(fieldDefinitions, selectedFieldNames);
+      fields.push(...customFields.map(field => field.id));
+    }
+    if (downloadType === 'worklogs') {
+      fields.push('worklog');
     }
+    // Change history is only exported alongside ticket data
+    const withHistory = includeHistory === 'true' && downloadType !== 'attachments';
 
     // Fetch all issues with pagination
     const maxResultsPerPage = 100; // Jira's max per page
     let startAt = 0;
     do {
-      const response = await axios.post('https://thehut.atlassian.net/rest/api/2/search', {
+      const response = await jiraClient.post(instances.apiUrl(instance, '/search'), {
         jql,
         startAt,
         maxResults: maxResultsPerPage,
-        fields
+        fields,
+        ...(withHistory && { expand: ['changelog'] })
       }, {
-        headers: createJiraHeaders(auth)
+        headers: jiraHeaders
       });
       issues = issues.concat(response.data.issues);
       startAt += maxResultsPerPage;
@@ -386,27 +1051,52 @@ app.get('/api/download-tickets', async (req, res) => {
     });
 
     // Process issues based on download type
-    const ticketsData = issues.map(issue => ({
-      key: issue.key || '',
-      summary: issue.fields?.summary || '',
-      description: issue.fields?.description || '',
-      created: issue.fields?.created || '',
-      updated: issue.fields?.updated || '',
-      status: issue.fields?.status?.name || '',
-      priority: issue.fields?.priority?.name || '',
-      assignee: issue.fields?.assignee?.displayName || '',
-      reporter: issue.fields?.reporter?.displayName || '',
-      comments: (issue.fields?.comment?.comments || []).map(c => ({
-        author: c?.author?.displayName || '',
-        created: c?.created || '',
-        body: c?.body || ''
-      }))
-    }));
+    const ticketsData = issues.map(issue => {
+      // Mentions and attachment references resolve against the issue's own users and files
+      const textContext = markup.issueContext(issue, exportLabel);
+      return {
+        key: issue.key || '',
+        summary: issue.fields?.summary || '',
+        description: markup.renderText(issue.fields?.description || '', renderFormat, textContext),
+        created: issue.fields?.created || '',
+        updated: issue.fields?.updated || '',
+        status: issue.fields?.status?.name || '',
+        priority: issue.fields?.priority?.name || '',
+        assignee: issue.fields?.assignee?.displayName || '',
+        reporter: issue.fields?.reporter?.displayName || '',
+        comments: (issue.fields?.comment?.comments || []).map(c => ({
+          author: c?.author?.displayName || '',
+          created: c?.created || '',
+          body: markup.renderText(c?.body || '', renderFormat, textContext)
+        })),
+        ...relations.issueRelations(issue, epicLinkField),
+        ...(customFields.length > 0 && { customFields: fieldMetadata.customFieldValues(issue, customFields) })
+      };
+    });
+
+    if (withHistory) {
+      progress.currentOperation = 'Collecting History';
+      progress.message = 'Collecting change history...';
+      sendProgress(progress);
+      for (let i = 0; i < issues.length; i++) {
+        ticketsData[i].history = await changelog.collectIssueHistory(instance, jiraHeaders, issues[i]);
+      }
+    }
+
+    // Attachments are planned before the ticket files, so the viewer knows which ones are split
+    const plan = downloadType === 'all' || downloadType === 'attachments'
+      ? segmentPlanner.nameSegments(segmentPlanner.planSegments(issues, segmentOptions), exportLabel, archiveFormat)
+      : null;
 
     // For tickets-only or all content, create the tickets file
-    if (downloadType === 'tickets' || downloadType === 'all') {
-      const fileName = `${projectKey}_tickets_${new Date().toISOString().replace(/[:.]/g, '-')}.${fileFormat}`;
+    let ticketsFileName = null;
+    let historyFileName = null;
+    let graphFileName = null;
+    let viewerFileName = null;
+    if (downloadType === 'tickets' || downloadType === 'all' || downloadType === 'worklogs') {
+      const fileName = `${exportLabel}_tickets_${new Date().toISOString().replace(/[:.]/g, '-')}.${fileFormat}`;
       const filePath = path.join(downloadsDir, fileName);
+      ticketsFileName = fileName;
 
       console.log('Writing ticket data to file:', {
         fileName,
@@ -420,30 +1110,56 @@ app.get('/api/download-tickets', async (req, res) => {
         fs.writeFileSync(filePath, JSON.stringify(ticketsData, null, 2));
         console.log('JSON file written successfully');
       } else {
-        // Convert to CSV format
-        const csvRows = [];
-        // Add headers
-        csvRows.push(['Key', 'Summary', 'Description', 'Created', 'Updated', 'Status', 'Priority', 'Assignee', 'Reporter', 'Comments']);
-        // Add data
-        ticketsData.forEach(ticket => {
-          csvRows.push([
-            ticket.key,
-            ticket.summary,
-            ticket.description,
-            ticket.created,
-            ticket.updated,
-            ticket.status,
-            ticket.priority,
-            ticket.assignee,
-            ticket.reporter,
-            ticket.comments.map(c => `${c.author}: ${c.body}`).join(' | ')
-          ]);
-        });
-        fs.writeFileSync(filePath, csvRows.map(row => row.join(',')).join('\n'));
+        fs.writeFileSync(filePath, toCsv(ticketCsvRows(ticketsData, customFields)));
+
+        // History has one row per field change, so it gets its own CSV file
+        if (withHistory) {
+          historyFileName = `${exportLabel}_history_${new Date().toISOString().replace(/[:.]/g, '-')}.csv`;
+          fs.writeFileSync(path.join(downloadsDir, historyFileName), toCsv(changelog.historyCsvRows(ticketsData)));
+        }
+      }
+
+      // Dependency graph of links, sub-tasks and epics for offline traversal
+      graphFileName = `${exportLabel}_graph_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+      fs.writeFileSync(path.join(downloadsDir, graphFileName), JSON.stringify(relations.buildIssueGraph(ticketsData), null, 2));
+
+      // Static HTML viewer for stakeholders without tooling
+      viewerFileName = viewer.writeViewer(downloadsDir, exportLabel, {
+        title: projectKey || jql,
+        exportLabel,
+        issues,
+        tickets: ticketsData,
+        attachmentParts: segmentPlanner.attachmentPartCounts(plan?.segments)
+      });
+
+      // Worklogs are written next to the tickets file
+      let worklogExport = null;
+      if (downloadType === 'worklogs') {
+        progress.currentOperation = 'Collecting Worklogs';
+        progress.message = 'Collecting worklogs...';
+        sendProgress(progress);
+        const allWorklogs = [];
+        for (const issue of issues) {
+          allWorklogs.push(...await worklogs.collectIssueWorklogs(instance, jiraHeaders, issue));
+        }
+        worklogExport = worklogs.writeWorklogExport(downloadsDir, exportLabel, fileFormat, allWorklogs);
       }
 
       // If tickets only, send file info for download
-      if (downloadType === 'tickets') {
+      if (downloadType === 'tickets' || downloadType === 'worklogs') {
+        const exportManifestFileName = await exportManifest.writeExportManifest(downloadsDir, exportLabel, {
+          exportLabel,
+          jql,
+          issues,
+          files: [
+            { fileName, kind: 'tickets' },
+            { fileName: historyFileName, kind: 'history' },
+            { fileName: graphFileName, kind: 'graph' },
+            { fileName: viewerFileName, kind: 'viewer' },
+            { fileName: worklogExport?.worklogFileName, kind: 'worklogs' },
+            { fileName: worklogExport?.summaryFileName, kind: 'worklog-summary' }
+          ]
+        });
         sendProgress({
           success: true,
           data: {
@@ -452,8 +1168,15 @@ app.get('/api/download-tickets', async (req, res) => {
             totalComments: ticketsData.reduce((sum, t) => sum + (t.comments?.length || 0), 0),
             totalAttachments: 0,
             fileName: fileName,
+            historyFileName,
+            graphFileName,
+            viewerFileName,
+            worklogFileName: worklogExport?.worklogFileName || null,
+            worklogSummaryFileName: worklogExport?.summaryFileName || null,
+            worklogSummary: worklogExport?.summary || null,
+            exportManifestFileName,
             totalSize: `${(fs.statSync(filePath).size / (1024 * 1024)).toFixed(1)}MB`,
-            downloadType: 'tickets'
+            downloadType
           }
         });
         return;
@@ -462,213 +1185,44 @@ app.get('/api/download-tickets', async (req, res) => {
 
     // For attachments-only or all content, continue with attachment processing
 
-    const downloadData = {
-      projectInfo,
-      totalAttachments: 0,
-      estimatedSize: '0 MB'
-    };
-
-    // Process each issue and estimate total size
-    progress.stage = 'processing';
-    let totalEstimatedBytes = 0;
-    let totalAttachmentCount = 0;
-
-    console.log('Starting attachment analysis...');
-
-    // First pass: count attachments and calculate total size
-    for (const issue of issues) {
-      if (issue.fields?.attachment) {
-        totalAttachmentCount += issue.fields.attachment.length;
-        for (const attachment of issue.fields.attachment) {
-          totalEstimatedBytes += parseInt(attachment.size || 0);
-        }
-      }
-    }
-
-    // Skip second pass and go straight to segmentation
-    downloadData.totalAttachments = totalAttachmentCount;
-
-    downloadData.estimatedSize = `${(totalEstimatedBytes / (1024 * 1024)).toFixed(1)} MB`;
-
-    console.log('Attachment analysis complete:', {
-      totalAttachments: totalAttachmentCount,
-      totalSize: `${(totalEstimatedBytes / (1024 * 1024)).toFixed(1)} MB`,
-      timestamp: new Date().toISOString()
-    });
-
-    // Calculate segments needed for attachments
-    const SEGMENT_SIZE_LIMIT = 200 * 1024 * 1024; // 200MB per segment
-    const attachmentSegments = [];
-    let currentSegment = {
-      files: [],
-      size: 0,
-      number: 1
-    };
-
-    // Group attachments into segments with error handling
-    try {
-      progress.stage = 'analyzing';
-      progress.currentOperation = 'Analyzing attachments';
-      progress.operationDetails = `Found ${totalAttachmentCount} attachments (${(totalEstimatedBytes / (1024 * 1024)).toFixed(1)}MB total)`;
-      progress.message = 'Calculating segments needed...';
-      sendProgress(progress);
-
-      // Calculate and show segment information
-      const estimatedSegments = Math.ceil(totalEstimatedBytes / SEGMENT_SIZE_LIMIT);
-      progress.operationDetails = `Total size: ${(totalEstimatedBytes / (1024 * 1024)).toFixed(1)}MB`;
-      progress.message = `Will create ${estimatedSegments} segments of 50MB each`;
-      sendProgress(progress);
-
-      // Add a small delay to ensure progress is shown
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      for (const issue of issues) {
-        if (!issue.fields?.attachment) continue;
-
-        for (const attachment of issue.fields.attachment) {
-          try {
-            const attachmentSize = parseInt(attachment.size || 0);
-            if (attachmentSize === 0) {
-              console.warn(`Skipping attachment with size 0: ${attachment.filename}`);
-              continue;
-            }
-
-            // If attachment is larger than segment size, split it
-            if (attachmentSize > SEGMENT_SIZE_LIMIT) {
-              const segmentCount = Math.ceil(attachmentSize / SEGMENT_SIZE_LIMIT);
-              progress.currentOperation = 'Processing large file';
-              progress.operationDetails = `${attachment.filename} (${(attachmentSize / (1024 * 1024)).toFixed(1)}MB)`;
-              progress.message = `Splitting into ${segmentCount} parts of 50MB each`;
-              sendProgress(progress);
-
-              for (let i = 0; i < segmentCount; i++) {
-                const startByte = i * SEGMENT_SIZE_LIMIT;
-                const endByte = Math.min((i + 1) * SEGMENT_SIZE_LIMIT, attachmentSize);
-                attachmentSegments.push({
-                  files: [{
-                    ticket: issue.key,
-                    attachment,
-                    partNumber: i + 1,
-                    totalParts: segmentCount,
-                    startByte,
-                    endByte,
-                    size: endByte - startByte
-                  }],
-                  size: endByte - startByte,
-                  number: attachmentSegments.length + 1
-                });
-              }
-            }
-            // If current segment would exceed limit, start new segment
-            else if (currentSegment.size + attachmentSize > SEGMENT_SIZE_LIMIT) {
-              if (currentSegment.files.length > 0) {
-                attachmentSegments.push(currentSegment);
-              }
-              currentSegment = {
-                files: [{
-                  ticket: issue.key,
-                  attachment,
-                  partNumber: 1,
-                  totalParts: 1,
-                  startByte: 0,
-                  endByte: attachmentSize,
-                  size: attachmentSize
-                }],
-                size: attachmentSize,
-                number: attachmentSegments.length + 1
-              };
-            }
-            // Add to current segment
-            else {
-              currentSegment.files.push({
-                ticket: issue.key,
-                attachment,
-                partNumber: 1,
-                totalParts: 1,
-                startByte: 0,
-                endByte: attachmentSize,
-                size: attachmentSize
-              });
-              currentSegment.size += attachmentSize;
-            }
-
-            progress.currentOperation = 'Processing Files';
-            progress.operationDetails = `File ${attachmentSegments.length + 1} of ${totalAttachmentCount}`;
-            progress.message = `Processing: ${attachment.filename} (${(attachmentSize / (1024 * 1024)).toFixed(1)}MB)`;
-            sendProgress(progress);
-          } catch (error) {
-            console.error(`Error processing attachment: ${attachment.filename}`, error);
-            progress.currentOperation = 'Warning';
-            progress.operationDetails = `Error with ${attachment.filename}`;
-            progress.message = error.message;
-            sendProgress(progress);
-          }
-        }
-      }
-
-      // Add final segment if not empty
-      if (currentSegment.files.length > 0) {
-        attachmentSegments.push(currentSegment);
-      }
+    const attachmentSegments = plan.segments;
+    const totalAttachmentCount = plan.totalAttachments;
+    const totalEstimatedBytes = plan.totalBytes;
+    const totalSegments = attachmentSegments.length;
+    const segmentSizeLabel = `${+(plan.segmentSize / (1024 * 1024)).toFixed(1)}MB`;
 
-      const finalSegmentCount = attachmentSegments.length;
-      if (finalSegmentCount === 0) {
-        throw new Error('No valid attachments found to download');
-      }
+    const downloadData = {
+      projectInfo,
+      totalAttachments: totalAttachmentCount,
+      estimatedSize: `${(totalEstimatedBytes / (1024 * 1024)).toFixed(1)} MB`
+    };
 
-      progress.currentOperation = 'Segmentation complete';
-      progress.operationDetails = `Created ${finalSegmentCount} segments`;
-      progress.message = `Ready to download ${downloadData.totalAttachments} attachments in ${finalSegmentCount} parts`;
-      sendProgress(progress);
-    } catch (error) {
-      console.error('Error during segmentation:', error);
-      throw new Error('Failed to organize attachments: ' + error.message);
-    }
+    console.log('Attachment segments planned:', {
+      totalAttachments: totalAttachmentCount,
+      totalSize: `${(totalEstimatedBytes / (1024 * 1024)).toFixed(1)} MB`,
+      segments: totalSegments,
+      segmentSize: segmentSizeLabel,
+      strategy: plan.strategy,
+      timestamp: new Date().toISOString()
+    });
 
-    const totalSegments = attachmentSegments.length;
+    if (totalSegments === 0) {
+      throw new Error('No valid attachments found to download');
+    }
 
     progress.stage = 'segmenting';
     progress.currentOperation = 'Creating download segments';
-    progress.operationDetails = `Preparing ${totalSegments} segments (50MB each)`;
+    progress.operationDetails = `Preparing ${totalSegments} segments (up to ${segmentSizeLabel} each, ${plan.strategy})`;
     progress.message = `Organizing ${downloadData.totalAttachments} attachments into ${totalSegments} segments...`;
     sendProgress(progress);
 
     // Create segments with attachment chunks
     const segments = [];
+    // Entries with their checksums, by segment, for the export manifest
+    const manifestSegments = [];
     for (const segment of attachmentSegments) {
-      const segmentZip = new AdmZip();
-
-      // Add attachments for this segment
-      for (const file of segment.files) {
-        const { ticket, attachment, partNumber, totalParts, startByte, endByte } = file;
-
-        console.log('Downloading attachment:', {
-          filename: attachment.filename,
-          ticket: ticket,
-          size: `${((endByte - startByte) / (1024 * 1024)).toFixed(1)} MB`,
-          part: `${partNumber}/${totalParts}`,
-          timestamp: new Date().toISOString()
-        });
-
-        // Get attachment data
-        const attachmentResponse = await axios.get(attachment.content, {
-          headers: {
-            ...createJiraHeaders(auth),
-            Range: `bytes=${startByte}-${endByte - 1}`
-          },
-          responseType: 'arraybuffer'
-        });
-
-        // Add to zip with part number if split
-        const filename = totalParts > 1
-          ? `${attachment.filename}.part${partNumber}`
-          : attachment.filename;
-
-        segmentZip.addFile(
-          `${projectKey}/${ticket}/${filename}`,
-          Buffer.from(attachmentResponse.data)
-        );
-      }
+      const segmentFileName = segment.fileName;
+      const segmentFilePath = path.join(downloadsDir, segmentFileName);
 
       console.log('Creating segment file:', {
         segmentNumber: segment.number,
@@ -678,10 +1232,53 @@ app.get('/api/download-tickets', async (req, res) => {
         timestamp: new Date().toISOString()
       });
 
-      // Save segment with detailed info
-      const segmentFileName = `${projectKey}_attachments_part${segment.number}of${totalSegments}_${(segment.size / (1024 * 1024)).toFixed(1)}MB_${new Date().toISOString().replace(/[:.]/g, '-')}.zip`;
-      const segmentFilePath = path.join(downloadsDir, segmentFileName);
-      segmentZip.writeZip(segmentFilePath);
+      // Attachments are streamed straight into the segment file, hashed on the way, followed by its manifest
+      const entries = [];
+      await writeSegment(segmentFilePath, archiveFormat, async (addEntry) => {
+        for (const file of segment.files) {
+          const { ticket, attachment, partNumber, totalParts, startByte, endByte } = file;
+
+          console.log('Downloading attachment:', {
+            filename: attachment.filename,
+            ticket: ticket,
+            size: `${((endByte - startByte) / (1024 * 1024)).toFixed(1)} MB`,
+            part: `${partNumber}/${totalParts}`,
+            timestamp: new Date().toISOString()
+          });
+
+          // Get attachment data
+          const attachmentResponse = await jiraClient.get(req.auth.resolveUrl(attachment.content), {
+            headers: {
+              ...jiraHeaders,
+              Range: `bytes=${startByte}-${endByte - 1}`
+            },
+            responseType: 'stream'
+          });
+
+          // Add to the segment with part number if split
+          const filename = totalParts > 1
+            ? `${attachment.filename}.part${partNumber}`
+            : attachment.filename;
+
+          const entryPath = `${exportLabel}/${ticket}/${filename}`;
+          const hashed = exportManifest.hashingStream(attachmentResponse.data);
+          await addEntry(entryPath, hashed);
+
+          const entry = exportManifest.manifestEntry(file, entryPath, hashed.digest());
+          if (!entry.sizeMatches) {
+            logger.warn('Attachment size differs from what Jira reported', { path: entryPath, received: entry.size, expected: endByte - startByte });
+          }
+          entries.push(entry);
+        }
+
+        await addEntry(exportManifest.SEGMENT_MANIFEST_NAME, exportManifest.manifestStream(exportManifest.segmentManifest({
+          number: segment.number,
+          totalSegments,
+          fileName: segmentFileName,
+          exportLabel
+        }, entries)));
+      });
+      manifestSegments.push({ number: segment.number, fileName: segmentFileName, entries });
 
       segments.push({
         fileName: segmentFileName,
@@ -705,6 +1302,25 @@ app.get('/api/download-tickets', async (req, res) => {
       sendProgress(progress);
     }
 
+    // Offline copy of the reassembly script, unless the download turned it off
+    const reassemblyScriptFileName = segments.length > 0 && (reassemblyScript ? reassemblyScript !== 'false' : defaults.reassemblyScript)
+      ? exportReassembly.writeReassemblyScript(downloadsDir, exportLabel)
+      : null;
+    const exportManifestFileName = await exportManifest.writeExportManifest(downloadsDir, exportLabel, {
+      exportLabel,
+      jql,
+      issues,
+      files: [
+        { fileName: ticketsFileName, kind: 'tickets' },
+        { fileName: historyFileName, kind: 'history' },
+        { fileName: graphFileName, kind: 'graph' },
+        { fileName: viewerFileName, kind: 'viewer' },
+        { fileName: reassemblyScriptFileName, kind: 'reassembly-script' }
+      ],
+      segments: manifestSegments,
+      plan: { ...plan, archiveFormat }
+    });
+
     progress.stage = 'complete';
     progress.currentOperation = 'Complete';
     progress.operationDetails = `Total time: ${progress.timeElapsed}`;
@@ -719,7 +1335,12 @@ app.get('/api/download-tickets', async (req, res) => {
         tickets: ticketsData,
         totalTickets: ticketsData.length,
         totalComments: ticketsData.reduce((sum, t) => sum + (t.comments?.length || 0), 0),
-        totalAttachments: totalAttachmentCount
+        totalAttachments: totalAttachmentCount,
+        historyFileName,
+        graphFileName,
+        viewerFileName,
+        reassemblyScriptFileName,
+        exportManifestFileName
       }
     };
 
@@ -742,7 +1363,8 @@ app.get('/api/download-tickets', async (req, res) => {
             totalParts: f.totalParts
           }))
         })),
-        segmentSize: '50MB'
+        segmentSize: segmentSizeLabel,
+        segmentStrategy: plan.strategy
       };
     }
 
@@ -774,32 +1396,114 @@ app.get('/api/download-tickets', async (req, res) => {
       error: error.message || 'Failed to download tickets'
     })}\n\n`);
     res.end();
+  } finally {
+    stopRefreshing();
   }
 });
 
 // Background download endpoints
 
+// Owner of the jobs and schedules a session may see and change
+const sessionOwner = (req) => ({ username: req.session.username, instance: req.session.instance });
+
+// Middleware to only let the user who submitted a job see or change it; other users get 404
+const requireJobOwner = async (req, res, next) => {
+  try {
+    await queueManager.checkJobOwner(db, req.params.jobId, sessionOwner(req));
+    next();
+  } catch (error) {
+    res.status(error.message === 'Job not found' ? 404 : 500).json({
+      success: false,
+      error: error.message || 'Failed to get job'
+    });
+  }
+};
+
+// Middleware to only let the user who created a schedule see or change it; other users get 404
+const requireScheduleOwner = async (req, res, next) => {
+  try {
+    await scheduleManager.checkScheduleOwner(db, req.params.scheduleId, sessionOwner(req));
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to get schedule'
+    });
+  }
+};
+
 // Submit a background download job
 app.post('/api/submit-download-job', async (req, res) => {
-  const { username, apiKey, projectKey, downloadType, fileFormat, downloadPath } = req.body;
+  const { projectKey, jql, downloadType, fileFormat, downloadPath, incremental, includeHistory, customFields, renderFormat, segmentSizeMb, segmentStrategy, archiveFormat, reassemblyScript, passphrase } = req.body;
+  const { username } = req.session;
+  const instance = req.jiraInstance;
   
-  if (!username || !apiKey || !projectKey) {
+  if (!projectKey && !jql) {
     return res.status(400).json({
       success: false,
       error: 'Missing required parameters'
     });
   }
+
+  if (downloadType === 'sprints' && !projectKey) {
+    return res.status(400).json({
+      success: false,
+      error: 'Sprint exports need a project key'
+    });
+  }
+
+  if (renderFormat !== undefined && !markup.RENDER_FORMATS.includes(renderFormat)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported render format: ${renderFormat}`
+    });
+  }
+
+  if (customFields !== undefined && !Array.isArray(customFields)) {
+    return res.status(400).json({
+      success: false,
+      error: 'customFields must be an array of field names'
+    });
+  }
+
+  // The passphrase is only held in memory by the queued job; it is never stored or logged
+  if (passphrase !== undefined && passphrase !== '' && (typeof passphrase !== 'string' || passphrase.length < defaults.encryption.minPassphraseLength)) {
+    return res.status(400).json({
+      success: false,
+      error: `The export passphrase needs at least ${defaults.encryption.minPassphraseLength} characters`
+    });
+  }
+
+  let segmentOptions;
+  let resolvedArchiveFormat;
+  try {
+    segmentOptions = segmentPlanner.resolveSegmentOptions({ segmentSizeMb, strategy: segmentStrategy });
+    resolvedArchiveFormat = archiveFormats.resolveArchiveFormat(archiveFormat);
+  } catch (error) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
   
   try {
     // Validate credentials
-    const auth = Buffer.from(`${username}:${apiKey}`).toString('base64');
-    const testResponse = await axios.get('https://thehut.atlassian.net/rest/api/2/myself', {
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Accept': 'application/json'
-      }
+    const jiraHeaders = req.auth.headers;
+    const testResponse = await jiraClient.get(instances.apiUrl(instance, '/myself'), {
+      headers: jiraHeaders
     });
     
+    // Validate JQL before the job is queued
+    if (jql) {
+      const jqlValidation = await validateJql(instance, jiraHeaders, jql);
+      if (!jqlValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid JQL: ${jqlValidation.errors.join(' ')}`
+        });
+      }
+    }
+    
     // Validate download path if provided
     if (downloadPath) {
       const pathValidation = await queueManager.validateDownloadPath(downloadPath);
@@ -814,11 +1518,22 @@ app.post('/api/submit-download-job', async (req, res) => {
     // Add job to queue
     const job = await queueManager.addJob(db, downloadQueue, {
       username,
-      apiKey,
+      credentialId: await sessionCredential(req),
+      instance: instance.name,
       projectKey,
+      jql,
       downloadType,
       fileFormat,
-      downloadPath
+      downloadPath,
+      incremental,
+      includeHistory,
+      customFields,
+      renderFormat,
+      segmentSize: segmentOptions.segmentSize,
+      segmentStrategy: segmentOptions.strategy,
+      archiveFormat: resolvedArchiveFormat,
+      reassemblyScript,
+      passphrase: passphrase || null
     });
     
     res.json({
@@ -838,7 +1553,7 @@ app.post('/api/submit-download-job', async (req, res) => {
 // Get all download jobs
 app.get('/api/download-jobs', async (req, res) => {
   try {
-    const jobs = await queueManager.getJobs(db);
+    const jobs = await queueManager.getJobs(db, sessionOwner(req));
     res.json({
       success: true,
       jobs
@@ -853,7 +1568,7 @@ app.get('/api/download-jobs', async (req, res) => {
 });
 
 // Get job status
-app.get('/api/download-job/:jobId', async (req, res) => {
+app.get('/api/download-job/:jobId', requireJobOwner, async (req, res) => {
   try {
     const job = await queueManager.getJobById(db, req.params.jobId);
     res.json({
@@ -869,13 +1584,80 @@ app.get('/api/download-job/:jobId', async (req, res) => {
   }
 });
 
+// Stream live progress and status changes of one job
+app.get('/api/download-job/:jobId/events', requireJobOwner, async (req, res) => {
+  const { jobId } = req.params;
+  const pending = [];
+  let send = (event) => pending.push(event);
+
+  // Subscribe before reading the snapshot so no update is lost in between
+  const unsubscribe = jobEvents.subscribe(jobId, (event) => send(event));
+
+  let job;
+  try {
+    job = await queueManager.getJobById(db, jobId);
+  } catch (error) {
+    unsubscribe();
+    console.error('Error getting job events:', error);
+    return res.status(error.message === 'Job not found' ? 404 : 500).json({
+      success: false,
+      error: error.message || 'Failed to get job events'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  let keepAliveInterval;
+  const close = () => {
+    clearInterval(keepAliveInterval);
+    unsubscribe();
+    if (!res.writableEnded) {
+      res.end();
+    }
+  };
+
+  send = (event) => {
+    if (res.writableEnded) {
+      return;
+    }
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+    // Paused and finished jobs send nothing more
+    if (event.type === 'status' && ['completed', 'failed', 'cancelled', 'paused'].includes(event.status)) {
+      close();
+    }
+  };
+
+  if (job.progress) {
+    send({ jobId, type: 'progress', ...job.progress });
+  }
+  send({ jobId, type: 'status', status: job.status, error: job.error || null });
+  // Only replay updates that are newer than the snapshot
+  const snapshotAt = job.progress ? job.progress.updatedAt : '';
+  pending
+    .filter((event) => (event.type === 'progress' ? event.updatedAt > snapshotAt : event.status !== job.status))
+    .forEach((event) => send(event));
+
+  keepAliveInterval = setInterval(() => {
+    if (!res.writableEnded) {
+      res.write(`data: ${JSON.stringify({ keepAlive: true, timestamp: new Date().toISOString() })}\n\n`);
+    }
+  }, 15000);
+
+  req.on('close', close);
+});
+
 // Cancel job
-app.post('/api/cancel-download-job/:jobId', async (req, res) => {
+app.post('/api/cancel-download-job/:jobId', requireJobOwner, async (req, res) => {
   try {
-    await queueManager.cancelJob(db, downloadQueue, req.params.jobId);
+    const status = await queueManager.cancelJob(db, downloadQueue, req.params.jobId);
     res.json({
       success: true,
-      message: 'Job cancelled successfully'
+      status,
+      message: status === 'cancelling' ? 'Job will stop after the current attachment' : 'Job cancelled successfully'
     });
   } catch (error) {
     console.error('Error cancelling job:', error);
@@ -886,6 +1668,256 @@ app.post('/api/cancel-download-job/:jobId', async (req, res) => {
   }
 });
 
+// Pause a processing job; it stops after the current attachment and keeps its checkpoints
+app.post('/api/download-job/:jobId/pause', requireJobOwner, async (req, res) => {
+  try {
+    await queueManager.pauseJob(db, req.params.jobId);
+    res.json({
+      success: true,
+      status: 'pausing',
+      message: 'Job will pause after the current attachment'
+    });
+  } catch (error) {
+    console.error('Error pausing job:', error);
+    res.status(error.message === 'Job not found' ? 404 : 500).json({
+      success: false,
+      error: error.message || 'Failed to pause job'
+    });
+  }
+});
+
+// Re-hash the files of a completed job against its export manifest; encrypted jobs need their passphrase
+app.post('/api/download-job/:jobId/verify', requireJobOwner, async (req, res) => {
+  try {
+    const report = await queueManager.verifyJob(db, req.params.jobId, req.body?.passphrase);
+    logger.info('Job files verified', { jobId: req.params.jobId, ok: report.ok, summary: report.summary });
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Error verifying job:', error);
+    res.status(error.message === 'Job not found' ? 404 : error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to verify job'
+    });
+  }
+});
+
+// Extract the attachments of a completed job into one folder per ticket, joining split parts; encrypted jobs need their passphrase
+app.post('/api/download-job/:jobId/reassemble', requireJobOwner, async (req, res) => {
+  try {
+    const report = await queueManager.reassembleJob(db, req.params.jobId, req.body?.passphrase);
+    logger.info('Job attachments reassembled', { jobId: req.params.jobId, ok: report.ok, directory: report.directory, summary: report.summary });
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Error reassembling job:', error);
+    res.status(error.message === 'Job not found' ? 404 : error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to reassemble job'
+    });
+  }
+});
+
+// Resume a paused job from its checkpoints; encrypted jobs need their passphrase again after a restart
+app.post('/api/download-job/:jobId/resume', requireJobOwner, async (req, res) => {
+  try {
+    await queueManager.resumeJob(db, downloadQueue, req.params.jobId, req.body?.passphrase);
+    res.json({
+      success: true,
+      status: 'pending',
+      message: 'Job resumed'
+    });
+  } catch (error) {
+    console.error('Error resuming job:', error);
+    res.status(error.message === 'Job not found' ? 404 : error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to resume job'
+    });
+  }
+});
+
+// Scheduled download endpoints
+
+// Check the credentials, JQL and download path of a schedule before it is saved
+// Only the schedule's owner can save it, so the session's credentials check the JQL also on updates
+// Returns an error message, or null if the settings can be saved
+const checkScheduleSettings = async (auth, { jql, downloadPath }) => {
+  await jiraClient.get(instances.apiUrl(auth.instance, '/myself'), {
+    headers: auth.headers
+  });
+
+  if (jql) {
+    const jqlValidation = await validateJql(auth.instance, auth.headers, jql);
+    if (!jqlValidation.valid) {
+      return `Invalid JQL: ${jqlValidation.errors.join(' ')}`;
+    }
+  }
+
+  if (downloadPath) {
+    const pathValidation = await queueManager.validateDownloadPath(downloadPath);
+    if (!pathValidation.valid) {
+      return `Invalid download path: ${pathValidation.error}`;
+    }
+  }
+
+  return null;
+};
+
+// Schedule settings a client may set; credentials and the instance always come from the session
+const scheduleSettings = ({ name, cron, projectKeys, jql, downloadType, fileFormat, includeHistory, customFields, renderFormat, incremental, downloadPath }) =>
+  ({ name, cron, projectKeys, jql, downloadType, fileFormat, includeHistory, customFields, renderFormat, incremental, downloadPath });
+
+// Get all schedules
+app.get('/api/schedules', async (req, res) => {
+  try {
+    const schedules = await scheduleManager.getSchedules(db, sessionOwner(req));
+    res.json({
+      success: true,
+      schedules
+    });
+  } catch (error) {
+    console.error('Error getting schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get schedules'
+    });
+  }
+});
+
+// Create a schedule that runs with the logged-in user's credentials
+app.post('/api/schedules', async (req, res) => {
+  const { username } = req.session;
+  const instance = req.jiraInstance;
+  const settings = scheduleSettings(req.body);
+
+  try {
+    const settingsError = await checkScheduleSettings(req.auth, settings);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        error: settingsError
+      });
+    }
+
+    const schedule = await scheduleManager.createSchedule(db, { ...settings, username, credentialId: await sessionCredential(req), instance: instance.name });
+    logger.info('Schedule created', { scheduleId: schedule.schedule_id, name: schedule.name, cron: schedule.cron });
+    res.json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(error.status || error.response?.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to create schedule'
+    });
+  }
+});
+
+// Update a schedule; with useSessionCredentials its jobs run with the current login instead of the one stored with it
+app.put('/api/schedules/:scheduleId', requireScheduleOwner, async (req, res) => {
+  const settings = scheduleSettings(req.body);
+
+  try {
+    const settingsError = await checkScheduleSettings(req.auth, settings);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        error: settingsError
+      });
+    }
+
+    const credentials = req.body.useSessionCredentials
+      ? { username: req.session.username, credentialId: await sessionCredential(req), instance: req.jiraInstance.name }
+      : {};
+    const schedule = await scheduleManager.updateSchedule(db, req.params.scheduleId, { ...settings, ...credentials });
+    logger.info('Schedule updated', { scheduleId: schedule.schedule_id, name: schedule.name, cron: schedule.cron });
+    res.json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(error.status || error.response?.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to update schedule'
+    });
+  }
+});
+
+// Delete a schedule; jobs it already queued keep running
+app.delete('/api/schedules/:scheduleId', requireScheduleOwner, async (req, res) => {
+  try {
+    await scheduleManager.deleteSchedule(db, req.params.scheduleId);
+    res.json({
+      success: true,
+      message: 'Schedule deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to delete schedule'
+    });
+  }
+});
+
+// Pause a schedule; it queues no jobs until resumed
+app.post('/api/schedules/:scheduleId/pause', requireScheduleOwner, async (req, res) => {
+  try {
+    const schedule = await scheduleManager.setScheduleEnabled(db, req.params.scheduleId, false);
+    res.json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    console.error('Error pausing schedule:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to pause schedule'
+    });
+  }
+});
+
+// Resume a paused schedule from its next run time
+app.post('/api/schedules/:scheduleId/resume', requireScheduleOwner, async (req, res) => {
+  try {
+    const schedule = await scheduleManager.setScheduleEnabled(db, req.params.scheduleId, true);
+    res.json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    console.error('Error resuming schedule:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to resume schedule'
+    });
+  }
+});
+
+// Queue a schedule's jobs now, outside its timetable
+app.post('/api/schedules/:scheduleId/run', requireScheduleOwner, async (req, res) => {
+  try {
+    const jobs = await scheduleManager.runScheduleNow(db, downloadQueue, req.params.scheduleId);
+    res.json({
+      success: true,
+      message: `${jobs.length} download jobs queued`,
+      jobs
+    });
+  } catch (error) {
+    console.error('Error running schedule:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to run schedule'
+    });
+  }
+});
+
 // Validate download path
 app.post('/api/validate-download-path', async (req, res) => {
   const { path } = req.body;
@@ -940,26 +1972,42 @@ app.post('/api/client-error', (req, res) => {
   });
 });
 
-// Download project zip endpoint
-app.get('/api/download-project/:filename', (req, res) => {
-  const zipFilePath = path.join(downloadsDir, req.params.filename);
+// Download export file endpoint
+// Only files the session's foreground downloads announced, or outputs of its own jobs, are served
+app.get('/api/download-project/:filename', async (req, res) => {
+  const filePath = path.join(downloadsDir, path.basename(req.params.filename));
 
-  // Log detailed request information
   logger.info('Download project request received', {
     filename: req.params.filename,
-    path: zipFilePath,
-    headers: req.headers,
-    query: req.query
+    path: filePath
   });
 
+  try {
+    const owned = req.session.downloads?.has(req.params.filename) ||
+      await queueManager.isJobOutput(db, filePath, sessionOwner(req));
+    if (!owned) {
+      logger.warn('Download of a file the session does not own refused', { filename: req.params.filename });
+      return res.status(404).json({
+        success: false,
+        error: 'File not found: ' + req.params.filename
+      });
+    }
+  } catch (error) {
+    logger.error('Error checking file owner', { error: error.message });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to download file: ' + error.message
+    });
+  }
+
   // Check if downloads directory exists
   debug.debugFileSystem('CHECK_DIR', downloadsDir);
 
   // Check if file exists and log detailed information
-  debug.debugFileSystem('CHECK_FILE', zipFilePath);
+  debug.debugFileSystem('CHECK_FILE', filePath);
 
-  if (fs.existsSync(zipFilePath)) {
-    const stats = fs.statSync(zipFilePath);
+  if (fs.existsSync(filePath)) {
+    const stats = fs.statSync(filePath);
     logger.info('File found, preparing to stream', {
       filename: req.params.filename,
       size: `${(stats.size / (1024 * 1024)).toFixed(1)} MB`,
@@ -968,7 +2016,7 @@ app.get('/api/download-project/:filename', (req, res) => {
     });
 
     // Set headers for file download
-    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Type', archiveFormats.contentTypeOf(req.params.filename));
     res.setHeader('Content-Disposition', `attachment; filename="${req.params.filename}"`);
     
     // Log response headers
@@ -978,7 +2026,7 @@ app.get('/api/download-project/:filename', (req, res) => {
 
     // Stream the file instead of loading it all into memory
     try {
-      const fileStream = fs.createReadStream(zipFilePath);
+      const fileStream = fs.createReadStream(filePath);
       logger.debug('File stream created successfully');
 
       fileStream.on('open', () => {
@@ -1020,12 +2068,12 @@ app.get('/api/download-project/:filename', (req, res) => {
         setTimeout(() => {
           logger.debug('Attempting to delete file', {
             filename: req.params.filename,
-            path: zipFilePath
+            path: filePath
           });
           
-          fs.unlink(zipFilePath, (unlinkErr) => {
+          fs.unlink(filePath, (unlinkErr) => {
             if (unlinkErr) {
-              logger.error('Error deleting zip file', {
+              logger.error('Error deleting file', {
                 error: unlinkErr.message,
                 code: unlinkErr.code,
                 stack: unlinkErr.stack
@@ -1056,7 +2104,7 @@ app.get('/api/download-project/:filename', (req, res) => {
   } else {
     logger.warn('File not found', {
       filename: req.params.filename,
-      path: zipFilePath,
+      path: filePath,
       downloadsDir,
       downloadsExists: fs.existsSync(downloadsDir),
       filesInDownloads: fs.existsSync(downloadsDir) ? fs.readdirSync(downloadsDir) : []
@@ -1083,11 +2131,19 @@ process.on('exit', () => {
   db.close();
 });
 
-// Start server
-app.listen(port, () => {
-    logger.info(`Server running on port ${port}`, {
-      port,
-      environment: process.env.NODE_ENV,
-      nodeVersion: process.version
+// Start background jobs and the server once the database schema is up to date
+schemaReady
+  .then(() => {
+    startBackgroundJobs();
+    app.listen(port, () => {
+      logger.info(`Server running on port ${port}`, {
+        port,
+        environment: process.env.NODE_ENV,
+        nodeVersion: process.version
+      });
     });
-});
+  })
+  .catch(err => {
+    logger.error('Error migrating database schema', { error: err.message });
+    process.exit(1);
+  });
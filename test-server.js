@@ -1,12 +1,14 @@
 /**
  * Test server for EventSource retry logic and keep-alive functionality
+ * Also a mock OAuth 2.0 (3LO) authorization server with a minimal Jira API behind it
  */
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 
 const app = express();
-const port = 3001; // Use a different port than the main server
+const port = parseInt(process.env.TEST_SERVER_PORT || '3001', 10); // Use a different port than the main server
 
 // Middleware
 app.use(cors());
@@ -157,6 +159,102 @@ app.post('/api/client-error', (req, res) => {
   });
 });
 
+// Mock OAuth 2.0 authorization server
+// Point an "oauth" instance profile at it (see README) and set JIRA_OAUTH_CLIENT_SECRET to the mock secret.
+// MOCK_OAUTH_TOKEN_TTL (seconds) shortens access tokens to exercise refreshes.
+const mockOAuth = {
+  clientSecret: process.env.MOCK_OAUTH_CLIENT_SECRET || 'mock-client-secret',
+  tokenTtl: parseInt(process.env.MOCK_OAUTH_TOKEN_TTL || '3600', 10),
+  siteUrl: process.env.MOCK_OAUTH_SITE_URL || 'https://mock.atlassian.net',
+  codes: new Map(),
+  accessTokens: new Map(),
+  refreshTokens: new Set()
+};
+
+// Issue an access token and a rotating refresh token
+const issueMockTokens = () => {
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  const refreshToken = crypto.randomBytes(16).toString('hex');
+  mockOAuth.accessTokens.set(accessToken, Date.now() + mockOAuth.tokenTtl * 1000);
+  mockOAuth.refreshTokens.add(refreshToken);
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    expires_in: mockOAuth.tokenTtl,
+    token_type: 'Bearer',
+    scope: 'read:jira-work read:jira-user offline_access'
+  };
+};
+
+// Authorization endpoint: consents right away and sends the browser back with a code
+app.get('/oauth/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, code_challenge: codeChallenge } = req.query;
+  if (!clientId || !redirectUri || !state) {
+    return res.status(400).send('client_id, redirect_uri and state are required');
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  mockOAuth.codes.set(code, { redirectUri, codeChallenge });
+  console.log(`OAuth authorization granted to ${clientId}`);
+  res.redirect(`${redirectUri}?${new URLSearchParams({ code, state })}`);
+});
+
+// Token endpoint: authorization code and refresh token grants
+app.post('/oauth/token', (req, res) => {
+  const { grant_type: grantType, client_secret: clientSecret, code, redirect_uri: redirectUri, code_verifier: codeVerifier, refresh_token: refreshToken } = req.body;
+  if (clientSecret !== mockOAuth.clientSecret) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  if (grantType === 'authorization_code') {
+    const grant = mockOAuth.codes.get(code);
+    if (!grant || grant.redirectUri !== redirectUri) {
+      return res.status(403).json({ error: 'invalid_grant' });
+    }
+    // PKCE (S256): the verifier must hash to the challenge sent with the authorization request
+    if (grant.codeChallenge && crypto.createHash('sha256').update(codeVerifier || '').digest('base64url') !== grant.codeChallenge) {
+      return res.status(403).json({ error: 'invalid_grant' });
+    }
+    mockOAuth.codes.delete(code);
+    console.log('OAuth code exchanged');
+    return res.json(issueMockTokens());
+  }
+
+  if (grantType === 'refresh_token') {
+    // Refresh tokens rotate: each one works once
+    if (!mockOAuth.refreshTokens.delete(refreshToken)) {
+      return res.status(403).json({ error: 'invalid_grant' });
+    }
+    console.log('OAuth token refreshed');
+    return res.json(issueMockTokens());
+  }
+
+  res.status(400).json({ error: 'unsupported_grant_type' });
+});
+
+// Sites the token may access
+app.get('/oauth/token/accessible-resources', (req, res) => {
+  res.json([{ id: 'mock-cloud-id', url: mockOAuth.siteUrl, name: 'Mock Site', scopes: ['read:jira-work'] }]);
+});
+
+// Minimal Jira API behind the mock gateway; rejects missing or expired access tokens
+app.use('/ex/jira/:cloudId', (req, res, next) => {
+  const [, token] = (req.headers.authorization || '').split('Bearer ');
+  const expiresAt = mockOAuth.accessTokens.get(token);
+  if (!expiresAt || expiresAt <= Date.now()) {
+    return res.status(401).json({ message: 'Access token missing or expired' });
+  }
+  next();
+});
+
+app.get('/ex/jira/:cloudId/rest/api/:version/myself', (req, res) => {
+  res.json({ accountId: 'mock-account', displayName: 'Mock User', emailAddress: 'mock.user@example.com' });
+});
+
+app.get('/ex/jira/:cloudId/rest/api/:version/project', (req, res) => {
+  res.json([{ key: 'MOCK', name: 'Mock Project' }]);
+});
+
 // Start server
 app.listen(port, () => {
   console.log(`Test server running on http://localhost:${port}`);
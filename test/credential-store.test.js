@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const sqlite3 = require('sqlite3');
+
+process.env.JIRA_CREDENTIALS_KEY = crypto.randomBytes(32).toString('hex');
+const credentialStore = require('../lib/credential-store');
+
+/**
+ * Open an in-memory database with the columns the credential store reads
+ * @returns {Promise<Object>} { db, run(sql, params), count() } where count() gives the stored credentials
+ */
+async function openDatabase() {
+  const db = new sqlite3.Database(':memory:');
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+  await run('CREATE TABLE credentials (credential_id TEXT PRIMARY KEY, instance TEXT, username TEXT, secret TEXT, held_until TEXT, created_at TEXT, updated_at TEXT)');
+  await run('CREATE TABLE download_jobs (job_id TEXT PRIMARY KEY, status TEXT, credential_id TEXT)');
+  await run('CREATE TABLE schedules (schedule_id TEXT PRIMARY KEY, credential_id TEXT)');
+  const count = () => new Promise((resolve, reject) => {
+    db.get('SELECT COUNT(*) AS count FROM credentials', (err, row) => (err ? reject(err) : resolve(row.count)));
+  });
+  return { db, run, count };
+}
+
+const LOGIN = { instance: 'cloud', username: 'someone@example.com', secret: 'api-token' };
+
+test('credentials are stored encrypted and updated in place', async () => {
+  const { db, run } = await openDatabase();
+  const credentialId = await credentialStore.saveCredential(db, LOGIN);
+
+  const stored = await new Promise(resolve => db.get('SELECT secret FROM credentials', (err, row) => resolve(row.secret)));
+  assert.ok(credentialStore.isEncrypted(stored));
+  assert.ok(!stored.includes('api-token'));
+  assert.strictEqual(await credentialStore.loadCredential(db, credentialId), 'api-token');
+
+  assert.strictEqual(await credentialStore.updateCredential(db, credentialId, 'rotated'), true);
+  assert.strictEqual(await credentialStore.loadCredential(db, credentialId), 'rotated');
+
+  await run('DELETE FROM credentials');
+  assert.strictEqual(await credentialStore.loadCredential(db, credentialId), null);
+  assert.strictEqual(await credentialStore.updateCredential(db, credentialId, 'gone'), false);
+});
+
+test('credentials are deleted once their last job finishes and the session has ended', async () => {
+  const { db, run, count } = await openDatabase();
+  const credentialId = await credentialStore.saveCredential(db, LOGIN);
+  await run("INSERT INTO download_jobs VALUES ('job-1', 'processing', ?), ('job-2', 'paused', ?)", [credentialId, credentialId]);
+
+  assert.strictEqual(await credentialStore.releaseUnusedCredentials(db), 0);
+  await run("UPDATE download_jobs SET status = 'completed' WHERE job_id = 'job-1'");
+  assert.strictEqual(await credentialStore.releaseUnusedCredentials(db), 0);
+  await run("UPDATE download_jobs SET status = 'cancelled' WHERE job_id = 'job-2'");
+  assert.strictEqual(await credentialStore.releaseUnusedCredentials(db), 1);
+  assert.strictEqual(await count(), 0);
+});
+
+test('a schedule holds its credentials until it is deleted', async () => {
+  const { db, run, count } = await openDatabase();
+  const credentialId = await credentialStore.saveCredential(db, LOGIN);
+  await run("INSERT INTO schedules VALUES ('schedule-1', ?)", [credentialId]);
+
+  assert.strictEqual(await credentialStore.releaseUnusedCredentials(db), 0);
+  await run('DELETE FROM schedules');
+  assert.strictEqual(await credentialStore.releaseUnusedCredentials(db), 1);
+  assert.strictEqual(await count(), 0);
+});
+
+test('a live session holds its credentials until it ends', async () => {
+  const { db, run, count } = await openDatabase();
+  const credentialId = await credentialStore.saveCredential(db, LOGIN, Date.now() + 60 * 60 * 1000);
+  await run("INSERT INTO download_jobs VALUES ('job-1', 'failed', ?)", [credentialId]);
+
+  assert.strictEqual(await credentialStore.releaseUnusedCredentials(db), 0);
+  assert.strictEqual(await credentialStore.releaseCredentialHold(db, credentialId), 1);
+  assert.strictEqual(await count(), 0);
+});
+
+test('ending a session keeps credentials that unfinished jobs still need', async () => {
+  const { db, run, count } = await openDatabase();
+  const credentialId = await credentialStore.saveCredential(db, LOGIN, Date.now() + 60 * 60 * 1000);
+  await run("INSERT INTO download_jobs VALUES ('job-1', 'pending', ?)", [credentialId]);
+
+  assert.strictEqual(await credentialStore.releaseCredentialHold(db, credentialId), 0);
+  assert.strictEqual(await count(), 1);
+  await run("UPDATE download_jobs SET status = 'completed'");
+  assert.strictEqual(await credentialStore.releaseUnusedCredentials(db), 1);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, nextRun } = require('../lib/cron');
+
+/**
+ * Sorted values of a parsed field
+ * @param {Set<number>} values Field values
+ * @returns {Array<number>} Values in order
+ */
+function sorted(values) {
+  return [...values].sort((a, b) => a - b);
+}
+
+test('parseCron expands ranges, steps, lists and names', () => {
+  const cron = parseCron('5/15 9-17/4 1,15 jan-MAR MON,wed,FRI');
+  assert.deepStrictEqual(sorted(cron.minutes), [5, 20, 35, 50]);
+  assert.deepStrictEqual(sorted(cron.hours), [9, 13, 17]);
+  assert.deepStrictEqual(sorted(cron.daysOfMonth), [1, 15]);
+  assert.deepStrictEqual(sorted(cron.months), [1, 2, 3]);
+  assert.deepStrictEqual(sorted(cron.daysOfWeek), [1, 3, 5]);
+  assert.strictEqual(cron.anyDayOfMonth, false);
+  assert.strictEqual(cron.anyDayOfWeek, false);
+});
+
+test('parseCron accepts macros', () => {
+  const cron = parseCron('@weekly');
+  assert.deepStrictEqual(sorted(cron.minutes), [0]);
+  assert.deepStrictEqual(sorted(cron.daysOfWeek), [0]);
+  assert.strictEqual(cron.anyDayOfMonth, true);
+});
+
+test('Sunday is both 0 and 7, including at the end of a weekday range', () => {
+  assert.deepStrictEqual(sorted(parseCron('0 0 * * 7').daysOfWeek), [0, 7]);
+  assert.deepStrictEqual(sorted(parseCron('0 0 * * MON-SUN').daysOfWeek), [0, 1, 2, 3, 4, 5, 6, 7]);
+  assert.deepStrictEqual(sorted(parseCron('0 0 * * SAT-SUN').daysOfWeek), [0, 6, 7]);
+  assert.deepStrictEqual(sorted(parseCron('0 0 * * 5-0').daysOfWeek), [0, 5, 6, 7]);
+  assert.deepStrictEqual(sorted(parseCron('0 0 * * SUN-TUE').daysOfWeek), [0, 1, 2]);
+});
+
+test('parseCron rejects invalid expressions', () => {
+  for (const expression of ['', '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '* * * * 8',
+    '5-1 * * * *', '*/0 * * * *', '*/x * * * *', 'x * * * *', '* * * * FRI-MON', '* * * FOO *']) {
+    assert.throws(() => parseCron(expression), { status: 400, code: 'INVALID_CRON' }, JSON.stringify(expression));
+  }
+});
+
+test('nextRun returns the first matching minute strictly after the start', () => {
+  assert.deepStrictEqual(nextRun('30 10 * * *', new Date(2024, 0, 1, 10, 29, 59)), new Date(2024, 0, 1, 10, 30));
+  assert.deepStrictEqual(nextRun('30 10 * * *', new Date(2024, 0, 1, 10, 30)), new Date(2024, 0, 2, 10, 30));
+  assert.deepStrictEqual(nextRun('*/15 * * * *', new Date(2024, 0, 1, 10, 46, 30)), new Date(2024, 0, 1, 11, 0));
+});
+
+test('nextRun crosses days, months and years', () => {
+  assert.deepStrictEqual(nextRun('0 0 1 * *', new Date(2024, 0, 31, 12)), new Date(2024, 1, 1));
+  assert.deepStrictEqual(nextRun('@yearly', new Date(2024, 5, 1)), new Date(2025, 0, 1));
+  assert.deepStrictEqual(nextRun('0 12 29 2 *', new Date(2024, 2, 1)), new Date(2028, 1, 29, 12));
+});
+
+test('nextRun follows weekday ranges', () => {
+  // 2024-01-05 is a Friday
+  assert.deepStrictEqual(nextRun('0 9 * * MON-FRI', new Date(2024, 0, 5, 10)), new Date(2024, 0, 8, 9));
+  assert.deepStrictEqual(nextRun('0 10 * * SAT-SUN', new Date(2024, 0, 5, 12)), new Date(2024, 0, 6, 10));
+  assert.deepStrictEqual(nextRun('0 10 * * SAT-SUN', new Date(2024, 0, 6, 11)), new Date(2024, 0, 7, 10));
+  assert.deepStrictEqual(nextRun('0 10 * * MON-SUN', new Date(2024, 0, 6, 11)), new Date(2024, 0, 7, 10));
+});
+
+test('nextRun matches either day field when both are restricted', () => {
+  // 2024-01-01 is a Monday
+  assert.deepStrictEqual(nextRun('0 0 13 * FRI', new Date(2024, 0, 1)), new Date(2024, 0, 5));
+  assert.deepStrictEqual(nextRun('0 0 13 * *', new Date(2024, 0, 1)), new Date(2024, 0, 13));
+  assert.deepStrictEqual(nextRun('0 0 * * FRI', new Date(2024, 0, 1)), new Date(2024, 0, 5));
+});
+
+test('nextRun accepts a parsed expression and rejects one that never runs', () => {
+  assert.deepStrictEqual(nextRun(parseCron('@hourly'), new Date(2024, 0, 1, 10, 5)), new Date(2024, 0, 1, 11));
+  assert.throws(() => nextRun('0 0 30 2 *', new Date(2024, 0, 1)), { status: 400, code: 'INVALID_CRON' });
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const stream = require('node:stream');
+const {
+  createEncryptStream,
+  createDecryptStream,
+  createFileCipher,
+  encryptFile,
+  decryptFile,
+  verifyEncryptedFile,
+  checkPassphrase
+} = require('../lib/export-encryption');
+
+const PASSPHRASE = 'correct horse battery staple';
+const CHUNK_SIZE = 64 * 1024;
+const RECORD_SIZE = CHUNK_SIZE + 16;
+
+// One key derivation for the whole file, as scrypt is slow on purpose
+const cipher = createFileCipher(PASSPHRASE);
+
+/**
+ * Run a buffer through a transform stream
+ * @param {Buffer} input Input
+ * @param {stream.Transform} transform Transform
+ * @returns {Promise<Buffer>} Output
+ */
+async function through(input, transform) {
+  const chunks = [];
+  await stream.promises.pipeline(stream.Readable.from([input]), transform, async function (output) {
+    for await (const chunk of output) {
+      chunks.push(chunk);
+    }
+  });
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Split an envelope into its header and encrypted records
+ * @param {Buffer} envelope Encrypted file content
+ * @returns {Object} { header, records }
+ */
+function splitEnvelope(envelope) {
+  const headerLength = 8 + 2 + envelope.readUInt16BE(8);
+  const records = [];
+  for (let offset = headerLength; offset < envelope.length; offset += RECORD_SIZE) {
+    records.push(envelope.subarray(offset, offset + RECORD_SIZE));
+  }
+  return { header: envelope.subarray(0, headerLength), records };
+}
+
+test('content of any size survives a round trip', async () => {
+  for (const size of [0, 1, CHUNK_SIZE - 1, CHUNK_SIZE, 3 * CHUNK_SIZE + 123]) {
+    const plain = crypto.randomBytes(size);
+    const envelope = await through(plain, cipher.encrypt());
+    if (size >= 64) {
+      assert.ok(!envelope.includes(plain.subarray(0, 64)), 'content is not stored in plain text');
+    }
+    assert.deepStrictEqual(await through(envelope, cipher.decrypt()), plain, `${size} bytes`);
+  }
+});
+
+test('a separately derived key opens the file', async () => {
+  const plain = crypto.randomBytes(CHUNK_SIZE + 10);
+  const envelope = await through(plain, createEncryptStream(PASSPHRASE));
+  assert.deepStrictEqual(await through(envelope, createDecryptStream(PASSPHRASE)), plain);
+});
+
+test('files are encrypted, verified and decrypted on disk', async (t) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'encryption-test-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  const plain = crypto.randomBytes(2 * CHUNK_SIZE + 7);
+  const plainPath = path.join(folder, 'export.zip');
+  fs.writeFileSync(plainPath, plain);
+
+  assert.strictEqual(await encryptFile(plainPath, PASSPHRASE), 'export.zip.enc');
+  assert.ok(!fs.existsSync(plainPath));
+  const encryptedPath = `${plainPath}.enc`;
+
+  assert.strictEqual(await checkPassphrase(encryptedPath, PASSPHRASE), true);
+  assert.strictEqual(await checkPassphrase(encryptedPath, 'wrong'), false);
+  assert.strictEqual(await verifyEncryptedFile(encryptedPath, PASSPHRASE), plain.length);
+
+  const targetPath = path.join(folder, 'copy.zip');
+  await decryptFile(encryptedPath, targetPath, PASSPHRASE);
+  assert.deepStrictEqual(fs.readFileSync(targetPath), plain);
+
+  await assert.rejects(decryptFile(encryptedPath, targetPath, 'wrong'), { code: 'WRONG_PASSPHRASE' });
+  assert.ok(!fs.existsSync(targetPath), 'nothing is left behind after a failure');
+});
+
+test('a wrong passphrase is told apart from a damaged file', async () => {
+  const envelope = await through(Buffer.from('secret'), cipher.encrypt());
+  await assert.rejects(through(envelope, createDecryptStream('not the passphrase')), { code: 'WRONG_PASSPHRASE' });
+});
+
+test('truncated files fail to decrypt', async () => {
+  const envelope = await through(crypto.randomBytes(3 * CHUNK_SIZE + 100), cipher.encrypt());
+  const { header, records } = splitEnvelope(envelope);
+
+  const truncations = {
+    'header cut off': envelope.subarray(0, header.length - 5),
+    'no records': header,
+    'last record dropped': Buffer.concat([header, ...records.slice(0, -1)]),
+    'last record cut short': envelope.subarray(0, envelope.length - 20),
+    'cut inside a full record': envelope.subarray(0, header.length + RECORD_SIZE + 1000)
+  };
+  for (const [name, damaged] of Object.entries(truncations)) {
+    await assert.rejects(through(damaged, cipher.decrypt()), { code: 'ENCRYPTED_FILE_DAMAGED' }, name);
+  }
+});
+
+test('reordered, duplicated or modified chunks fail to decrypt', async () => {
+  const envelope = await through(crypto.randomBytes(3 * CHUNK_SIZE + 100), cipher.encrypt());
+  const { header, records } = splitEnvelope(envelope);
+  const modified = Buffer.from(envelope);
+  modified[header.length + RECORD_SIZE + 10] ^= 1;
+  const other = splitEnvelope(await through(crypto.randomBytes(3 * CHUNK_SIZE + 100), cipher.encrypt()));
+
+  const tampered = {
+    'swapped chunks': Buffer.concat([header, records[1], records[0], ...records.slice(2)]),
+    'repeated chunk': Buffer.concat([header, records[0], records[0], ...records.slice(2)]),
+    'chunk from another file': Buffer.concat([header, records[0], other.records[1], ...records.slice(2)]),
+    'flipped bit': modified
+  };
+  for (const [name, damaged] of Object.entries(tampered)) {
+    await assert.rejects(through(damaged, cipher.decrypt()), { code: 'ENCRYPTED_FILE_DAMAGED' }, name);
+  }
+});
+
+test('plain files are not mistaken for encrypted ones', async () => {
+  await assert.rejects(through(Buffer.from('PK\u0003\u0004 not an envelope'), cipher.decrypt()), { code: 'NOT_ENCRYPTED' });
+});
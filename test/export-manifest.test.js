@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { readSegmentManifest, verifyExport } = require('../lib/export-manifest');
+const { MB, writeExport } = require('./fixtures/export');
+
+/**
+ * Write an export into a fresh folder that is removed after the test
+ * A 3 MB attachment is split across the first two of three segments
+ * @param {Object} t Test context
+ * @returns {Promise<Object>} Export from writeExport, with its folder
+ */
+async function exportFor(t) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  return { folder, ...await writeExport(folder, { A: [0.5, 3], B: [1] }) };
+}
+
+/**
+ * Flip one byte of a file, keeping its size
+ * @param {string} filePath File path
+ * @param {number} offset Byte to change
+ */
+function flipByte(filePath, offset) {
+  const data = fs.readFileSync(filePath);
+  data[offset] ^= 0xff;
+  fs.writeFileSync(filePath, data);
+}
+
+test('the master manifest records files, attachments and split parts', async (t) => {
+  const { manifestPath, plan, contents } = await exportFor(t);
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+  assert.deepStrictEqual(manifest.summary, { tickets: 2, attachments: 3, segments: 3, files: 4, sizeMismatches: 0 });
+  assert.deepStrictEqual(manifest.tickets, [{ key: 'A', attachmentIds: ['1', '2'] }, { key: 'B', attachmentIds: ['3'] }]);
+  assert.strictEqual(manifest.segmentStrategy, 'by-ticket');
+
+  const split = manifest.attachments.find(attachment => attachment.id === '2');
+  assert.strictEqual(split.sha256, null);
+  assert.deepStrictEqual(split.parts.map(part => [part.number, part.total, part.segment, part.startByte, part.endByte]), [
+    [1, 2, 1, 0, 1.5 * MB],
+    [2, 2, 2, 1.5 * MB, 3 * MB]
+  ]);
+  assert.strictEqual(split.receivedSize, contents.get('2').length);
+  assert.ok(manifest.attachments.every(attachment => attachment.sizeMatches));
+
+  const segmentManifest = await readSegmentManifest(path.join(path.dirname(manifestPath), plan.segments[0].fileName));
+  assert.strictEqual(segmentManifest.segment, 1);
+  assert.strictEqual(segmentManifest.totalSegments, 3);
+  assert.deepStrictEqual(segmentManifest.entries.map(entry => entry.path), ['export/A/a-1.bin', 'export/A/a-2.bin.part1']);
+});
+
+test('an untouched export verifies', async (t) => {
+  const { manifestPath } = await exportFor(t);
+  const report = await verifyExport(manifestPath);
+
+  assert.strictEqual(report.ok, true);
+  assert.deepStrictEqual(report.summary, { files: 4, ok: 4, missing: 0, truncated: 0, corrupt: 0, sizeMismatches: 0 });
+});
+
+test('missing files are reported', async (t) => {
+  const { folder, manifestPath, plan } = await exportFor(t);
+  fs.rmSync(path.join(folder, 'test_tickets.json'));
+  fs.rmSync(path.join(folder, plan.segments[2].fileName));
+
+  const report = await verifyExport(manifestPath);
+  assert.strictEqual(report.ok, false);
+  assert.deepStrictEqual(report.summary, { files: 4, ok: 2, missing: 2, truncated: 0, corrupt: 0, sizeMismatches: 0 });
+  assert.deepStrictEqual(report.files.filter(file => file.status === 'missing').map(file => file.fileName), ['test_tickets.json', plan.segments[2].fileName]);
+});
+
+test('a truncated segment is reported', async (t) => {
+  const { folder, manifestPath, plan } = await exportFor(t);
+  const segmentPath = path.join(folder, plan.segments[1].fileName);
+  fs.truncateSync(segmentPath, Math.floor(fs.statSync(segmentPath).size / 2));
+
+  const report = await verifyExport(manifestPath);
+  const segment = report.files.find(file => file.fileName === plan.segments[1].fileName);
+  assert.strictEqual(report.ok, false);
+  assert.strictEqual(segment.status, 'truncated');
+  assert.ok(segment.actualSize < segment.expectedSize);
+  assert.strictEqual(report.summary.truncated, 1);
+  assert.strictEqual(report.summary.ok, 3);
+});
+
+test('corrupt files are reported, down to the damaged segment entry', async (t) => {
+  const { folder, manifestPath, plan } = await exportFor(t);
+  flipByte(path.join(folder, 'test_tickets.json'), 2);
+  const segmentPath = path.join(folder, plan.segments[0].fileName);
+  const damagedEntry = 'export/A/a-2.bin.part1';
+  flipByte(segmentPath, fs.readFileSync(segmentPath).indexOf(damagedEntry) + damagedEntry.length + 100000);
+
+  const report = await verifyExport(manifestPath);
+  assert.strictEqual(report.ok, false);
+  assert.deepStrictEqual(report.summary, { files: 4, ok: 2, missing: 0, truncated: 0, corrupt: 2, sizeMismatches: 0 });
+  assert.strictEqual(report.files.find(file => file.fileName === 'test_tickets.json').status, 'corrupt');
+
+  const segment = report.files.find(file => file.fileName === plan.segments[0].fileName);
+  assert.strictEqual(segment.status, 'corrupt');
+  assert.deepStrictEqual(segment.entries.map(entry => [entry.path, entry.status]), [
+    ['export/A/a-1.bin', 'ok'],
+    [damagedEntry, 'corrupt']
+  ]);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { execFileSync } = require('node:child_process');
+const { STRATEGIES } = require('../lib/segment-planner');
+const { REPORT_NAME, reassembleExport, writeReassemblyScript } = require('../lib/export-reassembly');
+const { writeExport } = require('./fixtures/export');
+
+// Two attachments larger than a 2 MB segment, so they are written as .partN entries
+const SIZES = { A: [0.5, 3], B: [1, 4.5], C: [0.2] };
+
+/**
+ * Create a folder that is removed after the test
+ * @param {Object} t Test context
+ * @returns {string} Folder path
+ */
+function tempFolder(t) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reassembly-test-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  return folder;
+}
+
+/**
+ * Hash a buffer
+ * @param {Buffer} data Data
+ * @returns {string} SHA-256 hex digest
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+test('split attachments rebuild to their original hash with every strategy', async (t) => {
+  for (const strategy of STRATEGIES) {
+    const folder = tempFolder(t);
+    const { manifestPath, plan, contents } = await writeExport(folder, SIZES, { strategy });
+    assert.ok(plan.segments.some(segment => segment.files.some(file => file.totalParts > 1)), strategy);
+
+    const targetDir = path.join(folder, 'reassembled');
+    const report = await reassembleExport(manifestPath, targetDir);
+
+    assert.strictEqual(report.ok, true, strategy);
+    assert.deepStrictEqual(report.summary, { attachments: 5, split: 2, ok: 5, missing: 0, corrupt: 0, incomplete: 0 }, strategy);
+    for (const attachment of report.attachments) {
+      const original = contents.get(attachment.id);
+      assert.strictEqual(attachment.sha256, sha256(original), `${strategy} ${attachment.path}`);
+      assert.deepStrictEqual(fs.readFileSync(path.join(targetDir, attachment.path)), original);
+    }
+    assert.ok(fs.existsSync(path.join(targetDir, REPORT_NAME)));
+  }
+});
+
+test('the offline script copy reassembles the export next to it', async (t) => {
+  const folder = tempFolder(t);
+  const { manifestPath, contents } = await writeExport(folder, SIZES);
+  const scriptFileName = writeReassemblyScript(folder, 'test');
+
+  const output = execFileSync(process.execPath, [path.join(folder, scriptFileName)], { cwd: os.tmpdir(), encoding: 'utf8', timeout: 60000 });
+  assert.match(output, /Reassembled 5 of 5 attachments \(2 split\)/);
+
+  const targetDir = path.join(folder, path.basename(manifestPath, '.json').replace('_export_manifest_', '_reassembled_'));
+  assert.deepStrictEqual(fs.readFileSync(path.join(targetDir, 'B', 'b-4.bin')), contents.get('4'));
+});
+
+test('a missing segment or a damaged part is reported for the attachments it holds', async (t) => {
+  const folder = tempFolder(t);
+  const { manifestPath, plan } = await writeExport(folder, SIZES);
+
+  // Segment 2 holds the second part of A's split attachment
+  fs.rmSync(path.join(folder, plan.segments[1].fileName));
+  // Damage the last part of B's split attachment
+  const lastPart = plan.segments.find(segment => segment.files.some(file => file.attachment.id === '4' && file.partNumber === file.totalParts));
+  const segmentPath = path.join(folder, lastPart.fileName);
+  const data = fs.readFileSync(segmentPath);
+  data[data.indexOf('export/B/b-4.bin.part') + 100000] ^= 0xff;
+  fs.writeFileSync(segmentPath, data);
+
+  const report = await reassembleExport(manifestPath, path.join(folder, 'reassembled'));
+  const statuses = Object.fromEntries(report.attachments.map(attachment => [attachment.id, attachment.status]));
+  assert.strictEqual(report.ok, false);
+  assert.strictEqual(statuses['2'], 'missing');
+  assert.strictEqual(statuses['4'], 'corrupt');
+  assert.strictEqual(statuses['5'], 'ok');
+});
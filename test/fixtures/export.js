@@ -0,0 +1,79 @@
+/**
+ * Build a small export on disk the way a download does: planned segments with their manifest.json,
+ * a tickets file and the master manifest
+ */
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const stream = require('node:stream');
+const { planSegments, nameSegments } = require('../../lib/segment-planner');
+const { writeSegment } = require('../../lib/segment-writer');
+const exportManifest = require('../../lib/export-manifest');
+
+const MB = 1024 * 1024;
+const EXPORT_LABEL = 'export';
+
+/**
+ * Write an export with random attachment content
+ * @param {string} outputPath Folder to write to
+ * @param {Object} sizes Attachment sizes in MB by issue key
+ * @param {Object} [options] { segmentSize, strategy }
+ * @returns {Promise<Object>} { manifestPath, plan, issues, contents } with the content of every attachment by ID
+ */
+async function writeExport(outputPath, sizes, { segmentSize = 2 * MB, strategy = 'by-ticket' } = {}) {
+  const contents = new Map();
+  let id = 0;
+  const issues = Object.entries(sizes).map(([key, files]) => ({
+    key,
+    fields: {
+      attachment: files.map(sizeMb => {
+        id += 1;
+        const content = crypto.randomBytes(Math.round(sizeMb * MB));
+        contents.set(String(id), content);
+        return { id: String(id), filename: `${key.toLowerCase()}-${id}.bin`, size: content.length, content: `https://jira.example.com/attachment/${id}` };
+      })
+    }
+  }));
+
+  const plan = nameSegments(planSegments(issues, { segmentSize, strategy }), 'test');
+  const segments = [];
+  for (const segment of plan.segments) {
+    const entries = [];
+    await writeSegment(path.join(outputPath, segment.fileName), 'zip', async (addEntry) => {
+      for (const file of segment.files) {
+        const filename = file.totalParts > 1 ? `${file.attachment.filename}.part${file.partNumber}` : file.attachment.filename;
+        const entryPath = `${EXPORT_LABEL}/${file.ticket}/${filename}`;
+        const data = contents.get(String(file.attachment.id)).subarray(file.startByte, file.endByte);
+        const hashed = exportManifest.hashingStream(stream.Readable.from([data]));
+        await addEntry(entryPath, hashed);
+        entries.push(exportManifest.manifestEntry(file, entryPath, hashed.digest()));
+      }
+      await addEntry(exportManifest.SEGMENT_MANIFEST_NAME, exportManifest.manifestStream(exportManifest.segmentManifest({
+        number: segment.number,
+        totalSegments: plan.segments.length,
+        fileName: segment.fileName,
+        exportLabel: EXPORT_LABEL
+      }, entries)));
+    });
+    segments.push({ number: segment.number, fileName: segment.fileName, entries });
+  }
+
+  const ticketsFileName = 'test_tickets.json';
+  fs.writeFileSync(path.join(outputPath, ticketsFileName), JSON.stringify(issues.map(issue => ({ key: issue.key }))));
+
+  const manifestFileName = await exportManifest.writeExportManifest(outputPath, 'test', {
+    exportLabel: EXPORT_LABEL,
+    jql: `key in (${Object.keys(sizes).join(', ')})`,
+    issues,
+    files: [{ fileName: ticketsFileName, kind: 'tickets' }],
+    segments,
+    plan: { ...plan, archiveFormat: 'zip' }
+  });
+
+  return { manifestPath: path.join(outputPath, manifestFileName), plan, issues, contents };
+}
+
+module.exports = {
+  MB,
+  writeExport
+};
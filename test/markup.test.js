@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { adfToHtml, adfToMarkdown, renderText } = require('../lib/markup');
+
+const context = { users: new Map(), attachmentPath: (filename) => `export/ABC-1/${filename}` };
+
+/**
+ * Build an ADF document with one paragraph
+ * @param {Array<Object>} content Inline nodes
+ * @returns {Object} ADF document
+ */
+function paragraph(...content) {
+  return { type: 'doc', version: 1, content: [{ type: 'paragraph', content }] };
+}
+
+/**
+ * Build an ADF text node linking to a URL
+ * @param {string} href Link target
+ * @returns {Object} Text node
+ */
+function link(href) {
+  return { type: 'text', text: 'click', marks: [{ type: 'link', attrs: { href } }] };
+}
+
+test('link marks with a script scheme are dropped, even when obfuscated', () => {
+  for (const href of ['javascript:alert(1)', 'java\tscript:alert(1)', ' JavaScript:alert(1)', 'java\nscript:alert(1)', 'vbscript:msgbox(1)', 'data:text/html,<script>alert(1)</script>']) {
+    assert.strictEqual(adfToHtml(paragraph(link(href)), context), '<p>click</p>', JSON.stringify(href));
+    assert.strictEqual(adfToMarkdown(paragraph(link(href)), context).trim(), 'click', JSON.stringify(href));
+  }
+});
+
+test('cards with a script scheme are dropped, even when obfuscated', () => {
+  for (const url of ['\u0001javascript:alert(2)', '\u0000javascript:alert(2)', 'javascript\u007F:alert(2)']) {
+    const card = { type: 'inlineCard', attrs: { url } };
+    assert.strictEqual(adfToHtml(paragraph(card), context), '<p></p>', JSON.stringify(url));
+    assert.strictEqual(adfToMarkdown(paragraph(card), context).trim(), '', JSON.stringify(url));
+  }
+});
+
+test('web, mail and relative links are kept', () => {
+  assert.strictEqual(
+    adfToHtml(paragraph(link('https://example.com/a?b=1&c=2')), context),
+    '<p><a href="https://example.com/a?b=1&amp;c=2" rel="noopener noreferrer">click</a></p>'
+  );
+  assert.strictEqual(
+    adfToHtml(paragraph(link('mailto:someone@example.com')), context),
+    '<p><a href="mailto:someone@example.com" rel="noopener noreferrer">click</a></p>'
+  );
+  assert.strictEqual(
+    adfToHtml(paragraph(link('/browse/ABC-2?focus=x:y#comment')), context),
+    '<p><a href="/browse/ABC-2?focus=x:y#comment" rel="noopener noreferrer">click</a></p>'
+  );
+  assert.strictEqual(adfToMarkdown(paragraph(link('HTTP://example.com')), context).trim(), '[click](HTTP://example.com)');
+});
+
+test('wiki links only become links for web, mail and relative targets', () => {
+  assert.strictEqual(
+    renderText('[click|https://example.com]', 'html', context),
+    '<p><a href="https://example.com" rel="noopener noreferrer">click</a></p>'
+  );
+  assert.strictEqual(renderText('[click|javascript:alert(1)]', 'html', context), '<p>[click|javascript:alert(1)]</p>');
+});
+
+test('text and attributes are escaped', () => {
+  const doc = paragraph(
+    { type: 'text', text: '<img src=x onerror=alert(1)>' },
+    { type: 'media', attrs: { type: 'file', filename: '"onmouseover="alert(1).png' } }
+  );
+  const html = adfToHtml(doc, context);
+  assert.ok(!html.includes('<img src=x'));
+  assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+  assert.ok(!html.includes('"onmouseover="'));
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const axios = require('axios');
+const { createAuth, startOAuthLogin, finishOAuthLogin } = require('../lib/auth-providers');
+
+// Runs against the mock authorization server in test-server.js
+const PORT = 3101;
+const MOCK_URL = `http://localhost:${PORT}`;
+const REDIRECT_URI = 'http://localhost:3000/api/oauth/callback';
+
+const instance = {
+  name: 'mock-cloud',
+  baseUrl: 'https://mock.atlassian.net',
+  authType: 'oauth',
+  apiVersion: '2',
+  oauth: {
+    clientId: 'mock-client',
+    clientSecretEnv: 'MOCK_OAUTH_TEST_CLIENT_SECRET',
+    scopes: ['read:jira-work', 'read:jira-user', 'offline_access'],
+    authorizeUrl: `${MOCK_URL}/oauth/authorize`,
+    tokenUrl: `${MOCK_URL}/oauth/token`,
+    resourcesUrl: `${MOCK_URL}/oauth/token/accessible-resources`,
+    apiBaseUrl: `${MOCK_URL}/ex/jira/{cloudId}`
+  }
+};
+
+let mockServer;
+
+test.before(async () => {
+  process.env.MOCK_OAUTH_TEST_CLIENT_SECRET = 'mock-client-secret';
+  mockServer = spawn(process.execPath, [path.join(__dirname, '..', 'test-server.js')], {
+    env: { ...process.env, TEST_SERVER_PORT: String(PORT) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    mockServer.on('error', reject);
+    mockServer.on('exit', code => reject(new Error(`test-server.js exited with code ${code}`)));
+    mockServer.stdout.on('data', chunk => {
+      if (chunk.toString().includes('Test server running')) {
+        resolve();
+      }
+    });
+  });
+});
+
+test.after(() => {
+  mockServer.kill();
+});
+
+/**
+ * Log in through the mock the way a browser would, following its redirect back
+ * @returns {Promise<string>} Serialized tokens
+ */
+async function login() {
+  const { url, state } = startOAuthLogin(instance, REDIRECT_URI);
+  const response = await fetch(url, { redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+  assert.strictEqual(callback.searchParams.get('state'), state);
+
+  const { secret } = await finishOAuthLogin(() => instance, Object.fromEntries(callback.searchParams), state);
+  return secret;
+}
+
+test('an authorization code is exchanged for tokens that work against the API', async () => {
+  const secret = await login();
+  const tokens = JSON.parse(secret);
+  assert.ok(tokens.accessToken);
+  assert.ok(tokens.refreshToken);
+  assert.strictEqual(tokens.cloudId, 'mock-cloud-id');
+
+  const auth = createAuth(instance, { secret });
+  const response = await axios.get(`${auth.instance.baseUrl}/rest/api/2/myself`, { headers: auth.headers });
+  assert.strictEqual(response.data.accountId, 'mock-account');
+});
+
+test('a login started in another browser is rejected', async () => {
+  const { url, state } = startOAuthLogin(instance, REDIRECT_URI);
+  const response = await fetch(url, { redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+  assert.strictEqual(callback.searchParams.get('state'), state);
+
+  await assert.rejects(
+    finishOAuthLogin(() => instance, Object.fromEntries(callback.searchParams), null),
+    { code: 'OAUTH_STATE_INVALID' }
+  );
+});
+
+test('a refresh rotates the refresh token and the old one stops working', async () => {
+  const secret = await login();
+  const stored = [];
+  const auth = createAuth(instance, { secret, onRefresh: refreshed => stored.push(refreshed) });
+
+  assert.strictEqual(await auth.refreshIfNeeded(true), true);
+  const before = JSON.parse(secret);
+  const after = JSON.parse(auth.secret);
+  assert.deepStrictEqual(stored, [auth.secret]);
+  assert.notStrictEqual(after.accessToken, before.accessToken);
+  assert.notStrictEqual(after.refreshToken, before.refreshToken);
+  assert.strictEqual(after.cloudId, before.cloudId);
+
+  const response = await axios.get(`${auth.instance.baseUrl}/rest/api/2/myself`, { headers: auth.headers });
+  assert.strictEqual(response.data.accountId, 'mock-account');
+
+  await assert.rejects(
+    axios.post(instance.oauth.tokenUrl, {
+      grant_type: 'refresh_token',
+      client_id: instance.oauth.clientId,
+      client_secret: 'mock-client-secret',
+      refresh_token: before.refreshToken
+    }),
+    error => error.response.status === 403
+  );
+});
+
+test('concurrent refreshIfNeeded calls share one refresh', async () => {
+  const secret = await login();
+  const stored = [];
+  const auth = createAuth(instance, { secret, onRefresh: refreshed => stored.push(refreshed) });
+
+  // The mock accepts each refresh token once, so separate refreshes would fail
+  const results = await Promise.all([
+    auth.refreshIfNeeded(true),
+    auth.refreshIfNeeded(true),
+    auth.refreshIfNeeded(true)
+  ]);
+  assert.deepStrictEqual(results, [true, true, true]);
+  assert.strictEqual(stored.length, 1);
+  assert.notStrictEqual(JSON.parse(auth.secret).refreshToken, JSON.parse(secret).refreshToken);
+
+  // A fresh token is left alone
+  assert.strictEqual(await auth.refreshIfNeeded(), false);
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { STRATEGIES, resolveSegmentOptions, planSegments, nameSegments, attachmentPartCounts } = require('../lib/segment-planner');
+
+const MB = 1024 * 1024;
+const SEGMENT_SIZE = 10 * MB;
+
+/**
+ * Build search API issues with attachments of the given sizes
+ * @param {Object} sizes Attachment sizes in MB by issue key
+ * @returns {Array<Object>} Issues
+ */
+function issuesWith(sizes) {
+  let id = 0;
+  return Object.entries(sizes).map(([key, files]) => ({
+    key,
+    fields: {
+      attachment: files.map(sizeMb => {
+        id += 1;
+        return { id: String(id), filename: `${key}-${id}.bin`, size: Math.round(sizeMb * MB), content: `https://jira.example.com/attachment/${id}` };
+      })
+    }
+  }));
+}
+
+/**
+ * Describe the segments of a plan as ticket/attachment lists, e.g. [['A:1', 'A:2'], ['B:3']]
+ * @param {Object} plan Segment plan
+ * @returns {Array<Array<string>>} Segment contents
+ */
+function layout(plan) {
+  return plan.segments.map(segment => segment.files.map(file => `${file.ticket}:${file.attachment.id}`));
+}
+
+/**
+ * Check what every plan must guarantee: segments within the limit and every attachment
+ * covered exactly once, in numbered parts that follow each other
+ * @param {Object} plan Segment plan
+ * @param {Array<Object>} issues Planned issues
+ */
+function assertComplete(plan, issues) {
+  const parts = new Map();
+  plan.segments.forEach((segment, index) => {
+    assert.strictEqual(segment.number, index + 1);
+    assert.ok(segment.size <= plan.segmentSize, `segment ${segment.number} is ${segment.size} bytes`);
+    assert.strictEqual(segment.size, segment.files.reduce((sum, file) => sum + file.size, 0));
+    for (const file of segment.files) {
+      parts.set(file.attachment.id, [...(parts.get(file.attachment.id) || []), file]);
+    }
+  });
+
+  const attachments = issues.flatMap(issue => issue.fields.attachment);
+  assert.strictEqual(parts.size, attachments.length);
+  for (const attachment of attachments) {
+    const attachmentParts = parts.get(attachment.id).sort((a, b) => a.partNumber - b.partNumber);
+    let offset = 0;
+    attachmentParts.forEach((file, index) => {
+      assert.strictEqual(file.partNumber, index + 1);
+      assert.strictEqual(file.totalParts, attachmentParts.length);
+      assert.strictEqual(file.startByte, offset);
+      offset = file.endByte;
+    });
+    assert.strictEqual(offset, attachment.size);
+  }
+}
+
+test('by-ticket keeps issue order and starts a new segment when the next file does not fit', () => {
+  const issues = issuesWith({ A: [6], B: [5], C: [4], D: [5] });
+  const plan = planSegments(issues, { segmentSize: SEGMENT_SIZE, strategy: 'by-ticket' });
+
+  assert.deepStrictEqual(layout(plan), [['A:1'], ['B:2', 'C:3'], ['D:4']]);
+  assert.strictEqual(plan.totalAttachments, 4);
+  assert.strictEqual(plan.totalBytes, 20 * MB);
+  assertComplete(plan, issues);
+});
+
+test('by-size packs the largest files first into the fewest segments', () => {
+  const issues = issuesWith({ A: [6], B: [5], C: [4], D: [5] });
+  const plan = planSegments(issues, { segmentSize: SEGMENT_SIZE, strategy: 'by-size' });
+
+  assert.deepStrictEqual(layout(plan), [['A:1', 'C:3'], ['B:2', 'D:4']]);
+  assertComplete(plan, issues);
+});
+
+test('keep-tickets-together never spreads a ticket that fits in one segment', () => {
+  const issues = issuesWith({ A: [3, 3], B: [5], C: [4], D: [1, 1] });
+  const plan = planSegments(issues, { segmentSize: SEGMENT_SIZE, strategy: 'keep-tickets-together' });
+
+  assert.deepStrictEqual(layout(plan), [['A:1', 'A:2', 'C:4'], ['B:3', 'D:5', 'D:6']]);
+  assertComplete(plan, issues);
+});
+
+test('keep-tickets-together gives a ticket larger than a segment segments of its own', () => {
+  const issues = issuesWith({ A: [7, 7], B: [2] });
+  const plan = planSegments(issues, { segmentSize: SEGMENT_SIZE, strategy: 'keep-tickets-together' });
+
+  assert.deepStrictEqual(layout(plan), [['B:3'], ['A:1'], ['A:2']]);
+  assertComplete(plan, issues);
+});
+
+test('a file larger than a segment is split, starting in the space left in the current segment', () => {
+  const issues = issuesWith({ A: [4, 25], B: [1] });
+  const plan = planSegments(issues, { segmentSize: SEGMENT_SIZE, strategy: 'by-ticket' });
+
+  assert.deepStrictEqual(layout(plan), [['A:1', 'A:2'], ['A:2'], ['A:2', 'B:3']]);
+  const split = plan.segments.flatMap(segment => segment.files).filter(file => file.attachment.id === '2');
+  assert.deepStrictEqual(split.map(file => [file.partNumber, file.totalParts, file.startByte / MB, file.endByte / MB]), [
+    [1, 3, 0, 6],
+    [2, 3, 6, 16],
+    [3, 3, 16, 25]
+  ]);
+  assert.deepStrictEqual(attachmentPartCounts(plan.segments), { 2: 3 });
+  assertComplete(plan, issues);
+});
+
+test('a split does not start in a segment with less than 1 MB left', () => {
+  const issues = issuesWith({ A: [9.5, 12] });
+  const plan = planSegments(issues, { segmentSize: SEGMENT_SIZE, strategy: 'by-ticket' });
+
+  assert.deepStrictEqual(layout(plan), [['A:1'], ['A:2'], ['A:2']]);
+  assertComplete(plan, issues);
+});
+
+test('every strategy splits large files and covers every byte', () => {
+  const issues = issuesWith({ A: [25, 3], B: [0.5, 12], C: [7], D: [9.9, 0.2] });
+  for (const strategy of STRATEGIES) {
+    const plan = planSegments(issues, { segmentSize: SEGMENT_SIZE, strategy });
+    assert.strictEqual(plan.strategy, strategy);
+    assertComplete(plan, issues);
+  }
+});
+
+test('empty and skipped attachments are left out', () => {
+  const issues = issuesWith({ A: [1, 0, 2] });
+  const plan = planSegments(issues, { segmentSize: SEGMENT_SIZE, skipAttachmentIds: new Set(['3']) });
+
+  assert.deepStrictEqual(layout(plan), [['A:1']]);
+  assert.strictEqual(plan.totalAttachments, 1);
+});
+
+test('a named plan survives a JSON round trip', () => {
+  const issues = issuesWith({ A: [4, 25], B: [1] });
+  const plan = nameSegments(planSegments(issues, { segmentSize: SEGMENT_SIZE, strategy: 'by-ticket' }), 'ABC', 'zip', true);
+  const restored = JSON.parse(JSON.stringify(plan));
+
+  assert.deepStrictEqual(restored, plan);
+  assert.ok(restored.segments.every(segment => /^ABC_attachments_part\d+of3_.*\.zip\.enc$/.test(segment.fileName)));
+  assert.deepStrictEqual(attachmentPartCounts(restored.segments), attachmentPartCounts(plan.segments));
+  assertComplete(restored, issues);
+});
+
+test('segment options are validated', () => {
+  assert.deepStrictEqual(resolveSegmentOptions({ segmentSizeMb: '50', strategy: 'by-size' }), { segmentSize: 50 * MB, strategy: 'by-size' });
+  assert.throws(() => resolveSegmentOptions({ segmentSizeMb: 'lots' }), { status: 400, code: 'INVALID_SEGMENT_OPTIONS' });
+  assert.throws(() => resolveSegmentOptions({ strategy: 'random' }), { status: 400, code: 'INVALID_SEGMENT_OPTIONS' });
+  assert.throws(() => planSegments([], { strategy: 'random' }), { status: 400 });
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { restrictToUpdatedSince } = require('../workers/sync-state');
+
+const SINCE = '2024-01-01T10:00:00.000+0000';
+
+test('restrictToUpdatedSince adds the high-water mark to a filter', () => {
+  assert.strictEqual(
+    restrictToUpdatedSince('project = ABC', SINCE),
+    '(project = ABC) AND updated >= "2024-01-01 10:00"'
+  );
+});
+
+test('restrictToUpdatedSince keeps ORDER BY at the end', () => {
+  assert.strictEqual(
+    restrictToUpdatedSince('project = ABC OR labels = x order by created DESC', SINCE),
+    '(project = ABC OR labels = x) AND updated >= "2024-01-01 10:00" order by created DESC'
+  );
+});
+
+test('restrictToUpdatedSince handles a query that is only ORDER BY', () => {
+  assert.strictEqual(
+    restrictToUpdatedSince('ORDER BY created', SINCE),
+    'updated >= "2024-01-01 10:00" ORDER BY created'
+  );
+  assert.strictEqual(
+    restrictToUpdatedSince('  order by\nkey ASC  ', SINCE),
+    'updated >= "2024-01-01 10:00" order by\nkey ASC'
+  );
+});
+
+test('restrictToUpdatedSince handles an empty query', () => {
+  assert.strictEqual(restrictToUpdatedSince('', SINCE), 'updated >= "2024-01-01 10:00"');
+  assert.strictEqual(restrictToUpdatedSince('   ', SINCE), 'updated >= "2024-01-01 10:00"');
+});
+
+test('restrictToUpdatedSince does not mistake a field name for ORDER BY', () => {
+  assert.strictEqual(
+    restrictToUpdatedSince('cf_order = 1', SINCE),
+    '(cf_order = 1) AND updated >= "2024-01-01 10:00"'
+  );
+});
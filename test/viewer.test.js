@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const AdmZip = require('adm-zip');
+const { writeViewer } = require('../lib/viewer');
+
+test('ticket pages drop script links and escape hostile text', (t) => {
+  const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'viewer-test-'));
+  t.after(() => fs.rmSync(outputPath, { recursive: true, force: true }));
+
+  const issue = {
+    key: 'ABC-1',
+    fields: {
+      description: {
+        type: 'doc',
+        version: 1,
+        content: [{
+          type: 'paragraph',
+          content: [
+            { type: 'text', text: 'click', marks: [{ type: 'link', attrs: { href: 'java\tscript:alert(1)' } }] },
+            { type: 'inlineCard', attrs: { url: '\u0001javascript:alert(2)' } },
+            { type: 'text', text: ' safe', marks: [{ type: 'link', attrs: { href: 'https://example.com' } }] }
+          ]
+        }]
+      },
+      comment: {
+        comments: [{ author: { displayName: '<b>Mallory</b>' }, created: '2024-01-01', body: '[here|javascript:alert(3)]' }]
+      }
+    }
+  };
+  const ticket = { key: 'ABC-1', summary: '<script>alert(4)</script>', status: 'Open', assignee: '', reporter: '', created: '', updated: '' };
+
+  const fileName = writeViewer(outputPath, 'test', { title: 'Export', exportLabel: 'export', issues: [issue], tickets: [ticket] });
+  const zip = new AdmZip(path.join(outputPath, fileName));
+  const page = zip.readAsText('export/tickets/ABC-1.html');
+  const index = zip.readAsText('export/index.html');
+
+  assert.ok(!/javascript/i.test(page.replace('[here|javascript:alert(3)]', '')), 'no script URL outside plain text');
+  assert.ok(page.includes('<a href="https://example.com" rel="noopener noreferrer"> safe</a>'));
+  assert.ok(!page.includes('<script>'));
+  assert.ok(!index.includes('<script>alert(4)'));
+  assert.ok(page.includes('&lt;b&gt;Mallory&lt;/b&gt;'));
+});
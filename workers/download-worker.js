@@ -2,29 +2,32 @@
  * Background download worker for Jira Ticket Downloader
  * Handles downloading Jira tickets and attachments in the background
  */
-const axios = require('axios');
-const axiosRetry = require('axios-retry');
 const path = require('path');
 const fs = require('fs');
-const AdmZip = require('adm-zip');
+const { pipeline } = require('stream/promises');
 const notifier = require('node-notifier');
 const defaults = require('../config/defaults');
-
-// Configure axios with retry logic
-axiosRetry(axios, {
-  retries: defaults.api.maxRetries,
-  retryDelay: (retryCount) => {
-    return retryCount * defaults.api.retryDelay;
-  },
-  retryCondition: (error) => {
-    // Retry on network errors or 5xx responses
-    return axiosRetry.isNetworkOrIdempotentRequestError(error) || 
-           (error.response && error.response.status >= 500);
-  }
-});
-
-// Set default timeout
-axios.defaults.timeout = defaults.api.timeout;
+const instances = require('../config/instances');
+const syncState = require('./sync-state');
+const changelog = require('../lib/changelog');
+const { toCsv, ticketCsvRows } = require('../lib/csv');
+const worklogs = require('../lib/worklogs');
+const relations = require('../lib/relations');
+const fieldMetadata = require('../lib/fields');
+const sprints = require('../lib/sprints');
+const markup = require('../lib/markup');
+const viewer = require('../lib/viewer');
+const { writeSegment } = require('../lib/segment-writer');
+const jobCheckpoints = require('./job-checkpoints');
+const jobControl = require('./job-control');
+const jobEvents = require('./job-events');
+const credentialStore = require('../lib/credential-store');
+const { jiraClient } = require('../lib/jira-client');
+const authProviders = require('../lib/auth-providers');
+const segmentPlanner = require('../lib/segment-planner');
+const exportManifest = require('../lib/export-manifest');
+const exportReassembly = require('../lib/export-reassembly');
+const exportEncryption = require('../lib/export-encryption');
 
 /**
  * Process a download job
@@ -36,13 +39,35 @@ async function processDownloadJob(job, db) {
   const { 
     job_id, 
     username, 
-    api_key, 
+    credential_id, 
+    instance: instanceName,
     project_key, 
+    jql: customJql,
+    incremental,
+    include_history,
+    custom_fields,
+    render_format,
+    segment_size,
+    segment_strategy,
+    archive_format,
+    reassembly_script,
+    encrypted,
+    // Only held by the queued task, never stored (see queue-manager.js)
+    passphrase = null,
     download_type, 
     file_format,
     download_path
   } = job;
 
+  // A custom JQL query replaces the project filter; the project key, if any, only labels the output
+  const exportLabel = project_key || 'JQL';
+  // Incremental sync state is tracked per project key or JQL query
+  const syncScope = customJql || project_key;
+  // Custom fields are stored by display name, as picked in the UI
+  const selectedFieldNames = custom_fields ? JSON.parse(custom_fields) : [];
+  // Descriptions and comments are written as Jira returns them unless a render format was chosen
+  const renderFormat = render_format || 'raw';
+
   // Use specified download path or default
   const outputPath = download_path || defaults.downloadPath;
   
@@ -51,28 +76,120 @@ async function processDownloadJob(job, db) {
     fs.mkdirSync(outputPath, { recursive: true });
   }
 
+  let stopRefreshing = () => {};
+
+  // An encrypted job re-queued after a restart has lost its passphrase; it waits until it is entered again
+  if (encrypted && !passphrase) {
+    console.log(`[Job ${job_id}] Paused: the export passphrase is needed to continue`);
+    await updateJobStatus(db, job_id, 'paused', 'Paused after a restart: resume the job with its export passphrase');
+    return {
+      success: false,
+      status: 'paused'
+    };
+  }
+
   try {
     // Update job status to processing
     await updateJobStatus(db, job_id, 'processing', null);
     
-    // Create auth token
-    const auth = Buffer.from(`${username}:${api_key}`).toString('base64');
-    
-    // Create Jira API headers
-    const headers = {
-      'Authorization': `Basic ${auth}`,
-      'Accept': 'application/json',
-      'Content-Type': 'application/json'
-    };
+    // Jira credentials for the job's instance profile, shared with the session, sibling jobs and schedule
+    // that stored them; refreshed OAuth tokens go back to that one copy so none of them replays a spent token
+    const secret = await credentialStore.loadCredential(db, credential_id);
+    if (secret === null) {
+      throw new Error('The credentials stored for this job are no longer available');
+    }
+    const auth = authProviders.createAuth(instances.getInstance(instanceName), {
+      username,
+      secret,
+      onRefresh: async (refreshed) => {
+        await credentialStore.updateCredential(db, credential_id, refreshed);
+        console.log(`[Job ${job_id}] OAuth access token refreshed`);
+      },
+      loadSecret: () => credentialStore.loadCredential(db, credential_id)
+    });
+    const { instance, headers } = auth;
+
+    // OAuth access tokens expire within an hour; refresh them for as long as the job runs
+    await auth.refreshIfNeeded();
+    stopRefreshing = auth.keepFresh();
+
+    // Sprint exports walk the agile API instead of searching issues
+    if (download_type === 'sprints') {
+      if (!project_key) {
+        throw new Error('Sprint exports need a project key');
+      }
+
+      await updateJobProgress(db, job_id, 'fetching', 'Fetching boards and sprints', 5);
+      const sprintExport = await sprints.collectProjectSprints(instance, headers, project_key, (board, sprint) =>
+        updateJobProgress(db, job_id, 'fetching', `Fetching ${board.name}: ${sprint.name}`, 50)
+      );
+      const sprintFiles = sprints.writeSprintExport(outputPath, exportLabel, sprintExport);
+      const [jsonFileName, csvFileName] = await sealOutputs(outputPath, [sprintFiles.jsonFileName, sprintFiles.csvFileName], passphrase);
+      const exportManifestFileName = await writeJobManifest(outputPath, exportLabel, {
+        jobId: job_id,
+        exportLabel,
+        jql: null,
+        issues: [],
+        files: [
+          { fileName: jsonFileName, kind: 'sprints' },
+          { fileName: csvFileName, kind: 'sprints-csv' },
+          ...decryptionScriptFiles(outputPath, exportLabel, passphrase)
+        ],
+        plan: { encrypted: Boolean(passphrase) }
+      }, passphrase);
+      await saveExportManifest(db, job_id, exportManifestFileName);
+
+      await updateJobProgress(db, job_id, 'complete', `Download complete: ${sprintExport.totalSprints} sprints`, 100);
+
+      // Send notification
+      if (defaults.notifications.enabled) {
+        notifier.notify({
+          title: defaults.notifications.successTitle,
+          message: `Downloaded ${sprintExport.totalSprints} sprints from ${exportLabel}`,
+          sound: defaults.notifications.sound
+        });
+      }
+
+      // Update job status to completed
+      await updateJobStatus(db, job_id, 'completed', null, new Date().toISOString());
+
+      return {
+        success: true,
+        fileName: jsonFileName,
+        csvFileName,
+        boardCount: sprintExport.totalBoards,
+        sprintCount: sprintExport.totalSprints,
+        exportManifestFileName
+      };
+    }
+
+    // In incremental mode, only fetch issues changed since the last successful sync
+    let jql = customJql || `project = ${project_key}`;
+    let lastSync = null;
+    let syncedAttachmentIds = new Set();
+    if (incremental) {
+      lastSync = await syncState.getSyncState(db, instance.name, syncScope);
+      syncedAttachmentIds = await syncState.getSyncedAttachmentIds(db, instance.name, syncScope);
+      if (lastSync?.last_updated) {
+        jql = syncState.restrictToUpdatedSince(jql, lastSync.last_updated);
+        console.log(`[Job ${job_id}] Incremental sync since ${lastSync.last_updated}`);
+      }
+    }
+    // Delta outputs are labelled so they are not mistaken for full exports
+    const filePrefix = lastSync?.last_updated ? `${exportLabel}_delta` : exportLabel;
+
+    // Checkpoints left by an earlier run of this job that was interrupted by a restart
+    const checkpoint = await jobCheckpoints.loadCheckpoint(db, job_id);
 
     // Get project info and total number of issues
     console.log(`[Job ${job_id}] Fetching project info and issue count...`);
     await updateJobProgress(db, job_id, 'init', 'Fetching project info', 0);
     
-    const jql = `project = ${project_key}`;
     const [projectResponse, countResponse] = await Promise.all([
-      axios.get(`${defaults.api.baseUrl}/project/${project_key}`, { headers }),
-      axios.post(`${defaults.api.baseUrl}/search`, {
+      project_key
+        ? jiraClient.get(instances.apiUrl(instance, `/project/${project_key}`), { headers })
+        : Promise.resolve({ data: { key: null, name: 'JQL query' } }),
+      jiraClient.post(instances.apiUrl(instance, '/search'), {
         jql,
         maxResults: 0
       }, { headers })
@@ -84,6 +201,7 @@ async function processDownloadJob(job, db) {
     console.log(`[Job ${job_id}] Project info retrieved:`, {
       projectKey: projectInfo.key,
       projectName: projectInfo.name,
+      jql,
       totalIssues
     });
 
@@ -95,9 +213,30 @@ async function processDownloadJob(job, db) {
     if (download_type === 'all' || download_type === 'attachments') {
       fields.push('attachment');
     }
-    if (download_type === 'all' || download_type === 'tickets') {
+    let epicLinkField = null;
+    let customFields = [];
+    if (download_type === 'all' || download_type === 'tickets' || download_type === 'worklogs') {
       fields.push('summary', 'description', 'comment', 'created', 'updated', 'status', 'priority', 'assignee', 'reporter');
+      fields.push(...relations.RELATION_FIELDS);
+
+      // Field metadata is fetched once per job to find the Epic Link and the selected custom fields
+      const fieldDefinitions = await fieldMetadata.fetchFieldDefinitions(instance, headers);
+      epicLinkField = relations.findEpicLinkField(fieldDefinitions);
+      if (epicLinkField) {
+        fields.push(epicLinkField);
+      }
+      customFields = fieldMetadata.resolveCustomFields(fieldDefinitions, selectedFieldNames);
+      fields.push(...customFields.map(field => field.id));
+    }
+    if (download_type === 'worklogs') {
+      fields.push('worklog');
+    }
+    if (incremental && !fields.includes('updated')) {
+      // Needed to advance the high-water mark
+      fields.push('updated');
     }
+    // Change history is only exported alongside ticket data
+    const withHistory = Boolean(include_history) && download_type !== 'attachments';
 
     // Fetch all issues with pagination
     let issues = [];
@@ -105,19 +244,21 @@ async function processDownloadJob(job, db) {
     let startAt = 0;
     
     do {
+      jobControl.throwIfInterrupted(job_id);
       await updateJobProgress(
         db, 
         job_id, 
         'fetching', 
         `Fetching issues (${Math.min(startAt + maxResultsPerPage, totalIssues)}/${totalIssues})`, 
-        5 + ((startAt / totalIssues) * 25)
+        5 + (totalIssues ? (startAt / totalIssues) * 25 : 0)
       );
       
-      const response = await axios.post(`${defaults.api.baseUrl}/search`, {
+      const response = await jiraClient.post(instances.apiUrl(instance, '/search'), {
         jql,
         startAt,
         maxResults: maxResultsPerPage,
-        fields
+        fields,
+        ...(withHistory && { expand: ['changelog'] })
       }, { headers });
       
       issues = issues.concat(response.data.issues);
@@ -128,67 +269,151 @@ async function processDownloadJob(job, db) {
     await updateJobProgress(db, job_id, 'processing', 'Processing issues', 30);
 
     // Process issues based on download type
-    const ticketsData = issues.map(issue => ({
-      key: issue.key || '',
-      summary: issue.fields?.summary || '',
-      description: issue.fields?.description || '',
-      created: issue.fields?.created || '',
-      updated: issue.fields?.updated || '',
-      status: issue.fields?.status?.name || '',
-      priority: issue.fields?.priority?.name || '',
-      assignee: issue.fields?.assignee?.displayName || '',
-      reporter: issue.fields?.reporter?.displayName || '',
-      comments: (issue.fields?.comment?.comments || []).map(c => ({
-        author: c?.author?.displayName || '',
-        created: c?.created || '',
-        body: c?.body || ''
-      }))
-    }));
+    const ticketsData = issues.map(issue => {
+      // Mentions and attachment references resolve against the issue's own users and files
+      const textContext = markup.issueContext(issue, exportLabel);
+      return {
+        key: issue.key || '',
+        summary: issue.fields?.summary || '',
+        description: markup.renderText(issue.fields?.description || '', renderFormat, textContext),
+        created: issue.fields?.created || '',
+        updated: issue.fields?.updated || '',
+        status: issue.fields?.status?.name || '',
+        priority: issue.fields?.priority?.name || '',
+        assignee: issue.fields?.assignee?.displayName || '',
+        reporter: issue.fields?.reporter?.displayName || '',
+        comments: (issue.fields?.comment?.comments || []).map(c => ({
+          author: c?.author?.displayName || '',
+          created: c?.created || '',
+          body: markup.renderText(c?.body || '', renderFormat, textContext)
+        })),
+        ...relations.issueRelations(issue, epicLinkField),
+        ...(customFields.length > 0 && { customFields: fieldMetadata.customFieldValues(issue, customFields) })
+      };
+    });
+
+    // Attachments are planned before the ticket files, so the viewer knows which ones are split.
+    // A resumed job keeps the plan of its first run, so segment contents and names stay stable
+    let attachmentSegments = checkpoint.plan;
+    if (!attachmentSegments && (download_type === 'all' || download_type === 'attachments')) {
+      const plan = segmentPlanner.planSegments(issues, {
+        segmentSize: segment_size || defaults.segmentSizeLimit,
+        strategy: segment_strategy || defaults.segmentStrategy,
+        skipAttachmentIds: syncedAttachmentIds
+      });
+      attachmentSegments = segmentPlanner.nameSegments(plan, filePrefix, archive_format || defaults.archiveFormat, Boolean(passphrase)).segments;
+      await jobCheckpoints.saveCheckpoint(db, job_id, 'plan', 'segments', attachmentSegments);
+      console.log(`[Job ${job_id}] Planned ${plan.totalAttachments} attachments (${(plan.totalBytes / (1024 * 1024)).toFixed(1)}MB) into ${attachmentSegments.length} segments (${plan.strategy}, ${+(plan.segmentSize / (1024 * 1024)).toFixed(1)}MB)`);
+    }
+
+    if (withHistory && !checkpoint.outputs) {
+      await updateJobProgress(db, job_id, 'processing', 'Collecting change history', 35);
+      for (let i = 0; i < issues.length; i++) {
+        ticketsData[i].history = await changelog.collectIssueHistory(instance, headers, issues[i]);
+      }
+    }
 
     // For tickets-only or all content, create the tickets file
-    if (download_type === 'tickets' || download_type === 'all') {
-      const fileName = `${project_key}_tickets_${new Date().toISOString().replace(/[:.]/g, '-')}.${file_format}`;
-      const filePath = path.join(outputPath, fileName);
+    let ticketsFileName = null;
+    let historyFileName = null;
+    let graphFileName = null;
+    let viewerFileName = null;
+    // Ticket phase outputs, for the export manifest
+    const ticketOutputFiles = () => [
+      { fileName: ticketsFileName, kind: 'tickets' },
+      { fileName: historyFileName, kind: 'history' },
+      { fileName: graphFileName, kind: 'graph' },
+      { fileName: viewerFileName, kind: 'viewer' }
+    ];
+    if (checkpoint.outputs) {
+      ({ ticketsFileName = null, historyFileName, graphFileName, viewerFileName } = checkpoint.outputs);
+    } else if (download_type === 'tickets' || download_type === 'all' || download_type === 'worklogs') {
+      let fileName = `${filePrefix}_tickets_${new Date().toISOString().replace(/[:.]/g, '-')}.${file_format}`;
+      let filePath = path.join(outputPath, fileName);
+      ticketsFileName = fileName;
 
       await updateJobProgress(db, job_id, 'processing', `Writing ticket data to ${fileName}`, 40);
 
       if (file_format === 'json') {
         fs.writeFileSync(filePath, JSON.stringify(ticketsData, null, 2));
       } else {
-        // Convert to CSV format
-        const csvRows = [];
-        // Add headers
-        csvRows.push(['Key', 'Summary', 'Description', 'Created', 'Updated', 'Status', 'Priority', 'Assignee', 'Reporter', 'Comments']);
-        // Add data
-        ticketsData.forEach(ticket => {
-          csvRows.push([
-            ticket.key,
-            ticket.summary,
-            ticket.description,
-            ticket.created,
-            ticket.updated,
-            ticket.status,
-            ticket.priority,
-            ticket.assignee,
-            ticket.reporter,
-            ticket.comments.map(c => `${c.author}: ${c.body}`).join(' | ')
-          ]);
-        });
-        fs.writeFileSync(filePath, csvRows.map(row => row.join(',')).join('\n'));
+        fs.writeFileSync(filePath, toCsv(ticketCsvRows(ticketsData, customFields)));
+
+        // History has one row per field change, so it gets its own CSV file
+        if (withHistory) {
+          historyFileName = `${filePrefix}_history_${new Date().toISOString().replace(/[:.]/g, '-')}.csv`;
+          fs.writeFileSync(path.join(outputPath, historyFileName), toCsv(changelog.historyCsvRows(ticketsData)));
+        }
+      }
+
+      // Dependency graph of links, sub-tasks and epics for offline traversal
+      graphFileName = `${filePrefix}_graph_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+      fs.writeFileSync(path.join(outputPath, graphFileName), JSON.stringify(relations.buildIssueGraph(ticketsData), null, 2));
+
+      // Static HTML viewer for stakeholders without tooling
+      viewerFileName = viewer.writeViewer(outputPath, filePrefix, {
+        title: project_key || customJql,
+        exportLabel,
+        issues,
+        tickets: ticketsData,
+        attachmentParts: segmentPlanner.attachmentPartCounts(attachmentSegments)
+      });
+
+      // Worklogs are written next to the tickets file
+      let worklogExport = null;
+      if (download_type === 'worklogs') {
+        await updateJobProgress(db, job_id, 'processing', 'Collecting worklogs', 45);
+        const allWorklogs = [];
+        for (const issue of issues) {
+          allWorklogs.push(...await worklogs.collectIssueWorklogs(instance, headers, issue));
+        }
+        worklogExport = worklogs.writeWorklogExport(outputPath, filePrefix, file_format, allWorklogs);
+        console.log(`[Job ${job_id}] Wrote ${allWorklogs.length} worklogs (${worklogExport.summary.totalHours}h)`);
+      }
+
+      // Ticket data of an encrypted job is sealed as soon as it is written
+      if (passphrase) {
+        [ticketsFileName, historyFileName, graphFileName, viewerFileName] =
+          await sealOutputs(outputPath, [ticketsFileName, historyFileName, graphFileName, viewerFileName], passphrase);
+        fileName = ticketsFileName;
+        filePath = path.join(outputPath, fileName);
+        if (worklogExport) {
+          [worklogExport.worklogFileName, worklogExport.summaryFileName] =
+            await sealOutputs(outputPath, [worklogExport.worklogFileName, worklogExport.summaryFileName], passphrase);
+        }
       }
 
       // If tickets only, we're done
-      if (download_type === 'tickets') {
+      if (download_type === 'tickets' || download_type === 'worklogs') {
         const fileSize = fs.statSync(filePath).size;
         const fileSizeMB = (fileSize / (1024 * 1024)).toFixed(1);
         
+        const [manifestFileName] = await sealOutputs(outputPath, [incremental
+          ? await finishIncrementalSync(db, job_id, instance, syncScope, issues, [], outputPath, filePrefix)
+          : null], passphrase);
+        const exportManifestFileName = await writeJobManifest(outputPath, filePrefix, {
+          jobId: job_id,
+          exportLabel,
+          jql,
+          issues,
+          files: [
+            ...ticketOutputFiles(),
+            { fileName: worklogExport?.worklogFileName, kind: 'worklogs' },
+            { fileName: worklogExport?.summaryFileName, kind: 'worklog-summary' },
+            { fileName: manifestFileName, kind: 'sync-manifest' },
+            ...decryptionScriptFiles(outputPath, filePrefix, passphrase)
+          ],
+          plan: { encrypted: Boolean(passphrase) }
+        }, passphrase);
+        await saveExportManifest(db, job_id, exportManifestFileName);
+        
         await updateJobProgress(db, job_id, 'complete', `Download complete: ${fileName} (${fileSizeMB}MB)`, 100);
         
         // Send notification
         if (defaults.notifications.enabled) {
           notifier.notify({
             title: defaults.notifications.successTitle,
-            message: `Downloaded ${ticketsData.length} tickets from ${project_key}`,
+            message: `Downloaded ${ticketsData.length} tickets from ${exportLabel}`,
             sound: defaults.notifications.sound
           });
         }
@@ -202,133 +427,110 @@ async function processDownloadJob(job, db) {
           filePath,
           ticketCount: ticketsData.length,
           commentCount: ticketsData.reduce((sum, t) => sum + (t.comments?.length || 0), 0),
-          fileSize: fileSizeMB + 'MB'
+          fileSize: fileSizeMB + 'MB',
+          historyFileName,
+          graphFileName,
+          viewerFileName,
+          worklogFileName: worklogExport?.worklogFileName || null,
+          worklogSummaryFileName: worklogExport?.summaryFileName || null,
+          worklogCount: worklogExport?.summary.totalWorklogs || 0,
+          manifestFileName,
+          exportManifestFileName
         };
       }
     }
 
+    // Ticket files of a job that also downloads attachments survive a restart
+    if (download_type === 'all' && !checkpoint.outputs) {
+      await jobCheckpoints.saveCheckpoint(db, job_id, 'outputs', 'tickets', { ticketsFileName, historyFileName, graphFileName, viewerFileName });
+    }
+
     // For attachments-only or all content, continue with attachment processing
     if (download_type === 'all' || download_type === 'attachments') {
-      await updateJobProgress(db, job_id, 'analyzing', 'Analyzing attachments', 50);
-      
-      // Count attachments and calculate total size
-      let totalAttachmentCount = 0;
-      let totalEstimatedBytes = 0;
-      
-      for (const issue of issues) {
-        if (issue.fields?.attachment) {
-          totalAttachmentCount += issue.fields.attachment.length;
-          for (const attachment of issue.fields.attachment) {
-            totalEstimatedBytes += parseInt(attachment.size || 0);
-          }
-        }
-      }
-      
-      console.log(`[Job ${job_id}] Found ${totalAttachmentCount} attachments (${(totalEstimatedBytes / (1024 * 1024)).toFixed(1)}MB)`);
-      
-      // Calculate segments needed for attachments
-      const SEGMENT_SIZE_LIMIT = defaults.segmentSizeLimit;
-      const attachmentSegments = [];
-      let currentSegment = {
-        files: [],
-        size: 0,
-        number: 1
-      };
-      
-      await updateJobProgress(db, job_id, 'segmenting', `Organizing ${totalAttachmentCount} attachments`, 60);
-      
-      // Group attachments into segments
-      for (const issue of issues) {
-        if (!issue.fields?.attachment) continue;
-
-        for (const attachment of issue.fields.attachment) {
-          const attachmentSize = parseInt(attachment.size || 0);
-          if (attachmentSize === 0) continue;
-
-          // If attachment is larger than segment size, split it
-          if (attachmentSize > SEGMENT_SIZE_LIMIT) {
-            const segmentCount = Math.ceil(attachmentSize / SEGMENT_SIZE_LIMIT);
-            
-            for (let i = 0; i < segmentCount; i++) {
-              const startByte = i * SEGMENT_SIZE_LIMIT;
-              const endByte = Math.min((i + 1) * SEGMENT_SIZE_LIMIT, attachmentSize);
-              attachmentSegments.push({
-                files: [{
-                  ticket: issue.key,
-                  attachment,
-                  partNumber: i + 1,
-                  totalParts: segmentCount,
-                  startByte,
-                  endByte,
-                  size: endByte - startByte
-                }],
-                size: endByte - startByte,
-                number: attachmentSegments.length + 1
-              });
-            }
-          }
-          // If current segment would exceed limit, start new segment
-          else if (currentSegment.size + attachmentSize > SEGMENT_SIZE_LIMIT) {
-            if (currentSegment.files.length > 0) {
-              attachmentSegments.push(currentSegment);
-            }
-            currentSegment = {
-              files: [{
-                ticket: issue.key,
-                attachment,
-                partNumber: 1,
-                totalParts: 1,
-                startByte: 0,
-                endByte: attachmentSize,
-                size: attachmentSize
-              }],
-              size: attachmentSize,
-              number: attachmentSegments.length + 1
-            };
-          }
-          // Add to current segment
-          else {
-            currentSegment.files.push({
-              ticket: issue.key,
-              attachment,
-              partNumber: 1,
-              totalParts: 1,
-              startByte: 0,
-              endByte: attachmentSize,
-              size: attachmentSize
-            });
-            currentSegment.size += attachmentSize;
-          }
-        }
-      }
-
-      // Add final segment if not empty
-      if (currentSegment.files.length > 0) {
-        attachmentSegments.push(currentSegment);
-      }
-
+      const totalAttachmentCount = new Set(attachmentSegments.flatMap(segment => segment.files.map(file => file.attachment.id))).size;
       const totalSegments = attachmentSegments.length;
-      console.log(`[Job ${job_id}] Created ${totalSegments} segments`);
+      if (checkpoint.plan) {
+        console.log(`[Job ${job_id}] Resuming: ${checkpoint.completedSegments.size}/${totalSegments} segments already complete`);
+      }
+      await updateJobProgress(db, job_id, 'segmenting', `Organizing ${totalAttachmentCount} attachments into ${totalSegments} segments`, 60);
       
       // Create segments with attachment chunks
       const segments = [];
+      // Entries with their checksums, by segment, for the export manifest
+      const manifestSegments = [];
+      const downloadedAttachments = new Map();
+      const stagingDir = jobCheckpoints.stagingDir(outputPath, job_id);
+      // Encrypted jobs also seal the attachments they stage, which a paused job keeps on disk
+      const stagingCipher = passphrase ? exportEncryption.createFileCipher(passphrase) : null;
       let processedSegments = 0;
+      // Bytes on disk, including segments and attachments kept from an interrupted run
+      const plannedBytes = attachmentSegments.reduce((sum, segment) => sum + segment.size, 0);
+      let downloadedBytes = 0;
       
       for (const segment of attachmentSegments) {
-        const segmentZip = new AdmZip();
+        jobControl.throwIfInterrupted(job_id);
         const segmentProgress = 60 + ((processedSegments / totalSegments) * 35);
+        const segmentFileName = segment.fileName;
+        const segmentFilePath = path.join(outputPath, segmentFileName);
+
+        // Remember which segments hold each attachment for the sync manifest
+        for (const { ticket, attachment } of segment.files) {
+          if (!downloadedAttachments.has(attachment.id)) {
+            downloadedAttachments.set(attachment.id, {
+              id: attachment.id,
+              issueKey: ticket,
+              filename: attachment.filename,
+              size: parseInt(attachment.size || 0),
+              segmentFiles: []
+            });
+          }
+          downloadedAttachments.get(attachment.id).segmentFiles.push(segmentFileName);
+        }
+
+        const segmentInfo = {
+          fileName: segmentFileName,
+          filePath: segmentFilePath,
+          fileCount: segment.files.length,
+          size: segment.size,
+          partNumber: segment.number,
+          totalParts: totalSegments
+        };
+
+        // Segments finished before an interruption are kept as they are
+        if (checkpoint.completedSegments.has(segment.number) && fs.existsSync(segmentFilePath)) {
+          segments.push(segmentInfo);
+          manifestSegments.push({
+            number: segment.number,
+            fileName: segmentFileName,
+            entries: checkpoint.segmentEntries.get(segment.number) ||
+              (await exportManifest.readSegmentManifest(segmentFilePath))?.entries || []
+          });
+          processedSegments++;
+          downloadedBytes += segment.size;
+          continue;
+        }
         
         await updateJobProgress(
           db, 
           job_id, 
           'downloading', 
           `Downloading segment ${segment.number}/${totalSegments} (${segment.files.length} files)`, 
-          segmentProgress
+          segmentProgress,
+          { downloaded: downloadedBytes, total: plannedBytes }
         );
 
-        // Add attachments for this segment
-        for (const file of segment.files) {
-          const { ticket, attachment, partNumber, totalParts, startByte, endByte } = file;
+        // Attachments are staged on disk one by one, so a restart only re-downloads unfinished ones
+        const segmentStagingDir = path.join(stagingDir, String(segment.number));
+        fs.mkdirSync(segmentStagingDir, { recursive: true });
+
+        for (const [index, file] of segment.files.entries()) {
+          const { attachment, startByte, endByte } = file;
+          const stagedPath = path.join(segmentStagingDir, String(index));
+          if (checkpoint.stagedAttachments.has(`${segment.number}/${index}`) && fs.existsSync(stagedPath)) {
+            downloadedBytes += file.size;
+            continue;
+          }
+          jobControl.throwIfInterrupted(job_id);
 
           // Get attachment data with progressive timeout for larger files
           const fileSize = endByte - startByte;
@@ -336,65 +538,91 @@ async function processDownloadJob(job, db) {
             defaults.api.timeout,
             defaults.api.timeout * (1 + (fileSize / (10 * 1024 * 1024))) // Increase timeout for larger files
           );
-          
+
           // Try to download with progressively increasing timeouts on failure
-          let attachmentResponse;
           let retryCount = 0;
           const maxRetries = defaults.api.maxRetries;
-          
+
           while (retryCount <= maxRetries) {
             try {
-              attachmentResponse = await axios.get(attachment.content, {
+              const attachmentResponse = await jiraClient.get(auth.resolveUrl(attachment.content), {
                 headers: {
                   ...headers,
                   Range: `bytes=${startByte}-${endByte - 1}`
                 },
-                responseType: 'arraybuffer',
+                responseType: 'stream',
                 timeout: progressiveTimeout * (retryCount + 1) // Increase timeout with each retry
               });
-              
+              await pipeline(
+                attachmentResponse.data,
+                ...(stagingCipher ? [stagingCipher.encrypt()] : []),
+                fs.createWriteStream(stagedPath)
+              );
+
               // If successful, break out of retry loop
               break;
             } catch (downloadError) {
               retryCount++;
-              
+
               // If we've exhausted retries, throw the error
               if (retryCount > maxRetries) {
                 throw downloadError;
               }
-              
+
               // Log retry attempt
               console.log(`[Job ${job_id}] Retrying download for ${attachment.filename} (${retryCount}/${maxRetries})`);
-              
+
               // Wait before retrying
               await new Promise(resolve => setTimeout(resolve, defaults.api.retryDelay * retryCount));
             }
           }
 
-          // Add to zip with part number if split
-          const filename = totalParts > 1
-            ? `${attachment.filename}.part${partNumber}`
-            : attachment.filename;
+          await jobCheckpoints.saveCheckpoint(db, job_id, 'attachment', `${segment.number}/${index}`, { fileName: attachment.filename });
 
-          segmentZip.addFile(
-            `${project_key}/${ticket}/${filename}`,
-            Buffer.from(attachmentResponse.data)
+          downloadedBytes += file.size;
+          await updateJobProgress(
+            db,
+            job_id,
+            'downloading',
+            `Downloaded ${attachment.filename} (segment ${segment.number}/${totalSegments})`,
+            60 + (((processedSegments + (index + 1) / segment.files.length) / totalSegments) * 35),
+            { downloaded: downloadedBytes, total: plannedBytes }
           );
         }
 
-        // Save segment with detailed info
-        const segmentFileName = `${project_key}_attachments_part${segment.number}of${totalSegments}_${(segment.size / (1024 * 1024)).toFixed(1)}MB_${new Date().toISOString().replace(/[:.]/g, '-')}.zip`;
-        const segmentFilePath = path.join(outputPath, segmentFileName);
-        segmentZip.writeZip(segmentFilePath);
+        // Staged attachments are streamed into the segment file, hashed on the way, followed by its manifest
+        const entries = [];
+        await writeSegment(segmentFilePath, archive_format || defaults.archiveFormat, async (addEntry) => {
+          for (const [index, file] of segment.files.entries()) {
+            const { ticket, attachment, partNumber, totalParts } = file;
 
-        segments.push({
-          fileName: segmentFileName,
-          filePath: segmentFilePath,
-          fileCount: segment.files.length,
-          size: segment.size,
-          partNumber: segment.number,
-          totalParts: totalSegments
-        });
+            // Add to the segment with part number if split
+            const filename = totalParts > 1
+              ? `${attachment.filename}.part${partNumber}`
+              : attachment.filename;
+
+            const entryPath = `${exportLabel}/${ticket}/${filename}`;
+            const hashed = exportManifest.hashingStream(readStagedAttachment(path.join(segmentStagingDir, String(index)), stagingCipher));
+            await addEntry(entryPath, hashed);
+
+            const entry = exportManifest.manifestEntry(file, entryPath, hashed.digest());
+            if (!entry.sizeMatches) {
+              console.warn(`[Job ${job_id}] ${entryPath}: received ${entry.size} bytes, Jira reported ${file.endByte - file.startByte}`);
+            }
+            entries.push(entry);
+          }
+
+          await addEntry(exportManifest.SEGMENT_MANIFEST_NAME, exportManifest.manifestStream(exportManifest.segmentManifest({
+            number: segment.number,
+            totalSegments,
+            fileName: segmentFileName,
+            exportLabel
+          }, entries)));
+        }, { passphrase });
+
+        segments.push(segmentInfo);
+        manifestSegments.push({ number: segment.number, fileName: segmentFileName, entries });
+        await jobCheckpoints.saveCheckpoint(db, job_id, 'segment', String(segment.number), entries);
         
         // Save segment info to database
         await saveSegmentInfo(
@@ -407,10 +635,39 @@ async function processDownloadJob(job, db) {
           segment.files.length, 
           segment.size
         );
+        fs.rmSync(segmentStagingDir, { recursive: true, force: true });
         
         processedSegments++;
       }
 
+      const [manifestFileName] = await sealOutputs(outputPath, [incremental
+        ? await finishIncrementalSync(db, job_id, instance, syncScope, issues, [...downloadedAttachments.values()], outputPath, filePrefix)
+        : null], passphrase);
+      // Offline copy of the reassembly the server runs for this job
+      const reassemblyScriptFileName = reassembly_script && totalSegments > 0
+        ? exportReassembly.writeReassemblyScript(outputPath, filePrefix)
+        : null;
+      const exportManifestFileName = await writeJobManifest(outputPath, filePrefix, {
+        jobId: job_id,
+        exportLabel,
+        jql,
+        issues,
+        files: [
+          ...ticketOutputFiles(),
+          { fileName: manifestFileName, kind: 'sync-manifest' },
+          { fileName: reassemblyScriptFileName, kind: 'reassembly-script' },
+          ...decryptionScriptFiles(outputPath, filePrefix, passphrase)
+        ],
+        segments: manifestSegments,
+        plan: {
+          segmentSize: segment_size || defaults.segmentSizeLimit,
+          strategy: segment_strategy || defaults.segmentStrategy,
+          archiveFormat: archive_format || defaults.archiveFormat,
+          encrypted: Boolean(passphrase)
+        }
+      }, passphrase);
+      await saveExportManifest(db, job_id, exportManifestFileName);
+
       // All segments complete
       await updateJobProgress(db, job_id, 'complete', `Download complete: ${totalSegments} segments`, 100);
       
@@ -418,23 +675,45 @@ async function processDownloadJob(job, db) {
       if (defaults.notifications.enabled) {
         notifier.notify({
           title: defaults.notifications.successTitle,
-          message: `Downloaded ${totalAttachmentCount} attachments from ${project_key} in ${totalSegments} segments`,
+          message: `Downloaded ${totalAttachmentCount} attachments from ${exportLabel} in ${totalSegments} segments`,
           sound: defaults.notifications.sound
         });
       }
       
       // Update job status to completed
       await updateJobStatus(db, job_id, 'completed', null, new Date().toISOString());
+      await jobCheckpoints.clearCheckpoints(db, job_id, outputPath);
       
       return {
         success: true,
         segments,
         totalSegments,
         totalAttachments: totalAttachmentCount,
-        totalSize: `${(totalEstimatedBytes / (1024 * 1024)).toFixed(1)}MB`
+        totalSize: `${(plannedBytes / (1024 * 1024)).toFixed(1)}MB`,
+        historyFileName,
+        graphFileName,
+        viewerFileName,
+        manifestFileName,
+        reassemblyScriptFileName,
+        exportManifestFileName
       };
     }
   } catch (error) {
+    // Paused jobs keep their checkpoints; cancelled jobs keep only their finished segments
+    if (error instanceof jobControl.JobInterruptedError) {
+      console.log(`[Job ${job_id}] ${error.message}`);
+      if (error.action === 'pause') {
+        await updateJobStatus(db, job_id, 'paused');
+      } else {
+        await updateJobStatus(db, job_id, 'cancelled', null, new Date().toISOString());
+        await jobCheckpoints.clearCheckpoints(db, job_id, outputPath);
+      }
+      return {
+        success: false,
+        status: error.action === 'pause' ? 'paused' : 'cancelled'
+      };
+    }
+
     console.error(`[Job ${job_id}] Error:`, error);
     
     // Determine error type for better error messages
@@ -446,14 +725,17 @@ async function processDownloadJob(job, db) {
       console.log(`[Job ${job_id}] Timeout error detected. Original error:`, error);
     }
     
-    // Update job status to failed
+    // Update job status to failed; a failed job is not resumed, so its checkpoints go too
     await updateJobStatus(db, job_id, 'failed', errorMessage);
+    await jobCheckpoints.clearCheckpoints(db, job_id, outputPath).catch(clearError =>
+      console.error(`[Job ${job_id}] Error clearing checkpoints:`, clearError)
+    );
     
     // Send notification
     if (defaults.notifications.enabled) {
       notifier.notify({
         title: defaults.notifications.errorTitle,
-        message: `Failed to download ${project_key}: ${errorMessage}`,
+        message: `Failed to download ${exportLabel}: ${errorMessage}`,
         sound: defaults.notifications.sound
       });
     }
@@ -462,7 +744,120 @@ async function processDownloadJob(job, db) {
       success: false,
       error: errorMessage
     };
+  } finally {
+    stopRefreshing();
+  }
+}
+
+/**
+ * Open a staged attachment, decrypting it if the job seals its staged files
+ * @param {string} stagedPath Staged file path
+ * @param {Object|null} stagingCipher Cipher from exportEncryption.createFileCipher, or null
+ * @returns {stream.Readable} Attachment data
+ * @private
+ */
+function readStagedAttachment(stagedPath, stagingCipher) {
+  const staged = fs.createReadStream(stagedPath);
+  if (!stagingCipher) {
+    return staged;
+  }
+  const decrypt = stagingCipher.decrypt();
+  staged.on('error', error => decrypt.destroy(error));
+  return staged.pipe(decrypt);
+}
+
+/**
+ * Record a completed incremental sync and write the merged manifest next to the outputs
+ * @param {Object} db Database connection
+ * @param {string} jobId Job ID
+ * @param {Object} instance Jira instance profile
+ * @param {string} scope Project key or JQL query
+ * @param {Array<Object>} issues Issues fetched by this job
+ * @param {Array<Object>} attachments Attachments downloaded by this job
+ * @param {string} outputPath Output directory
+ * @param {string} filePrefix Output file name prefix
+ * @returns {Promise<string>} Manifest file name
+ */
+async function finishIncrementalSync(db, jobId, instance, scope, issues, attachments, outputPath, filePrefix) {
+  const highWaterMark = await syncState.recordSync(db, {
+    instance: instance.name,
+    scope,
+    jobId,
+    issues: issues.map(issue => ({ key: issue.key, updated: issue.fields?.updated || null })),
+    attachments
+  });
+
+  const manifest = await syncState.buildMergedManifest(db, instance.name, scope);
+  const manifestFileName = `${filePrefix}_sync_manifest_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+  fs.writeFileSync(path.join(outputPath, manifestFileName), JSON.stringify(manifest, null, 2));
+
+  console.log(`[Job ${jobId}] Sync recorded: ${issues.length} issues, ${attachments.length} attachments, high-water mark ${highWaterMark}`);
+  return manifestFileName;
+}
+
+/**
+ * Encrypt the outputs of an encrypted job, replacing the plain files
+ * @param {string} outputPath Output directory
+ * @param {Array<string|null>} fileNames Output file names; null for outputs that were not written
+ * @param {string|null} passphrase Job passphrase, or null to leave the files as they are
+ * @returns {Promise<Array<string|null>>} File names now on disk
+ */
+async function sealOutputs(outputPath, fileNames, passphrase) {
+  if (!passphrase) {
+    return fileNames;
+  }
+  const sealed = [];
+  for (const fileName of fileNames) {
+    sealed.push(fileName ? await exportEncryption.encryptFile(path.join(outputPath, fileName), passphrase) : null);
   }
+  return sealed;
+}
+
+/**
+ * Write the offline decryption helper into an encrypted export
+ * The helper stays readable, like the reassembly script, so the export can be opened without this app
+ * @param {string} outputPath Output directory
+ * @param {string} filePrefix Output file name prefix
+ * @param {string|null} passphrase Job passphrase; nothing is written without one
+ * @returns {Array<Object>} Export manifest files: { fileName, kind }
+ */
+function decryptionScriptFiles(outputPath, filePrefix, passphrase) {
+  return passphrase
+    ? [{ fileName: exportEncryption.writeDecryptionScript(outputPath, filePrefix), kind: 'decryption-script' }]
+    : [];
+}
+
+/**
+ * Write the master manifest of a job, encrypting it with the outputs it lists
+ * @param {string} outputPath Output directory
+ * @param {string} filePrefix Output file name prefix
+ * @param {Object} content Export content (see lib/export-manifest.js)
+ * @param {string|null} passphrase Job passphrase, or null for a plain manifest
+ * @returns {Promise<string>} Manifest file name
+ */
+async function writeJobManifest(outputPath, filePrefix, content, passphrase) {
+  const [manifestFileName] = await sealOutputs(outputPath, [await exportManifest.writeExportManifest(outputPath, filePrefix, content)], passphrase);
+  return manifestFileName;
+}
+
+/**
+ * Remember the export manifest of a job, for later verification
+ * @param {Object} db Database connection
+ * @param {string} jobId Job ID
+ * @param {string} fileName Manifest file name in the job's download path
+ * @returns {Promise<void>}
+ */
+async function saveExportManifest(db, jobId, fileName) {
+  return new Promise((resolve, reject) => {
+    db.run('UPDATE download_jobs SET export_manifest = ? WHERE job_id = ?', [fileName, jobId], function(err) {
+      if (err) {
+        console.error('Error saving export manifest:', err);
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
 }
 
 /**
@@ -498,28 +893,106 @@ async function updateJobStatus(db, jobId, status, error = null, completedAt = nu
         console.error('Error updating job status:', err);
         reject(err);
       } else {
+        if (status === 'processing') {
+          runClocks.set(jobId, { startedAt: Date.now() });
+        } else {
+          runClocks.delete(jobId);
+        }
+        jobEvents.publishStatus(jobId, status, error);
+        // Finished jobs no longer hold their credentials; drop them once nothing else does
+        if (credentialStore.TERMINAL_STATUSES.includes(status)) {
+          credentialStore.releaseUnusedCredentials(db)
+            .catch(releaseError => console.error('Error releasing stored credentials:', releaseError));
+        }
         resolve();
       }
     });
   });
 }
 
+// Start time of each running job and, once bytes are reported, the byte count the rate is measured from
+const runClocks = new Map();
+
 /**
- * Update job progress in database
+ * Update job progress in database and publish it to live subscribers
  * @param {Object} db Database connection
  * @param {string} jobId Job ID
  * @param {string} stage Current stage
  * @param {string} message Progress message
  * @param {number} progress Progress percentage (0-100)
+ * @param {Object} [bytes] Attachment bytes { downloaded, total }, when known
  * @returns {Promise<void>}
  */
-async function updateJobProgress(db, jobId, stage, message, progress) {
-  // This would typically update a job_progress table or similar
-  // For now, we'll just log the progress
-  console.log(`[Job ${jobId}] Progress: ${progress}% - ${stage} - ${message}`);
-  
-  // We could also emit an event or update a real-time status
-  return Promise.resolve();
+async function updateJobProgress(db, jobId, stage, message, progress, bytes = {}) {
+  const percent = Math.round(progress * 10) / 10;
+  const etaSeconds = estimateEta(jobId, percent, bytes);
+  const now = new Date().toISOString();
+
+  console.log(`[Job ${jobId}] Progress: ${percent}% - ${stage} - ${message}`);
+
+  await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO job_progress (job_id, stage, message, percent, bytes_downloaded, total_bytes, eta_seconds, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(job_id) DO UPDATE SET
+         stage = excluded.stage,
+         message = excluded.message,
+         percent = excluded.percent,
+         bytes_downloaded = COALESCE(excluded.bytes_downloaded, job_progress.bytes_downloaded),
+         total_bytes = COALESCE(excluded.total_bytes, job_progress.total_bytes),
+         eta_seconds = excluded.eta_seconds,
+         updated_at = excluded.updated_at`,
+      [jobId, stage, message, percent, bytes.downloaded ?? null, bytes.total ?? null, etaSeconds, now],
+      function(err) {
+        if (err) {
+          console.error('Error updating job progress:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+
+  jobEvents.publishProgress(jobId, {
+    stage,
+    message,
+    percent,
+    bytesDownloaded: bytes.downloaded ?? null,
+    totalBytes: bytes.total ?? null,
+    etaSeconds,
+    updatedAt: now
+  });
+}
+
+/**
+ * Estimate the seconds left for a running job
+ * Uses the attachment download rate of this run when bytes are known, the overall percentage otherwise
+ * @param {string} jobId Job ID
+ * @param {number} percent Progress percentage (0-100)
+ * @param {Object} bytes Attachment bytes { downloaded, total }
+ * @returns {number|null} Seconds left, or null if unknown
+ * @private
+ */
+function estimateEta(jobId, percent, bytes) {
+  const clock = runClocks.get(jobId);
+  if (!clock || percent >= 100) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (bytes.total && bytes.downloaded !== undefined) {
+    // Bytes kept from an earlier run of a resumed job do not count towards the rate
+    if (!clock.bytes) {
+      clock.bytes = { since: now, from: bytes.downloaded };
+      return null;
+    }
+    const rate = (bytes.downloaded - clock.bytes.from) / ((now - clock.bytes.since) / 1000);
+    return rate > 0 ? Math.round((bytes.total - bytes.downloaded) / rate) : null;
+  }
+
+  const elapsedSeconds = (now - clock.startedAt) / 1000;
+  return percent > 0 ? Math.round(elapsedSeconds * (100 - percent) / percent) : null;
 }
 
 /**
@@ -0,0 +1,111 @@
+/**
+ * Checkpoints for resumable background download jobs
+ * Records the outputs already written, the segment plan and the attachments staged for the
+ * segment in progress, so a job interrupted by a restart continues where it stopped
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Load the checkpoints of a job
+ * @param {Object} db Database connection
+ * @param {string} jobId Job ID
+ * @returns {Promise<Object>} { outputs, plan, completedSegments, segmentEntries, stagedAttachments }
+ */
+async function loadCheckpoint(db, jobId) {
+  const all = (sql) => new Promise((resolve, reject) => {
+    db.all(sql, [jobId], (err, rows) => {
+      if (err) {
+        console.error('Error loading job checkpoint:', err);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+
+  const [checkpoints, segments] = await Promise.all([
+    all('SELECT kind, item, data FROM job_checkpoints WHERE job_id = ?'),
+    all("SELECT segment_number FROM download_segments WHERE job_id = ? AND status = 'completed'")
+  ]);
+
+  const find = (kind) => checkpoints.find(row => row.kind === kind);
+  return {
+    // Files written by the ticket phase: { historyFileName, graphFileName, viewerFileName }
+    outputs: find('outputs') ? JSON.parse(find('outputs').data) : null,
+    // Attachment segments as planned by the first run, including their file names
+    plan: find('plan') ? JSON.parse(find('plan').data) : null,
+    completedSegments: new Set(segments.map(row => row.segment_number)),
+    // Manifest entries of completed segments by segment number; encrypted segments cannot be read back
+    segmentEntries: new Map(checkpoints.filter(row => row.kind === 'segment').map(row => [Number(row.item), JSON.parse(row.data)])),
+    // Items are "<segment number>/<file index>"
+    stagedAttachments: new Set(checkpoints.filter(row => row.kind === 'attachment').map(row => row.item))
+  };
+}
+
+/**
+ * Save a checkpoint, replacing any earlier one with the same kind and item
+ * @param {Object} db Database connection
+ * @param {string} jobId Job ID
+ * @param {string} kind Checkpoint kind ('outputs', 'plan', 'segment' or 'attachment')
+ * @param {string} item Item within the kind
+ * @param {*} data JSON-serializable checkpoint data
+ * @returns {Promise<void>}
+ */
+async function saveCheckpoint(db, jobId, kind, item, data) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO job_checkpoints (job_id, kind, item, data, created_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(job_id, kind, item) DO UPDATE SET data = excluded.data, created_at = excluded.created_at`,
+      [jobId, kind, item, JSON.stringify(data), new Date().toISOString()],
+      function(err) {
+        if (err) {
+          console.error('Error saving job checkpoint:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get the directory where a job stages the attachments of the segment in progress
+ * @param {string} outputPath Output directory of the job
+ * @param {string} jobId Job ID
+ * @returns {string} Staging directory
+ */
+function stagingDir(outputPath, jobId) {
+  return path.join(outputPath, `.${jobId}.staging`);
+}
+
+/**
+ * Remove the checkpoints and staged files of a job that reached a terminal state
+ * @param {Object} db Database connection
+ * @param {string} jobId Job ID
+ * @param {string} outputPath Output directory of the job
+ * @returns {Promise<void>}
+ */
+async function clearCheckpoints(db, jobId, outputPath) {
+  await fs.promises.rm(stagingDir(outputPath, jobId), { recursive: true, force: true });
+
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM job_checkpoints WHERE job_id = ?', [jobId], function(err) {
+      if (err) {
+        console.error('Error clearing job checkpoints:', err);
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+module.exports = {
+  loadCheckpoint,
+  saveCheckpoint,
+  stagingDir,
+  clearCheckpoints
+};
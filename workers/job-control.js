@@ -0,0 +1,62 @@
+/**
+ * Cooperative pause and cancel for running background jobs
+ * Requests are recorded here and picked up by the worker between issue pages,
+ * attachments and segments, so work already written to disk stays intact
+ */
+
+// Pending requests by job ID: 'pause' or 'cancel'
+const requests = new Map();
+
+/**
+ * Raised inside the worker when a pause or cancel request is picked up
+ */
+class JobInterruptedError extends Error {
+  /**
+   * @param {string} action 'pause' or 'cancel'
+   */
+  constructor(action) {
+    super(action === 'pause' ? 'Job paused' : 'Job cancelled');
+    this.name = 'JobInterruptedError';
+    this.action = action;
+  }
+}
+
+/**
+ * Ask a running job to pause or cancel at its next check
+ * A cancel request replaces a pending pause request, but not the other way round
+ * @param {string} jobId Job ID
+ * @param {string} action 'pause' or 'cancel'
+ */
+function requestControl(jobId, action) {
+  if (requests.get(jobId) !== 'cancel') {
+    requests.set(jobId, action);
+  }
+}
+
+/**
+ * Throw if a pause or cancel was requested for the job
+ * @param {string} jobId Job ID
+ * @throws {JobInterruptedError} When the job should stop
+ */
+function throwIfInterrupted(jobId) {
+  const action = requests.get(jobId);
+  if (action) {
+    requests.delete(jobId);
+    throw new JobInterruptedError(action);
+  }
+}
+
+/**
+ * Forget any request for a job that has stopped
+ * @param {string} jobId Job ID
+ */
+function clearControl(jobId) {
+  requests.delete(jobId);
+}
+
+module.exports = {
+  JobInterruptedError,
+  requestControl,
+  throwIfInterrupted,
+  clearControl
+};
@@ -0,0 +1,69 @@
+/**
+ * Live events for background download jobs
+ * The worker and queue manager publish progress and status changes here,
+ * and the per-job SSE route relays them to the dashboard
+ */
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+// Every open SSE stream adds a listener
+emitter.setMaxListeners(0);
+
+/**
+ * Publish a progress update
+ * @param {string} jobId Job ID
+ * @param {Object} progress { stage, message, percent, bytesDownloaded, totalBytes, etaSeconds, updatedAt }
+ */
+function publishProgress(jobId, progress) {
+  emitter.emit('update', { jobId, type: 'progress', ...progress });
+}
+
+/**
+ * Publish a status change
+ * @param {string} jobId Job ID
+ * @param {string} status New status
+ * @param {string|null} error Error message if any
+ */
+function publishStatus(jobId, status, error = null) {
+  emitter.emit('update', { jobId, type: 'status', status, error });
+}
+
+/**
+ * Listen to the events of one job
+ * @param {string} jobId Job ID
+ * @param {Function} listener Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(jobId, listener) {
+  const handler = (event) => {
+    if (event.jobId === jobId) {
+      listener(event);
+    }
+  };
+  emitter.on('update', handler);
+  return () => emitter.off('update', handler);
+}
+
+/**
+ * Convert a job_progress row to a progress event payload
+ * @param {Object} row job_progress row
+ * @returns {Object} Progress payload
+ */
+function progressFromRow(row) {
+  return {
+    stage: row.stage,
+    message: row.message,
+    percent: row.percent,
+    bytesDownloaded: row.bytes_downloaded,
+    totalBytes: row.total_bytes,
+    etaSeconds: row.eta_seconds,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = {
+  publishProgress,
+  publishStatus,
+  subscribe,
+  progressFromRow
+};
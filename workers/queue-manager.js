@@ -7,7 +7,15 @@ const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const downloadWorker = require('./download-worker');
+const jobControl = require('./job-control');
+const jobCheckpoints = require('./job-checkpoints');
+const jobEvents = require('./job-events');
+const credentialStore = require('../lib/credential-store');
+const exportManifest = require('../lib/export-manifest');
+const exportReassembly = require('../lib/export-reassembly');
+const exportEncryption = require('../lib/export-encryption');
 const defaults = require('../config/defaults');
+const instances = require('../config/instances');
 
 // Create queue directory for future use
 const queueDir = path.join(process.cwd(), 'queue');
@@ -24,14 +32,19 @@ function initializeQueue(db) {
   // Create queue with in-memory storage
   const queue = new Queue(async (job, cb) => {
     try {
-      console.log(`Processing job ${job.job_id} for project ${job.project_key}`);
+      console.log(`Processing job ${job.job_id} for ${job.jql ? `JQL: ${job.jql}` : `project ${job.project_key}`}`);
       const result = await downloadWorker.processDownloadJob(job, db);
       cb(null, result);
     } catch (error) {
       console.error(`Error processing job ${job.job_id}:`, error);
       cb(error);
+    } finally {
+      // Drop a pause or cancel request that arrived after the job's last check
+      jobControl.clearControl(job.job_id);
     }
   }, {
+    // Tasks are identified by job ID so queued jobs can be cancelled
+    id: 'job_id',
     maxConcurrent: defaults.jobs.maxConcurrent,
     priority: (job, cb) => {
       // Higher priority for smaller jobs
@@ -65,6 +78,8 @@ function initializeQueue(db) {
 
 /**
  * Add a new download job to the queue
+ * The job uses the stored credentials of the login that created it (credentialId, see lib/credential-store.js).
+ * A passphrase encrypts the job's outputs; it is handed to the queued task only and never stored
  * @param {Object} db Database connection
  * @param {Object} queue Queue instance
  * @param {Object} jobData Job data
@@ -77,11 +92,23 @@ async function addJob(db, queue, jobData) {
   const job = {
     job_id: jobId,
     username: jobData.username,
-    api_key: jobData.apiKey,
-    project_key: jobData.projectKey,
+    credential_id: jobData.credentialId,
+    instance: jobData.instance || instances.getDefaultInstanceName(),
+    project_key: jobData.projectKey || null,
+    jql: jobData.jql || null,
+    incremental: jobData.incremental ? 1 : 0,
+    include_history: jobData.includeHistory ? 1 : 0,
+    custom_fields: jobData.customFields?.length ? JSON.stringify(jobData.customFields) : null,
+    render_format: jobData.renderFormat || 'raw',
+    segment_size: jobData.segmentSize || defaults.segmentSizeLimit,
+    segment_strategy: jobData.segmentStrategy || defaults.segmentStrategy,
+    archive_format: jobData.archiveFormat || defaults.archiveFormat,
+    reassembly_script: (jobData.reassemblyScript ?? defaults.reassemblyScript) ? 1 : 0,
+    encrypted: jobData.passphrase ? 1 : 0,
     download_type: jobData.downloadType || 'all',
     file_format: jobData.fileFormat || 'json',
     download_path: jobData.downloadPath || defaults.downloadPath,
+    schedule_id: jobData.scheduleId || null,
     status: 'pending',
     created_at: now,
     updated_at: now
@@ -90,18 +117,61 @@ async function addJob(db, queue, jobData) {
   // Save job to database
   await saveJobToDatabase(db, job);
   
-  // Add to queue
-  queue.push(job);
+  // Add to queue; the in-memory queue is the only place the passphrase is kept
+  queue.push(jobData.passphrase ? { ...job, passphrase: jobData.passphrase } : job);
   
   return {
     jobId,
     status: 'pending',
+    instance: job.instance,
     projectKey: jobData.projectKey,
+    jql: jobData.jql || null,
+    incremental: Boolean(jobData.incremental),
+    includeHistory: Boolean(jobData.includeHistory),
+    customFields: jobData.customFields || [],
+    renderFormat: jobData.renderFormat || 'raw',
+    segmentSize: job.segment_size,
+    segmentStrategy: job.segment_strategy,
+    archiveFormat: job.archive_format,
+    reassemblyScript: Boolean(job.reassembly_script),
+    encrypted: Boolean(job.encrypted),
     downloadType: jobData.downloadType || 'all',
+    scheduleId: job.schedule_id,
     createdAt: now
   };
 }
 
+/**
+ * Re-queue jobs that were pending or processing when the server stopped
+ * Processing jobs continue from their checkpoints (see job-checkpoints.js); encrypted jobs pause
+ * until their passphrase is entered again
+ * @param {Object} db Database connection
+ * @param {Object} queue Queue instance
+ * @returns {Promise<number>} Number of jobs re-queued
+ */
+async function resumeInterruptedJobs(db, queue) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM download_jobs
+       WHERE status = 'pending' OR status = 'processing'
+       ORDER BY created_at ASC`,
+      [],
+      (err, rows) => {
+        if (err) {
+          console.error('Error getting interrupted jobs:', err);
+          reject(err);
+        } else {
+          for (const { id, ...job } of rows) {
+            console.log(`Resuming ${job.status} job ${job.job_id}`);
+            queue.push(job);
+          }
+          resolve(rows.length);
+        }
+      }
+    );
+  });
+}
+
 /**
  * Save job to database
  * @param {Object} db Database connection
@@ -112,16 +182,28 @@ async function saveJobToDatabase(db, job) {
   return new Promise((resolve, reject) => {
     db.run(
       `INSERT INTO download_jobs 
-       (job_id, username, api_key, project_key, download_type, file_format, download_path, status, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       (job_id, username, credential_id, instance, project_key, jql, incremental, include_history, custom_fields, render_format, segment_size, segment_strategy, archive_format, reassembly_script, encrypted, download_type, file_format, download_path, schedule_id, status, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         job.job_id,
         job.username,
-        job.api_key,
+        job.credential_id,
+        job.instance,
         job.project_key,
+        job.jql,
+        job.incremental,
+        job.include_history,
+        job.custom_fields,
+        job.render_format,
+        job.segment_size,
+        job.segment_strategy,
+        job.archive_format,
+        job.reassembly_script,
+        job.encrypted,
         job.download_type,
         job.file_format,
         job.download_path,
+        job.schedule_id,
         job.status,
         job.created_at,
         job.updated_at
@@ -138,29 +220,58 @@ async function saveJobToDatabase(db, job) {
   });
 }
 
+// Jobs of one user on one instance; jobs stored before the instance column belong to the default instance
+const OWNER_FILTER = 'username = ? AND COALESCE(instance, ?) = ?';
+
 /**
- * Get all jobs
+ * Query parameters of OWNER_FILTER
+ * @param {Object} owner { username, instance } of a login session
+ * @returns {Array} Parameters
+ * @private
+ */
+function ownerParams({ username, instance }) {
+  return [username, instances.getDefaultInstanceName(), instance];
+}
+
+/**
+ * Get all jobs of a user
  * @param {Object} db Database connection
+ * @param {Object} owner { username, instance } of the login session
  * @returns {Promise<Array>} List of jobs
  */
-async function getJobs(db) {
+async function getJobs(db, owner) {
   return new Promise((resolve, reject) => {
     db.all(
-      `SELECT job_id, project_key, download_type, file_format, download_path, status, 
+      `SELECT job_id, instance, project_key, jql, incremental, include_history, custom_fields, render_format, segment_size, segment_strategy, archive_format, encrypted, download_type, file_format, download_path, schedule_id, export_manifest, status, 
               created_at, updated_at, completed_at, error
        FROM download_jobs
+       WHERE ${OWNER_FILTER}
        ORDER BY created_at DESC`,
-      [],
+      ownerParams(owner),
       async (err, rows) => {
         if (err) {
           console.error('Error getting jobs:', err);
           reject(err);
         } else {
           try {
+            // Latest progress of every job that has reported any
+            const progressRows = await new Promise((resolveProgress, rejectProgress) => {
+              db.all('SELECT * FROM job_progress', [], (progressErr, progressRows) => {
+                if (progressErr) {
+                  rejectProgress(progressErr);
+                } else {
+                  resolveProgress(progressRows);
+                }
+              });
+            });
+            const progressByJob = new Map(progressRows.map(row => [row.job_id, jobEvents.progressFromRow(row)]));
+
             // Fetch segments for each job
             const jobsWithSegments = [];
             
             for (const job of rows) {
+              job.progress = progressByJob.get(job.job_id) || null;
+
               // Only fetch segments for completed jobs
               if (job.status === 'completed') {
                 try {
@@ -205,6 +316,51 @@ async function getJobs(db) {
   });
 }
 
+/**
+ * Check that a job belongs to a user
+ * Jobs of other users fail as 'Job not found', so their IDs are not confirmed
+ * @param {Object} db Database connection
+ * @param {string} jobId Job ID
+ * @param {Object} owner { username, instance } of the login session
+ * @returns {Promise<void>}
+ */
+async function checkJobOwner(db, jobId, owner) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT job_id FROM download_jobs WHERE job_id = ? AND ${OWNER_FILTER}`, [jobId, ...ownerParams(owner)], (err, row) => {
+      if (err) {
+        console.error('Error checking job owner:', err);
+        reject(err);
+      } else if (!row) {
+        reject(new Error('Job not found'));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Check whether a file is an output a user's jobs recorded: a segment or an export manifest
+ * @param {Object} db Database connection
+ * @param {string} filePath Absolute file path
+ * @param {Object} owner { username, instance } of the login session
+ * @returns {Promise<boolean>} True if one of the user's jobs wrote the file
+ */
+async function isJobOutput(db, filePath, owner) {
+  const rows = await new Promise((resolve, reject) => {
+    db.all(
+      `SELECT download_segments.file_path, download_jobs.download_path, download_jobs.export_manifest
+       FROM download_jobs LEFT JOIN download_segments ON download_segments.job_id = download_jobs.job_id
+       WHERE ${OWNER_FILTER}`,
+      ownerParams(owner),
+      (err, result) => (err ? reject(err) : resolve(result))
+    );
+  });
+  const target = path.resolve(filePath);
+  return rows.some(row => (row.file_path && path.resolve(row.file_path) === target) ||
+    (row.export_manifest && path.resolve(row.download_path || defaults.downloadPath, row.export_manifest) === target));
+}
+
 /**
  * Get job by ID
  * @param {Object} db Database connection
@@ -214,7 +370,7 @@ async function getJobs(db) {
 async function getJobById(db, jobId) {
   return new Promise((resolve, reject) => {
     db.get(
-      `SELECT job_id, project_key, download_type, file_format, download_path, status, 
+      `SELECT job_id, instance, project_key, jql, incremental, include_history, custom_fields, render_format, segment_size, segment_strategy, archive_format, encrypted, download_type, file_format, download_path, schedule_id, export_manifest, status, 
               created_at, updated_at, completed_at, error
        FROM download_jobs
        WHERE job_id = ?`,
@@ -239,7 +395,16 @@ async function getJobById(db, jobId) {
                 reject(segErr);
               } else {
                 row.segments = segments;
-                resolve(row);
+                // Latest persisted progress, if the job has reported any
+                db.get('SELECT * FROM job_progress WHERE job_id = ?', [jobId], (progressErr, progress) => {
+                  if (progressErr) {
+                    console.error('Error getting job progress:', progressErr);
+                    reject(progressErr);
+                  } else {
+                    row.progress = progress ? jobEvents.progressFromRow(progress) : null;
+                    resolve(row);
+                  }
+                });
               }
             }
           );
@@ -250,17 +415,16 @@ async function getJobById(db, jobId) {
 }
 
 /**
- * Cancel job by ID
+ * Get the status and output files of a job
  * @param {Object} db Database connection
- * @param {Object} queue Queue instance
  * @param {string} jobId Job ID
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<Object>} Job row with status, download_path, export_manifest and encrypted
+ * @private
  */
-async function cancelJob(db, queue, jobId) {
+async function getJobState(db, jobId) {
   return new Promise((resolve, reject) => {
-    // First check if job exists and is pending
     db.get(
-      'SELECT status FROM download_jobs WHERE job_id = ?',
+      'SELECT status, download_path, export_manifest, encrypted FROM download_jobs WHERE job_id = ?',
       [jobId],
       (err, row) => {
         if (err) {
@@ -268,34 +432,242 @@ async function cancelJob(db, queue, jobId) {
           reject(err);
         } else if (!row) {
           reject(new Error('Job not found'));
-        } else if (row.status !== 'pending') {
-          reject(new Error(`Cannot cancel job with status: ${row.status}`));
         } else {
-          // Update job status to cancelled
-          db.run(
-            'UPDATE download_jobs SET status = ?, updated_at = ? WHERE job_id = ?',
-            ['cancelled', new Date().toISOString(), jobId],
-            function(updateErr) {
-              if (updateErr) {
-                console.error('Error updating job status:', updateErr);
-                reject(updateErr);
-              } else {
-                // Remove from queue if possible
-                queue.cancel(jobId, (cancelErr) => {
-                  if (cancelErr) {
-                    console.warn(`Could not remove job ${jobId} from queue:`, cancelErr);
-                  }
-                  resolve(true);
-                });
-              }
-            }
-          );
+          resolve(row);
         }
       }
     );
   });
 }
 
+/**
+ * Set the status of a job
+ * @param {Object} db Database connection
+ * @param {string} jobId Job ID
+ * @param {string} status New status
+ * @returns {Promise<void>}
+ * @private
+ */
+async function setJobStatus(db, jobId, status) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE download_jobs SET status = ?, updated_at = ? WHERE job_id = ?',
+      [status, new Date().toISOString(), jobId],
+      function(err) {
+        if (err) {
+          console.error('Error updating job status:', err);
+          reject(err);
+        } else {
+          jobEvents.publishStatus(jobId, status);
+          // Finished jobs no longer hold their credentials; drop them once nothing else does
+          if (credentialStore.TERMINAL_STATUSES.includes(status)) {
+            credentialStore.releaseUnusedCredentials(db)
+              .catch(releaseError => console.error('Error releasing stored credentials:', releaseError));
+          }
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Cancel job by ID
+ * Pending and paused jobs are cancelled at once; processing jobs stop at the worker's next check
+ * and keep the segments they already finished
+ * @param {Object} db Database connection
+ * @param {Object} queue Queue instance
+ * @param {string} jobId Job ID
+ * @returns {Promise<string>} Resulting status: 'cancelled', or 'cancelling' for processing jobs
+ */
+async function cancelJob(db, queue, jobId) {
+  const job = await getJobState(db, jobId);
+
+  if (job.status === 'processing') {
+    jobControl.requestControl(jobId, 'cancel');
+    return 'cancelling';
+  }
+
+  if (job.status !== 'pending' && job.status !== 'paused') {
+    throw new Error(`Cannot cancel job with status: ${job.status}`);
+  }
+
+  await setJobStatus(db, jobId, 'cancelled');
+
+  if (job.status === 'paused') {
+    // A paused job is not in the queue; only its checkpoints are left
+    await jobCheckpoints.clearCheckpoints(db, jobId, job.download_path || defaults.downloadPath);
+    return 'cancelled';
+  }
+
+  // Remove from queue if possible
+  return new Promise((resolve) => {
+    queue.cancel(jobId, (cancelErr) => {
+      if (cancelErr) {
+        console.warn(`Could not remove job ${jobId} from queue:`, cancelErr);
+      }
+      resolve('cancelled');
+    });
+  });
+}
+
+/**
+ * Pause a processing job
+ * The worker stops at its next check and sets the status to 'paused'
+ * @param {Object} db Database connection
+ * @param {string} jobId Job ID
+ * @returns {Promise<void>}
+ */
+async function pauseJob(db, jobId) {
+  const job = await getJobState(db, jobId);
+
+  if (job.status !== 'processing') {
+    throw new Error(`Cannot pause job with status: ${job.status}`);
+  }
+
+  jobControl.requestControl(jobId, 'pause');
+}
+
+/**
+ * Check the passphrase of an encrypted job against the outputs it already wrote
+ * A job paused before writing anything accepts any passphrase
+ * @param {Object} db Database connection
+ * @param {string} jobId Job ID
+ * @param {Object} job Job row from getJobState
+ * @param {string} [passphrase] Passphrase entered to resume the job
+ * @returns {Promise<void>}
+ * @private
+ */
+async function checkJobPassphrase(db, jobId, job, passphrase) {
+  const fail = (message, code) => {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = code;
+    return error;
+  };
+  if (!passphrase) {
+    throw fail('The job is encrypted; its passphrase is needed to resume it', 'PASSPHRASE_REQUIRED');
+  }
+
+  const outputPath = job.download_path || defaults.downloadPath;
+  const checkpoint = await jobCheckpoints.loadCheckpoint(db, jobId);
+  const written = [
+    ...Object.values(checkpoint.outputs || {}),
+    ...(checkpoint.plan || []).filter(segment => checkpoint.completedSegments.has(segment.number)).map(segment => segment.fileName)
+  ].filter(fileName => fileName && fs.existsSync(path.join(outputPath, fileName)));
+
+  if (written.length > 0 && !await exportEncryption.checkPassphrase(path.join(outputPath, written[0]), passphrase)) {
+    throw fail('Wrong passphrase: it does not open the files this job already wrote', 'WRONG_PASSPHRASE');
+  }
+}
+
+/**
+ * Resume a paused job from its checkpoints
+ * @param {Object} db Database connection
+ * @param {Object} queue Queue instance
+ * @param {string} jobId Job ID
+ * @param {string} [passphrase] Passphrase of an encrypted job; needed again after a restart
+ * @returns {Promise<void>}
+ */
+async function resumeJob(db, queue, jobId, passphrase) {
+  const job = await getJobState(db, jobId);
+
+  if (job.status !== 'paused') {
+    throw new Error(`Cannot resume job with status: ${job.status}`);
+  }
+  if (job.encrypted) {
+    await checkJobPassphrase(db, jobId, job, passphrase);
+  }
+
+  await setJobStatus(db, jobId, 'pending');
+
+  const row = await new Promise((resolve, reject) => {
+    db.get('SELECT * FROM download_jobs WHERE job_id = ?', [jobId], (err, result) => {
+      if (err) {
+        console.error('Error loading job:', err);
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+  const { id, ...queuedJob } = row;
+  queue.push(job.encrypted ? { ...queuedJob, passphrase } : queuedJob);
+  if (job.encrypted) {
+    // Drop the note asking for the passphrase
+    db.run('UPDATE download_jobs SET error = NULL WHERE job_id = ?', [jobId]);
+  }
+}
+
+/**
+ * Find the export manifest of a completed job
+ * @param {Object} db Database connection
+ * @param {string} jobId Job ID
+ * @param {Object} [job] Job row from getJobState, if already loaded
+ * @returns {Promise<string>} Manifest path
+ * @private
+ */
+async function jobManifestPath(db, jobId, job = null) {
+  job = job || await getJobState(db, jobId);
+
+  if (!job.export_manifest) {
+    const error = new Error('Job has no export manifest; it is written when the job completes');
+    error.status = 409;
+    throw error;
+  }
+
+  const manifestPath = path.join(job.download_path || defaults.downloadPath, job.export_manifest);
+  if (!fs.existsSync(manifestPath)) {
+    const error = new Error(`Export manifest not found: ${manifestPath}`);
+    error.status = 404;
+    throw error;
+  }
+  return manifestPath;
+}
+
+/**
+ * Re-hash the files of a job against its export manifest
+ * @param {Object} db Database connection
+ * @param {string} jobId Job ID
+ * @param {string} [passphrase] Passphrase of an encrypted job
+ * @returns {Promise<Object>} Verification report (see lib/export-manifest.js)
+ */
+async function verifyJob(db, jobId, passphrase) {
+  return { jobId, ...await exportManifest.verifyExport(await jobManifestPath(db, jobId), { passphrase }) };
+}
+
+/**
+ * Extract the attachments of a job into one folder per ticket, joining split parts
+ * The folder is written next to the export manifest; reassembling again replaces its files.
+ * The segments of an encrypted job are decrypted into a temporary folder first, which is removed afterwards
+ * @param {Object} db Database connection
+ * @param {string} jobId Job ID
+ * @param {string} [passphrase] Passphrase of an encrypted job
+ * @returns {Promise<Object>} Reassembly report (see lib/export-reassembly.js)
+ */
+async function reassembleJob(db, jobId, passphrase) {
+  const job = await getJobState(db, jobId);
+  const manifestPath = await jobManifestPath(db, jobId, job);
+  if (!job.encrypted) {
+    return { jobId, ...await exportReassembly.reassembleExport(manifestPath) };
+  }
+
+  if (!passphrase) {
+    const error = new Error('The job is encrypted; its passphrase is needed to reassemble it');
+    error.status = 400;
+    error.code = 'PASSPHRASE_REQUIRED';
+    throw error;
+  }
+  const decryptDir = path.join(path.dirname(manifestPath), `.${jobId}.decrypting`);
+  try {
+    const plainManifestPath = await exportEncryption.decryptExport(manifestPath, decryptDir, passphrase, ['segment']);
+    const targetDir = exportReassembly.defaultTargetDir(manifestPath.slice(0, -exportEncryption.ENCRYPTED_EXTENSION.length));
+    return { jobId, ...await exportReassembly.reassembleExport(plainManifestPath, targetDir) };
+  } finally {
+    await fs.promises.rm(decryptDir, { recursive: true, force: true });
+  }
+}
+
 /**
  * Clean up old jobs
  * @param {Object} db Database connection
@@ -322,6 +694,9 @@ async function cleanupOldJobs(db) {
         } else {
           const jobIds = rows.map(row => row.job_id);
           
+          // Progress rows are only shown for live jobs
+          db.run('DELETE FROM job_progress WHERE job_id IN (' + jobIds.map(() => '?').join(',') + ')', jobIds);
+
           // Delete segments for these jobs
           db.run(
             'DELETE FROM download_segments WHERE job_id IN (' + jobIds.map(() => '?').join(',') + ')',
@@ -417,9 +792,16 @@ async function validateDownloadPath(downloadPath) {
 module.exports = {
   initializeQueue,
   addJob,
+  resumeInterruptedJobs,
   getJobs,
+  checkJobOwner,
+  isJobOutput,
   getJobById,
   cancelJob,
+  pauseJob,
+  resumeJob,
+  verifyJob,
+  reassembleJob,
   cleanupOldJobs,
   validateDownloadPath
 };
@@ -0,0 +1,457 @@
+/**
+ * Schedule manager for recurring background downloads
+ * Schedules are stored in SQLite with a cron expression; the scheduler enqueues their jobs
+ * through the queue manager when they are due and catches up on runs missed while the server was down
+ */
+const { v4: uuidv4 } = require('uuid');
+const queueManager = require('./queue-manager');
+const cron = require('../lib/cron');
+const markup = require('../lib/markup');
+const credentialStore = require('../lib/credential-store');
+const instances = require('../config/instances');
+const defaults = require('../config/defaults');
+
+// Columns returned to clients; credentials stay in the database
+const PUBLIC_COLUMNS = `schedule_id, name, cron, instance, username, project_keys, jql, download_type, file_format,
+  include_history, custom_fields, render_format, incremental, download_path, enabled,
+  last_run_at, next_run_at, created_at, updated_at`;
+
+/**
+ * Build an error with an HTTP status
+ * @param {string} message Error message
+ * @param {number} status HTTP status
+ * @returns {Error} Error
+ * @private
+ */
+function scheduleError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Run a query that returns rows
+ * @param {Object} db Database connection
+ * @param {string} sql SQL query
+ * @param {Array} [params] Query parameters
+ * @returns {Promise<Array>} Rows
+ * @private
+ */
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        console.error('Error querying schedules:', err);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+/**
+ * Run a statement
+ * @param {Object} db Database connection
+ * @param {string} sql SQL statement
+ * @param {Array} [params] Statement parameters
+ * @returns {Promise<number>} Number of changed rows
+ * @private
+ */
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        console.error('Error updating schedules:', err);
+        reject(err);
+      } else {
+        resolve(this.changes);
+      }
+    });
+  });
+}
+
+/**
+ * Get a schedule row including its credentials
+ * @param {Object} db Database connection
+ * @param {string} scheduleId Schedule ID
+ * @returns {Promise<Object>} Schedule row
+ * @private
+ */
+async function getScheduleRow(db, scheduleId) {
+  const [row] = await all(db, 'SELECT * FROM schedules WHERE schedule_id = ?', [scheduleId]);
+  if (!row) {
+    throw scheduleError('Schedule not found', 404);
+  }
+  return row;
+}
+
+/**
+ * Validate schedule settings and convert them to column values
+ * Settings missing from an update keep their current value
+ * @param {Object} data Settings from the request (camelCase)
+ * @param {Object} [current] Current schedule row when updating
+ * @returns {Object} Column values
+ * @private
+ */
+function toColumns(data, current = {}) {
+  const pick = (key, column) => (data[key] !== undefined ? data[key] : current[column]);
+
+  const name = String(pick('name', 'name') || '').trim();
+  if (!name) {
+    throw scheduleError('Schedule name is required', 400);
+  }
+
+  const cronExpression = String(pick('cron', 'cron') || '').trim();
+  // Throws with status 400 if the expression is invalid or never runs
+  cron.nextRun(cronExpression);
+
+  const projectKeys = data.projectKeys !== undefined
+    ? data.projectKeys
+    : JSON.parse(current.project_keys || '[]');
+  if (!Array.isArray(projectKeys) || projectKeys.some(key => typeof key !== 'string' || !key.trim())) {
+    throw scheduleError('projectKeys must be an array of project keys', 400);
+  }
+
+  const jql = String(pick('jql', 'jql') || '').trim() || null;
+  if (!jql && projectKeys.length === 0) {
+    throw scheduleError('A schedule needs at least one project or a JQL query', 400);
+  }
+
+  const downloadType = pick('downloadType', 'download_type') || 'all';
+  if (downloadType === 'sprints' && jql) {
+    throw scheduleError('Sprint exports need a project key', 400);
+  }
+
+  const renderFormat = pick('renderFormat', 'render_format') || 'raw';
+  if (!markup.RENDER_FORMATS.includes(renderFormat)) {
+    throw scheduleError(`Unsupported render format: ${renderFormat}`, 400);
+  }
+
+  const customFields = data.customFields !== undefined
+    ? data.customFields
+    : JSON.parse(current.custom_fields || '[]');
+  if (!Array.isArray(customFields)) {
+    throw scheduleError('customFields must be an array of field names', 400);
+  }
+
+  const pickFlag = (key, column) => (data[key] !== undefined ? (data[key] ? 1 : 0) : (current[column] ?? 0));
+
+  return {
+    name,
+    cron: cronExpression,
+    instance: pick('instance', 'instance') || instances.getDefaultInstanceName(),
+    username: pick('username', 'username') || null,
+    // Stored credentials of the login that created the schedule (see lib/credential-store.js); kept unless replaced
+    credential_id: data.credentialId || current.credential_id || null,
+    project_keys: JSON.stringify(jql ? [] : projectKeys.map(key => key.trim())),
+    jql,
+    download_type: downloadType,
+    file_format: pick('fileFormat', 'file_format') || 'json',
+    include_history: pickFlag('includeHistory', 'include_history'),
+    custom_fields: customFields.length ? JSON.stringify(customFields) : null,
+    render_format: renderFormat,
+    incremental: pickFlag('incremental', 'incremental'),
+    download_path: String(pick('downloadPath', 'download_path') || '').trim() || null
+  };
+}
+
+/**
+ * Get all schedules of a user
+ * @param {Object} db Database connection
+ * @param {Object} owner { username, instance } of the login session
+ * @returns {Promise<Array>} Schedules, without credentials
+ */
+async function getSchedules(db, { username, instance }) {
+  return all(db, `SELECT ${PUBLIC_COLUMNS} FROM schedules WHERE username = ? AND instance = ? ORDER BY name COLLATE NOCASE`, [username, instance]);
+}
+
+/**
+ * Check that a schedule belongs to a user
+ * Schedules of other users fail with 404 as if they did not exist
+ * @param {Object} db Database connection
+ * @param {string} scheduleId Schedule ID
+ * @param {Object} owner { username, instance } of the login session
+ * @returns {Promise<void>}
+ */
+async function checkScheduleOwner(db, scheduleId, { username, instance }) {
+  const [row] = await all(db, 'SELECT schedule_id FROM schedules WHERE schedule_id = ? AND username = ? AND instance = ?', [scheduleId, username, instance]);
+  if (!row) {
+    throw scheduleError('Schedule not found', 404);
+  }
+}
+
+/**
+ * Get a schedule by ID
+ * @param {Object} db Database connection
+ * @param {string} scheduleId Schedule ID
+ * @returns {Promise<Object>} Schedule, without credentials
+ */
+async function getScheduleById(db, scheduleId) {
+  const [schedule] = await all(db, `SELECT ${PUBLIC_COLUMNS} FROM schedules WHERE schedule_id = ?`, [scheduleId]);
+  if (!schedule) {
+    throw scheduleError('Schedule not found', 404);
+  }
+  return schedule;
+}
+
+/**
+ * Create a schedule
+ * @param {Object} db Database connection
+ * @param {Object} data Schedule settings (name, cron, credentials and the job options of submit-download-job)
+ * @returns {Promise<Object>} Created schedule
+ */
+async function createSchedule(db, data) {
+  const columns = toColumns(data);
+  const now = new Date();
+  const scheduleId = uuidv4();
+
+  await run(db, `INSERT INTO schedules
+     (schedule_id, name, cron, instance, username, credential_id, project_keys, jql, download_type, file_format,
+      include_history, custom_fields, render_format, incremental, download_path, enabled, next_run_at, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)`, [
+    scheduleId,
+    columns.name,
+    columns.cron,
+    columns.instance,
+    columns.username,
+    columns.credential_id,
+    columns.project_keys,
+    columns.jql,
+    columns.download_type,
+    columns.file_format,
+    columns.include_history,
+    columns.custom_fields,
+    columns.render_format,
+    columns.incremental,
+    columns.download_path,
+    cron.nextRun(columns.cron, now).toISOString(),
+    now.toISOString(),
+    now.toISOString()
+  ]);
+
+  return getScheduleById(db, scheduleId);
+}
+
+/**
+ * Update a schedule
+ * Changing the cron expression moves the next run to the new timetable
+ * @param {Object} db Database connection
+ * @param {string} scheduleId Schedule ID
+ * @param {Object} data Settings to change
+ * @returns {Promise<Object>} Updated schedule
+ */
+async function updateSchedule(db, scheduleId, data) {
+  const current = await getScheduleRow(db, scheduleId);
+  const columns = toColumns(data, current);
+  const now = new Date();
+  const nextRunAt = columns.cron !== current.cron && current.enabled
+    ? cron.nextRun(columns.cron, now).toISOString()
+    : current.next_run_at;
+
+  await run(db, `UPDATE schedules SET
+     name = ?, cron = ?, instance = ?, username = ?, credential_id = ?, project_keys = ?, jql = ?, download_type = ?,
+     file_format = ?, include_history = ?, custom_fields = ?, render_format = ?, incremental = ?, download_path = ?,
+     next_run_at = ?, updated_at = ?
+     WHERE schedule_id = ?`, [
+    columns.name,
+    columns.cron,
+    columns.instance,
+    columns.username,
+    columns.credential_id,
+    columns.project_keys,
+    columns.jql,
+    columns.download_type,
+    columns.file_format,
+    columns.include_history,
+    columns.custom_fields,
+    columns.render_format,
+    columns.incremental,
+    columns.download_path,
+    nextRunAt,
+    now.toISOString(),
+    scheduleId
+  ]);
+
+  // Credentials the schedule switched away from may no longer be needed
+  if (columns.credential_id !== current.credential_id) {
+    await credentialStore.releaseUnusedCredentials(db);
+  }
+
+  return getScheduleById(db, scheduleId);
+}
+
+/**
+ * Pause or resume a schedule
+ * A resumed schedule continues with its next run from now; runs missed while paused are not caught up
+ * @param {Object} db Database connection
+ * @param {string} scheduleId Schedule ID
+ * @param {boolean} enabled False to pause, true to resume
+ * @returns {Promise<Object>} Updated schedule
+ */
+async function setScheduleEnabled(db, scheduleId, enabled) {
+  const current = await getScheduleRow(db, scheduleId);
+  const now = new Date();
+
+  await run(db, 'UPDATE schedules SET enabled = ?, next_run_at = ?, updated_at = ? WHERE schedule_id = ?', [
+    enabled ? 1 : 0,
+    enabled ? cron.nextRun(current.cron, now).toISOString() : null,
+    now.toISOString(),
+    scheduleId
+  ]);
+
+  return getScheduleById(db, scheduleId);
+}
+
+/**
+ * Delete a schedule; jobs it already queued are kept
+ * @param {Object} db Database connection
+ * @param {string} scheduleId Schedule ID
+ * @returns {Promise<void>}
+ */
+async function deleteSchedule(db, scheduleId) {
+  const changes = await run(db, 'DELETE FROM schedules WHERE schedule_id = ?', [scheduleId]);
+  if (changes === 0) {
+    throw scheduleError('Schedule not found', 404);
+  }
+  await credentialStore.releaseUnusedCredentials(db);
+}
+
+/**
+ * Queue the jobs of a schedule: one per project, or one for its JQL query
+ * Projects whose job from an earlier run is still queued, running or paused are skipped
+ * @param {Object} db Database connection
+ * @param {Object} queue Queue instance
+ * @param {Object} schedule Schedule row including credentials
+ * @returns {Promise<Array>} Jobs added (as returned by queueManager.addJob)
+ * @private
+ */
+async function queueScheduleJobs(db, queue, schedule) {
+  const activeRows = await all(db,
+    `SELECT project_key FROM download_jobs
+     WHERE schedule_id = ? AND status IN ('pending', 'processing', 'paused')`,
+    [schedule.schedule_id]);
+  const activeProjects = new Set(activeRows.map(row => row.project_key || ''));
+
+  const projectKeys = schedule.jql ? [null] : JSON.parse(schedule.project_keys || '[]');
+  const jobs = [];
+
+  for (const projectKey of projectKeys) {
+    if (activeProjects.has(projectKey || '')) {
+      console.log(`[Schedule ${schedule.schedule_id}] Skipping ${projectKey || 'JQL'}: previous job still active`);
+      continue;
+    }
+
+    jobs.push(await queueManager.addJob(db, queue, {
+      username: schedule.username,
+      credentialId: schedule.credential_id,
+      instance: schedule.instance,
+      projectKey,
+      jql: schedule.jql,
+      downloadType: schedule.download_type,
+      fileFormat: schedule.file_format,
+      downloadPath: schedule.download_path,
+      incremental: Boolean(schedule.incremental),
+      includeHistory: Boolean(schedule.include_history),
+      customFields: JSON.parse(schedule.custom_fields || '[]'),
+      renderFormat: schedule.render_format,
+      scheduleId: schedule.schedule_id
+    }));
+  }
+
+  await run(db, 'UPDATE schedules SET last_run_at = ? WHERE schedule_id = ?', [
+    new Date().toISOString(),
+    schedule.schedule_id
+  ]);
+
+  console.log(`[Schedule ${schedule.schedule_id}] Queued ${jobs.length} jobs for "${schedule.name}"`);
+  return jobs;
+}
+
+/**
+ * Run a schedule now, outside its timetable; its next scheduled run is unchanged
+ * @param {Object} db Database connection
+ * @param {Object} queue Queue instance
+ * @param {string} scheduleId Schedule ID
+ * @returns {Promise<Array>} Jobs added
+ */
+async function runScheduleNow(db, queue, scheduleId) {
+  const schedule = await getScheduleRow(db, scheduleId);
+  return queueScheduleJobs(db, queue, schedule);
+}
+
+/**
+ * Queue the jobs of every enabled schedule that is due
+ * Runs missed while the server was down are caught up with a single run
+ * @param {Object} db Database connection
+ * @param {Object} queue Queue instance
+ * @param {Date} [now] Current time
+ * @returns {Promise<number>} Number of schedules run
+ */
+async function runDueSchedules(db, queue, now = new Date()) {
+  const due = await all(db,
+    'SELECT * FROM schedules WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ? ORDER BY next_run_at',
+    [now.toISOString()]);
+
+  for (const schedule of due) {
+    // Move the timetable on first so a failing schedule is not retried every tick
+    await run(db, 'UPDATE schedules SET next_run_at = ? WHERE schedule_id = ?', [
+      cron.nextRun(schedule.cron, now).toISOString(),
+      schedule.schedule_id
+    ]);
+
+    if (now - new Date(schedule.next_run_at) > 60 * 1000) {
+      console.log(`[Schedule ${schedule.schedule_id}] Catching up run missed at ${schedule.next_run_at}`);
+    }
+
+    try {
+      await queueScheduleJobs(db, queue, schedule);
+    } catch (error) {
+      console.error(`[Schedule ${schedule.schedule_id}] Error queueing jobs:`, error);
+    }
+  }
+
+  return due.length;
+}
+
+/**
+ * Start the scheduler: catch up on missed runs now, then check for due schedules every interval
+ * @param {Object} db Database connection
+ * @param {Object} queue Queue instance
+ * @param {number} [intervalMs] Check interval
+ * @returns {Object} Interval handle
+ */
+function startScheduler(db, queue, intervalMs = defaults.schedules.checkIntervalMs) {
+  let checking = false;
+
+  const check = async () => {
+    // A slow check (many projects) must not overlap the next one
+    if (checking) {
+      return;
+    }
+    checking = true;
+    try {
+      await runDueSchedules(db, queue);
+    } catch (error) {
+      console.error('Error running due schedules:', error);
+    } finally {
+      checking = false;
+    }
+  };
+
+  check();
+  return setInterval(check, intervalMs);
+}
+
+module.exports = {
+  getSchedules,
+  checkScheduleOwner,
+  getScheduleById,
+  createSchedule,
+  updateSchedule,
+  setScheduleEnabled,
+  deleteSchedule,
+  runScheduleNow,
+  runDueSchedules,
+  startScheduler
+};
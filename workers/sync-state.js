@@ -0,0 +1,216 @@
+/**
+ * Incremental sync state for background download jobs
+ * Tracks a per-scope high-water mark (latest issue `updated` timestamp) and the
+ * issues and attachments already downloaded, so later jobs only fetch changes
+ */
+
+/**
+ * Get the sync state for a project key or JQL query
+ * @param {Object} db Database connection
+ * @param {string} instance Jira instance profile name
+ * @param {string} scope Project key or JQL query
+ * @returns {Promise<Object|null>} Sync state row or null if never synced
+ */
+async function getSyncState(db, instance, scope) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT instance, scope, last_updated, last_job_id, last_synced_at
+       FROM sync_state
+       WHERE instance = ? AND scope = ?`,
+      [instance, scope],
+      (err, row) => {
+        if (err) {
+          console.error('Error getting sync state:', err);
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get the IDs of attachments already downloaded for a scope
+ * @param {Object} db Database connection
+ * @param {string} instance Jira instance profile name
+ * @param {string} scope Project key or JQL query
+ * @returns {Promise<Set<string>>} Attachment IDs
+ */
+async function getSyncedAttachmentIds(db, instance, scope) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT attachment_id FROM sync_attachments WHERE instance = ? AND scope = ?',
+      [instance, scope],
+      (err, rows) => {
+        if (err) {
+          console.error('Error getting synced attachments:', err);
+          reject(err);
+        } else {
+          resolve(new Set(rows.map(row => row.attachment_id)));
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Record a successful sync: downloaded issues, attachments and the new high-water mark
+ * @param {Object} db Database connection
+ * @param {Object} sync Sync details
+ * @param {string} sync.instance Jira instance profile name
+ * @param {string} sync.scope Project key or JQL query
+ * @param {string} sync.jobId Job ID
+ * @param {Array<Object>} sync.issues Issues as { key, updated }
+ * @param {Array<Object>} sync.attachments Attachments as { id, issueKey, filename, size, segmentFiles }
+ * @returns {Promise<string|null>} The new high-water mark
+ */
+async function recordSync(db, { instance, scope, jobId, issues, attachments }) {
+  const now = new Date().toISOString();
+  const previous = await getSyncState(db, instance, scope);
+  const lastUpdated = latestUpdated(issues, previous?.last_updated || null);
+
+  const run = (sql, params) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        console.error('Error recording sync state:', err);
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+
+  for (const issue of issues) {
+    await run(
+      `INSERT INTO sync_issues (instance, scope, issue_key, updated, job_id, synced_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(instance, scope, issue_key) DO UPDATE SET updated = excluded.updated, job_id = excluded.job_id, synced_at = excluded.synced_at`,
+      [instance, scope, issue.key, issue.updated, jobId, now]
+    );
+  }
+
+  for (const attachment of attachments) {
+    await run(
+      `INSERT OR IGNORE INTO sync_attachments (instance, scope, attachment_id, issue_key, filename, size, segment_files, job_id, synced_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        instance,
+        scope,
+        String(attachment.id),
+        attachment.issueKey,
+        attachment.filename,
+        attachment.size,
+        JSON.stringify(attachment.segmentFiles || []),
+        jobId,
+        now
+      ]
+    );
+  }
+
+  await run(
+    `INSERT INTO sync_state (instance, scope, last_updated, last_job_id, last_synced_at)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(instance, scope) DO UPDATE SET last_updated = excluded.last_updated, last_job_id = excluded.last_job_id, last_synced_at = excluded.last_synced_at`,
+    [instance, scope, lastUpdated, jobId, now]
+  );
+
+  return lastUpdated;
+}
+
+/**
+ * Build the merged manifest of everything downloaded for a scope across all syncs
+ * @param {Object} db Database connection
+ * @param {string} instance Jira instance profile name
+ * @param {string} scope Project key or JQL query
+ * @returns {Promise<Object>} Merged manifest
+ */
+async function buildMergedManifest(db, instance, scope) {
+  const all = (sql) => new Promise((resolve, reject) => {
+    db.all(sql, [instance, scope], (err, rows) => {
+      if (err) {
+        console.error('Error building merged manifest:', err);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+
+  const state = await getSyncState(db, instance, scope);
+  const issues = await all(
+    `SELECT issue_key, updated, job_id, synced_at FROM sync_issues
+     WHERE instance = ? AND scope = ? ORDER BY issue_key`
+  );
+  const attachments = await all(
+    `SELECT attachment_id, issue_key, filename, size, segment_files, job_id, synced_at FROM sync_attachments
+     WHERE instance = ? AND scope = ? ORDER BY issue_key, attachment_id`
+  );
+
+  return {
+    instance,
+    scope,
+    highWaterMark: state?.last_updated || null,
+    lastJobId: state?.last_job_id || null,
+    generatedAt: new Date().toISOString(),
+    totalIssues: issues.length,
+    totalAttachments: attachments.length,
+    issues: issues.map(row => ({
+      key: row.issue_key,
+      updated: row.updated,
+      jobId: row.job_id,
+      syncedAt: row.synced_at
+    })),
+    attachments: attachments.map(row => ({
+      id: row.attachment_id,
+      issueKey: row.issue_key,
+      filename: row.filename,
+      size: row.size,
+      segmentFiles: JSON.parse(row.segment_files || '[]'),
+      jobId: row.job_id,
+      syncedAt: row.synced_at
+    }))
+  };
+}
+
+/**
+ * Restrict a JQL query to issues updated at or after a high-water mark
+ * Jira returns timestamps in the user's timezone, which is also how JQL
+ * interprets dates, so the wall-clock part of the mark is used as-is
+ * @param {string} jql Base JQL query
+ * @param {string} lastUpdated High-water mark, e.g. 2024-01-01T10:00:00.000+0000
+ * @returns {string} Restricted JQL query
+ */
+function restrictToUpdatedSince(jql, lastUpdated) {
+  const since = lastUpdated.slice(0, 16).replace('T', ' ');
+  const condition = `updated >= "${since}"`;
+  // Keep any ORDER BY clause at the end of the query; it may also be the whole query
+  const [, where, orderBy] = /^([\s\S]*?)(?:(?:^|\s+)(ORDER\s+BY\s[\s\S]*))?$/i.exec(jql.trim());
+  const restricted = where.trim() ? `(${where}) AND ${condition}` : condition;
+  return orderBy ? `${restricted} ${orderBy}` : restricted;
+}
+
+/**
+ * Find the latest `updated` timestamp among issues
+ * @param {Array<Object>} issues Issues as { key, updated }
+ * @param {string|null} current Current high-water mark
+ * @returns {string|null} Latest timestamp
+ * @private
+ */
+function latestUpdated(issues, current) {
+  let latest = current;
+  for (const issue of issues) {
+    if (issue.updated && (!latest || new Date(issue.updated) > new Date(latest))) {
+      latest = issue.updated;
+    }
+  }
+  return latest;
+}
+
+module.exports = {
+  getSyncState,
+  getSyncedAttachmentIds,
+  recordSync,
+  buildMergedManifest,
+  restrictToUpdatedSince
+};